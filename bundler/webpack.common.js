@@ -4,7 +4,14 @@ const MiniCSSExtractPlugin = require('mini-css-extract-plugin');
 const path = require('path')
 
 module.exports = {
-    entry: path.resolve(__dirname, '../src/index.js'),
+    entry: {
+        main: path.resolve(__dirname, '../src/index.js'),
+        // The point queries run on a worker thread, loaded from its own bundle
+        pointQuery: {
+            import: path.resolve(__dirname, '../src/selection/pointQuery.worker.js'),
+            filename: 'pointQuery.worker.js'
+        }
+    },
     output:
     {
         hashFunction: 'xxhash64',
@@ -27,6 +34,7 @@ module.exports = {
         }),
         new HtmlWebpackPlugin({
             template: path.resolve(__dirname, '../src/index.html'),
+            chunks: ['main'],
             minify: true
         }),
         new MiniCSSExtractPlugin(),
@@ -1,17 +1,102 @@
 
 import * as THREE from 'three';
 import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls';
-import { ThreeUtils, Helper } from './utils';
-import { PointCloud } from './pcd';
-import { Brush, RectangleBox, Polygon, Curvature, DrawingTool } from './selectionTools';
-import { EditSelection, LabelSelection, LabelClassSelector, SelectionInspector, LabelClass } from './selection';
+import { ThreeUtils, FileUtils, IndexUtils, ColorUtils, GroundUtils, Helper } from './utils';
+import { CoordinateFormat } from './config';
+import { PointCloud, PointSubset } from './pcd';
+import { LoaderRegistry, LabelSetFile, CoordinateFormatStore } from './io';
+import {
+    Brush, RectangleBox, Polygon, Curvature, DrawingTool, DepthSlab, CuboidTool, CuboidMesh,
+    MagicWand,
+} from './selectionTools';
+import {
+    EditSelection, LabelSelection, LabelClassSelector, SelectionInspector, LabelClass, LabelSet,
+    LabelClassRegistry, LabelClassEditor,
+} from './selection';
 import { Picker } from './picker';
+import { History } from './history';
 
 
 /**
  * @typedef {import('./selectionTools/Brush').Circle} Circle
  */
 
+/**
+ * @typedef {import('./selectionTools/DrawingTool').DepthRange} DepthRange
+ */
+
+/**
+ * @typedef {import('./selectionTools/DrawingTool').DrawnObject} DrawnObject
+ */
+
+/**
+ * @typedef {import('./selectionTools/CuboidTool').CuboidTransformMode} CuboidTransformMode
+ */
+
+/**
+ * @typedef {import('./selectionTools/MagicWand').RegionOptions} RegionOptions
+ */
+
+/**
+ * @typedef {import('./utils/GroundUtils').GroundOptions} GroundOptions
+ */
+
+/**
+ * @typedef {import('./io/LabelFile').PointLabels} PointLabels
+ */
+
+/**
+ * @typedef {import('./utils/IndexUtils').IndexSet} IndexSet
+ */
+
+/**
+ * @typedef {import('./io/LabelSetFile').LabelSetJson} LabelSetJson
+ */
+
+/**
+ * @typedef {import('./utils/ColorUtils').ColorMode} ColorMode
+ */
+
+/**
+ * @typedef {import('./selection/LabelClassRegistry').LabelClassRegistryEvent} LabelClassRegistryEvent
+ */
+
+/**
+ * The state of a {@link Scene} which is needed to resume the annotation of a point cloud:
+ * - `selections`: The label selections, each with the id of its class, the indices of its points,
+ *   its 3D bounding box (see {@link LabelSelection.boxMatrix}), if any, and whether it is ground.
+ * - `labelSet`: The label set which the classes of the label selections belong to.
+ * - `nextSelectionId`: The id given to the next created label selection.
+ * - `camera`: The position of the camera and the point it looks at.
+ * - `tool`: The active tool and its settings.
+ * 
+ * @typedef {{
+ *     selections: Array<{
+ *         id: number,
+ *         classId: ?number,
+ *         indices: IndexSet,
+ *         boxMatrix?: ?number[],
+ *         isGround?: boolean
+ *     }>,
+ *     labelSet?: LabelSetJson,
+ *     nextSelectionId: number,
+ *     camera: { position: number[], target: number[] },
+ *     tool: {
+ *         interactMode: InteractMode,
+ *         selectedToolType: ?ToolTypes,
+ *         drawMode: DrawMode,
+ *         brushSize: number,
+ *         visibleOnly?: boolean,
+ *         depthTolerance?: number,
+ *         depthRange?: ?DepthRange,
+ *         regionOptions?: RegionOptions,
+ *         groundOptions?: GroundOptions,
+ *         groundHidden?: boolean,
+ *         selectedClassId: ?number
+ *     }
+ * }} SceneState
+ */
+
 /**
  * @typedef {'navigate' | 'draw' | 'select'} InteractMode
  */
@@ -21,18 +106,48 @@ import { Picker } from './picker';
  */
 
 /**
- * @typedef {'brush' | 'polygon' | 'box' | 'curvature' | 'selector'} ToolTypes
+ * @typedef {'brush' | 'polygon' | 'box' | 'curvature' | 'cuboid' | 'wand' | 'selector'} ToolTypes
+ */
+
+/**
+ * The display size of the points of a newly loaded point cloud.
+ * 
+ * @type {number}
+ */
+const DEFAULT_POINT_SIZE = 2.5;
+
+/**
+ * The color of the points of the selected label selection.
+ * 
+ * @type {Readonly<THREE.Color>}
+ */
+const SELECTED_COLOR = new THREE.Color('yellow');
+
+/**
+ * How much the color of the points of the hovered label selection is blended with white,
+ * between `0` and `1`.
+ * 
+ * @type {number}
  */
+const HOVERED_HIGHLIGHT = 0.4;
 
 /**
  * Represents an event dispatched by {@link Scene}:
  * - `type`: The type (i.e., name) of the event.
+ * - `selection`: The deleted label selection, for `'selection-deleted'` events.
  * 
  * @typedef {{
  *     type:
  *         'interactMode-changed' | 'selectedTool-changed' |
  *          'drawMode-changed' | 'hasSelectedSelection-changed'|
- *          'brushSize-changed'
+ *          'brushSize-changed' | 'pointCloud-changed' | 'labelSelections-changed' |
+ *          'camera-changed' | 'labelSet-changed' | 'colorMode-changed' | 'colorRange-changed' |
+ *          'loadProgress-changed' | 'coordinateFormat-changed' | 'visibleOnly-changed' |
+ *          'depthTolerance-changed' | 'depthRange-changed' | 'cuboidTransformMode-changed' |
+ *          'regionOptions-changed' | 'groundOptions-changed' | 'groundHidden-changed'
+ * } | {
+ *     type: 'selection-deleted',
+ *     selection: LabelSelection
  * }} SceneEvent
  */
 
@@ -110,6 +225,124 @@ export class Scene extends THREE.EventDispatcher{
      */
     #selectionInspector;
 
+    /**
+     * The editor of the classes of the label set.
+     * 
+     * @type {LabelClassEditor}
+     */
+    #classEditor;
+
+    /**
+     * Holds the label set, and is the only way to edit its classes.
+     * 
+     * @type {LabelClassRegistry}
+     */
+    #classRegistry;
+
+    /**
+     * Whether the label set is being restored by undoing or redoing an edit of its classes.
+     * 
+     * @type {boolean}
+     */
+    #isRestoringClasses = false;
+
+    /**
+     * The label set whose classes label selections can be assigned to.
+     * 
+     * When the label set is replaced, each label selection takes the class of the new set
+     * with the same id. Selections whose class id is not in the new set keep their class.
+     * The history of edits is discarded, since it refers to the classes of the previous set.
+     * Edits of the classes made in the class editor are recorded in the history instead.
+     * 
+     * @type {LabelSet}
+     */
+    get labelSet() { return this.#classRegistry.labelSet; }
+
+    set labelSet(value) {
+        this.#classRegistry.labelSet = value;
+    }
+
+    /**
+     * Assigns the label selections to the classes of the new label set, and records the
+     * edit of the classes, if any.
+     * 
+     * @param {THREE.Event} e The `labelSet-changed` event of the registry.
+     */
+    #handleLabelSetChanged = (e) => {
+        const { labelSet, previous, mergedIds, edit } = /** @type {LabelClassRegistryEvent} */ (e);
+
+        const prevClasses = new Map(this.#labelSelections.map((s) => [s, s.labelClass]));
+
+        /**
+         * @type {Set<number>}
+         */
+        const missingIds = new Set();
+        for (const selection of this.#labelSelections) {
+            const { labelClass } = selection;
+            const newClass = (labelClass != null)
+                ? labelSet.findById(mergedIds.get(labelClass.id) ?? labelClass.id) : null;
+
+            if (newClass != null) {
+                selection.labelClass = newClass;
+            } else if (labelClass != null) {
+                missingIds.add(labelClass.id);
+            }
+        }
+
+        if (missingIds.size > 0) {
+            console.warn(`Selections kept classes which are not in the label set ${labelSet.name}: ${[...missingIds].join(', ')}`);
+        }
+
+        this.#labelClassSelector.labelClasses = labelSet.classes;
+        this.#selectionInspector.labelClasses = labelSet.classes;
+
+        if (this.#isRestoringClasses) {
+            // The classes of the selections are restored by the command
+        } else if (edit == null) {
+            this.#history.clear();
+        } else {
+            const nextClasses = new Map(this.#labelSelections.map((s) => [s, s.labelClass]));
+
+            this.#history.record({
+                name: edit,
+                undo: () => this.#restoreClasses(previous, prevClasses),
+                redo: () => this.#restoreClasses(labelSet, nextClasses),
+            });
+        }
+
+        this.dispatchEvent({ type: 'labelSet-changed' });
+        this.#handleLabelSelectionsChanged();
+    };
+
+    /**
+     * Restores a label set, and the classes which label selections were assigned to
+     * when it was active.
+     * 
+     * @param {LabelSet} labelSet The label set.
+     * @param {Map<LabelSelection, LabelClass>} classes The class of each label selection.
+     */
+    #restoreClasses(labelSet, classes) {
+        this.#isRestoringClasses = true;
+        try {
+            this.#classRegistry.labelSet = labelSet;
+        } finally {
+            this.#isRestoringClasses = false;
+        }
+
+        for (const [selection, labelClass] of classes) {
+            selection.labelClass = labelClass;
+        }
+
+        this.#handleLabelSelectionsChanged();
+    }
+
+    /**
+     * The classes which label selections can be assigned to.
+     * 
+     * @type {ReadonlyArray<LabelClass>}
+     */
+    get labelClasses() { return this.labelSet.classes; }
+
     /**
      * @type {Array<LabelSelection>}
      */
@@ -144,6 +377,16 @@ export class Scene extends THREE.EventDispatcher{
                 this.selectedTool = this.#curvature;
                 this.#curvature.mode = this.interactMode;
                 break;
+            case 'wand':
+                this.dom.style.cursor = 'crosshair';
+                this.selectedTool = this.#wand;
+                this.#wand.mode = this.interactMode;
+                break;
+            case 'cuboid':
+                this.dom.style.cursor = 'default';
+                this.selectedTool = this.#cuboidTool;
+                this.#cuboidTool.mode = this.interactMode;
+                break;
             default:
                 this.selectedTool = null;
                 this.dom.style.cursor = 'default';
@@ -154,33 +397,27 @@ export class Scene extends THREE.EventDispatcher{
     }
 
     #updateEnabled = () => {
-        const { interactMode, selectedToolType, selectedSelection } = this;
+        const { interactMode, selectedToolType } = this;
 
-        this.#controls.enabled = interactMode !== 'draw';
-        this.#controls.enableRotate = interactMode === 'navigate' || interactMode === 'select';
+        // The camera can be moved while placing a cuboid, except while dragging its gizmo
+        const isPlacingCuboid = interactMode === 'draw' && selectedToolType === 'cuboid';
+        this.#controls.enabled = interactMode !== 'draw' || (isPlacingCuboid && !this.#cuboidTool.isDrawing);
+        this.#controls.enableRotate = interactMode === 'navigate' || interactMode === 'select' || isPlacingCuboid;
 
         this.#brush.enabled = selectedToolType === 'brush';
         this.#box.enabled = selectedToolType === 'box';
         this.#polygon.enabled = selectedToolType === 'polygon';
         this.#curvature.enabled = selectedToolType === 'curvature';
+        this.#cuboidTool.enabled = isPlacingCuboid;
+        this.#wand.enabled = selectedToolType === 'wand';
 
         this.#selectionPicker.hoverEnabled =  interactMode === 'select';
         
         this.#selectionPicker.selectEnabled = interactMode === 'select';
 
         if (interactMode === 'draw') {
-            console.log('pcd display');
-            console.log(this.pointCloud.bufferNDC.length);
-            console.log(this.pointCloud.buffer.getCoords().length);
-            console.log('pcd settings');
-            console.log(this.filteredPcd?.buffer.getCoords().length);
-            console.log(this.filteredPcd?.bufferNDC.length);
-            if (this.filteredPcd != null) {
-                this.filteredPcd.bufferNDC = ThreeUtils.worldCoordsToNDC(this.filteredPcd.buffer.getCoords(), this.#camera);
-            }
-            if (selectedSelection != null) {
-                selectedSelection.pointsNDC = ThreeUtils.worldCoordsToNDC(selectedSelection.points, this.#camera);
-            }
+            const size = this.#renderer.getSize(new THREE.Vector2());
+            this.#editor.updateProjection(this.#camera, size);
         }
     };
 
@@ -228,14 +465,14 @@ export class Scene extends THREE.EventDispatcher{
     }
 
     /**
-    * @type {ToolTypes}
+    * @type {?ToolTypes}
     */
-    #selectedToolType;
+    #selectedToolType = null;
 
     /**
-     * The type of object to draw in the scene.
+     * The type of object to draw in the scene, or `null` if no tool is selected.
      * 
-     * @type {ToolTypes}
+     * @type {?ToolTypes}
      */
     get selectedToolType() { return this.#selectedToolType; }
 
@@ -244,6 +481,7 @@ export class Scene extends THREE.EventDispatcher{
             this.#selectedToolType = value;
 
             this.#updateCursor().#updateEnabled();            
+            this.#loadSelectedCuboid();
             this.dispatchEvent({ type: 'selectedTool-changed' });
         }
     }
@@ -272,19 +510,10 @@ export class Scene extends THREE.EventDispatcher{
             this.#updateCursor().#updateEnabled();
 
             if (value != null) {
-                value.addEventListener('begin-draw', async(e) => {
-                    const drawnObject = e.drawnObject;
-                    if (drawnObject != null) {
-                        await this.#editSelection(drawnObject);
-                    }
-                });
-
-                value.addEventListener('end-draw', async (e) => {
-                    const drawnObject = e.drawnObject;
-                    if (drawnObject != null) {
-                        await this.#editSelection(drawnObject);
-                    }
-                });
+                // The same listener is never added twice, even if the tool is selected again.
+                value.addEventListener('begin-draw', this.#onDraw);
+                value.addEventListener('end-draw', this.#onDraw);
+                value.addEventListener('isDrawing-changed', this.#onDrawingChanged);
             }
         }
     }
@@ -331,6 +560,78 @@ export class Scene extends THREE.EventDispatcher{
         }
     }
 
+    /**
+     * Whether the drawing tools only select the points visible from the camera, rather than
+     * every point inside the drawn object, including those hidden behind others.
+     * 
+     * @type {boolean}
+     */
+    get visibleOnly() { return this.#editor.visibleOnly; }
+
+    set visibleOnly(value) {
+        if (this.visibleOnly !== value) {
+            this.#editor.visibleOnly = value;
+
+            this.dispatchEvent({ type: 'visibleOnly-changed' });
+        }
+    }
+
+    /**
+     * How far behind the closest point drawn around it a point may be and still be selected
+     * as visible, in `three.js` units. Larger values keep more of the points of oblique or
+     * noisy surfaces, but may also select points just behind them.
+     * 
+     * @type {number}
+     */
+    get depthTolerance() { return this.#editor.depthTolerance; }
+
+    set depthTolerance(value) {
+        if (this.depthTolerance !== value) {
+            this.#editor.depthTolerance = value;
+
+            this.dispatchEvent({ type: 'depthTolerance-changed' });
+        }
+    }
+
+    /**
+     * @type {?DepthRange}
+     */
+    #depthRange = null;
+
+    /**
+     * The distances from the camera, along its view direction, between which the drawing tools
+     * select the points, or `null` to select them at any distance. The points in front of the
+     * range are ignored, so they do not hide the points in it either.
+     * 
+     * @type {?DepthRange}
+     * @throws {Error} If the near distance is negative or not less than the far distance.
+     */
+    get depthRange() { return this.#depthRange; }
+
+    set depthRange(value) {
+        if (value != null && !(value.near >= 0 && value.near < value.far)) {
+            throw new Error(`Invalid depth range: ${value.near} to ${value.far}`);
+        }
+
+        if (this.depthRange?.near !== value?.near || this.depthRange?.far !== value?.far) {
+            this.#depthRange = (value != null) ? { near: value.near, far: value.far } : null;
+
+            for (const tool of [this.#brush, this.#box, this.#polygon, this.#curvature]) {
+                tool.depthRange = this.#depthRange;
+            }
+
+            this.dispatchEvent({ type: 'depthRange-changed' });
+        }
+    }
+
+    /**
+     * Previews the depth range of the drawing tools.
+     * 
+     * @readonly
+     * @type {DepthSlab}
+     */
+    #depthSlab = new DepthSlab();
+
     /**
      * Rectangle box drawing tool. 
      * 
@@ -353,147 +654,1162 @@ export class Scene extends THREE.EventDispatcher{
     #curvature;
 
     /**
-     * The class of labelled object that is selected.
+     * Cuboid drawing tool.
      * 
-     * @type {?LabelClass}
+     * @type {CuboidTool}
      */
-    get selectedLabelClass() { return this.#labelClassSelector.selectedClass; }
+    #cuboidTool;
 
     /**
-     * Whether a label class is selected.
+     * How the gizmo of the cuboid tool transforms the cuboid.
      * 
-     * @type {boolean}
+     * @type {CuboidTransformMode}
      */
-    get hasSelectedLabelClass() { return this.selectedLabelClass != null; }
+    get cuboidTransformMode() { return this.#cuboidTool.transformMode; }
+
+    set cuboidTransformMode(value) {
+        if (this.cuboidTransformMode !== value) {
+            this.#cuboidTool.transformMode = value;
+
+            this.dispatchEvent({ type: 'cuboidTransformMode-changed' });
+        }
+    }
 
     /**
-     * Helper to select/deselect a label selection in the scene.
+     * Selects the points inside the cuboid placed with the cuboid tool, creating a label
+     * selection or adding them to the selected one, whose 3D bounding box becomes the cuboid.
      * 
-     * @readonly
-     * @type {Picker<LabelSelection>}
+     * @returns {boolean} `true` if a cuboid was applied; otherwise, `false`.
      */
-    #selectionPicker;
+    applyCuboid() {
+        return this.#cuboidTool.apply();
+    }
 
     /**
-     * Whether a label selection is being hovered over.
-     * 
-     * @type {boolean}
+     * Shows the 3D bounding box of the selected label selection in the cuboid tool, so that it
+     * can be adjusted.
      */
-    get isHoveringSelection() { return this.#selectionPicker.isHoveringObj; }
+    #loadSelectedCuboid() {
+        if (this.selectedToolType !== 'cuboid') return;
+
+        const cuboid = this.selectedSelection?.cuboid;
+        if (cuboid != null && !cuboid.equals(this.#cuboidTool.cuboid)) {
+            this.#cuboidTool.cuboid = cuboid;
+        }
+    }
 
     /**
-     * The label selection that is hovered over.
+     * Magic wand drawing tool.
      * 
-     * @type {?LabelSelection}
+     * @type {MagicWand}
      */
-    get hoveredSelection() { return this.#selectionPicker.hoveredObj; }
+    #wand;
 
     /**
-     * Whether a label selection is selected.
+     * How far the magic wand grows the regions from the clicked points.
      * 
-     * @type {boolean}
+     * @type {RegionOptions}
+     * @throws {Error} If the radius is not positive, the angle is not between `0` and `180`
+     * degrees or the difference is negative.
      */
-    get hasSelectedSelection() { return this.#selectionPicker.hasSelectedObj; }
+    get regionOptions() { return this.#wand.options; }
+
+    set regionOptions(value) {
+        const { radius, maxAngle, maxDifference } = value;
+        if (!(radius > 0 && maxAngle > 0 && maxAngle <= 180 && maxDifference >= 0)) {
+            throw new Error(`Invalid region options: radius ${radius}, angle ${maxAngle}, difference ${maxDifference}`);
+        }
+
+        const options = this.regionOptions;
+        if (options.radius !== radius || options.maxAngle !== maxAngle
+            || options.similarity !== value.similarity || options.maxDifference !== maxDifference) {
+            this.#wand.options = value;
+
+            this.dispatchEvent({ type: 'regionOptions-changed' });
+        }
+    }
 
     /**
-     * The selected label selection in the scene.
-     * 
-     * @type {?LabelSelection}
+     * @type {GroundOptions}
      */
-    get selectedSelection() { return this.#selectionPicker.selectedObj; }
+    #groundOptions = { ...GroundUtils.DEFAULT_GROUND_OPTIONS };
 
     /**
-     * Creates a new label selection or modifies the selected label selection in the scene.
+     * How the ground is found by {@link segmentGround}.
      * 
-     * @param {Array<THREE.Vector2> | Circle} drawnObject 
+     * Each read returns a new copy.
+     * 
+     * @type {GroundOptions}
+     * @throws {Error} If the slope is not between `0` and `90` degrees or the threshold is not
+     * positive.
      */
-    #editSelection = async (drawnObject) => {
-        const { filteredPcd, selectedLabelClass, selectedSelection, drawMode } = this;
-        if (filteredPcd == null) return;
+    get groundOptions() { return { ...this.#groundOptions }; }
 
-        if (selectedSelection != null) {
-            await this.#editor.modifySelection(drawnObject, filteredPcd, selectedSelection, drawMode);
-        } else {
-            if (selectedLabelClass != null) {
-                await this.#editor.createSelection(drawnObject, selectedLabelClass, filteredPcd);
-            }
+    set groundOptions(value) {
+        const { maxSlope, threshold } = value;
+        if (!(maxSlope > 0 && maxSlope < 90 && threshold > 0)) {
+            throw new Error(`Invalid ground options: slope ${maxSlope}, threshold ${threshold}`);
         }
-    };
+
+        const previous = this.#groundOptions;
+        if (previous.maxSlope !== maxSlope || previous.threshold !== threshold) {
+            this.#groundOptions = { maxSlope, threshold };
+
+            this.dispatchEvent({ type: 'groundOptions-changed' });
+        }
+    }
 
     /**
-     * Selects a selection in the scene.
+     * @type {boolean}
+     */
+    #groundHidden = false;
+
+    /**
+     * Whether the points of the ground selections (see {@link LabelSelection.isGround}) are
+     * hidden, so that the objects above the ground can be seen and labelled.
      * 
-     * @param {LabelSelection} selection
-     * @returns {this} This object.
+     * @type {boolean}
      */
-    selectSelection(selection) {
-        this.#selectionPicker.selectedObj = selection;
+    get groundHidden() { return this.#groundHidden; }
 
-        return this;
+    set groundHidden(value) {
+        if (this.groundHidden !== value) {
+            this.#groundHidden = value;
+            this.#pointColorsNeedUpdate = true;
+
+            this.dispatchEvent({ type: 'groundHidden-changed' });
+        }
     }
 
     /**
-     * Deselects the selected selection, if any.
+     * Labels the ground of the point cloud with the selected class: the unlabelled points
+     * around the plane which fits the most of them, and is at most as steep as the largest
+     * slope of {@link groundOptions}, become a new label selection.
      * 
-     * @returns {this} This object.
+     * @returns {Promise<?LabelSelection>} The ground selection, or `null` if no ground was
+     * found.
+     * @throws {Error} If there is no point cloud, or no class is selected.
      */
-    deselectSelection() {
-        this.#selectionPicker.selectedObj = null;
+    segmentGround() {
+        const labelClass = this.selectedLabelClass;
+        if (this.pointCloud == null || labelClass == null) {
+            throw new Error('Open a point cloud and pick the class of the ground first');
+        }
 
-        return this;
+        this.#strokeId += 1;
+        const strokeId = this.#strokeId;
+        const options = this.groundOptions;
+
+        return this.#enqueueEdit(async () => {
+            const { filteredPcd } = this;
+            if (filteredPcd == null) return null;
+
+            this.#editStrokeId = strokeId;
+
+            return this.#editor.segmentGround(options, labelClass, filteredPcd);
+        });
     }
 
     /**
-     * Deletes the selected selection.
+     * Whether the points of a label selection are hidden.
      * 
-     * @param {LabelSelection} selection 
+     * @param {LabelSelection} selection The label selection.
+     * @returns {boolean} `true` if the points are hidden; otherwise, `false`.
      */
-    deleteSelection(selection) {
-
+    #isHidden(selection) {
+        return this.groundHidden && selection.isGround;
     }
 
     /**
-     * @type {?Array<THREE.Group>}
+     * The point cloud and the indices of the label selections whose points it was last told
+     * to hide.
+     * 
+     * @type {{ pointCloud: ?PointCloud, hidden: IndexSet[] }}
      */
-    obj = null;
+    #hiddenSelections = { pointCloud: null, hidden: [] };
 
-    /** 
-     * @type {PointCloud}
+    /**
+     * Hides the points of the hidden label selections in the active point cloud, if they
+     * changed.
      */
-    #pointCloud;
+    #updateHiddenPoints() {
+        const { pointCloud } = this;
+        if (pointCloud == null) return;
+
+        const hidden = this.#labelSelections
+            .filter((selection) => this.#isHidden(selection))
+            .map(({ indices }) => indices);
+
+        const previous = this.#hiddenSelections;
+        if (previous.pointCloud === pointCloud && previous.hidden.length === hidden.length
+            && previous.hidden.every((indices, i) => indices === hidden[i])) return;
+
+        this.#hiddenSelections = { pointCloud, hidden };
+        pointCloud.hiddenPoints = (hidden.length > 0)
+            ? hidden.reduce((a, b) => IndexUtils.union(a, b)) : null;
+    }
 
     /**
-     * The active point cloud in the scene.
+     * Draws the 3D bounding boxes of the label selections.
      * 
-     * @type {PointCloud}
+     * @readonly
+     * @type {WeakMap<LabelSelection, CuboidMesh>}
      */
-    get pointCloud() { return this.#pointCloud; }
+    #cuboidMeshes = new WeakMap();
 
     /**
-     * @type {?PointCloud}
+     * Creates a raycaster for picking the points under the pointer.
+     * 
+     * @param {MouseEvent} event The mouse event.
+     * @returns {THREE.Raycaster} The raycaster.
      */
-    #filteredPcd;
+    #createPointerRaycaster(event) {
+        const raycaster = new THREE.Raycaster();
+        ThreeUtils.updateRaycaster(raycaster, this.#camera, this.#renderer.domElement, event);
+        ThreeUtils.setRaycasterPointsThreshold(raycaster, 0.25);
+
+        return raycaster;
+    }
 
     /**
-     * Filtered point cloud based on labeled selections in the scene.
+     * Finds the point of the point cloud under the pointer.
      * 
-     * @type {?PointCloud}
+     * @param {MouseEvent} event The mouse event.
+     * @returns {?THREE.Vector3} The `three.js` coordinates of the closest point under the
+     * pointer, if any.
      */
-    get filteredPcd() { return this.#filteredPcd; }
+    #pickPoint = (event) => {
+        const { pointCloud } = this;
+        if (pointCloud == null) return null;
+
+        return pointCloud.raycast(this.#createPointerRaycaster(event))[0]?.point ?? null;
+    };
 
     /**
-     * @param {PointCloud} pointCloud
-     * @param {?Array<THREE.Group>} obj
+     * Finds the index of the point of the point cloud under the pointer.
+     * 
+     * @param {MouseEvent} event The mouse event.
+     * @returns {?number} The index of the closest point under the pointer, if any.
      */
-    constructor(pointCloud, obj) {
-        super();
+    #pickPointIndex = (event) => (
+        this.pointCloud?.pickPoint(this.#createPointerRaycaster(event)) ?? null
+    );
 
-        this.#pointCloud = pointCloud;
-        this.#filteredPcd = this.pointCloud.clone();
+    /**
+     * The class of labelled object that is selected.
+     * 
+     * @type {?LabelClass}
+     */
+    get selectedLabelClass() { return this.#labelClassSelector.selectedClass; }
 
-        this.dom = document.createElement('div');
-        this.dom.className = 'scene';
-        
+    set selectedLabelClass(value) {
+        this.#labelClassSelector.selectedClass = value;
+    }
+
+    /**
+     * Whether a label class is selected.
+     * 
+     * @type {boolean}
+     */
+    get hasSelectedLabelClass() { return this.selectedLabelClass != null; }
+
+    /**
+     * Helper to select/deselect a label selection in the scene.
+     * 
+     * @readonly
+     * @type {Picker<LabelSelection>}
+     */
+    #selectionPicker;
+
+    /**
+     * Whether a label selection is being hovered over.
+     * 
+     * @type {boolean}
+     */
+    get isHoveringSelection() { return this.#selectionPicker.isHoveringObj; }
+
+    /**
+     * The label selection that is hovered over.
+     * 
+     * @type {?LabelSelection}
+     */
+    get hoveredSelection() { return this.#selectionPicker.hoveredObj; }
+
+    /**
+     * Whether a label selection is selected.
+     * 
+     * @type {boolean}
+     */
+    get hasSelectedSelection() { return this.#selectionPicker.hasSelectedObj; }
+
+    /**
+     * The selected label selection in the scene.
+     * 
+     * @type {?LabelSelection}
+     */
+    get selectedSelection() { return this.#selectionPicker.selectedObj; }
+
+    /**
+     * Identifies the current stroke of the drawing tools, i.e., everything drawn between
+     * pressing and releasing the pointer.
+     * 
+     * @type {number}
+     */
+    #strokeId = 0;
+
+    /**
+     * Starts a new stroke when a drawing tool begins drawing.
+     * 
+     * @param {THREE.Event} e The `isDrawing-changed` event of the tool.
+     */
+    #onDrawingChanged = (e) => {
+        if (e.target.isDrawing) {
+            this.#strokeId += 1;
+        }
+
+        this.#updateEnabled();
+    };
+
+    /**
+     * Edits the label selections with the object drawn by the selected tool.
+     * 
+     * @param {THREE.Event} e The `begin-draw` or `end-draw` event of the tool.
+     */
+    #onDraw = (e) => {
+        const drawnObject = e.drawnObject;
+        if (drawnObject != null) {
+            this.#editSelection(drawnObject, this.#strokeId, e.depthRange ?? null);
+        }
+    };
+
+    /**
+     * Records the edits made to the label selections.
+     * 
+     * @type {History}
+     */
+    #history = new History();
+
+    /**
+     * The stroke which the edit being made belongs to.
+     * 
+     * The edits made during a stroke are undone at once.
+     * 
+     * @type {?number}
+     */
+    #editStrokeId = null;
+
+    /**
+     * Resolves once every pending edit of the label selections has been made.
+     * 
+     * @type {Promise<unknown>}
+     */
+    #pendingEdits = Promise.resolve();
+
+    /**
+     * Makes an edit of the label selections once the pending ones have been made.
+     * 
+     * A failed edit does not prevent the next ones from being made.
+     * 
+     * @template T
+     * @param {() => T | Promise<T>} edit Makes the edit.
+     * @returns {Promise<T>} The result of the edit, rejected with its error if it failed.
+     */
+    #enqueueEdit(edit) {
+        const result = this.#pendingEdits.then(edit);
+        this.#pendingEdits = result.catch((error) => console.error(error));
+
+        return result;
+    }
+
+    /**
+     * Creates a new label selection or modifies the selected label selection in the scene.
+     * 
+     * The queries run in the background, so each edit waits for the previous ones to finish
+     * before reading the selected selection and the filtered point cloud.
+     * 
+     * @param {DrawnObject} drawnObject The object drawn with the selected tool.
+     * @param {number} strokeId The stroke which the object was drawn in.
+     * @param {?DepthRange} depthRange The distances from the camera between which the points
+     * are edited, or `null` to edit them at any distance.
+     * @returns {Promise<void>} Resolves once the edit has been made.
+     */
+    #editSelection = (drawnObject, strokeId, depthRange) => this.#enqueueEdit(async () => {
+        const { filteredPcd, selectedLabelClass, selectedSelection, drawMode } = this;
+        if (filteredPcd == null) return;
+
+        this.#editStrokeId = strokeId;
+
+        const editor = this.#editor;
+        if (selectedSelection != null) {
+            await editor.modifySelection(
+                drawnObject, filteredPcd, selectedSelection, drawMode, depthRange,
+            );
+        } else {
+            if (selectedLabelClass != null) {
+                await editor.createSelection(
+                    drawnObject, selectedLabelClass, filteredPcd, depthRange,
+                );
+            }
+        }
+    });
+
+    /**
+     * Reverts the last edit of the label selections, i.e., the creation, modification,
+     * reclassification or deletion of a label selection.
+     * 
+     * Every edit made during a single stroke of a drawing tool is reverted at once.
+     * 
+     * @returns {Promise<boolean>} `true` if an edit was reverted; otherwise, `false`.
+     */
+    undo() {
+        return this.#enqueueEdit(() => this.#history.undo());
+    }
+
+    /**
+     * Applies the last reverted edit of the label selections again.
+     * 
+     * @returns {Promise<boolean>} `true` if an edit was applied; otherwise, `false`.
+     */
+    redo() {
+        return this.#enqueueEdit(() => this.#history.redo());
+    }
+
+    /**
+     * Adds a label selection to the scene, and removes its points from the filtered point cloud.
+     * 
+     * @param {LabelSelection} selection The label selection to add.
+     * @param {number} index The position of the label selection in {@link labelSelections}.
+     */
+    #insertSelection(selection, index = this.#labelSelections.length) {
+        this.#labelSelections.splice(index, 0, selection);
+        this.#filteredPcd = this.#filteredPcd?.difference(selection.indices) ?? null;
+
+        this.#handleLabelSelectionsChanged();
+    }
+
+    /**
+     * Removes a label selection from the scene, and puts its points back into the
+     * filtered point cloud.
+     * 
+     * @param {LabelSelection} selection The label selection to remove.
+     * @returns {number} The position of the label selection in {@link labelSelections}
+     * before its removal, or `-1` if it is not in the scene.
+     */
+    #removeSelection(selection) {
+        const index = this.#labelSelections.indexOf(selection);
+        if (index < 0) return index;
+
+        if (this.selectedSelection === selection) {
+            this.deselectSelection();
+        }
+
+        this.#labelSelections.splice(index, 1);
+        this.#filteredPcd = this.#filteredPcd?.union(selection.indices) ?? null;
+
+        this.#handleLabelSelectionsChanged();
+
+        return index;
+    }
+
+    /**
+     * Moves points between a label selection and the filtered point cloud.
+     * 
+     * @param {LabelSelection} selection The label selection.
+     * @param {IndexSet} indices The indices of the points to move.
+     * @param {DrawMode} mode `'add'` to move the points into the label selection, or `'erase'`
+     * to move them back into the filtered point cloud.
+     */
+    #moveSelectionPoints(selection, indices, mode) {
+        if (mode === 'add') {
+            selection.updateIndices(IndexUtils.union(selection.indices, indices));
+        } else {
+            selection.updateIndices(IndexUtils.difference(selection.indices, indices));
+        }
+
+        if (this.#filteredPcd != null) {
+            this.#filteredPcd = ThreeUtils.filterPointCloud(this.#filteredPcd, indices, mode);
+        }
+
+        this.#handleLabelSelectionsChanged();
+    }
+
+    /**
+     * Updates the views which depend on the label selections.
+     */
+    #handleLabelSelectionsChanged() {
+        this.#pointColorsNeedUpdate = true;
+        this.#selectionInspector.render();
+
+        this.#updateEnabled();
+        this.dispatchEvent({ type: 'labelSelections-changed' });
+    }
+
+    /**
+     * Selects a selection in the scene.
+     * 
+     * @param {LabelSelection} selection
+     * @returns {this} This object.
+     */
+    selectSelection(selection) {
+        this.#selectionPicker.selectedObj = selection;
+
+        return this;
+    }
+
+    /**
+     * Deselects the selected selection, if any.
+     * 
+     * @returns {this} This object.
+     */
+    deselectSelection() {
+        this.#selectionPicker.selectedObj = null;
+
+        return this;
+    }
+
+    /**
+     * Deletes a label selection, and puts its points back into the filtered point cloud.
+     * 
+     * The deletion is made once the pending edits of the label selections have been made,
+     * and can be undone.
+     * 
+     * @param {LabelSelection} selection The label selection to delete.
+     * @returns {Promise<boolean>} `true` if the label selection was deleted; otherwise, e.g. if
+     * it is not in the scene, `false`.
+     */
+    deleteSelection(selection) {
+        return this.#enqueueEdit(() => {
+            const index = this.#removeSelection(selection);
+            if (index < 0) return false;
+
+            this.#history.record({
+                name: 'Delete selection',
+                undo: () => this.#insertSelection(selection, index),
+                redo: () => this.#removeSelection(selection),
+            });
+
+            this.dispatchEvent({ type: 'selection-deleted', selection: selection });
+
+            return true;
+        });
+    }
+
+    /**
+     * @type {?Array<THREE.Group>}
+     */
+    obj = null;
+
+    /**
+     * The mapping between the coordinate system of the active point cloud and that of
+     * `three.js`, or `null` if there is no active point cloud.
+     * 
+     * Changing it moves the points and keeps the label selections, since they refer to the
+     * points by index. It is remembered for the file of the point cloud, which is opened with
+     * it from then on, see {@link CoordinateFormatStore}.
+     * 
+     * @type {?CoordinateFormat}
+     */
+    get coordinateFormat() { return this.#pointCloud?.coordinateFormat ?? null; }
+
+    set coordinateFormat(value) {
+        if (value == null || this.#pointCloud == null) return;
+
+        const fileName = this.#fileName;
+        if (fileName != null) {
+            try {
+                CoordinateFormatStore.saveFormat(fileName, value);
+            } catch (error) {
+                console.error(error);
+            }
+        }
+
+        this.#applyCoordinateFormat(value);
+    }
+
+    /**
+     * The mapping suggested by the loader of the file of the active point cloud, which it is
+     * opened with unless the user picked another one, or `null` if there is none.
+     * 
+     * @type {?CoordinateFormat}
+     */
+    get defaultCoordinateFormat() {
+        const fileName = this.#fileName;
+        if (fileName == null || this.#pointCloud == null) return null;
+
+        return LoaderRegistry.findLoader(fileName)?.suggestedFormat ?? null;
+    }
+
+    /**
+     * Reverts the coordinate format of the active point cloud to {@link defaultCoordinateFormat},
+     * and forgets the one picked for its file.
+     * 
+     * @returns {this} This object.
+     */
+    resetCoordinateFormat() {
+        const fileName = this.#fileName;
+        const format = this.defaultCoordinateFormat;
+        if (fileName == null || format == null) return this;
+
+        try {
+            CoordinateFormatStore.deleteFormat(fileName);
+        } catch (error) {
+            console.error(error);
+        }
+
+        this.#applyCoordinateFormat(format);
+
+        return this;
+    }
+
+    /**
+     * Changes the coordinate format of the active point cloud, and updates everything derived
+     * from the `three.js` coordinates of its points.
+     * 
+     * @param {CoordinateFormat} format The new coordinate format.
+     */
+    #applyCoordinateFormat(format) {
+        const pointCloud = this.#pointCloud;
+        if (pointCloud == null || pointCloud.coordinateFormat === format) return;
+
+        // The cuboid being placed follows the points
+        const cuboid = this.#cuboidTool.cuboid;
+        if (cuboid != null) {
+            const transform = format.matrix.multiply(pointCloud.coordinateFormat.matrix.invert());
+            this.#cuboidTool.cuboid = cuboid.applyMatrix4(transform);
+        }
+
+        pointCloud.coordinateFormat = format;
+        ColorUtils.clearCache(pointCloud);
+
+        for (const selection of this.#labelSelections) {
+            selection.updatePositions();
+        }
+        this.#editor.updatePoints();
+
+        // The heights of the points changed
+        this.#pointColorsNeedUpdate = true;
+        if (this.colorMode === 'height') {
+            this.colorRange = this.colorDataRange;
+        }
+
+        this.#frameBox(pointCloud.boundingBox);
+        this.dispatchEvent({ type: 'coordinateFormat-changed' });
+    }
+
+    /**
+     * @type {?string}
+     */
+    #fileName = null;
+
+    /**
+     * The name of the file the active point cloud was loaded from, if any.
+     * 
+     * @type {?string}
+     */
+    get fileName() { return this.#fileName; }
+
+    /**
+     * @type {?string}
+     */
+    #fileHash = null;
+
+    /**
+     * The hash of the content of the file the active point cloud was loaded from, if any.
+     * 
+     * Together with {@link fileName}, it identifies the scanned point cloud.
+     * 
+     * @type {?string}
+     */
+    get fileHash() { return this.#fileHash; }
+
+    /**
+     * Aborts the load of the point cloud file being opened, if any.
+     * 
+     * @type {?AbortController}
+     */
+    #loadController = null;
+
+    /**
+     * @type {?string}
+     */
+    #loadingFileName = null;
+
+    /**
+     * The name of the point cloud file being opened, if any.
+     * 
+     * @type {?string}
+     */
+    get loadingFileName() { return this.#loadingFileName; }
+
+    /**
+     * @type {number}
+     */
+    #loadProgress = 0;
+
+    /**
+     * The fraction of the point cloud file being opened which has been read so far,
+     * between `0` and `1`.
+     * 
+     * @type {number}
+     */
+    get loadProgress() { return this.#loadProgress; }
+
+    /**
+     * Whether a point cloud file is being opened.
+     * 
+     * @type {boolean}
+     */
+    get isLoading() { return this.#loadController != null; }
+
+    /**
+     * Updates the state of the load of a point cloud file.
+     * 
+     * @param {?string} fileName The name of the file being opened, or `null` once it is done.
+     * @param {number} progress The fraction of the file which has been read so far.
+     */
+    #setLoadState(fileName, progress) {
+        // Only notify whole percents, since the file is read in many small pieces
+        const percent = Math.floor(progress * 100);
+        const previousPercent = Math.floor(this.#loadProgress * 100);
+        if (this.#loadingFileName !== fileName || previousPercent !== percent) {
+            this.#loadingFileName = fileName;
+            this.#loadProgress = progress;
+            this.dispatchEvent({ type: 'loadProgress-changed' });
+        }
+    }
+
+    /**
+     * Cancels the load of the point cloud file being opened, if any. The active point cloud
+     * is kept.
+     * 
+     * @returns {this} This object.
+     */
+    cancelLoad() {
+        this.#loadController?.abort();
+
+        return this;
+    }
+
+    /** 
+     * @type {?PointCloud}
+     */
+    #pointCloud = null;
+
+    /**
+     * The active point cloud in the scene.
+     * 
+     * Replacing it discards the label selections made on the previous point cloud.
+     * 
+     * @type {?PointCloud}
+     */
+    get pointCloud() { return this.#pointCloud; }
+
+    set pointCloud(value) {
+        if (this.pointCloud !== value) {
+            this.#pointCloud?.dispose();
+
+            this.#pointCloud = value;
+            this.#filteredPcd = (value != null) ? PointSubset.all(value) : null;
+            this.#editor.pointCloud = value;
+
+            this.#labelSelections = [];
+            this.#history.clear();
+            this.#selectionPicker.objects = this.#labelSelections;
+            this.#selectionInspector.selections = this.#labelSelections;
+            this.#pointColorsNeedUpdate = true;
+
+            if (value != null && !ColorUtils.isColorModeAvailable(this.colorMode, value)) {
+                this.colorMode = 'class';
+            } else {
+                this.colorRange = this.colorDataRange;
+            }
+
+            if (value != null) {
+                this.#frameBox(value.boundingBox);
+            }
+
+            this.#updateEnabled();
+            this.dispatchEvent({ type: 'pointCloud-changed' });
+        }
+    }
+
+    /**
+     * Replaces the label selections in the scene with those described by per-point labels,
+     * e.g. imported from an annotation file or predicted by a model.
+     * 
+     * Points sharing the same class id and instance id form one label selection. Points whose
+     * class is unknown are left unlabelled.
+     * 
+     * @param {PointLabels} labels The labels of each point of the active point cloud.
+     * @param {number} unlabeledId The class id of the points which are not labelled.
+     * @returns {LabelSelection[]} The imported label selections.
+     * @throws {Error} If there is no active point cloud, or if the number of labels does not
+     * match its number of points.
+     */
+    importLabels(labels, unlabeledId) {
+        const { pointCloud } = this;
+        if (pointCloud == null) {
+            throw new Error('Cannot import labels without a point cloud');
+        }
+
+        const { semantic, instance } = labels;
+        const { numPoints } = pointCloud.buffer;
+        if (semantic.length !== numPoints) {
+            throw new Error(`The number of labels (${semantic.length}) does not match the number of points (${numPoints})`);
+        }
+
+        /**
+         * @type {Map<string, { labelClass: LabelClass, instanceId: number, indices: number[] }>}
+         */
+        const groups = new Map();
+
+        /**
+         * @type {number[]}
+         */
+        const unlabeledIndices = [];
+
+        /**
+         * @type {Set<number>}
+         */
+        const unknownClassIds = new Set();
+
+        for (let i = 0; i < numPoints; i++) {
+            const labelClass = (semantic[i] === unlabeledId) ? undefined
+                : this.labelSet.findById(semantic[i]);
+
+            if (labelClass == null) {
+                if (semantic[i] !== unlabeledId) {
+                    unknownClassIds.add(semantic[i]);
+                }
+
+                unlabeledIndices.push(i);
+            } else {
+                const key = `${semantic[i]}:${instance[i]}`;
+
+                let group = groups.get(key);
+                if (group == null) {
+                    group = { labelClass: labelClass, instanceId: instance[i], indices: [] };
+                    groups.set(key, group);
+                }
+
+                group.indices.push(i);
+            }
+        }
+
+        if (unknownClassIds.size > 0) {
+            console.warn(`Points with unknown class ids were left unlabelled: ${[...unknownClassIds].join(', ')}`);
+        }
+
+        /**
+         * @type {Set<number>}
+         */
+        const usedIds = new Set();
+        const reuseIds = [...groups.values()].filter(({ instanceId }) => instanceId > 0);
+        let nextId = Math.max(0, ...reuseIds.map(({ instanceId }) => instanceId)) + 1;
+
+        const selections = [...groups.values()].map(({ labelClass, instanceId, indices }) => {
+            let id = instanceId;
+            if (id <= 0 || usedIds.has(id)) {
+                id = nextId;
+                nextId += 1;
+            }
+            usedIds.add(id);
+
+            const selection = new LabelSelection({
+                id: id,
+                pointCloud: pointCloud,
+                indices: Uint32Array.from(indices),
+                pointSize: pointCloud.pointSize,
+            });
+            selection.labelClass = labelClass;
+
+            return selection;
+        });
+
+        const unlabeled = new PointSubset(pointCloud, Uint32Array.from(unlabeledIndices));
+        this.#replaceSelections(selections, unlabeled, nextId);
+
+        return selections;
+    }
+
+    /**
+     * Replaces every label selection in the scene, discarding the history of edits.
+     * 
+     * @param {LabelSelection[]} selections The new label selections.
+     * @param {PointSubset} filteredPcd The points which are not in any of the new label selections.
+     * @param {number} nextId The id given to the next created label selection.
+     */
+    #replaceSelections(selections, filteredPcd, nextId) {
+        this.#editor.nextId = nextId;
+
+        this.#labelSelections = selections;
+        this.#history.clear();
+        this.#selectionPicker.objects = this.#labelSelections;
+        this.#selectionInspector.selections = this.#labelSelections;
+
+        this.#filteredPcd = filteredPcd;
+        this.#pointColorsNeedUpdate = true;
+
+        this.#updateEnabled();
+        this.dispatchEvent({ type: 'labelSelections-changed' });
+    }
+
+    /**
+     * Captures the state of the scene which is needed to resume the annotation later:
+     * the label selections and the label set, the camera pose and the active tool.
+     * 
+     * @returns {SceneState} The state of the scene.
+     */
+    getState() {
+        return {
+            selections: this.#labelSelections.map((selection) => ({
+                id: selection.id,
+                classId: selection.labelClass?.id ?? null,
+                indices: selection.indices,
+                boxMatrix: selection.boxMatrix?.toArray() ?? null,
+                isGround: selection.isGround,
+            })),
+            labelSet: LabelSetFile.toJson(this.labelSet),
+            nextSelectionId: this.#editor.nextId,
+            camera: {
+                position: this.#camera.position.toArray(),
+                target: this.#controls.target.toArray(),
+            },
+            tool: {
+                interactMode: this.interactMode,
+                selectedToolType: this.selectedToolType ?? null,
+                drawMode: this.drawMode,
+                brushSize: this.brushSize,
+                visibleOnly: this.visibleOnly,
+                depthTolerance: this.depthTolerance,
+                depthRange: this.depthRange,
+                regionOptions: this.regionOptions,
+                groundOptions: this.groundOptions,
+                groundHidden: this.groundHidden,
+                selectedClassId: this.selectedLabelClass?.id ?? null,
+            },
+        };
+    }
+
+    /**
+     * Restores a state of the scene captured by {@link getState} on the active point cloud.
+     * 
+     * The label set of the state replaces the active one. Label selections whose class
+     * is not in the label set are discarded, leaving their points unlabelled.
+     * 
+     * @param {SceneState} state The state of the scene.
+     * @throws {Error} If there is no active point cloud, if the state refers to points
+     * which are not in it, or if its label set is invalid.
+     */
+    restoreState(state) {
+        const { pointCloud } = this;
+        if (pointCloud == null) {
+            throw new Error('Cannot restore the state of the scene without a point cloud');
+        }
+
+        // Sessions saved before label sets were configurable do not have one
+        if (state.labelSet != null) {
+            this.labelSet = LabelSetFile.fromJson(state.labelSet);
+        }
+
+        const { numPoints } = pointCloud.buffer;
+        const isLabelled = new Uint8Array(numPoints);
+
+        /**
+         * @type {LabelSelection[]}
+         */
+        const selections = [];
+        for (const { id, classId, indices, boxMatrix, isGround } of state.selections) {
+            const labelClass = (classId != null) ? this.labelSet.findById(classId) : null;
+            if (labelClass == null) {
+                console.warn(`Discarded selection #${id} with unknown class id: ${classId}`);
+            } else {
+                for (const i of indices) {
+                    if (i >= numPoints || isLabelled[i]) {
+                        throw new Error(`Selection #${id} refers to an invalid or already labelled point: ${i}`);
+                    }
+                    isLabelled[i] = 1;
+                }
+
+                const selection = new LabelSelection({
+                    id: id, pointCloud: pointCloud, indices: indices, pointSize: pointCloud.pointSize,
+                });
+                selection.labelClass = labelClass;
+
+                // Sessions saved before cuboids do not have bounding boxes
+                if (boxMatrix != null) {
+                    if (!(Array.isArray(boxMatrix) && boxMatrix.length === 16
+                        && boxMatrix.every(Number.isFinite))) {
+                        throw new Error(`Selection #${id} has an invalid bounding box`);
+                    }
+                    selection.boxMatrix = new THREE.Matrix4().fromArray(boxMatrix);
+                }
+                selection.isGround = isGround === true;
+
+                selections.push(selection);
+            }
+        }
+
+        const unlabeledIndices = IndexUtils.range(numPoints).filter((i) => !isLabelled[i]);
+        const nextId = Math.max(state.nextSelectionId, ...selections.map(({ id }) => id + 1));
+
+        this.#replaceSelections(selections, new PointSubset(pointCloud, unlabeledIndices), nextId);
+
+        const { camera, tool } = state;
+        this.#camera.position.fromArray(camera.position);
+        this.#controls.target.fromArray(camera.target);
+        this.#controls.update();
+
+        this.brushSize = tool.brushSize;
+
+        // Sessions saved before visible-only selection do not have its settings
+        if (tool.visibleOnly != null) {
+            this.visibleOnly = tool.visibleOnly;
+        }
+        if (tool.depthTolerance != null) {
+            this.depthTolerance = tool.depthTolerance;
+        }
+        if (tool.depthRange !== undefined) {
+            this.depthRange = tool.depthRange;
+        }
+        if (tool.regionOptions != null) {
+            this.regionOptions = tool.regionOptions;
+        }
+        if (tool.groundOptions != null) {
+            this.groundOptions = tool.groundOptions;
+        }
+        this.groundHidden = tool.groundHidden === true;
+        this.selectedLabelClass = (tool.selectedClassId != null)
+            ? this.labelSet.findById(tool.selectedClassId) : null;
+        this.selectedToolType = tool.selectedToolType;
+        this.interactMode = tool.interactMode;
+        this.drawMode = tool.drawMode;
+    }
+
+    /**
+     * Moves the camera such that the whole box is in view.
+     * 
+     * @param {THREE.Box3} box The box to look at.
+     */
+    #frameBox(box) {
+        const sphere = box.getBoundingSphere(new THREE.Sphere());
+        if (sphere.isEmpty()) return;
+
+        const { center, radius } = sphere;
+
+        this.#controls.target.copy(center);
+        this.#camera.position.set(center.x, center.y + 4 * radius, center.z);
+        this.#controls.update();
+    }
+
+    /**
+     * Loads a point cloud file chosen by the user and makes it the active point cloud.
+     * 
+     * The progress of the load is notified by `loadProgress-changed` events. Opening another
+     * file meanwhile cancels the load, as does {@link cancelLoad}.
+     * 
+     * The points are read in the coordinate format picked for the file, if any; otherwise, in
+     * the one suggested by the loader of the file.
+     * 
+     * @param {File} file The point cloud file, in a format registered in {@link LoaderRegistry}.
+     * @returns {Promise<boolean>} `true` if the file was loaded; otherwise, `false`.
+     */
+    async openFile(file) {
+        const loader = LoaderRegistry.findLoader(file.name);
+        if (loader == null) {
+            const extensions = LoaderRegistry.getExtensions().map((extension) => `.${extension}`).join(', ');
+
+            console.error(`Unsupported point cloud file: ${file.name}`);
+            alert(`Cannot open ${file.name}: only ${extensions} files are supported.`);
+
+            return false;
+        }
+
+        // Only the last file opened is loaded
+        this.cancelLoad();
+        const controller = new AbortController();
+        this.#loadController = controller;
+        this.#setLoadState(file.name, 0);
+
+        try {
+            const format = CoordinateFormatStore.loadFormat(file.name) ?? loader.suggestedFormat;
+
+            const buffer = await loader.read(file, format, {
+                onProgress: (progress) => this.#setLoadState(file.name, progress),
+                signal: controller.signal,
+            });
+            if (controller.signal.aborted) return false;
+
+            // The point cloud is still opened if its file cannot be hashed, but not autosaved
+            const fileHash = await FileUtils.hashFile(file).catch((error) => {
+                console.error(error);
+
+                return null;
+            });
+            if (controller.signal.aborted) return false;
+
+            const pointSize = this.pointCloud?.pointSize ?? DEFAULT_POINT_SIZE;
+
+            this.#fileName = file.name;
+            this.#fileHash = fileHash;
+            this.pointCloud = new PointCloud(buffer, pointSize);
+        } catch (error) {
+            if (error instanceof DOMException && error.name === 'AbortError') return false;
+
+            console.error(error);
+            alert(`Failed to load ${file.name}: ${error instanceof Error ? error.message : error}`);
+
+            return false;
+        } finally {
+            if (this.#loadController === controller) {
+                this.#loadController = null;
+                this.#setLoadState(null, 0);
+            }
+        }
+
+        return true;
+    }
+
+    /**
+     * @type {?PointSubset}
+     */
+    #filteredPcd;
+
+    /**
+     * The points of the point cloud which are not labelled by any selection in the scene.
+     * 
+     * @type {?PointSubset}
+     */
+    get filteredPcd() { return this.#filteredPcd; }
+
+    /**
+     * @param {?PointCloud} pointCloud The initial point cloud, if any.
+     * @param {?Array<THREE.Group>} obj
+     */
+    constructor(pointCloud, obj) {
+        super();
+
+        this.#pointCloud = pointCloud;
+        this.#filteredPcd = (pointCloud != null) ? PointSubset.all(pointCloud) : null;
+
+        this.dom = document.createElement('div');
+        this.dom.className = 'scene';
+        this.dom.addEventListener('dragover', (e) => {
+            e.preventDefault();
+
+            if (e.dataTransfer != null) {
+                e.dataTransfer.dropEffect = 'copy';
+            }
+        });
+        this.dom.addEventListener('drop', async (e) => {
+            e.preventDefault();
+
+            const file = e.dataTransfer?.files[0];
+            if (file != null) {
+                await this.openFile(file);
+            }
+        });
+        
         this.obj = obj;
         const { width, height } = document.body.getBoundingClientRect();
 
@@ -574,13 +1890,20 @@ export class Scene extends THREE.EventDispatcher{
         });
         this.#controls.addEventListener('end', () => {
             this.#crosshair.hidden = true;
+
+            this.dispatchEvent({ type: 'camera-changed' });
         });
 
-        // TODO labelset I/O
-        const labelClasses = Helper.datasetLabelClasses();
+        this.#classRegistry = new LabelClassRegistry(Helper.datasetLabelSet());
+        this.#classRegistry.addEventListener('labelSet-changed', this.#handleLabelSetChanged);
+
+        const labelClasses = this.#classRegistry.classes;
         this.#labelClassSelector = new LabelClassSelector(labelClasses);
         this.dom.appendChild(this.#labelClassSelector.panel.dom);
 
+        this.#classEditor = new LabelClassEditor(this.#classRegistry);
+        this.dom.appendChild(this.#classEditor.panel.dom);
+
         this.#selectionInspector = new SelectionInspector(this.#labelSelections, labelClasses);
         this.dom.appendChild(this.#selectionInspector.panel.dom);
 
@@ -591,28 +1914,40 @@ export class Scene extends THREE.EventDispatcher{
         });
 
         this.#selectionInspector.addEventListener('classify', (e) => {
-            console.log('change');
             const labelSelection = e.selection; 
             const labelClass = e.labelClass;
-            console.log(labelSelection);
-            console.log(labelClass);
-
-            // update labelset
-            if (labelSelection instanceof LabelSelection) {
-                this.#labelSelections
-                    .forEach((selection, i) => {
-                        if (selection.id === labelSelection.id) {
-                            if (labelClass instanceof LabelClass) {
-                                labelSelection.labelClass = labelClass;
-                                this.#labelSelections[i] = labelSelection;
-                            }
-                        }
-                    });
-            }
+
+            if (!(labelSelection instanceof LabelSelection)) return;
+            if (!(labelClass instanceof LabelClass)) return;
+
+            // The pending edits may still modify or delete the label selection
+            this.#enqueueEdit(() => {
+                const prevLabelClass = labelSelection.labelClass;
+                if (prevLabelClass === labelClass) return;
+
+                /**
+                 * @param {LabelClass} value
+                 */
+                const classify = (value) => {
+                    labelSelection.labelClass = value;
+
+                    this.#handleLabelSelectionsChanged();
+                };
+
+                classify(labelClass);
+
+                this.#history.record({
+                    name: 'Classify selection',
+                    undo: () => classify(prevLabelClass),
+                    redo: () => classify(labelClass),
+                });
+            });
         });
         
         const alignPanels = () => {
             this.#labelClassSelector.panel.alignTop().alignRight();
+            const { height } = this.#labelClassSelector.panel.dom.getBoundingClientRect();
+            this.#classEditor.panel.alignRight().top = height;
             this.#selectionInspector.panel.alignRight().alignCenterVertical();
         };
 
@@ -641,10 +1976,19 @@ export class Scene extends THREE.EventDispatcher{
 
         this.#curvature = new Curvature(this.dom, canvas2d);
 
+        this.#cuboidTool = new CuboidTool(
+            this.dom, this.#camera, this.#renderer.domElement, this.#pickPoint,
+        );
+
+        this.#wand = new MagicWand(this.dom, this.#renderer.domElement, this.#pickPointIndex);
+
         this.#selectionPicker = new Picker(
             this.#camera, 
             this.#renderer.domElement,
-            (obj, raycaster) => obj.raycast(raycaster),
+            // The hidden label selections cannot be picked
+            (selection, raycaster) => (
+                this.#isHidden(selection) ? [] : selection.raycast(raycaster)
+            ),
         );
 
         ThreeUtils.setRaycasterPointsThreshold(this.#selectionPicker.raycaster, 0.25);
@@ -656,6 +2000,7 @@ export class Scene extends THREE.EventDispatcher{
             if (selectedSelection == null) return;
 
             this.#selectionInspector.selectedSelection = selectedSelection;
+            this.#loadSelectedCuboid();
 
             this.dispatchEvent({ type: 'hasSelectedSelection-changed' });
         });
@@ -667,52 +2012,253 @@ export class Scene extends THREE.EventDispatcher{
         });
 
         this.#editor = new EditSelection();
-        this.#editor.addEventListener('selection-added', async(e) => {
-            const {labelSelection, queriedPoints}  = e;
-            if (queriedPoints === null || labelSelection === null) return;
+        this.#editor.pointCloud = pointCloud;
+        this.#editor.addEventListener('selection-added', (e) => {
+            const { labelSelection, queriedIndices } = e;
+            if (queriedIndices == null || labelSelection == null) return;
+
+            this.#insertSelection(labelSelection);
+            this.selectSelection(labelSelection);
+
+            let index = this.#labelSelections.length - 1;
+            this.#history.record({
+                name: 'Create selection',
+                undo: () => { index = this.#removeSelection(labelSelection); },
+                redo: () => { this.#insertSelection(labelSelection, index); },
+            }, this.#editStrokeId);
+        });
 
-            const {filteredPcd, drawMode} = this;
-            // update labelset
-            if (labelSelection instanceof LabelSelection) {
-                this.#labelSelections.push(labelSelection);
+        this.#editor.addEventListener('selection-changed', (e) => {
+            const { labelSelection, queriedIndices, mode, previousBoxMatrix } = e;
+            if (queriedIndices == null || labelSelection == null) return;
 
-                this.selectSelection(labelSelection);
+            if (this.#filteredPcd != null) {
+                this.#filteredPcd = ThreeUtils.filterPointCloud(
+                    this.#filteredPcd, queriedIndices, mode,
+                );
             }
 
-            if (filteredPcd != null) {
-                this.#filteredPcd = ThreeUtils.filterPointCloud(filteredPcd, queriedPoints, drawMode);
+            this.#handleLabelSelectionsChanged();
+
+            const inverseMode = (mode === 'add') ? 'erase' : 'add';
+            const { boxMatrix } = labelSelection;
+            this.#history.record({
+                name: (mode === 'add') ? 'Add points to selection' : 'Erase points from selection',
+                undo: () => {
+                    labelSelection.boxMatrix = previousBoxMatrix ?? null;
+                    this.#moveSelectionPoints(labelSelection, queriedIndices, inverseMode);
+                    this.#loadSelectedCuboid();
+                },
+                redo: () => {
+                    labelSelection.boxMatrix = boxMatrix;
+                    this.#moveSelectionPoints(labelSelection, queriedIndices, mode);
+                    this.#loadSelectedCuboid();
+                },
+            }, this.#editStrokeId);
+        });
+
+        this.interactMode = 'navigate'; 
+        this.#selectedTool = null;
+        this.drawMode = 'add';
+    }
+
+
+    /**
+     * Whether the colors of the points must be updated before the next frame is rendered,
+     * e.g., because the label selections or their classes have changed.
+     * 
+     * @type {boolean}
+     */
+    #pointColorsNeedUpdate = true;
+
+    /**
+     * The selected and the hovered label selections when the colors of the points
+     * were last updated.
+     * 
+     * @type {{ selected: ?LabelSelection, hovered: ?LabelSelection }}
+     */
+    #paintedSelections = { selected: null, hovered: null };
+
+    /**
+     * @type {ColorMode}
+     */
+    #colorMode = 'class';
+
+    /**
+     * How the points of the active point cloud are colored.
+     * 
+     * Changing it resets {@link colorRange} to the range of the values of the points.
+     * Modes which need channels that the active point cloud does not have are ignored.
+     * 
+     * @type {ColorMode}
+     */
+    get colorMode() { return this.#colorMode; }
+
+    set colorMode(value) {
+        if (this.colorMode !== value) {
+            const { pointCloud } = this;
+            if (pointCloud != null && !ColorUtils.isColorModeAvailable(value, pointCloud)) {
+                console.error(`The point cloud cannot be colored by ${value}`);
+                return;
             }
 
-            this.#updateEnabled();
-        });
+            this.#colorMode = value;
+            this.#pointColorsNeedUpdate = true;
+
+            this.colorRange = this.colorDataRange;
+            this.dispatchEvent({ type: 'colorMode-changed' });
+        }
+    }
+
+    /**
+     * @type {?{ min: number, max: number }}
+     */
+    #colorRange = null;
+
+    /**
+     * The values mapped onto the ends of the color ramp, if the points are colored by
+     * a scalar such as their height or intensity; otherwise, `null`.
+     * 
+     * @type {?{ min: number, max: number }}
+     */
+    get colorRange() { return this.#colorRange; }
+
+    set colorRange(value) {
+        if (this.colorRange?.min !== value?.min || this.colorRange?.max !== value?.max) {
+            this.#colorRange = (value != null) ? { min: value.min, max: value.max } : null;
+            this.#pointColorsNeedUpdate = true;
+
+            this.dispatchEvent({ type: 'colorRange-changed' });
+        }
+    }
+
+    /**
+     * The range of the values of the points of the active point cloud, if they are colored
+     * by a scalar such as their height or intensity; otherwise, `null`.
+     * 
+     * @type {?{ min: number, max: number }}
+     */
+    get colorDataRange() {
+        const { pointCloud, colorMode } = this;
+        if (pointCloud == null || !ColorUtils.isScalarMode(colorMode)) return null;
+
+        return ColorUtils.getScalarRange(pointCloud, colorMode);
+    }
+
+    /**
+     * The colors of the points by the last color mode which does not depend on the
+     * label selections.
+     * 
+     * @type {?{
+     *     pointCloud: PointCloud,
+     *     mode: ColorMode,
+     *     range: ?{ min: number, max: number },
+     *     colors: Float32Array
+     * }}
+     */
+    #modeColors = null;
+
+    /**
+     * Colors each point of the active point cloud by the color mode, highlighting the
+     * selected and the hovered label selections. If only these selections changed, only
+     * the points of the previous and of the new ones are colored again.
+     * 
+     * @param {PointCloud} pointCloud The active point cloud.
+     */
+    #updatePointColors(pointCloud) {
+        const { selectedSelection: selected, hoveredSelection: hovered } = this;
+        const { colorMode: mode, colorRange: range } = this;
+
+        /**
+         * @type {?IndexSet}
+         */
+        let repainted = null;
+        if (this.#pointColorsNeedUpdate) {
+            this.#updateHiddenPoints();
+        } else {
+            const painted = this.#paintedSelections;
+            const changed = [
+                ...((painted.selected !== selected) ? [painted.selected, selected] : []),
+                ...((painted.hovered !== hovered) ? [painted.hovered, hovered] : []),
+            ];
+
+            repainted = changed.reduce((indices, selection) => (
+                (selection != null) ? IndexUtils.union(indices, selection.indices) : indices
+            ), new Uint32Array(0));
+        }
 
-        this.#editor.addEventListener('selection-changed', async(e) => {
-            const {labelSelection, queriedPoints}  = e;
-            if (queriedPoints === null || labelSelection === null) return;
-
-            const {filteredPcd, drawMode} = this;
-            // update labelset
-            if (labelSelection instanceof LabelSelection) {
-                this.#labelSelections
-                    .forEach((selection, i) => {
-                        if (selection.id === labelSelection.id) {
-                            this.#labelSelections[i] = labelSelection;
-                        }
-                    });
-
-                    if (filteredPcd != null) {
-                        this.#filteredPcd = ThreeUtils.filterPointCloud(filteredPcd, queriedPoints, drawMode);
-                    }           
+        /**
+         * Restricts some points to those colored again.
+         * 
+         * @param {IndexSet} indices The indices of the points.
+         * @returns {IndexSet} The indices of those which are colored again.
+         */
+        const restrict = (indices) => (
+            (repainted != null) ? IndexUtils.intersection(indices, repainted) : indices
+        );
+
+        if (mode === 'class' || mode === 'instance') {
+            const instanceColor = new THREE.Color();
+
+            pointCloud.resetPointColors(repainted);
+
+            for (const selection of this.#labelSelections) {
+                const color = (mode === 'class') ? selection.labelClass?.color
+                    : ColorUtils.instanceColor(selection.id, instanceColor);
+
+                if (color != null) {
+                    pointCloud.setPointColors(restrict(selection.indices), color);
+                }
+            }
+        } else {
+            let cached = this.#modeColors;
+            if (cached == null || cached.pointCloud !== pointCloud || cached.mode !== mode
+                || cached.range?.min !== range?.min || cached.range?.max !== range?.max) {
+                const colors = ColorUtils.computePointColors(pointCloud, mode, range);
+                cached = { pointCloud, mode, range, colors };
+                this.#modeColors = cached;
             }
 
-            this.#updateEnabled();
-        });
+            pointCloud.copyPointColors(cached.colors, repainted);
+        }
 
-        this.interactMode = 'navigate'; 
-        this.#selectedTool = null;
-        this.drawMode = 'add';
+        if (hovered != null && hovered !== selected) {
+            const white = new THREE.Color(1, 1, 1);
+            pointCloud.blendPointColors(restrict(hovered.indices), white, HOVERED_HIGHLIGHT);
+        }
+        if (selected != null) {
+            pointCloud.setPointColors(restrict(selected.indices), SELECTED_COLOR);
+        }
+
+        this.#pointColorsNeedUpdate = false;
+        this.#paintedSelections = { selected, hovered };
     }
 
+    /**
+     * Adds the 3D bounding boxes of the label selections to a scene, in the colors of their
+     * classes. The box being adjusted with the cuboid tool is drawn by the tool instead.
+     * 
+     * @param {THREE.Scene} scene The scene.
+     */
+    #addCuboidMeshes(scene) {
+        const editedSelection = this.#cuboidTool.enabled ? this.selectedSelection : null;
+
+        for (const selection of this.#labelSelections) {
+            const cuboid = (selection !== editedSelection) ? selection.cuboid : null;
+            if (cuboid != null) {
+                let mesh = this.#cuboidMeshes.get(selection);
+                if (mesh == null) {
+                    mesh = new CuboidMesh('white');
+                    this.#cuboidMeshes.set(selection, mesh);
+                }
+
+                if (selection.labelClass != null) {
+                    mesh.color = selection.labelClass.color;
+                }
+                scene.add(mesh.setCuboid(cuboid));
+            }
+        }
+    }
 
     render() {
         const scene = this.#scene;
@@ -720,11 +2266,7 @@ export class Scene extends THREE.EventDispatcher{
 
         scene.add(this.#gridHelper);
 
-        const { pointCloud, labelSelections, obj } = this;
-
-        if (pointCloud != null) {
-            // scene.add(pointCloud.asObject3D());
-        }
+        const { pointCloud, obj } = this;
 
         if (obj != null) {
             obj.forEach((o, i) => {
@@ -734,18 +2276,29 @@ export class Scene extends THREE.EventDispatcher{
             });
         }
 
-        for (const selection of labelSelections) {
-            if (selection === this.selectedSelection) {
-                selection.pointSize = pointCloud.pointSize;
-                selection.setColor('yellow');
-            } else if (selection === this.hoveredSelection) {
-                selection.pointSize = pointCloud.pointSize + 1;
-            } else {
-                selection.pointSize = pointCloud.pointSize;
-                selection.setColor(selection.labelClass?.color);
+        if (pointCloud != null) {
+            const { selected, hovered } = this.#paintedSelections;
+            if (this.#pointColorsNeedUpdate
+                || selected !== this.selectedSelection || hovered !== this.hoveredSelection) {
+                this.#updatePointColors(pointCloud);
+            }
+
+            // The label selections are drawn by the colors of the points
+            const { y: height } = this.#renderer.getSize(new THREE.Vector2());
+            pointCloud.updateLevelOfDetail(this.#camera, height);
+            scene.add(pointCloud.asObject3D());
+
+            this.#addCuboidMeshes(scene);
+
+            if (this.interactMode === 'draw' && this.depthRange != null) {
+                this.#camera.updateMatrixWorld();
+                this.#depthSlab.update(this.#camera, this.depthRange);
+                scene.add(this.#depthSlab.object);
             }
 
-            scene.add(selection?.asObject3D());
+            if (this.#cuboidTool.enabled) {
+                scene.add(this.#cuboidTool.object);
+            }
         }
 
         this.#renderer.render(scene, this.#camera);
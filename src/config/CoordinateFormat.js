@@ -1,12 +1,30 @@
 import * as THREE from 'three';
 
+/**
+ * A coordinate format, as saved alongside a point cloud file:
+ * - `name`: The name of the format, e.g., `ZXY`, or `CUSTOM` if it is not in
+ *   {@link CoordinateFormat}.
+ * - `matrix`: The elements of the matrix of the format, in column-major order.
+ * 
+ * @typedef {{ name: string, matrix: number[] }} CoordinateFormatJson
+ */
+
+/**
+ * The name of the coordinate formats which are not in {@link CoordinateFormat}.
+ * 
+ * @type {string}
+ */
+const CUSTOM_NAME = 'CUSTOM';
+
 /**
  * Represents a mapping between the coordinate system of a project and that of `three.js`,
- * where the name of the mapping is formed by iterating over the axes in `three.js` and
- * returning the corresponding axes in the project.
+ * as a matrix transforming the coordinates of the project into those of `three.js`.
  * 
- * For example, if `(1, 2, 3)` in `three.js` corresponds to `(3, 1, 2)` in the project,
- * the coordinate format is taken to be `ZXY`.
+ * Permutations of the axes are named by iterating over the axes in `three.js` and
+ * returning the corresponding axes in the project. For example, if `(1, 2, 3)` in `three.js`
+ * corresponds to `(3, 1, 2)` in the project, the coordinate format is taken to be `ZXY`.
+ * The matrix may also flip axes, e.g., for projects whose up axis is `-y`, or be any
+ * invertible affine transform.
  * 
  * This is a value-based class.
  */
@@ -21,48 +39,55 @@ class CoordinateFormatSpec {
     #name;
 
     /**
-     * The index of the coordinates in project format that represents
-     * the `x` coordinate in `three.js` format.
+     * Transforms the coordinates of the project into those of `three.js`.
      * 
      * @readonly
-     * @type {number}
+     * @type {THREE.Matrix4}
      */
-    #xIdx;
+    #matrix;
 
     /**
-     * The index of the coordinates in project format that represents
-     * the `y` coordinate in `three.js` format.
+     * Transforms the coordinates of `three.js` into those of the project.
      * 
      * @readonly
-     * @type {number}
+     * @type {THREE.Matrix4}
      */
-    #yIdx;
+    #inverse;
 
     /**
-     * The index of the coordinates in project format that represents
-     * the `z` coordinate in `three.js` format.
+     * Transforms the directions of the project, e.g., normals, into those of `three.js`.
      * 
      * @readonly
-     * @type {number}
+     * @type {THREE.Matrix3}
      */
-    #zIdx;
+    #normalMatrix;
+
+    /**
+     * The name of this mapping, e.g., `ZXY`, or `CUSTOM` if it is not in {@link CoordinateFormat}.
+     * 
+     * @type {string}
+     */
+    get name() { return this.#name; }
+
+    /**
+     * The matrix transforming the coordinates of the project into those of `three.js`.
+     * 
+     * @type {THREE.Matrix4}
+     */
+    get matrix() { return this.#matrix.clone(); }
 
     /**
      * Creates a new mapping between the coordinate system of a project and that of `three.js`.
      * 
      * @param {string} name The name of the mapping.
-     * @param {number} xIdx The index of the coordinates in project format that represents
-     * the `x` coordinate in `three.js` format.
-     * @param {number} yIdx The index of the coordinates in project format that represents
-     * the `y` coordinate in `three.js` format.
-     * @param {number} zIdx The index of the coordinates in project format that represents
-     * the `z` coordinate in `three.js` format.
+     * @param {THREE.Matrix4} matrix The matrix transforming the coordinates of the project
+     * into those of `three.js`. It must be invertible.
      */
-    constructor(name, xIdx, yIdx, zIdx) {
+    constructor(name, matrix) {
         this.#name = name;
-        this.#xIdx = xIdx;
-        this.#yIdx = yIdx;
-        this.#zIdx = zIdx;
+        this.#matrix = matrix.clone();
+        this.#inverse = matrix.clone().invert();
+        this.#normalMatrix = new THREE.Matrix3().getNormalMatrix(matrix);
 
         Object.freeze(this);
     }
@@ -83,10 +108,7 @@ class CoordinateFormatSpec {
      * @returns {THREE.Vector3} The converted coordinates.
      */
     toProjectCoords(threeJSCoords) {
-        return new THREE.Vector3()
-            .setComponent(this.#xIdx, threeJSCoords.x)
-            .setComponent(this.#yIdx, threeJSCoords.y)
-            .setComponent(this.#zIdx, threeJSCoords.z);
+        return threeJSCoords.clone().applyMatrix4(this.#inverse);
     }
 
     /**
@@ -96,29 +118,128 @@ class CoordinateFormatSpec {
      * @returns {THREE.Vector3} The converted coordinates.
      */
     toThreeJSCoords(projectCoords) {
-        const x = projectCoords.getComponent(this.#xIdx);
-        const y = projectCoords.getComponent(this.#yIdx);
-        const z = projectCoords.getComponent(this.#zIdx);
-        return new THREE.Vector3(x, y, z);
+        return projectCoords.clone().applyMatrix4(this.#matrix);
+    }
+
+    /**
+     * Converts a direction, e.g., the normal of a surface, from project format into
+     * `three.js` format. Unlike coordinates, directions are not translated.
+     * 
+     * @param {THREE.Vector3} projectDirection The original direction.
+     * @returns {THREE.Vector3} The converted direction, as a unit vector.
+     */
+    toThreeJSDirection(projectDirection) {
+        return projectDirection.clone().applyMatrix3(this.#normalMatrix).normalize();
+    }
+
+    /**
+     * Describes this mapping such that it can be saved, see {@link coordinateFormatFromJson}.
+     * 
+     * @returns {CoordinateFormatJson} The description of this mapping.
+     */
+    toJSON() {
+        return { name: this.#name, matrix: this.#matrix.toArray() };
     }
 }
 
 /**
- * Represents a mapping between the coordinate system of a project and that of `three.js`,
- * where the name of the mapping is formed by iterating over the axes in `three.js` and
- * returning the corresponding axes in the project.
+ * Creates the mapping which permutes the axes of the project.
  * 
- * For example, if `(1, 2, 3)` in `three.js` corresponds to `(3, 1, 2)` in the project,
- * the coordinate format is taken to be `ZXY`.
+ * @param {string} name The name of the mapping.
+ * @param {number} xIdx The index of the coordinates in project format that represents
+ * the `x` coordinate in `three.js` format.
+ * @param {number} yIdx The index of the coordinates in project format that represents
+ * the `y` coordinate in `three.js` format.
+ * @param {number} zIdx The index of the coordinates in project format that represents
+ * the `z` coordinate in `three.js` format.
+ * @param {number} flip `-1` to also turn the mapping upside down, by rotating it half a turn
+ * around the `x` axis of `three.js`; otherwise, `1`.
+ * @returns {CoordinateFormatSpec} The mapping.
+ */
+function permutation(name, xIdx, yIdx, zIdx, flip = 1) {
+    // The elements of the matrix, in column-major order
+    const elements = [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 1];
+    [xIdx, yIdx, zIdx].forEach((idx, row) => {
+        elements[idx * 4 + row] = (row === 0) ? 1 : flip;
+    });
+
+    return new CoordinateFormatSpec(name, new THREE.Matrix4().fromArray(elements));
+}
+
+/**
+ * Represents a mapping between the coordinate system of a project and that of `three.js`.
+ * 
+ * The permutations are named by iterating over the axes in `three.js` and returning the
+ * corresponding axes in the project. For example, if `(1, 2, 3)` in `three.js` corresponds
+ * to `(3, 1, 2)` in the project, the coordinate format is taken to be `ZXY`.
+ * 
+ * The `NEG_*_UP` formats are for projects whose up axis points down, e.g., `-y` as in
+ * OpenCV cameras. They keep the axes right-handed.
  * 
  * @readonly
  * @enum {CoordinateFormatSpec}
  */
 export const CoordinateFormat = Object.freeze({
-    XYZ: new CoordinateFormatSpec('XYZ', 0, 1, 2),
-    XZY: new CoordinateFormatSpec('XZY', 0, 2, 1),
-    YXZ: new CoordinateFormatSpec('YXZ', 1, 0, 2),
-    YZX: new CoordinateFormatSpec('YZX', 2, 0, 1),
-    ZXY: new CoordinateFormatSpec('ZXY', 1, 2, 0),
-    ZYX: new CoordinateFormatSpec('ZYX', 2, 1, 0),
+    XYZ: permutation('XYZ', 0, 1, 2),
+    XZY: permutation('XZY', 0, 2, 1),
+    YXZ: permutation('YXZ', 1, 0, 2),
+    YZX: permutation('YZX', 2, 0, 1),
+    ZXY: permutation('ZXY', 1, 2, 0),
+    ZYX: permutation('ZYX', 2, 1, 0),
+    NEG_X_UP: permutation('NEG_X_UP', 2, 0, 1, -1),
+    NEG_Y_UP: permutation('NEG_Y_UP', 0, 1, 2, -1),
+    NEG_Z_UP: permutation('NEG_Z_UP', 1, 2, 0, -1),
 });
+
+/**
+ * Finds a mapping of {@link CoordinateFormat} by name.
+ * 
+ * @param {string} name The name of the mapping, e.g., `ZXY`.
+ * @returns {?CoordinateFormatSpec} The mapping, or `null` if none has that name.
+ */
+export function findCoordinateFormat(name) {
+    return Object.values(CoordinateFormat).find((format) => format.name === name) ?? null;
+}
+
+/**
+ * Creates a mapping between the coordinate system of a project and that of `three.js`
+ * from an arbitrary matrix.
+ * 
+ * @param {THREE.Matrix4} matrix The matrix transforming the coordinates of the project into
+ * those of `three.js`.
+ * @returns {CoordinateFormatSpec} The mapping.
+ * @throws {Error} If the matrix is not an invertible affine transform.
+ */
+export function customCoordinateFormat(matrix) {
+    const e = matrix.elements;
+    if (!e.every(Number.isFinite)) {
+        throw new Error('The elements of the matrix must be finite numbers');
+    }
+    if (e[3] !== 0 || e[7] !== 0 || e[11] !== 0 || e[15] !== 1) {
+        throw new Error('The last row of the matrix must be 0 0 0 1');
+    }
+    if (matrix.determinant() === 0) {
+        throw new Error('The matrix is not invertible');
+    }
+
+    return new CoordinateFormatSpec(CUSTOM_NAME, matrix);
+}
+
+/**
+ * Reads a mapping saved by its `toJSON` method.
+ * 
+ * @param {CoordinateFormatJson} json The description of the mapping.
+ * @returns {CoordinateFormatSpec} The mapping: the value of {@link CoordinateFormat} with
+ * the same name, if any.
+ * @throws {Error} If the description is invalid.
+ */
+export function coordinateFormatFromJson(json) {
+    const format = findCoordinateFormat(json.name);
+    if (format != null) return format;
+
+    if (!Array.isArray(json.matrix) || json.matrix.length !== 16) {
+        throw new Error(`Invalid matrix of the coordinate format ${json.name}`);
+    }
+
+    return customCoordinateFormat(new THREE.Matrix4().fromArray(json.matrix));
+}
@@ -1 +1,6 @@
-export { CoordinateFormat } from './CoordinateFormat';
+export {
+    CoordinateFormat,
+    customCoordinateFormat,
+    coordinateFormatFromJson,
+    findCoordinateFormat,
+} from './CoordinateFormat';
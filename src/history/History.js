@@ -0,0 +1,163 @@
+import * as THREE from 'three';
+
+/**
+ * An operation which can be reverted and then applied again:
+ * - `name`: A short description of the operation, e.g., for display purposes.
+ * - `undo`: Reverts the operation.
+ * - `redo`: Applies the operation again after it has been reverted.
+ * 
+ * @typedef {{
+ *     name: string,
+ *     undo: () => void,
+ *     redo: () => void
+ * }} Command
+ */
+
+/**
+ * Represents an event dispatched by {@link History}:
+ * - `type`: The type (i.e., name) of the event.
+ * 
+ * @typedef {{ type: 'history-changed' }} HistoryEvent
+ */
+
+/**
+ * The commands recorded together, which are undone and redone as a whole.
+ * 
+ * @typedef {{ group: ?number, commands: Command[] }} HistoryEntry
+ */
+
+/**
+ * Records the operations made by the user, so that they can be undone and redone.
+ * 
+ * Consecutive commands recorded with the same group (e.g., every edit made during a single
+ * brush stroke) are undone and redone at once.
+ * 
+ * @augments THREE.EventDispatcher<HistoryEvent>
+ */
+export class History extends THREE.EventDispatcher {
+
+    /**
+     * The maximum number of entries which can be undone.
+     * 
+     * @type {number}
+     */
+    maxLength;
+
+    /**
+     * @type {HistoryEntry[]}
+     */
+    #undoStack = [];
+
+    /**
+     * @type {HistoryEntry[]}
+     */
+    #redoStack = [];
+
+    /**
+     * Whether there is an entry to undo.
+     * 
+     * @type {boolean}
+     */
+    get canUndo() { return this.#undoStack.length > 0; }
+
+    /**
+     * Whether there is an entry to redo.
+     * 
+     * @type {boolean}
+     */
+    get canRedo() { return this.#redoStack.length > 0; }
+
+    /**
+     * Creates an empty history.
+     * 
+     * @param {number} maxLength The maximum number of entries which can be undone.
+     */
+    constructor(maxLength = 100) {
+        super();
+
+        this.maxLength = maxLength;
+    }
+
+    /**
+     * Records a command which has just been applied. This discards the entries which
+     * could be redone.
+     * 
+     * @param {Command} command The applied command.
+     * @param {?number} group If not `null` and equal to the group of the last recorded entry,
+     * the command is added to that entry instead of creating a new one.
+     * @returns {this} This object.
+     */
+    record(command, group = null) {
+        const lastEntry = this.#undoStack[this.#undoStack.length - 1];
+
+        if (group != null && this.#redoStack.length === 0 && lastEntry?.group === group) {
+            lastEntry.commands.push(command);
+        } else {
+            this.#undoStack.push({ group: group, commands: [command] });
+
+            if (this.#undoStack.length > this.maxLength) {
+                this.#undoStack.shift();
+            }
+        }
+
+        this.#redoStack = [];
+
+        this.dispatchEvent({ type: 'history-changed' });
+
+        return this;
+    }
+
+    /**
+     * Reverts the last recorded entry, if any.
+     * 
+     * @returns {boolean} `true` if an entry was reverted; otherwise, `false`.
+     */
+    undo() {
+        const entry = this.#undoStack.pop();
+        if (entry == null) return false;
+
+        for (let i = entry.commands.length - 1; i >= 0; i--) {
+            entry.commands[i].undo();
+        }
+
+        this.#redoStack.push(entry);
+
+        this.dispatchEvent({ type: 'history-changed' });
+
+        return true;
+    }
+
+    /**
+     * Applies the last reverted entry again, if any.
+     * 
+     * @returns {boolean} `true` if an entry was applied; otherwise, `false`.
+     */
+    redo() {
+        const entry = this.#redoStack.pop();
+        if (entry == null) return false;
+
+        for (const command of entry.commands) {
+            command.redo();
+        }
+
+        this.#undoStack.push(entry);
+
+        this.dispatchEvent({ type: 'history-changed' });
+
+        return true;
+    }
+
+    /**
+     * Discards every recorded entry, e.g., when the edited object is replaced.
+     * 
+     * @returns {this} This object.
+     */
+    clear() {
+        this.#undoStack = [];
+        this.#redoStack = [];
+
+        this.dispatchEvent({ type: 'history-changed' });
+
+        return this;
+    }
+}
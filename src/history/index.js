@@ -0,0 +1 @@
+export { History } from './History';
@@ -3,46 +3,11 @@ import 'bootstrap/dist/css/bootstrap.css';
 import './style.css';
 
 import { WEBGL } from 'three/examples/jsm/WebGL';
-import { PCDLoader } from 'three/examples/jsm/loaders/PCDLoader';
 import { OBJLoader } from 'three/examples/jsm/loaders/OBJLoader';
-import { CoordinateFormat } from './config'
-import { PointBuffer, PointCloud } from './pcd'
 import { Scene } from './Scene.js';
-import { Toolbar } from './scene';
+import { Autosave, ColorPanel, CoordinatePanel, DepthRangePanel, FilePanel, GroundPanel, LoadProgress, Toolbar } from './scene';
 import { Hint } from './scene/Hint';
 
-const format = CoordinateFormat.ZXY;
-
-/**
- * Loads point cloud data.
- * 
- * @returns {Promise<?PointCloud>}
- */
-const getPcd = (async () => {
-    const pcdLoader = new PCDLoader()
-    let pointCloud = null;
-    return new Promise((resolve, reject) => {
-        pcdLoader.load(
-            'pcd/pointcloud_labeling.pcd',
-            (points) => {
-                const data = points.geometry.getAttribute('position').array;
-                const buffer = new PointBuffer(data, format, 3);
-                const pointCloud = new PointCloud(buffer, 2.5);
-                resolve(pointCloud);
-            },
-            (xhr) => {
-                console.log((xhr.loaded / xhr.total) * 100 + '% loaded')
-                return pointCloud;
-            },
-            (error) => {
-                console.log(error)
-                return pointCloud;
-            }
-        )
-    }) 
-
-});
-
 /**
  * 
  * @param {string} filePath
@@ -80,55 +45,87 @@ if (!WEBGL.isWebGL2Available()) {
 }
 
 /**
- * @type {?Scene}
+ * @type {THREE.Group[]}
  */
-let scene = null;
+const objs = [];
 
-/**
- * 
- * @returns {Promise<PointCloud>}
- */
-const callLoader = (async() => {
-    const obj = await getPcd();
-    return obj;
+loadOBJFile('pcd/visual/Area_5_lobby_1_gt.obj').then((obj1) => {
+    objs.push(obj1);
 });
 
-/**
- * @type {?Toolbar}
- */
-let toolbar = null;
+loadOBJFile('pcd/visual/Area_5_lobby_1_pred.obj').then((obj2) => {
+    objs.push(obj2);
+});
 
-const hint = new Hint();
+const scene = new Scene(null, objs);
 
-callLoader().then((obj) => {
-    console.log(obj);
+const toolbar = new Toolbar(scene);
 
-    /**
-     * @type {THREE.Group[]}
-     */
-    const objs = [];
-    
-    loadOBJFile('pcd/visual/Area_5_lobby_1_gt.obj').then((obj1) => {
-        objs.push(obj1);
-    });
+const filePanel = new FilePanel(scene);
 
-    loadOBJFile('pcd/visual/Area_5_lobby_1_pred.obj').then((obj2) => {
-        objs.push(obj2);
-    });
+const colorPanel = new ColorPanel(scene);
+
+const coordinatePanel = new CoordinatePanel(scene);
 
-    scene = new Scene(obj, objs);
-    toolbar = new Toolbar(scene);
+const depthRangePanel = new DepthRangePanel(scene);
 
-    hint.scene = scene;
-    document.body.appendChild(hint.dom);
+const groundPanel = new GroundPanel(scene);
 
-    document.body.appendChild(toolbar.dom);
-    document.body.appendChild(scene.dom);
+const loadProgress = new LoadProgress(scene);
+
+const hint = new Hint();
+hint.scene = scene;
 
+const autosave = new Autosave(scene);
+autosave.findLastSession().then((session) => {
+    hint.resumableFileName = session?.fileName ?? null;
 });
 
+document.body.appendChild(hint.dom);
+document.body.appendChild(toolbar.dom);
+document.body.appendChild(scene.dom);
+document.body.appendChild(filePanel.panel.dom);
+document.body.appendChild(colorPanel.panel.dom);
+document.body.appendChild(coordinatePanel.panel.dom);
+document.body.appendChild(depthRangePanel.panel.dom);
+document.body.appendChild(groundPanel.panel.dom);
+document.body.appendChild(loadProgress.dom);
+
+filePanel.panel.alignLeft().alignBottom();
+colorPanel.panel.alignRight().alignBottom();
+coordinatePanel.panel.alignRight().alignCenterVertical();
+depthRangePanel.panel.alignLeft().alignCenterVertical();
+groundPanel.panel.alignRight().alignTop();
+
 document.addEventListener('keydown', (e) => {
+    // Let form controls handle their own keys
+    const { target } = e;
+    if (
+        target instanceof HTMLInputElement
+        || target instanceof HTMLSelectElement
+        || target instanceof HTMLTextAreaElement
+    ) return;
+
+    // Pressing a modifier key on its own should not reset the mode
+    if (['Control', 'Shift', 'Alt', 'Meta'].includes(e.key)) return;
+
+    if (e.ctrlKey || e.metaKey) {
+        if (e.key.toLowerCase() === 'z') {
+            e.preventDefault();
+
+            if (e.shiftKey) {
+                scene.redo();
+            } else {
+                scene.undo();
+            }
+        }
+        return;
+    }
+
     switch(e.key) {
+        case 'o':
+            filePanel.openFileDialog();
+            break;
         case 'd':
             scene.interactMode = 'draw';
             scene.drawMode = 'add';
@@ -139,6 +136,9 @@ document.addEventListener('keydown', (e) => {
         case 'e':
             toolbar.setDrawMode();
             break;
+        case 'v':
+            toolbar.toggleVisibleOnly();
+            break;
         case 'p':
             toolbar.setPolygon();
             break;
@@ -148,14 +148,35 @@ document.addEventListener('keydown', (e) => {
         case 'r':
             toolbar.setBox();
             break;
+        case 'k':
+            toolbar.setCuboid();
+            break;
+        case 'w':
+            toolbar.setWand();
+            break;
+        case 'Enter':
+            scene.applyCuboid();
+            break;
         case 's':
             scene.selectSelection(null);
             toolbar.setSelect();
             break;
-        default:
+        case 'Delete':
+            if (scene.selectedSelection != null) {
+                scene.deleteSelection(scene.selectedSelection);
+            }
+            break;
+        default: {
+            const labelClass = scene.labelSet.findByHotkey(e.key);
+            if (labelClass != null) {
+                scene.selectedLabelClass = labelClass;
+                break;
+            }
+
             scene.deselectSelection();
             scene.interactMode = 'navigate';
             scene.selectedToolType = null;
+        }
     }
 });
 
@@ -164,7 +185,7 @@ function animate() {
 
     hint.render();
 
-    scene?.render();
+    scene.render();
 
 }
 
@@ -0,0 +1,209 @@
+import * as THREE from 'three';
+
+/**
+ * @typedef {import('../selection/LabelSelection').LabelSelection} LabelSelection
+ */
+
+/**
+ * The supported formats of 3D bounding box files:
+ * - `'kitti'`: A KITTI `label_2` text file, with one line per box, in the camera convention of
+ *   KITTI. Since there is no camera calibration, the coordinates of the point cloud file are
+ *   taken to be those of a KITTI LiDAR frame which coincides with the camera (see
+ *   {@link toKittiCamera}), and the 2D boxes are left empty.
+ * - `'nuscenes'`: A JSON array of nuScenes `sample_annotation`-like records, see
+ *   {@link NuScenesBoxJson}.
+ * 
+ * @typedef {'kitti' | 'nuscenes'} BoxFileFormat
+ */
+
+/**
+ * A 3D bounding box annotation, in the coordinates of the point cloud file:
+ * - `id`: The id of the label selection which the box belongs to.
+ * - `className`: The name of the class of the label selection.
+ * - `center`: The center of the box.
+ * - `length`, `width`, `height`: The size of the box along its heading, across it and along
+ *   its up axis.
+ * - `heading`: The unit vector along the length of the box.
+ * - `up`: The unit vector along the height of the box.
+ * - `numPoints`: The number of points of the label selection.
+ * 
+ * @typedef {{
+ *     id: number,
+ *     className: string,
+ *     center: THREE.Vector3,
+ *     length: number,
+ *     width: number,
+ *     height: number,
+ *     heading: THREE.Vector3,
+ *     up: THREE.Vector3,
+ *     numPoints: number
+ * }} BoxAnnotation
+ */
+
+/**
+ * A 3D bounding box in the style of the nuScenes `sample_annotation` table:
+ * - `instance_token`: The id of the label selection.
+ * - `category_name`: The name of the class of the label selection.
+ * - `translation`: The center of the box.
+ * - `size`: The width, length and height of the box.
+ * - `rotation`: The orientation of the box as a `[w, x, y, z]` quaternion, which rotates the
+ *   `x` axis onto its heading and the `z` axis onto its up axis.
+ * - `num_lidar_pts`: The number of points in the box.
+ * 
+ * @typedef {{
+ *     instance_token: string,
+ *     category_name: string,
+ *     translation: number[],
+ *     size: number[],
+ *     rotation: number[],
+ *     num_lidar_pts: number
+ * }} NuScenesBoxJson
+ */
+
+/**
+ * The formats which box files can be written in.
+ * 
+ * @type {ReadonlyArray<BoxFileFormat>}
+ */
+export const BOX_FILE_FORMATS = Object.freeze(['kitti', 'nuscenes']);
+
+/**
+ * The class name written for the label selections which have no class.
+ * 
+ * @type {string}
+ */
+const UNKNOWN_CLASS_NAME = 'Unknown';
+
+/**
+ * Converts a vector from a KITTI LiDAR frame (`x` forward, `y` left, `z` up) to the KITTI
+ * camera convention (`x` right, `y` down, `z` forward).
+ * 
+ * The velo-to-cam calibration is taken to be the identity, i.e., the camera is at the origin of
+ * the LiDAR frame and only the axes are swapped, with no rectification.
+ * 
+ * @param {THREE.Vector3} vector The vector in the LiDAR frame.
+ * @returns {THREE.Vector3} The newly created vector in the camera frame.
+ */
+function toKittiCamera(vector) {
+    return new THREE.Vector3(-vector.y, -vector.z, vector.x);
+}
+
+/**
+ * Collects the 3D bounding boxes of the label selections which were selected with a cuboid.
+ * 
+ * @param {Iterable<LabelSelection>} selections The label selections made on the point cloud.
+ * @returns {BoxAnnotation[]} The boxes, in the order of the label selections.
+ */
+export function computeBoxes(selections) {
+    /**
+     * @type {BoxAnnotation[]}
+     */
+    const boxes = [];
+
+    for (const selection of selections) {
+        const matrix = selection.boxMatrix;
+        if (matrix != null) {
+            // The edges of the unit cube along `x`, `y` and `z` became the length, height and width
+            const lengthEdge = new THREE.Vector3();
+            const heightEdge = new THREE.Vector3();
+            const widthEdge = new THREE.Vector3();
+            matrix.extractBasis(lengthEdge, heightEdge, widthEdge);
+
+            const up = heightEdge.clone().normalize();
+            const heading = lengthEdge.clone().addScaledVector(up, -lengthEdge.dot(up)).normalize();
+
+            boxes.push({
+                id: selection.id,
+                className: selection.labelClass?.name ?? UNKNOWN_CLASS_NAME,
+                center: new THREE.Vector3().setFromMatrixPosition(matrix),
+                length: lengthEdge.length(),
+                width: widthEdge.length(),
+                height: heightEdge.length(),
+                heading: heading,
+                up: up,
+                numPoints: selection.indices.length,
+            });
+        }
+    }
+
+    return boxes;
+}
+
+/**
+ * Encodes 3D bounding boxes as a KITTI `label_2` file.
+ * 
+ * Each line holds the class name, the truncation (`0`), the occlusion (`0`), the observation
+ * angle (`-10`, unknown), an empty 2D box, the height, width and length of the box, the center
+ * of its bottom face in camera coordinates (see {@link toKittiCamera}), and its rotation
+ * `rotation_y` around the `y` axis of the camera, which is `0` when the box heads along the
+ * `x` axis of the camera.
+ * 
+ * @param {BoxAnnotation[]} boxes The boxes, in the coordinates of a KITTI LiDAR frame.
+ * @returns {string} The content of the file.
+ */
+export function encodeKitti(boxes) {
+    const lines = boxes.map(({ className, center, length, width, height, heading, up }) => {
+        const bottom = toKittiCamera(center.clone().addScaledVector(up, -height / 2));
+
+        // The heading is `(cos(rotationY), 0, -sin(rotationY))` in the camera frame
+        const cameraHeading = toKittiCamera(heading);
+        const rotationY = Math.atan2(-cameraHeading.z, cameraHeading.x);
+
+        const values = [height, width, length, bottom.x, bottom.y, bottom.z, rotationY]
+            .map((value) => value.toFixed(2));
+
+        // Class names cannot contain spaces, which separate the values
+        return [className.replace(/\s+/g, '_'), '0.00', '0', '-10', '0.00', '0.00', '0.00', '0.00', ...values].join(' ');
+    });
+
+    return lines.map((line) => `${line}\n`).join('');
+}
+
+/**
+ * Encodes 3D bounding boxes as a JSON array of nuScenes-style records.
+ * 
+ * @param {BoxAnnotation[]} boxes The boxes.
+ * @returns {string} The content of the file.
+ */
+export function encodeNuScenes(boxes) {
+    /**
+     * @type {NuScenesBoxJson[]}
+     */
+    const records = boxes.map((box) => {
+        const { id, className, center, length, width, height, heading, up, numPoints } = box;
+
+        // The `y` axis of the box points to its left
+        const rotation = new THREE.Matrix4().makeBasis(heading, up.clone().cross(heading), up);
+        const quaternion = new THREE.Quaternion().setFromRotationMatrix(rotation);
+
+        return {
+            instance_token: id.toString(),
+            category_name: className,
+            translation: center.toArray(),
+            size: [width, length, height],
+            rotation: [quaternion.w, quaternion.x, quaternion.y, quaternion.z],
+            num_lidar_pts: numPoints,
+        };
+    });
+
+    return JSON.stringify(records, null, 2);
+}
+
+/**
+ * Encodes 3D bounding boxes in the given format.
+ * 
+ * @param {BoxAnnotation[]} boxes The boxes.
+ * @param {BoxFileFormat} format The format of the file.
+ * @returns {Blob} The content of the file.
+ * @throws {Error} If the format is not supported.
+ */
+export function encode(boxes, format) {
+    switch (format) {
+        case 'kitti':
+            return new Blob([encodeKitti(boxes)], { type: 'text/plain' });
+        case 'nuscenes':
+            return new Blob([encodeNuScenes(boxes)], { type: 'application/json' });
+        default:
+            throw new Error(`Unsupported box file format: ${format}`);
+    }
+}
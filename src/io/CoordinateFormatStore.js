@@ -0,0 +1,96 @@
+import { CoordinateFormat, coordinateFormatFromJson } from '../config';
+
+/**
+ * @typedef {import('../config/CoordinateFormat').CoordinateFormatJson} CoordinateFormatJson
+ */
+
+/**
+ * The key of the local storage item holding the coordinate format of each point cloud file.
+ * 
+ * @type {string}
+ */
+const STORAGE_KEY = 'pcd-segmentation-interface:coordinate-formats';
+
+/**
+ * The maximum number of files whose coordinate format is kept. The formats which were least
+ * recently saved are discarded first.
+ * 
+ * @type {number}
+ */
+export const MAX_FILES = 200;
+
+/**
+ * Reads the coordinate format of each file from the local storage.
+ * 
+ * @returns {Record<string, CoordinateFormatJson>} The coordinate format of each file name,
+ * from the least to the most recently saved.
+ */
+function readFormats() {
+    const item = localStorage.getItem(STORAGE_KEY);
+    if (item == null) return {};
+
+    try {
+        return JSON.parse(item);
+    } catch (error) {
+        console.error(`Discarded the invalid coordinate formats of the files: ${error}`);
+
+        return {};
+    }
+}
+
+/**
+ * Loads the coordinate format which the user picked for a point cloud file.
+ * 
+ * Files are identified by name rather than by content, so that the format applies to every
+ * version of a scan.
+ * 
+ * @param {string} fileName The name of the point cloud file.
+ * @returns {?CoordinateFormat} The coordinate format, or `null` if the user has not picked any.
+ */
+export function loadFormat(fileName) {
+    const formats = readFormats();
+    if (!Object.prototype.hasOwnProperty.call(formats, fileName)) return null;
+
+    try {
+        return coordinateFormatFromJson(formats[fileName]);
+    } catch (error) {
+        console.error(`Discarded the invalid coordinate format of ${fileName}: ${error}`);
+
+        return null;
+    }
+}
+
+/**
+ * Saves the coordinate format which the user picked for a point cloud file, replacing the one
+ * previously saved if any.
+ * 
+ * @param {string} fileName The name of the point cloud file.
+ * @param {CoordinateFormat} format The coordinate format.
+ */
+export function saveFormat(fileName, format) {
+    const formats = readFormats();
+
+    // Move the file to the end, so that it is discarded last
+    delete formats[fileName];
+    formats[fileName] = format.toJSON();
+
+    const fileNames = Object.keys(formats);
+    for (const name of fileNames.slice(0, Math.max(fileNames.length - MAX_FILES, 0))) {
+        delete formats[name];
+    }
+
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(formats));
+}
+
+/**
+ * Deletes the coordinate format which the user picked for a point cloud file, if any.
+ * 
+ * @param {string} fileName The name of the point cloud file.
+ */
+export function deleteFormat(fileName) {
+    const formats = readFormats();
+    if (!Object.prototype.hasOwnProperty.call(formats, fileName)) return;
+
+    delete formats[fileName];
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(formats));
+}
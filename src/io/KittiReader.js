@@ -0,0 +1,64 @@
+import { CoordinateFormat } from '../config';
+import { PointBuffer } from '../pcd';
+import { FileUtils } from '../utils';
+
+/**
+ * @typedef {import('../utils/FileUtils').ReadOptions} ReadOptions
+ */
+
+/**
+ * The name of the 4 `float32` values of each point of a KITTI Velodyne scan, in order.
+ * 
+ * @type {ReadonlyArray<string>}
+ */
+const CHANNEL_NAMES = Object.freeze(['x', 'y', 'z', 'intensity']);
+
+/**
+ * Parses the content of a KITTI Velodyne scan (`.bin`) into a buffer of points.
+ * 
+ * The file has no header: each point is stored as 4 little-endian `float32` values,
+ * namely `x`, `y`, `z` and `intensity`.
+ * 
+ * @param {ArrayBuffer} data The raw content of the file.
+ * @param {CoordinateFormat} format The mapping between the coordinate system of the file
+ * and that of `three.js`.
+ * @returns {PointBuffer} The points described by the file.
+ * @throws {Error} If the file is not a whole number of points or does not contain any points.
+ */
+export function parseKitti(data, format) {
+    const pointSize = CHANNEL_NAMES.length * Float32Array.BYTES_PER_ELEMENT;
+    if (data.byteLength % pointSize !== 0) {
+        throw new Error(`The size of the scan (${data.byteLength} bytes) is not a multiple of ${pointSize} bytes`);
+    }
+
+    const numPoints = data.byteLength / pointSize;
+    if (numPoints === 0) {
+        throw new Error('The scan does not contain any points');
+    }
+
+    const view = new DataView(data);
+    const channels = CHANNEL_NAMES.map((name, c) => {
+        const array = new Float32Array(numPoints);
+        for (let i = 0; i < numPoints; i++) {
+            array[i] = view.getFloat32(i * pointSize + c * Float32Array.BYTES_PER_ELEMENT, true);
+        }
+
+        return { name, array };
+    });
+
+    return PointBuffer.fromChannels(channels, format);
+}
+
+/**
+ * Reads a KITTI Velodyne scan chosen by the user into a buffer of points.
+ * See {@link parseKitti}.
+ * 
+ * @param {File} file The scan, e.g. from a file input or a drop event.
+ * @param {CoordinateFormat} format The mapping between the coordinate system of the file
+ * and that of `three.js`.
+ * @param {ReadOptions} options Follows and cancels the load.
+ * @returns {Promise<PointBuffer>} The points described by the file.
+ */
+export async function readKittiFile(file, format, options = {}) {
+    return parseKitti(await FileUtils.readFile(file, options), format);
+}
@@ -0,0 +1,450 @@
+import { PointBuffer } from '../pcd';
+import { LabelSelection, LabelSet } from '../selection';
+import * as LabelSetFile from './LabelSetFile';
+
+/**
+ * @typedef {import('./LabelSetFile').LabelSetJson} LabelSetJson
+ */
+
+/**
+ * The supported formats of per-point label files:
+ * - `'label'`: SemanticKITTI binary labels, i.e., one little-endian `uint32` per point whose lower
+ *   16 bits hold the semantic class id and whose upper 16 bits hold the instance id.
+ * - `'npy'`: A NumPy `int32` array of shape `(numPoints, 2)`, whose columns hold the semantic
+ *   class id and the instance id.
+ * - `'csv'`: A text file with a `semantic,instance` header followed by one row per point.
+ * - `'json'`: A JSON annotation listing the points of each labelled instance, see
+ *   {@link AnnotationJson}.
+ * 
+ * @typedef {'label' | 'npy' | 'csv' | 'json'} LabelFileFormat
+ */
+
+/**
+ * A JSON annotation of a point cloud:
+ * - `numPoints`: The number of points in the annotated point cloud.
+ * - `unlabeledId`: The class id of the points which are not listed in any selection.
+ * - `selections`: The labelled instances, each with the class id and the indices
+ *   (in the order of the points in the point cloud file) of its points.
+ * - `labelSet`: The label set which the class ids refer to, if known.
+ * 
+ * @typedef {{
+ *     numPoints: number,
+ *     unlabeledId: number,
+ *     selections: Array<{ id: number, classId: number, indices: number[] }>,
+ *     labelSet?: LabelSetJson
+ * }} AnnotationJson
+ */
+
+/**
+ * The labels of each point in a point cloud, in the order of the points in its buffer.
+ * - `semantic`: The `i`th element is the class id of the `i`th point.
+ * - `instance`: The `i`th element is the id of the label selection containing the `i`th point,
+ *   or `0` if the point is not labelled.
+ * 
+ * - `labelSet`: The label set which the class ids refer to, if it is stored with the labels.
+ * 
+ * @typedef {{ semantic: Int32Array, instance: Int32Array, labelSet?: LabelSet }} PointLabels
+ */
+
+/**
+ * The formats which label files can be written in.
+ * 
+ * @type {ReadonlyArray<LabelFileFormat>}
+ */
+export const LABEL_FILE_FORMATS = Object.freeze(['label', 'npy', 'csv', 'json']);
+
+/**
+ * Assigns labels to each point of a buffer according to the label selections made on it.
+ * 
+ * @param {PointBuffer} buffer The buffer containing every point of the point cloud.
+ * @param {Iterable<LabelSelection>} selections The label selections made on the point cloud.
+ * @param {number} unlabeledId The class id assigned to points not covered by any selection.
+ * @returns {PointLabels} The labels of each point.
+ */
+export function computePointLabels(buffer, selections, unlabeledId) {
+    const numPoints = buffer.numPoints;
+
+    const semantic = new Int32Array(numPoints).fill(unlabeledId);
+    const instance = new Int32Array(numPoints);
+
+    for (const selection of selections) {
+        const classId = selection.labelClass?.id ?? unlabeledId;
+
+        for (const i of selection.indices) {
+            semantic[i] = classId;
+            instance[i] = selection.id;
+        }
+    }
+
+    return { semantic, instance };
+}
+
+/**
+ * Checks that an id can be stored in the 16 bits available to it in a SemanticKITTI label.
+ * 
+ * @param {number} id The id to check.
+ * @param {string} kind What the id identifies, used in the error message.
+ * @throws {Error} If the id is out of range.
+ */
+function checkUint16Id(id, kind) {
+    if (!Number.isInteger(id) || id < 0 || id > 0xFFFF) {
+        throw new Error(`The ${kind} id ${id} is not in [0, 65535] and cannot be stored in a .label file`);
+    }
+}
+
+/**
+ * Encodes per-point labels as a SemanticKITTI `.label` file.
+ * 
+ * @param {PointLabels} labels The labels of each point.
+ * @returns {ArrayBuffer} The content of the file.
+ * @throws {Error} If an id does not fit into 16 bits.
+ */
+export function encodeLabel(labels) {
+    const { semantic, instance } = labels;
+
+    const data = new DataView(new ArrayBuffer(semantic.length * 4));
+    for (let i = 0; i < semantic.length; i++) {
+        checkUint16Id(semantic[i], 'class');
+        checkUint16Id(instance[i], 'instance');
+
+        // The lower half of the little endian word holds the class
+        data.setUint16(i * 4, semantic[i], true);
+        data.setUint16(i * 4 + 2, instance[i], true);
+    }
+
+    return data.buffer;
+}
+
+/**
+ * Encodes per-point labels as a NumPy `.npy` file (format version 1.0).
+ * 
+ * @param {PointLabels} labels The labels of each point.
+ * @returns {ArrayBuffer} The content of the file.
+ */
+export function encodeNpy(labels) {
+    const { semantic, instance } = labels;
+    const numPoints = semantic.length;
+
+    const magic = '\x93NUMPY';
+    const preambleLength = magic.length + 2 + 2;
+
+    // The header is padded with spaces such that the data is 64-byte aligned
+    let header = `{'descr': '<i4', 'fortran_order': False, 'shape': (${numPoints}, 2), }`;
+    header += `${' '.repeat(63 - ((preambleLength + header.length) % 64))}\n`;
+
+    const dataOffset = preambleLength + header.length;
+    const data = new DataView(new ArrayBuffer(dataOffset + numPoints * 2 * 4));
+
+    for (let i = 0; i < magic.length; i++) {
+        data.setUint8(i, magic.charCodeAt(i));
+    }
+    data.setUint8(magic.length, 1);
+    data.setUint8(magic.length + 1, 0);
+    data.setUint16(magic.length + 2, header.length, true);
+    for (let i = 0; i < header.length; i++) {
+        data.setUint8(preambleLength + i, header.charCodeAt(i));
+    }
+
+    for (let i = 0; i < numPoints; i++) {
+        data.setInt32(dataOffset + i * 8, semantic[i], true);
+        data.setInt32(dataOffset + i * 8 + 4, instance[i], true);
+    }
+
+    return data.buffer;
+}
+
+/**
+ * Encodes per-point labels as a CSV file.
+ * 
+ * @param {PointLabels} labels The labels of each point.
+ * @returns {string} The content of the file.
+ */
+export function encodeCsv(labels) {
+    const { semantic, instance } = labels;
+
+    const rows = ['semantic,instance'];
+    for (let i = 0; i < semantic.length; i++) {
+        rows.push(`${semantic[i]},${instance[i]}`);
+    }
+
+    return `${rows.join('\n')}\n`;
+}
+
+/**
+ * Encodes per-point labels as a JSON annotation, where the points sharing the same class and
+ * instance ids are listed together.
+ * 
+ * @param {PointLabels} labels The labels of each point.
+ * @param {number} unlabeledId The class id of the points which are not labelled.
+ * @param {?LabelSet} labelSet The label set which the class ids refer to, if known.
+ * @returns {string} The content of the file.
+ */
+export function encodeJson(labels, unlabeledId, labelSet = null) {
+    const { semantic, instance } = labels;
+
+    /**
+     * @type {Map<string, { id: number, classId: number, indices: number[] }>}
+     */
+    const selectionByKey = new Map();
+    for (let i = 0; i < semantic.length; i++) {
+        if (semantic[i] !== unlabeledId) {
+            const key = `${semantic[i]}:${instance[i]}`;
+
+            let selection = selectionByKey.get(key);
+            if (selection == null) {
+                selection = { id: instance[i], classId: semantic[i], indices: [] };
+                selectionByKey.set(key, selection);
+            }
+
+            selection.indices.push(i);
+        }
+    }
+
+    /**
+     * @type {AnnotationJson}
+     */
+    const annotation = {
+        numPoints: semantic.length,
+        unlabeledId: unlabeledId,
+        selections: [...selectionByKey.values()],
+    };
+
+    if (labelSet != null) {
+        annotation.labelSet = LabelSetFile.toJson(labelSet);
+    }
+
+    return JSON.stringify(annotation);
+}
+
+/**
+ * Encodes per-point labels as a file of the given format.
+ * 
+ * @param {PointLabels} labels The labels of each point.
+ * @param {LabelFileFormat} format The format of the file.
+ * @param {number} unlabeledId The class id of the points which are not labelled.
+ * @param {?LabelSet} labelSet The label set which the class ids refer to, if known.
+ * Only JSON annotations can store it.
+ * @returns {Blob} The content of the file.
+ * @throws {Error} If the labels cannot be represented in the given format.
+ */
+export function encode(labels, format, unlabeledId, labelSet = null) {
+    switch (format) {
+        case 'label':
+            return new Blob([encodeLabel(labels)], { type: 'application/octet-stream' });
+        case 'npy':
+            return new Blob([encodeNpy(labels)], { type: 'application/octet-stream' });
+        case 'csv':
+            return new Blob([encodeCsv(labels)], { type: 'text/csv' });
+        case 'json':
+            return new Blob([encodeJson(labels, unlabeledId, labelSet)], { type: 'application/json' });
+        default:
+            throw new Error(`Unsupported label file format: ${format}`);
+    }
+}
+
+/**
+ * Decodes a SemanticKITTI `.label` file.
+ * 
+ * @param {ArrayBuffer} data The content of the file.
+ * @returns {PointLabels} The labels of each point.
+ * @throws {Error} If the file is malformed.
+ */
+export function decodeLabel(data) {
+    if (data.byteLength % 4 !== 0) {
+        throw new Error(`The size of a .label file (${data.byteLength} bytes) must be a multiple of 4`);
+    }
+
+    const view = new DataView(data);
+    const numPoints = data.byteLength / 4;
+
+    const semantic = new Int32Array(numPoints);
+    const instance = new Int32Array(numPoints);
+    for (let i = 0; i < numPoints; i++) {
+        semantic[i] = view.getUint16(i * 4, true);
+        instance[i] = view.getUint16(i * 4 + 2, true);
+    }
+
+    return { semantic, instance };
+}
+
+/**
+ * Decodes a NumPy `.npy` file containing an integer array of shape `(numPoints,)` (class ids
+ * only) or `(numPoints, 2)` (class ids and instance ids).
+ * 
+ * @param {ArrayBuffer} data The content of the file.
+ * @returns {PointLabels} The labels of each point.
+ * @throws {Error} If the file is malformed or holds an unsupported array.
+ */
+export function decodeNpy(data) {
+    const view = new DataView(data);
+
+    const magic = String.fromCharCode(...new Uint8Array(data, 0, Math.min(6, data.byteLength)));
+    if (magic !== '\x93NUMPY') {
+        throw new Error('The file is not a NumPy array');
+    }
+
+    const majorVersion = view.getUint8(6);
+    const headerLength = (majorVersion === 1) ? view.getUint16(8, true) : view.getUint32(8, true);
+    const headerOffset = (majorVersion === 1) ? 10 : 12;
+    const header = new TextDecoder('latin1').decode(new Uint8Array(data, headerOffset, headerLength));
+    const dataOffset = headerOffset + headerLength;
+
+    const descr = /'descr':\s*'([<>|=]?)([iu])(\d)'/.exec(header);
+    const fortranOrder = /'fortran_order':\s*True/.test(header);
+    const shape = /'shape':\s*\((\d+),\s*(\d*)\s*\)/.exec(header);
+    if (descr == null || shape == null) {
+        throw new Error(`Unsupported NumPy array: ${header.trim()}`);
+    }
+
+    const [, byteOrder, kind, sizeStr] = descr;
+    const littleEndian = byteOrder !== '>';
+    const size = Number(sizeStr);
+    const numPoints = Number(shape[1]);
+    const numColumns = (shape[2] === '') ? 1 : Number(shape[2]);
+    if (numColumns !== 1 && numColumns !== 2) {
+        throw new Error(`The NumPy array must have 1 or 2 columns. Found: ${numColumns}`);
+    }
+
+    /**
+     * @type {(offset: number) => number}
+     */
+    let read;
+    switch (`${kind}${size}`) {
+        case 'i1': read = (offset) => view.getInt8(offset); break;
+        case 'u1': read = (offset) => view.getUint8(offset); break;
+        case 'i2': read = (offset) => view.getInt16(offset, littleEndian); break;
+        case 'u2': read = (offset) => view.getUint16(offset, littleEndian); break;
+        case 'i4': read = (offset) => view.getInt32(offset, littleEndian); break;
+        case 'u4': read = (offset) => view.getUint32(offset, littleEndian); break;
+        case 'i8': read = (offset) => Number(view.getBigInt64(offset, littleEndian)); break;
+        case 'u8': read = (offset) => Number(view.getBigUint64(offset, littleEndian)); break;
+        default:
+            throw new Error(`Unsupported NumPy data type: ${kind}${size}`);
+    }
+
+    if (dataOffset + numPoints * numColumns * size > data.byteLength) {
+        throw new Error('The NumPy array is truncated');
+    }
+
+    /**
+     * @type {(row: number, col: number) => number}
+     */
+    const getElement = (row, col) => {
+        const idx = fortranOrder ? col * numPoints + row : row * numColumns + col;
+        return read(dataOffset + idx * size);
+    };
+
+    const semantic = new Int32Array(numPoints);
+    const instance = new Int32Array(numPoints);
+    for (let i = 0; i < numPoints; i++) {
+        semantic[i] = getElement(i, 0);
+        instance[i] = (numColumns === 2) ? getElement(i, 1) : 0;
+    }
+
+    return { semantic, instance };
+}
+
+/**
+ * Decodes a CSV file with one row per point, whose first column holds the class id and whose
+ * second column (if any) holds the instance id. A header row naming the columns `semantic`
+ * and `instance` is optional.
+ * 
+ * @param {string} text The content of the file.
+ * @returns {PointLabels} The labels of each point.
+ * @throws {Error} If the file is malformed.
+ */
+export function decodeCsv(text) {
+    const rows = text.split(/\r?\n/).filter((row) => row.trim() !== '');
+
+    let semanticCol = 0;
+    let instanceCol = 1;
+
+    const firstRow = rows[0]?.split(',').map((v) => v.trim().toLowerCase()) ?? [];
+    if (firstRow.some((v) => Number.isNaN(Number(v)))) {
+        rows.shift();
+
+        semanticCol = Math.max(firstRow.indexOf('semantic'), 0);
+        instanceCol = firstRow.indexOf('instance');
+    }
+
+    const semantic = new Int32Array(rows.length);
+    const instance = new Int32Array(rows.length);
+    rows.forEach((row, i) => {
+        const values = row.split(',').map(Number);
+        if (!Number.isInteger(values[semanticCol])) {
+            throw new Error(`Invalid class id on row ${i + 1}: ${row}`);
+        }
+
+        semantic[i] = values[semanticCol];
+        instance[i] = values[instanceCol] ?? 0;
+    });
+
+    return { semantic, instance };
+}
+
+/**
+ * Decodes a JSON annotation.
+ * 
+ * @param {string} text The content of the file.
+ * @param {number} unlabeledId The class id assigned to the points not listed in any selection.
+ * @returns {PointLabels} The labels of each point.
+ * @throws {Error} If the file is malformed.
+ */
+export function decodeJson(text, unlabeledId) {
+    /**
+     * @type {AnnotationJson}
+     */
+    const annotation = JSON.parse(text);
+
+    const { numPoints, selections } = annotation;
+    if (!Number.isInteger(numPoints) || !Array.isArray(selections)) {
+        throw new Error('A JSON annotation must have the fields "numPoints" and "selections"');
+    }
+
+    const semantic = new Int32Array(numPoints).fill(unlabeledId);
+    const instance = new Int32Array(numPoints);
+    for (const { id, classId, indices } of selections) {
+        for (const i of indices) {
+            if (i < 0 || i >= numPoints) {
+                throw new Error(`Point index ${i} is not in [0, ${numPoints})`);
+            }
+
+            semantic[i] = classId;
+            instance[i] = id ?? 0;
+        }
+    }
+
+    if (annotation.labelSet != null) {
+        return {
+            semantic: semantic,
+            instance: instance,
+            labelSet: LabelSetFile.fromJson(annotation.labelSet),
+        };
+    }
+
+    return { semantic, instance };
+}
+
+/**
+ * Decodes a label file of the given format.
+ * 
+ * @param {ArrayBuffer} data The content of the file.
+ * @param {LabelFileFormat} format The format of the file.
+ * @param {number} unlabeledId The class id of the points which are not labelled.
+ * @returns {PointLabels} The labels of each point.
+ * @throws {Error} If the file is malformed.
+ */
+export function decode(data, format, unlabeledId) {
+    switch (format) {
+        case 'label':
+            return decodeLabel(data);
+        case 'npy':
+            return decodeNpy(data);
+        case 'csv':
+            return decodeCsv(new TextDecoder().decode(data));
+        case 'json':
+            return decodeJson(new TextDecoder().decode(data), unlabeledId);
+        default:
+            throw new Error(`Unsupported label file format: ${format}`);
+    }
+}
@@ -0,0 +1,127 @@
+import { LabelClass, LabelSet } from '../selection';
+
+/**
+ * A label set in JSON:
+ * - `name`: The display name of the set.
+ * - `classes`: The classes of the set, in display order, each with:
+ *   - `id`: The unique non-negative integer id of the class.
+ *   - `name`: The display name of the class.
+ *   - `color`: A CSS color string (e.g., `"#ff8800"` or `"orange"`), or an `[r, g, b]`
+ *     array with components between `0` and `255`.
+ *   - `parent`: The id of the class which this class is a subcategory of, if any.
+ *   - `hotkey`: The key which selects the class, if any.
+ *   - `retired`: Whether the class is no longer offered for new selections.
+ * 
+ * @typedef {{
+ *     name: string,
+ *     classes: Array<{
+ *         id: number,
+ *         name: string,
+ *         color: string | [number, number, number],
+ *         parent?: ?number,
+ *         hotkey?: ?string,
+ *         retired?: boolean
+ *     }>
+ * }} LabelSetJson
+ */
+
+/**
+ * Converts a color given in a label set file into a CSS color string.
+ * 
+ * @param {unknown} color The color in the file.
+ * @param {number} id The id of the class, used in the error message.
+ * @returns {string} The CSS color string.
+ * @throws {Error} If the color is invalid.
+ */
+function parseColor(color, id) {
+    if (typeof color === 'string') {
+        return color;
+    }
+
+    if (Array.isArray(color) && color.length === 3
+        && color.every((c) => Number.isInteger(c) && c >= 0 && c <= 255)) {
+        return `rgb(${color.join(', ')})`;
+    }
+
+    throw new Error(`Invalid color of class ${id}: ${JSON.stringify(color)}`);
+}
+
+/**
+ * Creates a label set from its JSON representation.
+ * 
+ * @param {LabelSetJson} json The JSON representation of the label set.
+ * @returns {LabelSet} The label set.
+ * @throws {Error} If the JSON representation is invalid.
+ */
+export function fromJson(json) {
+    if (json == null || !Array.isArray(json.classes)) {
+        throw new Error('A label set must have a list of classes');
+    }
+    if (json.classes.length === 0) {
+        throw new Error('A label set must have at least one class');
+    }
+
+    const classes = json.classes.map((c) => {
+        if (!Number.isInteger(c?.id) || c.id < 0) {
+            throw new Error(`Invalid class id: ${JSON.stringify(c?.id)}`);
+        }
+        if (typeof c.name !== 'string' || c.name.length === 0) {
+            throw new Error(`Invalid name of class ${c.id}: ${JSON.stringify(c.name)}`);
+        }
+        if (c.parent != null && !Number.isInteger(c.parent)) {
+            throw new Error(`Invalid parent of class ${c.id}: ${JSON.stringify(c.parent)}`);
+        }
+        if (c.hotkey != null && (typeof c.hotkey !== 'string' || c.hotkey.length !== 1)) {
+            throw new Error(`The hotkey of class ${c.id} must be a single character: ${JSON.stringify(c.hotkey)}`);
+        }
+
+        return new LabelClass(c.id, c.name, parseColor(c.color, c.id), {
+            parentId: c.parent ?? null,
+            hotkey: c.hotkey ?? null,
+            retired: c.retired === true,
+        });
+    });
+
+    return new LabelSet(typeof json.name === 'string' ? json.name : 'Untitled', classes);
+}
+
+/**
+ * Obtains the JSON representation of a label set.
+ * 
+ * @param {LabelSet} labelSet The label set.
+ * @returns {LabelSetJson} The JSON representation of the label set.
+ */
+export function toJson(labelSet) {
+    return {
+        name: labelSet.name,
+        classes: labelSet.classes.map(({ id, name, color, parentId, hotkey, retired }) => ({
+            id: id,
+            name: name,
+            color: `#${color.getHexString()}`,
+            parent: parentId,
+            hotkey: hotkey,
+            retired: retired,
+        })),
+    };
+}
+
+/**
+ * Reads a label set from the content of a JSON file.
+ * 
+ * @param {string} text The content of the file.
+ * @returns {LabelSet} The label set.
+ * @throws {Error} If the file is not a valid label set.
+ */
+export function decode(text) {
+    return fromJson(JSON.parse(text));
+}
+
+/**
+ * Writes a label set as a JSON file.
+ * 
+ * @param {LabelSet} labelSet The label set.
+ * @returns {Blob} The content of the file.
+ */
+export function encode(labelSet) {
+    return new Blob([JSON.stringify(toJson(labelSet), null, 2)], { type: 'application/json' });
+}
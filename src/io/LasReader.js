@@ -0,0 +1,280 @@
+import getLazPerf from '@loaders.gl/las/dist/esm/lib/libs/laz-perf';
+
+import { CoordinateFormat } from '../config';
+import { PointBuffer } from '../pcd';
+import { FileUtils } from '../utils';
+
+/**
+ * @typedef {import('../pcd/PointBuffer').ChannelArray} ChannelArray
+ */
+
+/**
+ * @typedef {import('../utils/FileUtils').ReadOptions} ReadOptions
+ */
+
+/**
+ * The public header block of a LAS file.
+ * 
+ * @typedef {object} LasHeader
+ * @property {string} version The version of the LAS format, e.g., `1.4`.
+ * @property {number} pointFormat The point data record format, from `0` to `10`.
+ * @property {boolean} isCompressed Whether the points are compressed by LASzip (i.e., a LAZ file).
+ * @property {number} pointOffset The index of the first byte of the points.
+ * @property {number} pointSize The number of bytes of each point.
+ * @property {number} numPoints The number of points.
+ * @property {number[]} scale The scale of the integer `x`, `y` and `z` of each point.
+ * @property {number[]} offset The offset added to the scaled `x`, `y` and `z` of each point.
+ */
+
+/**
+ * A field of the point data records of a LAS file, stored as a channel of the buffer.
+ * 
+ * @typedef {object} LasField
+ * @property {string} name The name of the channel.
+ * @property {new (length: number) => ChannelArray} ArrayType The type of the values.
+ * @property {(view: DataView, offset: number) => number} read Reads the value of a point,
+ * given the byte offset of its record.
+ */
+
+/* eslint-disable no-bitwise -- The returns and the classification are packed into bits */
+
+/**
+ * The fields of the legacy point data record formats (`0` to `5`), from the intensity on.
+ * 
+ * @type {ReadonlyArray<LasField>}
+ */
+const LEGACY_FIELDS = Object.freeze([
+    { name: 'intensity', ArrayType: Uint16Array, read: (view, offset) => view.getUint16(offset + 12, true) },
+    { name: 'return_number', ArrayType: Uint8Array, read: (view, offset) => view.getUint8(offset + 14) & 0x07 },
+    { name: 'number_of_returns', ArrayType: Uint8Array, read: (view, offset) => (view.getUint8(offset + 14) >> 3) & 0x07 },
+    { name: 'classification', ArrayType: Uint8Array, read: (view, offset) => view.getUint8(offset + 15) & 0x1f },
+    { name: 'scan_angle_rank', ArrayType: Int8Array, read: (view, offset) => view.getInt8(offset + 16) },
+    { name: 'user_data', ArrayType: Uint8Array, read: (view, offset) => view.getUint8(offset + 17) },
+    { name: 'point_source_id', ArrayType: Uint16Array, read: (view, offset) => view.getUint16(offset + 18, true) },
+]);
+
+/**
+ * The fields of the point data record formats `6` to `10`, from the intensity on.
+ * 
+ * @type {ReadonlyArray<LasField>}
+ */
+const EXTENDED_FIELDS = Object.freeze([
+    { name: 'intensity', ArrayType: Uint16Array, read: (view, offset) => view.getUint16(offset + 12, true) },
+    { name: 'return_number', ArrayType: Uint8Array, read: (view, offset) => view.getUint8(offset + 14) & 0x0f },
+    { name: 'number_of_returns', ArrayType: Uint8Array, read: (view, offset) => view.getUint8(offset + 14) >> 4 },
+    { name: 'classification', ArrayType: Uint8Array, read: (view, offset) => view.getUint8(offset + 16) },
+    { name: 'user_data', ArrayType: Uint8Array, read: (view, offset) => view.getUint8(offset + 17) },
+    { name: 'scan_angle', ArrayType: Int16Array, read: (view, offset) => view.getInt16(offset + 18, true) },
+    { name: 'point_source_id', ArrayType: Uint16Array, read: (view, offset) => view.getUint16(offset + 20, true) },
+    { name: 'gps_time', ArrayType: Float64Array, read: (view, offset) => view.getFloat64(offset + 22, true) },
+]);
+
+/* eslint-enable no-bitwise */
+
+/**
+ * Creates the field of the GPS time of the points.
+ * 
+ * @param {number} at The byte offset of the GPS time in each record.
+ * @returns {LasField} The field.
+ */
+function gpsTimeField(at) {
+    return { name: 'gps_time', ArrayType: Float64Array, read: (view, offset) => view.getFloat64(offset + at, true) };
+}
+
+/**
+ * Creates the fields of the color of the points. LAS colors are 16-bit.
+ * 
+ * @param {number} at The byte offset of the color in each record.
+ * @returns {LasField[]} The fields of the red, green and blue components.
+ */
+function colorFields(at) {
+    return ['r', 'g', 'b'].map((name, c) => ({
+        name: name,
+        ArrayType: Uint16Array,
+        read: (view, offset) => view.getUint16(offset + at + c * 2, true),
+    }));
+}
+
+/**
+ * The fields of each point data record format, other than the coordinates.
+ * Waveform packets are ignored.
+ * 
+ * @type {ReadonlyArray<ReadonlyArray<LasField>>}
+ */
+const POINT_FORMAT_FIELDS = Object.freeze([
+    LEGACY_FIELDS,
+    [...LEGACY_FIELDS, gpsTimeField(20)],
+    [...LEGACY_FIELDS, ...colorFields(20)],
+    [...LEGACY_FIELDS, gpsTimeField(20), ...colorFields(28)],
+    [...LEGACY_FIELDS, gpsTimeField(20)],
+    [...LEGACY_FIELDS, gpsTimeField(20), ...colorFields(28)],
+    EXTENDED_FIELDS,
+    [...EXTENDED_FIELDS, ...colorFields(30)],
+    [...EXTENDED_FIELDS, ...colorFields(30), { name: 'nir', ArrayType: Uint16Array, read: (view, offset) => view.getUint16(offset + 36, true) }],
+    EXTENDED_FIELDS,
+    [...EXTENDED_FIELDS, ...colorFields(30), { name: 'nir', ArrayType: Uint16Array, read: (view, offset) => view.getUint16(offset + 36, true) }],
+]);
+
+/**
+ * The LASzip decompressor, compiled from C++ by Emscripten. Only instantiated when the first
+ * LAZ file is read, since it is large.
+ * 
+ * @type {any}
+ */
+let lazPerf = null;
+
+/**
+ * Parses the public header block of a LAS file.
+ * 
+ * @param {DataView} view The raw content of the LAS file.
+ * @returns {LasHeader} The header.
+ * @throws {Error} If the file is not a LAS file, or its point data record format is unsupported.
+ */
+function parseHeader(view) {
+    const signatureBytes = new Uint8Array(view.buffer, 0, Math.min(4, view.byteLength));
+    const signature = String.fromCharCode(...signatureBytes);
+    if (signature !== 'LASF' || view.byteLength < 227) {
+        throw new Error('The file is not a LAS file');
+    }
+
+    const versionMajor = view.getUint8(24);
+    const versionMinor = view.getUint8(25);
+    const formatId = view.getUint8(104);
+
+    // The two highest bits of the format flag compression
+    const isCompressed = formatId >= 0x80;
+    const pointFormat = formatId % 0x40;
+    if (pointFormat >= POINT_FORMAT_FIELDS.length) {
+        throw new Error(`Unsupported LAS point data record format ${pointFormat}`);
+    }
+
+    // LAS 1.4 moved the number of points to a 64-bit field, the legacy one may be 0
+    let numPoints = view.getUint32(107, true);
+    if (numPoints === 0 && versionMinor >= 4 && view.byteLength >= 255) {
+        numPoints = Number(view.getBigUint64(247, true));
+    }
+
+    return {
+        version: `${versionMajor}.${versionMinor}`,
+        pointFormat: pointFormat,
+        isCompressed: isCompressed,
+        pointOffset: view.getUint32(96, true),
+        pointSize: view.getUint16(105, true),
+        numPoints: numPoints,
+        scale: [131, 139, 147].map((at) => view.getFloat64(at, true)),
+        offset: [155, 163, 171].map((at) => view.getFloat64(at, true)),
+    };
+}
+
+/**
+ * Calls a function with the record of each point of a LAZ file, once decompressed.
+ * 
+ * @param {ArrayBuffer} data The raw content of the LAZ file.
+ * @param {LasHeader} header The header of the file.
+ * @param {(view: DataView, i: number) => void} onPoint Called with a view on the record of
+ * each point, which is only valid during the call, and the index of the point.
+ */
+function decompressPoints(data, header, onPoint) {
+    if (lazPerf == null) {
+        lazPerf = getLazPerf();
+    }
+
+    // The memory of the decompressor is managed by hand
+    const { _malloc: malloc, _free: free } = lazPerf;
+
+    const laszip = new lazPerf.LASZip();
+    const fileBuffer = malloc(data.byteLength);
+    const pointBuffer = malloc(header.pointSize);
+    try {
+        lazPerf.HEAPU8.set(new Uint8Array(data), fileBuffer);
+        laszip.open(fileBuffer, data.byteLength);
+
+        for (let i = 0; i < header.numPoints; i++) {
+            laszip.getPoint(pointBuffer);
+
+            // The heap may grow, replacing its buffer, so the view is created for each point
+            onPoint(new DataView(lazPerf.HEAPU8.buffer, pointBuffer, header.pointSize), i);
+        }
+    } finally {
+        free(pointBuffer);
+        free(fileBuffer);
+        laszip.delete();
+    }
+}
+
+/**
+ * Parses the content of a LAS or LAZ file into a buffer of points.
+ * 
+ * The coordinates are scaled and offset as described by the header, and kept as `float64`
+ * since LAS files usually hold georeferenced coordinates. Every other field of the point data
+ * record format is kept as a channel of the buffer, in the type it is stored in: `intensity`,
+ * `return_number`, `number_of_returns`, `classification`, `user_data`, `point_source_id`,
+ * `scan_angle_rank` (formats `0` to `5`) or `scan_angle` (formats `6` to `10`), and,
+ * depending on the format, `gps_time`, `r`, `g`, `b` (16-bit) and `nir`.
+ * 
+ * @param {ArrayBuffer} data The raw content of the file.
+ * @param {CoordinateFormat} format The mapping between the coordinate system of the file
+ * and that of `three.js`.
+ * @returns {PointBuffer} The points described by the file.
+ * @throws {Error} If the file could not be parsed or does not contain any points.
+ */
+export function parseLas(data, format) {
+    const view = new DataView(data);
+    const header = parseHeader(view);
+    const { numPoints, pointSize, scale, offset } = header;
+    if (numPoints === 0) {
+        throw new Error('The LAS file does not contain any points');
+    }
+
+    const fields = POINT_FORMAT_FIELDS[header.pointFormat];
+    const coords = ['x', 'y', 'z'].map((name) => ({
+        name: name, array: new Float64Array(numPoints),
+    }));
+    const channels = fields.map(({ name, ArrayType }) => ({
+        name: name, array: new ArrayType(numPoints),
+    }));
+
+    /**
+     * Reads the fields of a point from its record.
+     * 
+     * @param {DataView} recordView A view containing the record.
+     * @param {number} recordOffset The byte offset of the record in the view.
+     * @param {number} i The index of the point.
+     */
+    const readPoint = (recordView, recordOffset, i) => {
+        for (let c = 0; c < 3; c++) {
+            const value = recordView.getInt32(recordOffset + c * 4, true);
+            coords[c].array[i] = value * scale[c] + offset[c];
+        }
+        for (let f = 0; f < fields.length; f++) {
+            channels[f].array[i] = fields[f].read(recordView, recordOffset);
+        }
+    };
+
+    if (header.isCompressed) {
+        decompressPoints(data, header, (recordView, i) => readPoint(recordView, 0, i));
+    } else {
+        if (header.pointOffset + numPoints * pointSize > data.byteLength) {
+            throw new Error('The points of the LAS file are truncated');
+        }
+
+        for (let i = 0; i < numPoints; i++) {
+            readPoint(view, header.pointOffset + i * pointSize, i);
+        }
+    }
+
+    return PointBuffer.fromChannels([...coords, ...channels], format);
+}
+
+/**
+ * Reads a LAS or LAZ file chosen by the user into a buffer of points. See {@link parseLas}.
+ * 
+ * @param {File} file The LAS or LAZ file, e.g. from a file input or a drop event.
+ * @param {CoordinateFormat} format The mapping between the coordinate system of the file
+ * and that of `three.js`.
+ * @param {ReadOptions} options Follows and cancels the load.
+ * @returns {Promise<PointBuffer>} The points described by the file.
+ */
+export async function readLasFile(file, format, options = {}) {
+    return parseLas(await FileUtils.readFile(file, options), format);
+}
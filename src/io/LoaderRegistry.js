@@ -0,0 +1,103 @@
+import { CoordinateFormat } from '../config';
+import { FileUtils } from '../utils';
+import { readKittiFile } from './KittiReader';
+import { readLasFile } from './LasReader';
+import { readPcdFile } from './PcdReader';
+import { readPlyFile } from './PlyReader';
+import { readXyzFile } from './XyzReader';
+
+/**
+ * @typedef {import('../pcd/PointBuffer').PointBuffer} PointBuffer
+ * @typedef {import('../utils/FileUtils').ReadOptions} ReadOptions
+ */
+
+/**
+ * Reads the point cloud files of a format:
+ * - `name`: The display name of the format.
+ * - `extensions`: The lower-cased extensions of the files, without the leading dot.
+ * - `suggestedFormat`: The mapping between the usual coordinate system of the files and
+ *   that of `three.js`, used unless the user picked another one.
+ * - `read`: Reads a file into a buffer of points with named channels.
+ * 
+ * @typedef {{
+ *     name: string,
+ *     extensions: ReadonlyArray<string>,
+ *     suggestedFormat: CoordinateFormat,
+ *     read: (file: File, format: CoordinateFormat, options: ReadOptions) => Promise<PointBuffer>
+ * }} PointCloudLoader
+ */
+
+/**
+ * The loader of each extension.
+ * 
+ * @type {Map<string, PointCloudLoader>}
+ */
+const loaders = new Map();
+
+/**
+ * Registers a loader for the extensions of its format, replacing any loader previously
+ * registered for them.
+ * 
+ * @param {PointCloudLoader} loader The loader.
+ */
+export function registerLoader(loader) {
+    for (const extension of loader.extensions) {
+        loaders.set(extension.toLowerCase(), loader);
+    }
+}
+
+/**
+ * Finds the loader of a point cloud file, by its extension.
+ * 
+ * @param {string} fileName The name of the file.
+ * @returns {?PointCloudLoader} The loader, or `null` if the format is not supported.
+ */
+export function findLoader(fileName) {
+    return loaders.get(FileUtils.getExtension(fileName)) ?? null;
+}
+
+/**
+ * Lists the extensions of the supported point cloud files.
+ * 
+ * @returns {string[]} The extensions, without the leading dot.
+ */
+export function getExtensions() {
+    return [...loaders.keys()];
+}
+
+// Scans usually use z as up, which is y in three.js
+registerLoader({
+    name: 'PCD',
+    extensions: ['pcd'],
+    suggestedFormat: CoordinateFormat.ZXY,
+    read: readPcdFile,
+});
+
+registerLoader({
+    name: 'LAS',
+    extensions: ['las', 'laz'],
+    suggestedFormat: CoordinateFormat.ZXY,
+    read: readLasFile,
+});
+
+registerLoader({
+    name: 'KITTI Velodyne scan',
+    extensions: ['bin'],
+    suggestedFormat: CoordinateFormat.ZXY,
+    read: readKittiFile,
+});
+
+// Photogrammetry tools usually use y as up, as three.js does
+registerLoader({
+    name: 'PLY',
+    extensions: ['ply'],
+    suggestedFormat: CoordinateFormat.XYZ,
+    read: readPlyFile,
+});
+
+registerLoader({
+    name: 'XYZ',
+    extensions: ['xyz', 'txt'],
+    suggestedFormat: CoordinateFormat.ZXY,
+    read: readXyzFile,
+});
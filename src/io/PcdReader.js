@@ -0,0 +1,627 @@
+import { CoordinateFormat } from '../config';
+import { PointBuffer } from '../pcd';
+import { FileUtils } from '../utils';
+
+/**
+ * @typedef {import('../pcd/PointBuffer').ChannelArray} ChannelArray
+ */
+
+/**
+ * @typedef {import('../utils/FileUtils').ReadOptions} ReadOptions
+ */
+
+/**
+ * How the points of a PCD file are stored after its header.
+ * 
+ * @typedef {'ascii' | 'binary' | 'binary_compressed'} PcdDataFormat
+ */
+
+/**
+ * A field of the points of a PCD file.
+ * 
+ * @typedef {object} PcdField
+ * @property {string} name The name of the field, e.g., `x` or `intensity`.
+ * @property {number} size The number of bytes of each value: `1`, `2`, `4` or `8`.
+ * @property {'F' | 'I' | 'U'} type Whether the values are floats, signed or unsigned integers.
+ * @property {number} count The number of values of the field in each point.
+ */
+
+/**
+ * The header of a PCD file.
+ * 
+ * @typedef {object} PcdHeader
+ * @property {string} version The version of the PCD format, e.g., `0.7`.
+ * @property {PcdField[]} fields The fields of each point, in the order they are stored.
+ * @property {number} width The width of the point cloud, or the number of points if it is
+ * unorganized.
+ * @property {number} height The height of the point cloud, or `1` if it is unorganized.
+ * @property {number[]} viewpoint The pose of the sensor, as a translation followed by a
+ * quaternion (`tx ty tz qw qx qy qz`).
+ * @property {number} numPoints The number of points.
+ * @property {PcdDataFormat} data How the points are stored.
+ * @property {number} dataOffset The index of the first byte after the header.
+ */
+
+/**
+ * The typed array constructor for each combination of `TYPE` and `SIZE` of a field.
+ * 64-bit integers are stored as `float64`, which represents them exactly up to `2^53`.
+ * 
+ * @type {Readonly<Record<string, new (length: number) => ChannelArray>>}
+ */
+const ARRAY_TYPES = Object.freeze({
+    F4: Float32Array,
+    F8: Float64Array,
+    I1: Int8Array,
+    I2: Int16Array,
+    I4: Int32Array,
+    I8: Float64Array,
+    U1: Uint8Array,
+    U2: Uint16Array,
+    U4: Uint32Array,
+    U8: Float64Array,
+});
+
+/**
+ * Creates a function reading a little-endian value of a field from a data view.
+ * 
+ * @param {PcdField} field The field.
+ * @returns {(view: DataView, offset: number) => number} Reads the value at a byte offset.
+ */
+function valueReader({ type, size }) {
+    switch (`${type}${size}`) {
+        case 'F4': return (view, offset) => view.getFloat32(offset, true);
+        case 'F8': return (view, offset) => view.getFloat64(offset, true);
+        case 'I1': return (view, offset) => view.getInt8(offset);
+        case 'I2': return (view, offset) => view.getInt16(offset, true);
+        case 'I4': return (view, offset) => view.getInt32(offset, true);
+        case 'I8': return (view, offset) => Number(view.getBigInt64(offset, true));
+        case 'U1': return (view, offset) => view.getUint8(offset);
+        case 'U2': return (view, offset) => view.getUint16(offset, true);
+        case 'U4': return (view, offset) => view.getUint32(offset, true);
+        case 'U8': return (view, offset) => Number(view.getBigUint64(offset, true));
+        default: throw new Error(`Unsupported PCD field type ${type}${size}`);
+    }
+}
+
+/**
+ * Names each channel of a field, i.e., the field itself if it has a single value per point;
+ * otherwise, its name followed by the index of each value, e.g., `fpfh_0` to `fpfh_32`.
+ * 
+ * @param {PcdField} field The field.
+ * @returns {string[]} The name of each channel of the field.
+ */
+function channelNamesOf({ name, count }) {
+    if (name === '_') return Array(count).fill(name);
+
+    return (count === 1) ? [name] : Array.from({ length: count }, (_, c) => `${name}_${c}`);
+}
+
+/**
+ * Parses the header of a PCD file.
+ * 
+ * @param {Uint8Array} bytes The raw content of the PCD file, or its beginning.
+ * @param {boolean} isComplete Whether `bytes` is the whole content of the file, in which case
+ * its last line may not end with a line break.
+ * @returns {?PcdHeader} The header, or `null` if `bytes` ends before the `DATA` line.
+ * @throws {Error} If the header is invalid.
+ */
+export function parseHeader(bytes, isComplete = true) {
+    const decoder = new TextDecoder();
+
+    /**
+     * @type {Map<string, string[]>}
+     */
+    const entries = new Map();
+
+    let start = 0;
+    while (!entries.has('DATA')) {
+        let end = bytes.indexOf(0x0a, start);
+        if (end < 0) {
+            if (!isComplete || start >= bytes.length) return null;
+
+            end = bytes.length;
+        }
+
+        const line = decoder.decode(bytes.subarray(start, end)).replace(/#.*/, '').trim();
+        start = end + 1;
+
+        if (line !== '') {
+            const [key, ...values] = line.split(/\s+/);
+            entries.set(key.toUpperCase(), values);
+        }
+    }
+
+    const names = entries.get('FIELDS') ?? entries.get('COLUMNS');
+    if (names == null || names.length === 0) {
+        throw new Error('The PCD file has no FIELDS line');
+    }
+
+    const sizes = entries.get('SIZE') ?? [];
+    const types = entries.get('TYPE') ?? [];
+    const counts = entries.get('COUNT') ?? names.map(() => '1');
+    if ([sizes, types, counts].some((values) => values.length !== names.length)) {
+        throw new Error('The SIZE, TYPE and COUNT lines of the PCD file do not match its FIELDS line');
+    }
+
+    /**
+     * @type {PcdField[]}
+     */
+    const fields = names.map((name, f) => {
+        const size = Number(sizes[f]);
+        const typeName = types[f].toUpperCase();
+        const count = Number(counts[f]);
+
+        if (!(`${typeName}${size}` in ARRAY_TYPES)) {
+            throw new Error(`Unsupported type ${typeName}${size} of PCD field ${name}`);
+        }
+        if (!Number.isInteger(count) || count < 1) {
+            throw new Error(`Invalid count ${counts[f]} of PCD field ${name}`);
+        }
+
+        // Only the types `F`, `I` and `U` have array types
+        const type = /** @type {PcdField['type']} */ (typeName);
+        return { name, size, type, count };
+    });
+
+    const width = Number(entries.get('WIDTH')?.[0] ?? 0);
+    const height = Number(entries.get('HEIGHT')?.[0] ?? 1);
+    const numPoints = Number(entries.get('POINTS')?.[0] ?? width * height);
+    if (!Number.isInteger(numPoints) || numPoints < 0) {
+        throw new Error('Invalid number of points in the PCD file');
+    }
+
+    const data = entries.get('DATA')?.[0]?.toLowerCase();
+    if (data !== 'ascii' && data !== 'binary' && data !== 'binary_compressed') {
+        throw new Error(`Unsupported PCD data format ${data}`);
+    }
+
+    return {
+        version: entries.get('VERSION')?.[0] ?? '0.7',
+        fields: fields,
+        width: width,
+        height: height,
+        viewpoint: entries.get('VIEWPOINT')?.map(Number) ?? [0, 0, 0, 1, 0, 0, 0],
+        numPoints: numPoints,
+        data: data,
+        dataOffset: start,
+    };
+}
+
+/* eslint-disable no-bitwise -- The LZF format packs lengths and offsets into bits */
+/**
+ * Decompresses data compressed with the LZF algorithm, used by `binary_compressed` PCD files.
+ * 
+ * @param {Uint8Array} input The compressed data.
+ * @param {number} outputLength The number of bytes of the decompressed data.
+ * @returns {Uint8Array} The decompressed data.
+ * @throws {Error} If the compressed data is corrupted.
+ */
+export function decompressLzf(input, outputLength) {
+    const output = new Uint8Array(outputLength);
+
+    let ip = 0;
+    let op = 0;
+    while (ip < input.length) {
+        const ctrl = input[ip];
+        ip += 1;
+
+        if (ctrl < 32) {
+            // Literal run of ctrl + 1 bytes
+            const length = ctrl + 1;
+            if (ip + length > input.length || op + length > outputLength) {
+                throw new Error('Corrupted LZF data');
+            }
+            output.set(input.subarray(ip, ip + length), op);
+            ip += length;
+            op += length;
+        } else {
+            // Back reference, which may overlap the bytes being written
+            let length = ctrl >> 5;
+            if (length === 7) {
+                length += input[ip];
+                ip += 1;
+            }
+            length += 2;
+
+            const ref = op - ((ctrl & 0x1f) << 8) - input[ip] - 1;
+            ip += 1;
+            if (ref < 0 || ip > input.length || op + length > outputLength) {
+                throw new Error('Corrupted LZF data');
+            }
+            for (let i = 0; i < length; i++) {
+                output[op + i] = output[ref + i];
+            }
+            op += length;
+        }
+    }
+
+    if (op !== outputLength) {
+        throw new Error('Corrupted LZF data');
+    }
+
+    return output;
+}
+/* eslint-enable no-bitwise */
+
+/**
+ * Reads the values of the points of a PCD file stored in binary, either one point after
+ * the other (`binary`) or one field after the other (`binary_compressed`, once decompressed).
+ * 
+ * @param {DataView} view The binary values of the points.
+ * @param {PcdHeader} header The header of the file.
+ * @param {ChannelArray[]} arrays The array of each channel, to write the values into.
+ * @param {boolean} byField Whether the values are stored one field after the other.
+ */
+function readBinary(view, header, arrays, byField) {
+    const { fields, numPoints } = header;
+    const pointSize = fields.reduce((sum, { size, count }) => sum + size * count, 0);
+    if (view.byteLength < pointSize * numPoints) {
+        throw new Error(`The PCD file is truncated: ${view.byteLength} bytes of points instead of ${pointSize * numPoints}`);
+    }
+
+    let channel = 0;
+    let fieldOffset = 0;
+    for (const field of fields) {
+        const read = valueReader(field);
+        const { size, count } = field;
+
+        for (let c = 0; c < count; c++, channel++) {
+            const array = arrays[channel];
+            if (byField) {
+                for (let i = 0; i < numPoints; i++) {
+                    array[i] = read(view, fieldOffset * numPoints + (i * count + c) * size);
+                }
+            } else {
+                for (let i = 0; i < numPoints; i++) {
+                    array[i] = read(view, i * pointSize + fieldOffset + c * size);
+                }
+            }
+        }
+
+        fieldOffset += size * count;
+    }
+}
+
+/**
+ * Joins two arrays of bytes.
+ * 
+ * @param {Uint8Array} a The first bytes.
+ * @param {Uint8Array} b The bytes following them.
+ * @returns {Uint8Array} The joined bytes, or one of the arrays if the other is empty.
+ */
+function concatBytes(a, b) {
+    if (a.length === 0) return b;
+    if (b.length === 0) return a;
+
+    const bytes = new Uint8Array(a.length + b.length);
+    bytes.set(a);
+    bytes.set(b, a.length);
+
+    return bytes;
+}
+
+/**
+ * Parses a PCD file pushed to it piece by piece, writing the values of the points straight
+ * into the arrays of the channels of the resulting buffer.
+ */
+class PcdParser {
+
+    /**
+     * The mapping between the coordinate system of the file and that of `three.js`.
+     * 
+     * @readonly
+     * @type {CoordinateFormat}
+     */
+    #format;
+
+    /**
+     * The header of the file, once it has been read.
+     * 
+     * @type {?PcdHeader}
+     */
+    #header = null;
+
+    /**
+     * The name and the values of each channel of the points, once the header has been read.
+     * 
+     * @type {Array<{ name: string, array: ChannelArray }>}
+     */
+    #channels = [];
+
+    /**
+     * The number of points read so far.
+     * 
+     * @type {number}
+     */
+    #numRead = 0;
+
+    /**
+     * The bytes which could not be used yet, e.g., the beginning of the header, or of a point
+     * split across two pieces.
+     * 
+     * @type {Uint8Array}
+     */
+    #pending = new Uint8Array(0);
+
+    /**
+     * Decodes the text of `ascii` files, whose characters may be split across two pieces.
+     * 
+     * @readonly
+     * @type {TextDecoder}
+     */
+    #decoder = new TextDecoder();
+
+    /**
+     * The last line of text read so far, which may continue in the next piece.
+     * 
+     * @type {string}
+     */
+    #partialLine = '';
+
+    /**
+     * The compressed values of the points of `binary_compressed` files, once their size has
+     * been read.
+     * 
+     * @type {?Uint8Array}
+     */
+    #compressed = null;
+
+    /**
+     * The number of bytes of `#compressed` read so far.
+     * 
+     * @type {number}
+     */
+    #compressedLength = 0;
+
+    /**
+     * Creates a new parser.
+     * 
+     * @param {CoordinateFormat} format The mapping between the coordinate system of the file
+     * and that of `three.js`.
+     */
+    constructor(format) {
+        this.#format = format;
+    }
+
+    /**
+     * Parses the next piece of the file.
+     * 
+     * @param {Uint8Array} bytes The next bytes of the file.
+     * @throws {Error} If the file is invalid.
+     */
+    push(bytes) {
+        let header = this.#header;
+        let data = bytes;
+        if (header == null) {
+            const headerBytes = concatBytes(this.#pending, bytes);
+            header = parseHeader(headerBytes, false);
+            if (header == null) {
+                this.#pending = headerBytes;
+                return;
+            }
+
+            this.#pending = new Uint8Array(0);
+            this.#start(header);
+            data = headerBytes.subarray(header.dataOffset);
+        }
+
+        switch (header.data) {
+            case 'ascii':
+                this.#pushAscii(header, this.#decoder.decode(data, { stream: true }));
+                break;
+            case 'binary':
+                this.#pushBinary(header, data);
+                break;
+            case 'binary_compressed':
+                this.#pushCompressed(data);
+                break;
+            default:
+                throw new Error(`Unsupported PCD data format ${header.data}`);
+        }
+    }
+
+    /**
+     * Finishes parsing the file, once every piece has been pushed.
+     * 
+     * @returns {PointBuffer} The points described by the file.
+     * @throws {Error} If the file is invalid, truncated or does not contain any points.
+     */
+    finish() {
+        let header = this.#header;
+        if (header == null) {
+            header = parseHeader(this.#pending, true);
+            if (header == null) {
+                throw new Error('The PCD file has no DATA line');
+            }
+
+            this.#start(header);
+        }
+
+        switch (header.data) {
+            case 'ascii':
+                this.#pushAscii(header, `${this.#decoder.decode()}\n`);
+                break;
+            case 'binary_compressed': {
+                if (this.#compressed == null || this.#compressedLength < this.#compressed.length) {
+                    throw new Error('The compressed points of the PCD file are truncated');
+                }
+
+                const sizes = new DataView(this.#pending.buffer, this.#pending.byteOffset);
+                const decompressed = decompressLzf(this.#compressed, sizes.getUint32(4, true));
+                const arrays = this.#channels.map(({ array }) => array);
+                readBinary(new DataView(decompressed.buffer), header, arrays, true);
+                this.#numRead = header.numPoints;
+                break;
+            }
+            default:
+                // The binary points were read as they were pushed
+        }
+
+        if (this.#numRead < header.numPoints) {
+            throw new Error(`The PCD file has ${this.#numRead} points instead of ${header.numPoints}`);
+        }
+
+        const named = this.#channels.filter(({ name }) => name !== '_');
+        const coords = ['x', 'y', 'z'].map((axis) => {
+            const channel = named.find(({ name }) => name === axis);
+            if (channel == null) {
+                throw new Error('The PCD file does not contain any points');
+            }
+
+            return channel;
+        });
+        if (header.numPoints === 0) {
+            throw new Error('The PCD file does not contain any points');
+        }
+
+        const names = new Set();
+        for (const { name } of named) {
+            if (names.has(name)) {
+                throw new Error(`The PCD file has several fields named ${name}`);
+            }
+            names.add(name);
+        }
+
+        const others = named.filter((channel) => !coords.includes(channel));
+        return PointBuffer.fromChannels([...coords, ...others], this.#format);
+    }
+
+    /**
+     * Allocates the arrays of the channels described by the header.
+     * 
+     * @param {PcdHeader} header The header of the file.
+     */
+    #start(header) {
+        this.#header = header;
+        this.#channels = header.fields.flatMap((field) => {
+            const ArrayType = ARRAY_TYPES[`${field.type}${field.size}`];
+
+            return channelNamesOf(field).map((name) => ({
+                name: name, array: new ArrayType(header.numPoints),
+            }));
+        });
+    }
+
+    /**
+     * Reads the points of an `ascii` file from the next piece of its text.
+     * 
+     * @param {PcdHeader} header The header of the file.
+     * @param {string} text The next piece of text.
+     */
+    #pushAscii(header, text) {
+        const lines = (this.#partialLine + text).split('\n');
+        this.#partialLine = lines.pop() ?? '';
+
+        const { numPoints } = header;
+        const arrays = this.#channels.map(({ array }) => array);
+        for (const line of lines) {
+            if (this.#numRead >= numPoints) break;
+
+            // Blank lines are skipped
+            const tokens = line.trim().split(/\s+/);
+            if (tokens[0] !== '') {
+                if (tokens.length < arrays.length) {
+                    throw new Error(`Point ${this.#numRead} of the PCD file has ${tokens.length} values instead of ${arrays.length}`);
+                }
+                for (let c = 0; c < arrays.length; c++) {
+                    arrays[c][this.#numRead] = Number(tokens[c]);
+                }
+                this.#numRead += 1;
+            }
+        }
+    }
+
+    /**
+     * Reads the points of a `binary` file from its next bytes, keeping the beginning of
+     * the last point if it is split.
+     * 
+     * @param {PcdHeader} header The header of the file.
+     * @param {Uint8Array} bytes The next bytes.
+     */
+    #pushBinary(header, bytes) {
+        const { fields, numPoints } = header;
+        const pointSize = fields.reduce((sum, { size, count }) => sum + size * count, 0);
+
+        const data = concatBytes(this.#pending, bytes);
+        const start = this.#numRead;
+        const numPointsRead = Math.min(Math.floor(data.length / pointSize), numPoints - start);
+
+        const view = new DataView(data.buffer, data.byteOffset, numPointsRead * pointSize);
+        const subset = { ...header, numPoints: numPointsRead };
+        const end = start + numPointsRead;
+        const arrays = this.#channels.map(({ array }) => array.subarray(start, end));
+        readBinary(view, subset, arrays, false);
+
+        this.#numRead += numPointsRead;
+        this.#pending = (this.#numRead < numPoints)
+            ? data.slice(numPointsRead * pointSize) : new Uint8Array(0);
+    }
+
+    /**
+     * Collects the compressed points of a `binary_compressed` file from its next bytes.
+     * They are only decompressed once every byte has been collected.
+     * 
+     * @param {Uint8Array} bytes The next bytes.
+     */
+    #pushCompressed(bytes) {
+        let points = bytes;
+        if (this.#compressed == null) {
+            // The compressed and uncompressed sizes come first
+            const data = concatBytes(this.#pending, bytes);
+            if (data.length < 8) {
+                this.#pending = data.slice();
+                return;
+            }
+
+            this.#pending = data.slice(0, 8);
+            const compressedSize = new DataView(this.#pending.buffer).getUint32(0, true);
+            this.#compressed = new Uint8Array(compressedSize);
+            points = data.subarray(8);
+        }
+
+        const length = Math.min(points.length, this.#compressed.length - this.#compressedLength);
+        this.#compressed.set(points.subarray(0, length), this.#compressedLength);
+        this.#compressedLength += length;
+    }
+}
+
+/**
+ * Parses the content of a PCD file into a buffer of points.
+ * 
+ * Every field of the file is kept as a channel of the buffer, under its name in the header
+ * (e.g., `intensity`, `rgb`, `ring`, `timestamp`, `label`), in the type it is stored in.
+ * Fields with several values per point are split into one channel per value, named after
+ * the field and the index of the value, e.g., `fpfh_0`. Padding fields (named `_`) are skipped.
+ * The coordinates (`x`, `y`, `z`) are always the first three channels.
+ * 
+ * @param {ArrayBuffer} data The raw content of the PCD file.
+ * @param {CoordinateFormat} format The mapping between the coordinate system of the file
+ * and that of `three.js`.
+ * @returns {PointBuffer} The points described by the file.
+ * @throws {Error} If the file could not be parsed or does not contain any points.
+ */
+export function parsePcd(data, format) {
+    const parser = new PcdParser(format);
+    parser.push(new Uint8Array(data));
+
+    return parser.finish();
+}
+
+/**
+ * Reads a PCD file chosen by the user into a buffer of points, piece by piece, such that
+ * large files can be followed and cancelled while they load. See {@link parsePcd}.
+ * 
+ * @param {File} file The PCD file, e.g. from a file input or a drop event.
+ * @param {CoordinateFormat} format The mapping between the coordinate system of the file
+ * and that of `three.js`.
+ * @param {ReadOptions} options Follows and cancels the load.
+ * @returns {Promise<PointBuffer>} The points described by the file.
+ * @throws {Error} If the file could not be parsed or does not contain any points.
+ * @throws {DOMException} If the load is aborted, with the name `AbortError`.
+ */
+export async function readPcdFile(file, format, options = {}) {
+    const parser = new PcdParser(format);
+    await FileUtils.streamFile(file, (bytes) => parser.push(bytes), options);
+
+    return parser.finish();
+}
@@ -0,0 +1,178 @@
+import { PointBuffer } from '../pcd';
+
+/**
+ * @typedef {import('../pcd/PointBuffer').ChannelArray} ChannelArray
+ */
+
+/**
+ * @typedef {import('./LabelFile').PointLabels} PointLabels
+ */
+
+/**
+ * How the points of a written PCD file are stored after its header.
+ * 
+ * @typedef {'ascii' | 'binary'} PcdWriteFormat
+ */
+
+/**
+ * The formats which PCD files can be written in.
+ * 
+ * @type {ReadonlyArray<PcdWriteFormat>}
+ */
+export const PCD_WRITE_FORMATS = Object.freeze(['ascii', 'binary']);
+
+/**
+ * A field of a written PCD file.
+ * 
+ * @typedef {object} PcdWriteField
+ * @property {string} name The name of the field.
+ * @property {ChannelArray} array The value of the field for each point.
+ * @property {'F' | 'I' | 'U'} type Whether the values are floats, signed or unsigned integers.
+ * @property {number} size The number of bytes of each value.
+ * @property {(view: DataView, offset: number, value: number) => void} write Writes a value
+ * in binary at a byte offset.
+ * @property {(value: number) => string} format Writes a value as text.
+ */
+
+/**
+ * Writes a `float32` value as the shortest text which reads back into the same value.
+ * 
+ * @param {number} value The value.
+ * @returns {string} The text.
+ */
+function formatFloat32(value) {
+    if (Number.isNaN(value)) return 'nan';
+
+    // 9 significant digits tell every float32 apart
+    return Number(value.toPrecision(9)).toString();
+}
+
+/**
+ * Writes a `float64` value as the shortest text which reads back into the same value.
+ * 
+ * @param {number} value The value.
+ * @returns {string} The text.
+ */
+function formatFloat64(value) {
+    return Number.isNaN(value) ? 'nan' : value.toString();
+}
+
+/**
+ * Writes an integer value as text.
+ * 
+ * @param {number} value The value.
+ * @returns {string} The text.
+ */
+function formatInteger(value) {
+    return value.toString();
+}
+
+/**
+ * Describes how a channel is written into a PCD file, keeping the type it is stored in.
+ * 
+ * @param {string} name The name of the field.
+ * @param {ChannelArray} array The value of the field for each point.
+ * @returns {PcdWriteField} The field.
+ */
+function toField(name, array) {
+    if (array instanceof Float64Array) {
+        return { name: name, array: array, type: 'F', size: 8, write: (view, offset, value) => view.setFloat64(offset, value, true), format: formatFloat64 };
+    }
+    if (array instanceof Int8Array) {
+        return { name: name, array: array, type: 'I', size: 1, write: (view, offset, value) => view.setInt8(offset, value), format: formatInteger };
+    }
+    if (array instanceof Int16Array) {
+        return { name: name, array: array, type: 'I', size: 2, write: (view, offset, value) => view.setInt16(offset, value, true), format: formatInteger };
+    }
+    if (array instanceof Int32Array) {
+        return { name: name, array: array, type: 'I', size: 4, write: (view, offset, value) => view.setInt32(offset, value, true), format: formatInteger };
+    }
+    if (array instanceof Uint8Array) {
+        return { name: name, array: array, type: 'U', size: 1, write: (view, offset, value) => view.setUint8(offset, value), format: formatInteger };
+    }
+    if (array instanceof Uint16Array) {
+        return { name: name, array: array, type: 'U', size: 2, write: (view, offset, value) => view.setUint16(offset, value, true), format: formatInteger };
+    }
+    if (array instanceof Uint32Array) {
+        return { name: name, array: array, type: 'U', size: 4, write: (view, offset, value) => view.setUint32(offset, value, true), format: formatInteger };
+    }
+
+    return { name: name, array: array, type: 'F', size: 4, write: (view, offset, value) => view.setFloat32(offset, value, true), format: formatFloat32 };
+}
+
+/**
+ * Stores ids as `uint32`, which tools such as PCL expect of `label` fields, unless some of
+ * them are negative.
+ * 
+ * @param {Int32Array} ids The ids.
+ * @returns {Int32Array | Uint32Array} The ids, as `uint32` if possible.
+ */
+function toIdArray(ids) {
+    return ids.some((id) => id < 0) ? ids : Uint32Array.from(ids);
+}
+
+/**
+ * Encodes a point cloud and the labels of its points as a PCD file.
+ * 
+ * Every channel of the buffer is written as a field, in the type it is stored in, followed by
+ * the fields `label` (the class id of each point) and `instance` (the id of the label selection
+ * containing each point, or `0`). Existing channels with these names are replaced.
+ * 
+ * The coordinates are written as they are stored in the buffer, i.e., in the coordinate system
+ * of the original file rather than that of `three.js`, so they are the same as in the original
+ * file whatever coordinate format it was displayed with.
+ * 
+ * @param {PointBuffer} buffer The buffer containing every point of the point cloud.
+ * @param {PointLabels} labels The labels of each point.
+ * @param {PcdWriteFormat} format How the points are stored after the header.
+ * @returns {Blob} The content of the file.
+ * @throws {Error} If the labels do not match the points.
+ */
+export function encodePcd(buffer, labels, format) {
+    const { numPoints } = buffer;
+    if (labels.semantic.length !== numPoints || labels.instance.length !== numPoints) {
+        throw new Error(`There are ${labels.semantic.length} labels for ${numPoints} points`);
+    }
+
+    const fields = buffer.channelNames
+        .filter((name) => name !== 'label' && name !== 'instance')
+        .map((name) => toField(name, buffer.requireChannel(name)));
+    fields.push(toField('label', toIdArray(labels.semantic)), toField('instance', toIdArray(labels.instance)));
+
+    const header = [
+        '# .PCD v0.7 - Point Cloud Data file format',
+        'VERSION 0.7',
+        `FIELDS ${fields.map(({ name }) => name).join(' ')}`,
+        `SIZE ${fields.map(({ size }) => size).join(' ')}`,
+        `TYPE ${fields.map(({ type }) => type).join(' ')}`,
+        `COUNT ${fields.map(() => 1).join(' ')}`,
+        `WIDTH ${numPoints}`,
+        'HEIGHT 1',
+        'VIEWPOINT 0 0 0 1 0 0 0',
+        `POINTS ${numPoints}`,
+        `DATA ${format}`,
+        '',
+    ].join('\n');
+
+    if (format === 'ascii') {
+        const lines = new Array(numPoints);
+        for (let i = 0; i < numPoints; i++) {
+            lines[i] = fields.map(({ array, format: formatValue }) => formatValue(array[i])).join(' ');
+        }
+
+        return new Blob([header, lines.join('\n'), '\n'], { type: 'text/plain' });
+    }
+
+    const pointSize = fields.reduce((sum, { size }) => sum + size, 0);
+    const view = new DataView(new ArrayBuffer(numPoints * pointSize));
+
+    let fieldOffset = 0;
+    for (const { array, size, write } of fields) {
+        for (let i = 0; i < numPoints; i++) {
+            write(view, i * pointSize + fieldOffset, array[i]);
+        }
+        fieldOffset += size;
+    }
+
+    return new Blob([header, view.buffer], { type: 'application/octet-stream' });
+}
@@ -0,0 +1,311 @@
+import { CoordinateFormat } from '../config';
+import { PointBuffer } from '../pcd';
+import { FileUtils } from '../utils';
+
+/**
+ * @typedef {import('../pcd/PointBuffer').ChannelArray} ChannelArray
+ */
+
+/**
+ * @typedef {import('../utils/FileUtils').ReadOptions} ReadOptions
+ */
+
+/**
+ * A property of the elements of a PLY file.
+ * 
+ * @typedef {object} PlyProperty
+ * @property {string} name The name of the property, e.g., `x` or `red`.
+ * @property {string} type The type of the values, e.g., `float` or `uchar`.
+ * @property {?string} countType The type of the number of values if the property is a list;
+ * otherwise, `null`.
+ */
+
+/**
+ * An element of a PLY file, e.g., `vertex` or `face`.
+ * 
+ * @typedef {object} PlyElement
+ * @property {string} name The name of the element.
+ * @property {number} count The number of instances of the element.
+ * @property {PlyProperty[]} properties The properties of each instance, in order.
+ */
+
+/**
+ * The typed array constructor and the byte size of each PLY type, under both its legacy and
+ * its sized name.
+ * 
+ * @type {Readonly<Record<string, {
+ *     ArrayType: new (length: number) => ChannelArray,
+ *     size: number,
+ * }>>}
+ */
+const TYPES = Object.freeze({
+    char: { ArrayType: Int8Array, size: 1 },
+    int8: { ArrayType: Int8Array, size: 1 },
+    uchar: { ArrayType: Uint8Array, size: 1 },
+    uint8: { ArrayType: Uint8Array, size: 1 },
+    short: { ArrayType: Int16Array, size: 2 },
+    int16: { ArrayType: Int16Array, size: 2 },
+    ushort: { ArrayType: Uint16Array, size: 2 },
+    uint16: { ArrayType: Uint16Array, size: 2 },
+    int: { ArrayType: Int32Array, size: 4 },
+    int32: { ArrayType: Int32Array, size: 4 },
+    uint: { ArrayType: Uint32Array, size: 4 },
+    uint32: { ArrayType: Uint32Array, size: 4 },
+    float: { ArrayType: Float32Array, size: 4 },
+    float32: { ArrayType: Float32Array, size: 4 },
+    double: { ArrayType: Float64Array, size: 8 },
+    float64: { ArrayType: Float64Array, size: 8 },
+});
+
+/**
+ * The channel names used by this project for common names of vertex properties.
+ * 
+ * @type {Readonly<Record<string, string>>}
+ */
+const CHANNEL_ALIASES = Object.freeze({
+    red: 'r',
+    green: 'g',
+    blue: 'b',
+    diffuse_red: 'r',
+    diffuse_green: 'g',
+    diffuse_blue: 'b',
+    nx: 'normal_x',
+    ny: 'normal_y',
+    nz: 'normal_z',
+    scalar_intensity: 'intensity',
+});
+
+/**
+ * Creates a function reading a value of a PLY type from a data view.
+ * 
+ * @param {string} type The PLY type.
+ * @param {boolean} littleEndian Whether the values are little-endian.
+ * @returns {(view: DataView, offset: number) => number} Reads the value at a byte offset.
+ */
+function valueReader(type, littleEndian) {
+    switch (TYPES[type].ArrayType) {
+        case Int8Array: return (view, offset) => view.getInt8(offset);
+        case Uint8Array: return (view, offset) => view.getUint8(offset);
+        case Int16Array: return (view, offset) => view.getInt16(offset, littleEndian);
+        case Uint16Array: return (view, offset) => view.getUint16(offset, littleEndian);
+        case Int32Array: return (view, offset) => view.getInt32(offset, littleEndian);
+        case Uint32Array: return (view, offset) => view.getUint32(offset, littleEndian);
+        case Float32Array: return (view, offset) => view.getFloat32(offset, littleEndian);
+        default: return (view, offset) => view.getFloat64(offset, littleEndian);
+    }
+}
+
+/**
+ * Parses the header of a PLY file.
+ * 
+ * @param {Uint8Array} bytes The raw content of the PLY file.
+ * @returns {{ format: string, elements: PlyElement[], dataOffset: number }} How the elements
+ * are stored (`ascii`, `binary_little_endian` or `binary_big_endian`), the elements in the
+ * order they are stored, and the index of the first byte after the header.
+ * @throws {Error} If the header is invalid.
+ */
+function parseHeader(bytes) {
+    const decoder = new TextDecoder();
+
+    /**
+     * @type {string[][]}
+     */
+    const lines = [];
+
+    let start = 0;
+    for (;;) {
+        const end = bytes.indexOf(0x0a, start);
+        if (end < 0) {
+            throw new Error('The PLY file has no end_header line');
+        }
+
+        const tokens = decoder.decode(bytes.subarray(start, end)).trim().split(/\s+/);
+        start = end + 1;
+
+        if (tokens[0] === 'end_header') break;
+        lines.push(tokens);
+    }
+
+    if (lines[0]?.[0] !== 'ply') {
+        throw new Error('The file is not a PLY file');
+    }
+
+    let format = null;
+
+    /**
+     * @type {PlyElement[]}
+     */
+    const elements = [];
+    for (const [keyword, ...values] of lines) {
+        switch (keyword) {
+            case 'format':
+                format = values[0];
+                break;
+            case 'element':
+                elements.push({ name: values[0], count: Number(values[1]), properties: [] });
+                break;
+            case 'property': {
+                const element = elements[elements.length - 1];
+                if (element == null) {
+                    throw new Error('A property of the PLY file is not part of any element');
+                }
+
+                const isList = values[0] === 'list';
+                const [type, name] = isList ? values.slice(2) : values;
+                const countType = isList ? values[1] : null;
+                if (!(type in TYPES) || (countType != null && !(countType in TYPES))) {
+                    throw new Error(`Unsupported type of the PLY property ${name}`);
+                }
+
+                element.properties.push({ name, type, countType });
+                break;
+            }
+            default:
+        }
+    }
+
+    if (format !== 'ascii' && format !== 'binary_little_endian' && format !== 'binary_big_endian') {
+        throw new Error(`Unsupported PLY format ${format}`);
+    }
+
+    return { format: format, elements: elements, dataOffset: start };
+}
+
+/**
+ * Parses the content of a PLY file into a buffer of points, formed by its vertices.
+ * Other elements, e.g., faces, are ignored.
+ * 
+ * Every scalar property of the vertices is kept as a channel of the buffer, in the type it
+ * is stored in. The properties `red`, `green`, `blue` and `nx`, `ny`, `nz` are named `r`,
+ * `g`, `b` and `normal_x`, `normal_y`, `normal_z`, as in the rest of this project.
+ * The coordinates (`x`, `y`, `z`) are always the first three channels.
+ * 
+ * @param {ArrayBuffer} data The raw content of the PLY file.
+ * @param {CoordinateFormat} format The mapping between the coordinate system of the file
+ * and that of `three.js`.
+ * @returns {PointBuffer} The points described by the file.
+ * @throws {Error} If the file could not be parsed or does not contain any points.
+ */
+export function parsePly(data, format) {
+    const bytes = new Uint8Array(data);
+    const header = parseHeader(bytes);
+
+    const vertexIdx = header.elements.findIndex(({ name }) => name === 'vertex');
+    const vertex = header.elements[vertexIdx];
+    if (vertex == null || vertex.count === 0) {
+        throw new Error('The PLY file does not contain any points');
+    }
+
+    const channels = vertex.properties.map(({ name, type }) => ({
+        name: CHANNEL_ALIASES[name] ?? name,
+        array: new TYPES[type].ArrayType(vertex.count),
+    }));
+
+    if (header.format === 'ascii') {
+        const lines = new TextDecoder().decode(bytes.subarray(header.dataOffset)).split('\n');
+
+        // Each instance of an element is on its own line
+        let l = 0;
+        for (const element of header.elements.slice(0, vertexIdx)) {
+            l += element.count;
+        }
+
+        for (let i = 0; i < vertex.count; i++, l++) {
+            const tokens = (lines[l] ?? '').trim().split(/\s+/);
+
+            let t = 0;
+            vertex.properties.forEach(({ countType }, c) => {
+                if (countType != null) {
+                    // Skip the values of the list
+                    t += Number(tokens[t]) + 1;
+                } else {
+                    channels[c].array[i] = Number(tokens[t]);
+                    t += 1;
+                }
+            });
+            if (t > tokens.length) {
+                throw new Error(
+                    `Vertex ${i} of the PLY file has ${tokens.length} values instead of ${t}`,
+                );
+            }
+        }
+    } else {
+        const littleEndian = header.format === 'binary_little_endian';
+        const view = new DataView(data);
+
+        /**
+         * Reads the instances of an element, calling a function with the byte offset of each
+         * value of each scalar property.
+         * 
+         * @param {PlyElement} element The element.
+         * @param {number} offset The byte offset of the first instance.
+         * @param {?(i: number, c: number, offset: number) => void} onValue Called with the index
+         * of the instance, the index of the property and the byte offset of its value.
+         * @returns {number} The byte offset after the last instance.
+         */
+        const readElement = (element, offset, onValue) => {
+            // The number of values of each list property comes first
+            const counts = element.properties.map(({ countType }) => (
+                (countType != null)
+                    ? { read: valueReader(countType, littleEndian), size: TYPES[countType].size }
+                    : null
+            ));
+
+            let position = offset;
+            for (let i = 0; i < element.count; i++) {
+                for (let c = 0; c < element.properties.length; c++) {
+                    const { size } = TYPES[element.properties[c].type];
+                    const countOf = counts[c];
+                    if (countOf != null) {
+                        const count = countOf.read(view, position);
+                        position += countOf.size + count * size;
+                    } else {
+                        onValue?.(i, c, position);
+                        position += size;
+                    }
+                }
+                if (position > view.byteLength) {
+                    throw new Error(`The PLY file is truncated in its ${element.name} elements`);
+                }
+            }
+
+            return position;
+        };
+
+        let offset = header.dataOffset;
+        for (const element of header.elements.slice(0, vertexIdx)) {
+            offset = readElement(element, offset, null);
+        }
+
+        const readers = vertex.properties.map(({ type }) => valueReader(type, littleEndian));
+        readElement(vertex, offset, (i, c, valueOffset) => {
+            channels[c].array[i] = readers[c](view, valueOffset);
+        });
+    }
+
+    const scalars = channels.filter((_, c) => vertex.properties[c].countType == null);
+    const coords = ['x', 'y', 'z'].map((axis) => {
+        const channel = scalars.find(({ name }) => name === axis);
+        if (channel == null) {
+            throw new Error('The vertices of the PLY file have no x, y and z properties');
+        }
+
+        return channel;
+    });
+
+    const others = scalars.filter((channel) => !coords.includes(channel));
+    return PointBuffer.fromChannels([...coords, ...others], format);
+}
+
+/**
+ * Reads a PLY file chosen by the user into a buffer of points. See {@link parsePly}.
+ * 
+ * @param {File} file The PLY file, e.g. from a file input or a drop event.
+ * @param {CoordinateFormat} format The mapping between the coordinate system of the file
+ * and that of `three.js`.
+ * @param {ReadOptions} options Follows and cancels the load.
+ * @returns {Promise<PointBuffer>} The points described by the file.
+ */
+export async function readPlyFile(file, format, options = {}) {
+    return parsePly(await FileUtils.readFile(file, options), format);
+}
@@ -0,0 +1,165 @@
+/**
+ * @typedef {import('../Scene').SceneState} SceneState
+ */
+
+/**
+ * An annotation session saved in the browser:
+ * - `key`: Identifies the scanned point cloud, see {@link sessionKey}.
+ * - `fileName`: The name of the point cloud file.
+ * - `fileHash`: The hash of the content of the point cloud file.
+ * - `savedAt`: When the session was saved, in milliseconds since the epoch.
+ * - `state`: The state of the scene.
+ * 
+ * @typedef {{
+ *     key: string,
+ *     fileName: string,
+ *     fileHash: string,
+ *     savedAt: number,
+ *     state: SceneState
+ * }} Session
+ */
+
+/**
+ * The name of the IndexedDB database holding the sessions.
+ * 
+ * @type {string}
+ */
+const DB_NAME = 'pcd-segmentation-interface';
+
+/**
+ * The version of the IndexedDB database holding the sessions.
+ * 
+ * @type {number}
+ */
+const DB_VERSION = 1;
+
+/**
+ * The name of the object store holding the sessions.
+ * 
+ * @type {string}
+ */
+const STORE_NAME = 'sessions';
+
+/**
+ * The maximum number of sessions kept in the database. The least recently saved
+ * sessions are discarded first.
+ * 
+ * @type {number}
+ */
+export const MAX_SESSIONS = 20;
+
+/**
+ * @type {?Promise<IDBDatabase>}
+ */
+let dbPromise = null;
+
+/**
+ * Waits for an IndexedDB request to complete.
+ * 
+ * @template T
+ * @param {IDBRequest<T>} request The request.
+ * @returns {Promise<T>} The result of the request.
+ */
+function promisify(request) {
+    return new Promise((resolve, reject) => {
+        request.addEventListener('success', () => resolve(request.result));
+        request.addEventListener('error', () => reject(request.error));
+    });
+}
+
+/**
+ * Opens the database holding the sessions, creating it if needed.
+ * 
+ * @returns {Promise<IDBDatabase>} The database.
+ */
+function openDatabase() {
+    if (dbPromise == null) {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.addEventListener('upgradeneeded', () => {
+            const store = request.result.createObjectStore(STORE_NAME, { keyPath: 'key' });
+            store.createIndex('savedAt', 'savedAt');
+        });
+
+        dbPromise = promisify(request);
+
+        // Allow retrying if the database could not be opened
+        dbPromise.catch(() => { dbPromise = null; });
+    }
+
+    return dbPromise;
+}
+
+/**
+ * Obtains the object store holding the sessions.
+ * 
+ * @param {IDBTransactionMode} mode The mode of the transaction.
+ * @returns {Promise<IDBObjectStore>} The object store.
+ */
+async function getStore(mode) {
+    const db = await openDatabase();
+
+    return db.transaction(STORE_NAME, mode).objectStore(STORE_NAME);
+}
+
+/**
+ * Obtains the key identifying the sessions of a scanned point cloud.
+ * 
+ * @param {string} fileName The name of the point cloud file.
+ * @param {string} fileHash The hash of the content of the point cloud file.
+ * @returns {string} The key.
+ */
+export function sessionKey(fileName, fileHash) {
+    return `${fileName}:${fileHash}`;
+}
+
+/**
+ * Saves a session, replacing the session with the same key if any.
+ * 
+ * @param {Session} session The session to save.
+ */
+export async function saveSession(session) {
+    await promisify((await getStore('readwrite')).put(session));
+
+    const store = await getStore('readwrite');
+
+    /**
+     * @type {IDBValidKey[]}
+     */
+    const keys = await promisify(store.index('savedAt').getAllKeys());
+    for (const key of keys.slice(0, Math.max(keys.length - MAX_SESSIONS, 0))) {
+        store.delete(key);
+    }
+}
+
+/**
+ * Loads the session of a scanned point cloud.
+ * 
+ * @param {string} key The key of the session, see {@link sessionKey}.
+ * @returns {Promise<?Session>} The session, or `null` if there is none.
+ */
+export async function loadSession(key) {
+    const session = await promisify((await getStore('readonly')).get(key));
+
+    return session ?? null;
+}
+
+/**
+ * Loads the most recently saved session.
+ * 
+ * @returns {Promise<?Session>} The session, or `null` if there is none.
+ */
+export async function loadLatestSession() {
+    const store = await getStore('readonly');
+    const cursor = await promisify(store.index('savedAt').openCursor(null, 'prev'));
+
+    return cursor?.value ?? null;
+}
+
+/**
+ * Deletes the session of a scanned point cloud, if any.
+ * 
+ * @param {string} key The key of the session, see {@link sessionKey}.
+ */
+export async function deleteSession(key) {
+    await promisify((await getStore('readwrite')).delete(key));
+}
@@ -0,0 +1,146 @@
+import { CoordinateFormat } from '../config';
+import { PointBuffer } from '../pcd';
+import { FileUtils } from '../utils';
+
+/**
+ * @typedef {import('../utils/FileUtils').ReadOptions} ReadOptions
+ */
+
+/**
+ * The names of the channels of files without a header, by their number of columns.
+ * Other numbers of columns are named `x`, `y`, `z` followed by the index of each column.
+ * 
+ * @type {Readonly<Record<number, ReadonlyArray<string>>>}
+ */
+const DEFAULT_CHANNEL_NAMES = Object.freeze({
+    3: ['x', 'y', 'z'],
+    4: ['x', 'y', 'z', 'intensity'],
+    6: ['x', 'y', 'z', 'r', 'g', 'b'],
+    7: ['x', 'y', 'z', 'intensity', 'r', 'g', 'b'],
+    9: ['x', 'y', 'z', 'r', 'g', 'b', 'normal_x', 'normal_y', 'normal_z'],
+});
+
+/**
+ * The channel names used by this project for common column names of headers.
+ * 
+ * @type {Readonly<Record<string, string>>}
+ */
+const CHANNEL_ALIASES = Object.freeze({
+    red: 'r',
+    green: 'g',
+    blue: 'b',
+    nx: 'normal_x',
+    ny: 'normal_y',
+    nz: 'normal_z',
+    i: 'intensity',
+});
+
+/**
+ * Splits a line of an XYZ file into its columns.
+ * 
+ * @param {string} line The line.
+ * @returns {string[]} The columns, or an empty array if the line is blank.
+ */
+function splitColumns(line) {
+    const trimmed = line.trim();
+
+    return (trimmed === '') ? [] : trimmed.split(/[\s,;]+/);
+}
+
+/**
+ * Parses the content of an XYZ file into a buffer of points.
+ * 
+ * Each line describes a point by values separated by spaces, commas or semicolons,
+ * starting with its coordinates. The first line may be a header naming each column,
+ * e.g., `//X Y Z Intensity`. Otherwise, the columns are named after their number:
+ * `x y z`, `x y z intensity`, `x y z r g b`, `x y z intensity r g b` or
+ * `x y z r g b normal_x normal_y normal_z`.
+ * 
+ * The values are kept as `float64`, since XYZ files often hold georeferenced coordinates.
+ * 
+ * @param {ArrayBuffer} data The raw content of the file.
+ * @param {CoordinateFormat} format The mapping between the coordinate system of the file
+ * and that of `three.js`.
+ * @returns {PointBuffer} The points described by the file.
+ * @throws {Error} If a line has too few values or the file does not contain any points.
+ */
+export function parseXyz(data, format) {
+    const lines = new TextDecoder().decode(data).split('\n');
+
+    let first = 0;
+    while (first < lines.length && splitColumns(lines[first]).length === 0) {
+        first += 1;
+    }
+
+    /**
+     * @type {?string[]}
+     */
+    let names = null;
+    const header = splitColumns((lines[first] ?? '').replace(/^\s*(\/\/|#)/, ''));
+    if (header.length > 0 && header.some((column) => Number.isNaN(Number(column)))) {
+        names = header.map((column) => {
+            const name = column.toLowerCase();
+            return CHANNEL_ALIASES[name] ?? name;
+        });
+        first += 1;
+    }
+
+    /**
+     * The values of each column, with room for a point per remaining line.
+     * 
+     * @type {Float64Array[]}
+     */
+    let arrays = [];
+    let numPoints = 0;
+    for (let l = first; l < lines.length; l++) {
+        const columns = splitColumns(lines[l]);
+        if (columns.length > 0) {
+            if (names == null) {
+                names = [...(DEFAULT_CHANNEL_NAMES[columns.length]
+                    ?? columns.map((_, c) => ['x', 'y', 'z'][c] ?? c.toString()))];
+            }
+            if (arrays.length === 0) {
+                arrays = names.map(() => new Float64Array(lines.length - l));
+            }
+            if (columns.length < names.length || columns.length < 3) {
+                const expected = Math.max(names.length, 3);
+                throw new Error(`Line ${l + 1} has ${columns.length} values instead of ${expected}`);
+            }
+
+            for (let c = 0; c < arrays.length; c++) {
+                arrays[c][numPoints] = Number(columns[c]);
+            }
+            numPoints += 1;
+        }
+    }
+
+    if (names == null || numPoints === 0) {
+        throw new Error('The XYZ file does not contain any points');
+    }
+
+    const channels = names.map((name, c) => ({ name: name, array: arrays[c].slice(0, numPoints) }));
+    const coords = ['x', 'y', 'z'].map((axis) => {
+        const channel = channels.find(({ name }) => name === axis);
+        if (channel == null) {
+            throw new Error('The XYZ file does not contain any points');
+        }
+
+        return channel;
+    });
+
+    const others = channels.filter((channel) => !coords.includes(channel));
+    return PointBuffer.fromChannels([...coords, ...others], format);
+}
+
+/**
+ * Reads an XYZ file chosen by the user into a buffer of points. See {@link parseXyz}.
+ * 
+ * @param {File} file The XYZ file, e.g. from a file input or a drop event.
+ * @param {CoordinateFormat} format The mapping between the coordinate system of the file
+ * and that of `three.js`.
+ * @param {ReadOptions} options Follows and cancels the load.
+ * @returns {Promise<PointBuffer>} The points described by the file.
+ */
+export async function readXyzFile(file, format, options = {}) {
+    return parseXyz(await FileUtils.readFile(file, options), format);
+}
@@ -0,0 +1,12 @@
+export * as PcdReader from './PcdReader';
+export * as PcdWriter from './PcdWriter';
+export * as LabelFile from './LabelFile';
+export * as SessionStore from './SessionStore';
+export * as LabelSetFile from './LabelSetFile';
+export * as PlyReader from './PlyReader';
+export * as XyzReader from './XyzReader';
+export * as KittiReader from './KittiReader';
+export * as LasReader from './LasReader';
+export * as LoaderRegistry from './LoaderRegistry';
+export * as CoordinateFormatStore from './CoordinateFormatStore';
+export * as BoxFile from './BoxFile';
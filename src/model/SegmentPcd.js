@@ -92,7 +92,7 @@ export class SegmentPcd {
     #pcdCenter = null;
 
     async #embedPcd() {
-        const pcdTensor = new Tensor("float32", this.pcd.buffer.data, [this.pcd.buffer.numPoints,3]);
+        const pcdTensor = new Tensor("float32", this.pcd.buffer.getProjectCoords(), [this.pcd.buffer.numPoints,3]);
 
         /**
          * @type {EncoderFeed}
@@ -133,7 +133,7 @@ export class SegmentPcd {
      * @returns {Promise<?Int16Array>}
      */
     async predict(points, labels) {
-        const pcdTensor = new Tensor("float32", this.pcd.buffer.data, [this.pcd.buffer.numPoints,3]);
+        const pcdTensor = new Tensor("float32", this.pcd.buffer.getProjectCoords(), [this.pcd.buffer.numPoints,3]);
         const pointPrompts = new Tensor("float32", points, [points.length,3]);
         const labelPrompts = new Tensor('float32', labels, [points.length, 3]);
 
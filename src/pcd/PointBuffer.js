@@ -27,6 +27,13 @@ function checkNumChannels(data, numChannels) {
     return numChannels;
 }
 
+/**
+ * The values of one channel of every point, in the type they were stored in.
+ * 
+ * @typedef {Float32Array | Float64Array | Int8Array | Int16Array | Int32Array | Uint8Array
+ *     | Uint16Array | Uint32Array} ChannelArray
+ */
+
 /**
  * Interprets a flat array as an array of points.
  */
@@ -49,7 +56,10 @@ export class PointBuffer {
     /**
      * The mapping between the coordinate system of the project and that of `three.js`.
      * 
-     * @readonly
+     * It may be changed, e.g., when the user picks another up axis, since `data` is kept in
+     * the coordinate system of the project. Objects derived from the `three.js` coordinates
+     * must then be updated, see {@link PointCloud.coordinateFormat}.
+     * 
      * @type {CoordinateFormat}
      */
     format;
@@ -64,6 +74,37 @@ export class PointBuffer {
      */
     numChannels;
 
+    /**
+     * The name of each channel, e.g., `x`, `y`, `z`, `intensity`.
+     * 
+     * @readonly
+     * @type {ReadonlyArray<string>}
+     */
+    channelNames;
+
+    /**
+     * The values of the channels which are not `float32`, in the type they were stored in,
+     * since `data` cannot represent every one of them exactly (e.g., `uint32` labels or
+     * `float64` timestamps).
+     * 
+     * @type {Map<string, ChannelArray>}
+     */
+    #typedChannels = new Map();
+
+    /**
+     * The `three.js` coordinates of each point, computed by {@link getCoordsArray}.
+     * 
+     * @type {?Float32Array}
+     */
+    #coords = null;
+
+    /**
+     * The coordinate format which {@link #coords} was computed with.
+     * 
+     * @type {?CoordinateFormat}
+     */
+    #coordsFormat = null;
+
     /**
      * Checks that an inputted index of a channel is in the range `[0, this.numChannels)`.
      * 
@@ -143,6 +184,41 @@ export class PointBuffer {
         return this.fromBufferAttribute(bufferGeo.getAttribute('position'), format);
     }
 
+    /**
+     * Creates a new buffer object from the values of each channel.
+     * 
+     * @param {Array<{ name: string, array: ChannelArray }>} channels The name and the values
+     * of each channel, for every point. The first three channels should be the coordinates.
+     * The arrays of the channels which are not `float32` are kept, so no precision is lost.
+     * @param {CoordinateFormat} format The mapping between the coordinate system of the project
+     * and that of `three.js`.
+     * @returns {PointBuffer} The resulting buffer object.
+     * @throws {Error} If the channels do not have the same number of points.
+     */
+    static fromChannels(channels, format) {
+        const numChannels = channels.length;
+        const numPoints = channels[0]?.array.length ?? 0;
+        if (channels.some(({ array }) => array.length !== numPoints)) {
+            throw new Error('Every channel must have the same number of points');
+        }
+
+        const data = new Float32Array(numPoints * numChannels);
+        channels.forEach(({ array }, c) => {
+            for (let i = 0; i < numPoints; i++) {
+                data[i * numChannels + c] = array[i];
+            }
+        });
+
+        const buffer = new PointBuffer(data, format, numChannels, channels.map(({ name }) => name));
+        for (const { name, array } of channels) {
+            if (!(array instanceof Float32Array)) {
+                buffer.#typedChannels.set(name, array);
+            }
+        }
+
+        return buffer;
+    }
+
     /**
      * Creates a new buffer object with the provided data and metadata.
      * 
@@ -151,14 +227,45 @@ export class PointBuffer {
      * @param {CoordinateFormat} format The mapping between the coordinate system of the project
      * and that of `three.js`.
      * @param {number} numChannels The number of values used to describe each point in `data`.
+     * @param {?string[]} channelNames The name of each channel. Defaults to `x`, `y`, `z`
+     * followed by the index of each remaining channel.
      */
-    constructor(data, format, numChannels) {
+    constructor(data, format, numChannels, channelNames = null) {
         const cleanedNumChannels = checkNumChannels(data, numChannels);
 
         this.#data = data;
         this.format = format;
         this.numChannels = cleanedNumChannels;
         this.numPoints = data.length / cleanedNumChannels;
+
+        const defaultNames = _.range(cleanedNumChannels).map((i) => ['x', 'y', 'z'][i] ?? i.toString());
+        if (channelNames != null && channelNames.length !== cleanedNumChannels) {
+            console.error(
+                `The number of channel names (${channelNames.length}) does not match the number of channels (${cleanedNumChannels})`,
+            );
+        }
+        const hasNames = channelNames != null && channelNames.length === cleanedNumChannels;
+        this.channelNames = Object.freeze(hasNames ? [...channelNames] : defaultNames);
+    }
+
+    /**
+     * Finds a channel by name.
+     * 
+     * @param {string} name The name of the channel.
+     * @returns {number} The index of the channel, or `-1` if there is no channel with that name.
+     */
+    findChannel(name) {
+        return this.channelNames.indexOf(name);
+    }
+
+    /**
+     * Checks whether this buffer has some channels.
+     * 
+     * @param {...string} names The names of the channels.
+     * @returns {boolean} `true` if there is a channel with each of the names; otherwise, `false`.
+     */
+    hasChannels(...names) {
+        return names.every((name) => this.channelNames.includes(name));
     }
 
     /**
@@ -168,44 +275,183 @@ export class PointBuffer {
      * @returns {Float32Array} The `i`th element represents the `i`th channel of the given point.
      */
     getPoint(pointIdx) {
+        return this.getPointView(pointIdx).slice();
+    }
+
+    /**
+     * Obtains each channel of a point by index, as a view on the data of this buffer rather
+     * than a copy.
+     * 
+     * @param {number} pointIdx The index of the point, in the range `[0, this.numPoints)`.
+     * @returns {Float32Array} The `i`th element represents the `i`th channel of the given point.
+     * Writing into it changes the data of this buffer.
+     */
+    getPointView(pointIdx) {
         const cleanedPointIdx = this.#checkPointIdx(pointIdx);
 
         const numChannels = this.numChannels;
-        return this.#data.slice(numChannels * cleanedPointIdx, numChannels * (cleanedPointIdx + 1));
+        const start = numChannels * cleanedPointIdx;
+        return this.#data.subarray(start, start + numChannels);
     }
 
     /**
      * Obtains the `three.js` coordinates of a point by index.
      * 
      * @param {number} pointIdx The index of the point, in the range `[0, this.numPoints)`.
+     * @param {THREE.Vector3} target The vector to write the coordinates into.
      * @returns {THREE.Vector3} The coordinates of the given point.
      */
-    getPointCoords(pointIdx) {
-        const [a, b, c] = this.getPoint(pointIdx);
-        return this.format.toThreeJSCoords(new THREE.Vector3(a, b, c));
+    getPointCoords(pointIdx, target = new THREE.Vector3()) {
+        const cleanedPointIdx = this.#checkPointIdx(pointIdx);
+
+        return target.fromArray(this.getCoordsArray(), cleanedPointIdx * 3);
+    }
+
+    /**
+     * For each point, obtains its `three.js` coordinates as a flat array.
+     * 
+     * The array is computed once and cached. When {@link format} changes, it is transformed
+     * again in place, so the same array is returned.
+     * 
+     * @returns {Float32Array} The coordinates of the `i`th point are the elements
+     * `3 * i` to `3 * i + 2`. It should not be modified.
+     */
+    getCoordsArray() {
+        if (this.#coords != null && this.#coordsFormat === this.format) return this.#coords;
+
+        if (this.#coords == null) {
+            this.#coords = new Float32Array(this.numPoints * 3);
+        }
+
+        const coords = this.#coords;
+        const data = this.#data;
+        const numChannels = this.numChannels;
+        const e = this.format.matrix.elements;
+        for (let i = 0; i < this.numPoints; i++) {
+            const x = data[i * numChannels];
+            const y = data[i * numChannels + 1];
+            const z = data[i * numChannels + 2];
+
+            coords[i * 3] = e[0] * x + e[4] * y + e[8] * z + e[12];
+            coords[i * 3 + 1] = e[1] * x + e[5] * y + e[9] * z + e[13];
+            coords[i * 3 + 2] = e[2] * x + e[6] * y + e[10] * z + e[14];
+        }
+        this.#coordsFormat = this.format;
+
+        return coords;
+    }
+
+    /**
+     * Calls a function with the `three.js` coordinates of each point, without creating any
+     * object.
+     * 
+     * @param {(x: number, y: number, z: number, pointIdx: number) => void} callback Called
+     * with the coordinates and the index of each point, in order.
+     */
+    forEachCoords(callback) {
+        const coords = this.getCoordsArray();
+        for (let i = 0; i < this.numPoints; i++) {
+            callback(coords[i * 3], coords[i * 3 + 1], coords[i * 3 + 2], i);
+        }
+    }
+
+    /**
+     * Iterates over the `three.js` coordinates of some points.
+     * 
+     * The same vector is yielded for every point, overwritten with its coordinates, so it
+     * should be copied to be kept.
+     * 
+     * @param {?ArrayLike<number>} indices The indices of the points, or `null` for every point.
+     * @param {THREE.Vector3} target The vector to write the coordinates into.
+     * @yields {THREE.Vector3} The coordinates of each point, in order.
+     */
+    * iterateCoords(indices = null, target = new THREE.Vector3()) {
+        const coords = this.getCoordsArray();
+
+        const count = indices?.length ?? this.numPoints;
+        for (let k = 0; k < count; k++) {
+            const i = (indices != null) ? indices[k] : k;
+            yield target.fromArray(coords, i * 3);
+        }
     }
 
     /**
-     * For each point, obtains its `three.js` coordinates.
+     * For each point, obtains its coordinates in the format of the project, i.e., the values
+     * of its first three channels.
      * 
-     * @returns {THREE.Vector3[]} The `i`th element represents the coordinates of the `i`th point.
+     * @returns {Float32Array} The coordinates of the `i`th point are the elements
+     * `3 * i` to `3 * i + 2`. If each point has no other channel, this is the data of this
+     * buffer rather than a copy.
      */
-    getCoords() {
-        return _.range(this.numPoints).map((i) => this.getPointCoords(i));
+    getProjectCoords() {
+        const data = this.#data;
+        const numChannels = this.numChannels;
+        if (numChannels === 3) return data;
+
+        const coords = new Float32Array(this.numPoints * 3);
+        for (let i = 0; i < this.numPoints; i++) {
+            coords[i * 3] = data[i * numChannels];
+            coords[i * 3 + 1] = data[i * numChannels + 1];
+            coords[i * 3 + 2] = data[i * numChannels + 2];
+        }
+
+        return coords;
     }
 
     /**
      * For each point, obtains the value of a channel by index.
      * 
      * @param {number} channelIdx The index of the channel, in the range `[0, this.numChannels)`.
-     * @returns {number[]} The `i`th element represents the given channel of the `i`th point.
+     * @returns {Float32Array} The `i`th element represents the given channel of the `i`th point.
      */
     getChannel(channelIdx) {
         const cleanedChannelIdx = this.#checkChannelIdx(channelIdx);
 
         const data = this.#data;
         const numChannels = this.numChannels;
-        return _.range(this.numPoints).map((i) => data[i * numChannels + cleanedChannelIdx]);
+        const values = new Float32Array(this.numPoints);
+        for (let i = 0; i < this.numPoints; i++) {
+            values[i] = data[i * numChannels + cleanedChannelIdx];
+        }
+
+        return values;
+    }
+
+    /**
+     * For each point, obtains the value of a channel by name, in the type it was stored in.
+     * 
+     * @param {string} name The name of the channel.
+     * @returns {?ChannelArray} The `i`th element represents the given channel of the `i`th point,
+     * or `null` if there is no channel with that name. Channels stored as `float32` are
+     * returned as a copy in a `Float32Array`.
+     */
+    getChannelByName(name) {
+        const typed = this.#typedChannels.get(name);
+        if (typed != null) return typed;
+
+        const channelIdx = this.findChannel(name);
+        if (channelIdx < 0) return null;
+
+        return this.getChannel(channelIdx);
+    }
+
+    /**
+     * For each point, obtains the value of a channel by name, in the type it was stored in.
+     * Unlike {@link getChannelByName}, the channel must exist, e.g., as checked by
+     * {@link hasChannels}.
+     * 
+     * @param {string} name The name of the channel.
+     * @returns {ChannelArray} The `i`th element represents the given channel of the `i`th point.
+     * It should not be modified.
+     * @throws {Error} If there is no channel with that name.
+     */
+    requireChannel(name) {
+        const channel = this.getChannelByName(name);
+        if (channel == null) {
+            throw new Error(`The points have no ${name} channel`);
+        }
+
+        return channel;
     }
 
     /**
@@ -214,6 +460,16 @@ export class PointBuffer {
      * @returns {PointBuffer} The newly created copy.
      */
     clone() {
-        return new PointBuffer(this.#data.slice(), this.format, this.numChannels);
+        const copy = new PointBuffer(
+            this.#data.slice(),
+            this.format,
+            this.numChannels,
+            [...this.channelNames],
+        );
+        for (const [name, array] of this.#typedChannels) {
+            copy.#typedChannels.set(name, array.slice());
+        }
+
+        return copy;
     }
 }
@@ -1,45 +1,189 @@
 import * as THREE from 'three';
 
-
+import { CoordinateFormat } from '../config';
+import * as IndexUtils from '../utils/IndexUtils';
 import { PointBuffer } from './PointBuffer';
+import { PointOctree } from './PointOctree';
+
+/**
+ * @typedef {import('../utils/IndexUtils').IndexSet} IndexSet
+ */
+
+/**
+ * @typedef {import('./PointOctree').OctreeNode} OctreeNode
+ */
+
+/**
+ * A node of the octree whose points are uploaded to the GPU:
+ * - `indices`: The indices of the drawn points of the node, i.e., those which are not hidden.
+ * - `points`: Draws the points of the node.
+ * - `colors`: The colors of the drawn points, as uploaded to the GPU.
+ * - `colorsVersion`: The version of the colors of the point cloud which the node displays.
+ * - `lastVisibleFrame`: The last frame the node was drawn in.
+ * 
+ * @typedef {{
+ *     indices: IndexSet,
+ *     points: THREE.Points<THREE.BufferGeometry, THREE.PointsMaterial>,
+ *     colors: THREE.BufferAttribute,
+ *     colorsVersion: number,
+ *     lastVisibleFrame: number
+ * }} LoadedNode
+ */
+
+/**
+ * The color of points which are not in any label selection.
+ * 
+ * @type {Readonly<THREE.Color>}
+ */
+const NEUTRAL_COLOR = new THREE.Color(0x9e9e9e);
+
+/**
+ * The maximum number of points drawn in each frame, by default.
+ * 
+ * @type {number}
+ */
+export const DEFAULT_POINT_BUDGET = 3000000;
+
+/**
+ * How many times the point budget may be kept on the GPU, so that nodes which were drawn
+ * recently do not need to be uploaded again when the camera moves back.
+ * 
+ * @type {number}
+ */
+const LOADED_POINTS_FACTOR = 2;
 
 /**
  * Represents a point cloud in the scene.
+ * 
+ * The points are split into an octree of levels of detail (see {@link PointOctree}), and only
+ * the nodes in view of the camera are uploaded to the GPU and drawn, at a detail matched to
+ * their size on screen. Everything else, e.g., the selection queries, uses every point.
  */
 export class PointCloud {
 
     /**
-     * Displays each point in this point cloud.
+     * The buffer containing the data of this point cloud.
+     * 
+     * @readonly
+     * @type {PointBuffer}
+     */
+    buffer;
+
+    /**
+     * The maximum number of points drawn in each frame.
      * 
-     * @type {THREE.Points<THREE.BufferGeometry, THREE.PointsMaterial>}
+     * @type {number}
      */
-    #points;
+    pointBudget = DEFAULT_POINT_BUDGET;
 
     /**
-     * @type {THREE.Points<THREE.BufferGeometry, THREE.PointsMaterial>}
+     * @type {Float32Array}
      */
-    get points() { return this.#points; }
+    #positions;
 
     /**
-     * The buffer containing the data of this point cloud.
+     * The `three.js` coordinates of every point of this point cloud, 3 per point.
      * 
-     * @readonly
-     * @type {PointBuffer}
+     * @type {Float32Array}
      */
-    buffer;
+    get positions() { return this.#positions; }
 
     /**
-     * @type {THREE.Vector3[]}
+     * The displayed color of every point of this point cloud, 3 per point.
+     * 
+     * @type {Float32Array}
      */
-    #bufferNDC = [];
+    #colors;
 
     /**
+     * Increases whenever the uploaded nodes must copy every color of {@link #colors}.
      * 
-     * @type {THREE.Vector3[]}
+     * @type {number}
      */
-    get bufferNDC() { return this.#bufferNDC; }
+    #colorsVersion = 0;
 
-    set bufferNDC(value) { this.#bufferNDC = value; }
+    /**
+     * The indices of the points whose colors changed since the uploaded nodes were last
+     * updated, or `null` if every color may have changed.
+     * 
+     * @type {?IndexSet[]}
+     */
+    #changedIndices = [];
+
+    /**
+     * The levels of detail of the points.
+     * 
+     * @type {PointOctree}
+     */
+    #octree;
+
+    /**
+     * The nodes of the octree whose points are uploaded to the GPU.
+     * 
+     * @type {Map<OctreeNode, LoadedNode>}
+     */
+    #loadedNodes = new Map();
+
+    /**
+     * The number of times the drawn nodes were updated.
+     * 
+     * @type {number}
+     */
+    #frame = 0;
+
+    /**
+     * Whether each point is hidden, or `null` if none is.
+     * 
+     * @type {?Uint8Array}
+     */
+    #hiddenMask = null;
+
+    /**
+     * @type {?IndexSet}
+     */
+    #hiddenPoints = null;
+
+    /**
+     * The indices of the points which are not drawn, e.g., the ground while the objects above
+     * it are labelled, or `null` to draw every point. They cannot be picked either.
+     * 
+     * @type {?IndexSet}
+     */
+    get hiddenPoints() { return this.#hiddenPoints; }
+
+    set hiddenPoints(value) {
+        if (this.hiddenPoints !== value) {
+            this.#hiddenPoints = value;
+
+            if (value != null) {
+                this.#hiddenMask = new Uint8Array(this.buffer.numPoints);
+                for (let i = 0; i < value.length; i++) {
+                    this.#hiddenMask[value[i]] = 1;
+                }
+            } else {
+                this.#hiddenMask = null;
+            }
+
+            // The nodes are uploaded again without the hidden points
+            this.#unloadNodes(0);
+        }
+    }
+
+    /**
+     * Shared by the points of every node.
+     * 
+     * @readonly
+     * @type {THREE.PointsMaterial}
+     */
+    #material;
+
+    /**
+     * Contains the points of the drawn nodes.
+     * 
+     * @readonly
+     * @type {THREE.Group}
+     */
+    #object = new THREE.Group();
 
     /**
      * 
@@ -47,25 +191,48 @@ export class PointCloud {
      */
     get numChannels() { return this.buffer.numChannels; }
 
-    // /**
-    //  * @readonly
-    //  * @type {string[]}
-    //  */
-    // #channelNames;
+    /**
+     * The name of each channel of the points of this point cloud, e.g., `x`, `y`, `z`, `intensity`.
+     * 
+     * @type {ReadonlyArray<string>}
+     */
+    get channelNames() { return this.buffer.channelNames; }
+
+    /**
+     * The smallest box containing every point of this point cloud, in `three.js` coordinates.
+     * 
+     * @type {THREE.Box3}
+     */
+    get boundingBox() { return this.#octree.boundingBox.clone(); }
+
+    /**
+     * The mapping between the coordinate system of the points and that of `three.js`.
+     * 
+     * Changing it moves the displayed points, but keeps their indices. Objects derived from
+     * the `three.js` coordinates of the points, e.g., label selections, must be updated.
+     * 
+     * @type {CoordinateFormat}
+     */
+    get coordinateFormat() { return this.buffer.format; }
+
+    set coordinateFormat(value) {
+        if (this.buffer.format !== value) {
+            this.buffer.format = value;
 
-    // /**
-    //  * @returns {string[]} list of pcd channel names.
-    //  */
-    // get channelNames() { return this.#channelNames; }
+            this.#positions = this.buffer.getCoordsArray();
+            this.#octree = new PointOctree(this.#positions);
+            this.#unloadNodes(0);
+        }
+    }
 
     /**
      * Controls the display size of the points in this point cloud.
      * 
      * @type {number}
      */
-    get pointSize() { return this.#points.material.size; }
+    get pointSize() { return this.#material.size; }
 
-    set pointSize(value) { this.#points.material.size = value; }
+    set pointSize(value) { this.#material.size = value; }
 
     /**
      * Creates a new point cloud.
@@ -75,22 +242,320 @@ export class PointCloud {
      */
     constructor(buffer, pointSize) {
         this.buffer = buffer;
-        // this.#channelNames = channelNames;
 
-        const geometry = new THREE.BufferGeometry().setFromPoints(buffer.getCoords());
+        this.#positions = buffer.getCoordsArray();
+        this.#colors = new Float32Array(buffer.numPoints * 3);
+        this.#octree = new PointOctree(this.#positions);
 
-        const material = new THREE.PointsMaterial({
+        this.#material = new THREE.PointsMaterial({
             size: pointSize,
             sizeAttenuation: false,
-            color: new THREE.Color(),
+            vertexColors: true,
         });
 
-        this.#points = new THREE.Points(geometry, material);
-        this.#points.renderOrder = -1;
+        this.resetPointColors();
+    }
+
+    /**
+     * Uploads the points of a node to the GPU.
+     * 
+     * @param {OctreeNode} node The node.
+     * @returns {LoadedNode} The uploaded node.
+     */
+    #loadNode(node) {
+        const hidden = this.#hiddenMask;
+        const indices = (hidden != null) ? node.indices.filter((i) => !hidden[i]) : node.indices;
+        const source = this.#positions;
+
+        const positions = new Float32Array(indices.length * 3);
+        for (let k = 0; k < indices.length; k++) {
+            const i = indices[k] * 3;
+            positions[k * 3] = source[i];
+            positions[k * 3 + 1] = source[i + 1];
+            positions[k * 3 + 2] = source[i + 2];
+        }
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+
+        const colors = new THREE.Float32BufferAttribute(new Float32Array(indices.length * 3), 3);
+        colors.setUsage(THREE.DynamicDrawUsage);
+        geometry.setAttribute('color', colors);
+
+        // The points of the node are in its cube
+        geometry.boundingBox = node.box.clone();
+        geometry.boundingSphere = node.sphere.clone();
+
+        const points = new THREE.Points(geometry, this.#material);
+        points.renderOrder = -1;
+
+        return {
+            indices: indices,
+            points: points,
+            colors: colors,
+            colorsVersion: -1,
+            lastVisibleFrame: this.#frame,
+        };
+    }
+
+    /**
+     * Copies the displayed colors of the points of a node to the GPU.
+     * 
+     * @param {LoadedNode} loaded The uploaded node.
+     */
+    #updateNodeColors(loaded) {
+        const { indices, colors } = loaded;
+        const source = this.#colors;
+
+        const array = /** @type {Float32Array} */ (colors.array);
+        for (let k = 0; k < indices.length; k++) {
+            const i = indices[k] * 3;
+            array[k * 3] = source[i];
+            array[k * 3 + 1] = source[i + 1];
+            array[k * 3 + 2] = source[i + 2];
+        }
+        colors.updateRange.count = -1;
+        colors.needsUpdate = true;
+    }
+
+    /**
+     * Copies the colors of some points to the GPU, for the uploaded nodes whose other colors
+     * are up to date. Only the range of each node containing these points is uploaded again.
+     * The nodes which were not drawn in the last frame copy every color once drawn again,
+     * since their last range may not have been uploaded yet.
+     * 
+     * @param {IndexSet[]} changedIndices The indices of the points.
+     */
+    #updateChangedColors(changedIndices) {
+        const source = this.#colors;
+
+        /**
+         * @type {Map<LoadedNode, { start: number, end: number }>}
+         */
+        const ranges = new Map();
+        for (const indices of changedIndices) {
+            for (let k = 0; k < indices.length; k++) {
+                const i = indices[k];
+                const node = this.#octree.findNode(i);
+                const loaded = (node != null) ? this.#loadedNodes.get(node) : undefined;
+
+                if (loaded?.colorsVersion === this.#colorsVersion) {
+                    if (loaded.lastVisibleFrame !== this.#frame - 1) {
+                        loaded.colorsVersion = -1;
+                    } else {
+                        const offset = IndexUtils.indexOf(loaded.indices, i);
+                        if (offset !== -1) {
+                            const array = /** @type {Float32Array} */ (loaded.colors.array);
+                            array[offset * 3] = source[i * 3];
+                            array[offset * 3 + 1] = source[i * 3 + 1];
+                            array[offset * 3 + 2] = source[i * 3 + 2];
+
+                            const range = ranges.get(loaded);
+                            if (range == null) {
+                                ranges.set(loaded, { start: offset, end: offset + 1 });
+                            } else {
+                                range.start = Math.min(range.start, offset);
+                                range.end = Math.max(range.end, offset + 1);
+                            }
+                        }
+                    }
+                }
+            }
+        }
+
+        for (const [{ colors }, { start, end }] of ranges) {
+            colors.updateRange.offset = start * 3;
+            colors.updateRange.count = (end - start) * 3;
+            colors.needsUpdate = true;
+        }
+    }
+
+    /**
+     * Records a change of the displayed colors.
+     * 
+     * @param {?IndexSet} indices The indices of the points whose colors changed, or `null`
+     * if every color did.
+     */
+    #colorsChanged(indices) {
+        if (indices != null) {
+            this.#changedIndices?.push(indices);
+        } else {
+            this.#changedIndices = null;
+        }
     }
 
     /**
-     * Creates a deep copy of this point cloud (detached from its parents).
+     * Frees the GPU memory of the nodes which were drawn least recently, until the uploaded
+     * points fit in a limit. The nodes drawn in the current frame are kept.
+     * 
+     * @param {number} maxPoints The maximum number of uploaded points.
+     */
+    #unloadNodes(maxPoints) {
+        let numPoints = 0;
+        for (const loaded of this.#loadedNodes.values()) {
+            numPoints += loaded.indices.length;
+        }
+        if (numPoints <= maxPoints) return;
+
+        const entries = [...this.#loadedNodes]
+            .filter(([, loaded]) => loaded.lastVisibleFrame !== this.#frame || maxPoints === 0)
+            .sort(([, a], [, b]) => a.lastVisibleFrame - b.lastVisibleFrame);
+
+        for (const [node, loaded] of entries) {
+            if (numPoints <= maxPoints) break;
+
+            this.#object.remove(loaded.points);
+            loaded.points.geometry.dispose();
+            this.#loadedNodes.delete(node);
+
+            numPoints -= loaded.indices.length;
+        }
+    }
+
+    /**
+     * Updates the drawn points for a camera: the nodes of the octree in its view are uploaded
+     * to the GPU if needed and drawn, at a detail matched to their size on screen. It should
+     * be called before each frame is rendered.
+     * 
+     * @param {THREE.Camera} camera The camera of the scene.
+     * @param {number} viewportHeight The height of the rendered image, in pixels.
+     */
+    updateLevelOfDetail(camera, viewportHeight) {
+        camera.updateMatrixWorld();
+
+        this.#frame += 1;
+        const frame = this.#frame;
+        const visibleNodes = this.#octree.findVisibleNodes(
+            camera,
+            viewportHeight,
+            this.pointBudget,
+        );
+
+        if (this.#changedIndices == null) {
+            this.#colorsVersion += 1;
+        } else if (this.#changedIndices.length > 0) {
+            this.#updateChangedColors(this.#changedIndices);
+        }
+        this.#changedIndices = [];
+
+        this.#object.clear();
+        for (const node of visibleNodes) {
+            let loaded = this.#loadedNodes.get(node);
+            if (loaded == null) {
+                loaded = this.#loadNode(node);
+                this.#loadedNodes.set(node, loaded);
+            }
+            if (loaded.colorsVersion !== this.#colorsVersion) {
+                this.#updateNodeColors(loaded);
+                loaded.colorsVersion = this.#colorsVersion;
+            }
+
+            loaded.lastVisibleFrame = frame;
+            this.#object.add(loaded.points);
+        }
+
+        this.#unloadNodes(this.pointBudget * LOADED_POINTS_FACTOR);
+    }
+
+    /**
+     * Displays some points, or every point, in the neutral color of unlabelled points.
+     * 
+     * @param {?IndexSet} [indices] The indices of the points, or `null` for every point.
+     * @returns {this} This object.
+     */
+    resetPointColors(indices = null) {
+        if (indices == null) {
+            const array = this.#colors;
+
+            const { r, g, b } = NEUTRAL_COLOR;
+            for (let i = 0; i < array.length; i += 3) {
+                array[i] = r;
+                array[i + 1] = g;
+                array[i + 2] = b;
+            }
+            this.#colorsChanged(null);
+
+            return this;
+        }
+
+        return this.setPointColors(indices, NEUTRAL_COLOR);
+    }
+
+    /**
+     * Displays some points, or every point, in their own colors.
+     * 
+     * @param {Float32Array} colors The color of each point, 3 per point.
+     * @param {?IndexSet} [indices] The indices of the points, or `null` for every point.
+     * @returns {this} This object.
+     */
+    copyPointColors(colors, indices = null) {
+        const array = this.#colors;
+
+        if (indices == null) {
+            array.set(colors);
+        } else {
+            for (let i = 0; i < indices.length; i++) {
+                const j = indices[i] * 3;
+                array[j] = colors[j];
+                array[j + 1] = colors[j + 1];
+                array[j + 2] = colors[j + 2];
+            }
+        }
+        this.#colorsChanged(indices);
+
+        return this;
+    }
+
+    /**
+     * Blends the displayed colors of some points with a color.
+     * 
+     * @param {IndexSet} indices The indices of the points.
+     * @param {THREE.Color} color The color to blend with.
+     * @param {number} alpha How much of the color is blended in, between `0` and `1`.
+     * @returns {this} This object.
+     */
+    blendPointColors(indices, color, alpha) {
+        const array = this.#colors;
+
+        const { r, g, b } = color;
+        for (let i = 0; i < indices.length; i++) {
+            const j = indices[i] * 3;
+            array[j] += (r - array[j]) * alpha;
+            array[j + 1] += (g - array[j + 1]) * alpha;
+            array[j + 2] += (b - array[j + 2]) * alpha;
+        }
+        this.#colorsChanged(indices);
+
+        return this;
+    }
+
+    /**
+     * Displays some points in a color.
+     * 
+     * @param {IndexSet} indices The indices of the points.
+     * @param {THREE.Color} color The color of the points.
+     * @returns {this} This object.
+     */
+    setPointColors(indices, color) {
+        const array = this.#colors;
+
+        const { r, g, b } = color;
+        for (let i = 0; i < indices.length; i++) {
+            const j = indices[i] * 3;
+            array[j] = r;
+            array[j + 1] = g;
+            array[j + 2] = b;
+        }
+        this.#colorsChanged(indices);
+
+        return this;
+    }
+
+    /**
+     * Creates a copy of this point cloud, with its own octree and point colors. The point buffer
+     * is shared rather than copied, so a change to the buffer (e.g., of its coordinate format)
+     * applies to both.
+     * 
      * @returns {PointCloud} The newly created copy.
      */
     clone() {
@@ -101,14 +566,23 @@ export class PointCloud {
     }
 
     /**
-     * Returns a `three.js` representation of this object.
+     * Frees the GPU memory of this point cloud, once it is no longer displayed.
+     */
+    dispose() {
+        this.#unloadNodes(0);
+        this.#material.dispose();
+    }
+
+    /**
+     * Returns a `three.js` representation of this object, containing the points drawn
+     * since the last call to {@link updateLevelOfDetail}.
      * 
      * @returns {THREE.Object3D} The resulting object.
      */
-    asObject3D() { return this.#points; }
+    asObject3D() { return this.#object; }
 
     /**
-     * Performs raycasting against this object.
+     * Performs raycasting against the drawn points of this object.
      * 
      * @param {THREE.Raycaster} raycaster The caster of the ray.
      * @param {THREE.Intersection[]} intersects If provided, the results are accumulated into
@@ -116,6 +590,26 @@ export class PointCloud {
      * @returns {THREE.Intersection[]} Refer to the `raycast` method of {@link THREE.Object3D}.
      */
     raycast(raycaster, intersects = []) {
-        return raycaster.intersectObject(this.#points, false, intersects);
+        return raycaster.intersectObject(this.#object, true, intersects);
+    }
+
+    /**
+     * Finds the drawn point closest to the origin of a ray, among those within the points
+     * threshold of the raycaster.
+     * 
+     * @param {THREE.Raycaster} raycaster The caster of the ray.
+     * @returns {?number} The index of the point in {@link buffer}, if any.
+     */
+    pickPoint(raycaster) {
+        const [intersection] = this.raycast(raycaster);
+        if (intersection?.index == null) return null;
+
+        for (const loaded of this.#loadedNodes.values()) {
+            if (loaded.points === intersection.object) {
+                return loaded.indices[intersection.index];
+            }
+        }
+
+        return null;
     }
 }
@@ -0,0 +1,397 @@
+import * as THREE from 'three';
+
+import * as IndexUtils from '../utils/IndexUtils';
+
+/**
+ * A node of a {@link PointOctree}.
+ * 
+ * @typedef {object} OctreeNode
+ * @property {number} id The index of the node, in the order the nodes were created.
+ * @property {number} level The depth of the node, `0` for the root.
+ * @property {THREE.Box3} box The cube containing the points of the node and of its descendants.
+ * @property {THREE.Sphere} sphere The sphere bounding {@link box}.
+ * @property {Uint32Array} indices The indices of the points drawn by the node.
+ * @property {OctreeNode[]} children The child nodes, each covering an octant of the cube.
+ */
+
+/**
+ * The number of cells along each axis of the grid used to subsample the points of a node.
+ * A node keeps at most one point per cell, so the points of a node are spaced by about
+ * `1 / GRID_SIZE` of its size.
+ * 
+ * @type {number}
+ */
+const GRID_SIZE = 128;
+
+/**
+ * The maximum number of points of a leaf node. Nodes with more points keep a subsample of
+ * them and pass the others on to their children.
+ * 
+ * @type {number}
+ */
+const MAX_LEAF_POINTS = 20000;
+
+/**
+ * The maximum depth of the nodes, which stops the subdivision of many points at the same place.
+ * 
+ * @type {number}
+ */
+const MAX_LEVEL = 20;
+
+/**
+ * The size of a node on screen, in pixels, below which its children are not drawn,
+ * since its own points are already about one pixel apart.
+ * 
+ * @type {number}
+ */
+const MIN_NODE_PIXEL_SIZE = 150;
+
+/**
+ * A priority queue of nodes, the node with the highest priority first.
+ */
+class NodeQueue {
+
+    /**
+     * The nodes, as a binary max-heap.
+     * 
+     * @type {Array<{ node: OctreeNode, priority: number }>}
+     */
+    #heap = [];
+
+    /**
+     * The number of nodes in this queue.
+     * 
+     * @type {number}
+     */
+    get size() { return this.#heap.length; }
+
+    /**
+     * Adds a node to this queue.
+     * 
+     * @param {OctreeNode} node The node.
+     * @param {number} priority The priority of the node.
+     */
+    push(node, priority) {
+        const heap = this.#heap;
+        heap.push({ node, priority });
+
+        let i = heap.length - 1;
+        while (i > 0) {
+            const parent = Math.floor((i - 1) / 2);
+            if (heap[parent].priority >= heap[i].priority) break;
+
+            [heap[parent], heap[i]] = [heap[i], heap[parent]];
+            i = parent;
+        }
+    }
+
+    /**
+     * Removes the node with the highest priority from this queue.
+     * 
+     * @returns {OctreeNode} The node.
+     */
+    pop() {
+        const heap = this.#heap;
+        const top = heap[0];
+        const last = heap.pop();
+
+        if (last != null && heap.length > 0) {
+            heap[0] = last;
+
+            let i = 0;
+            for (;;) {
+                const left = 2 * i + 1;
+                const right = left + 1;
+
+                let largest = i;
+                if (left < heap.length && heap[left].priority > heap[largest].priority) {
+                    largest = left;
+                }
+                if (right < heap.length && heap[right].priority > heap[largest].priority) {
+                    largest = right;
+                }
+                if (largest === i) break;
+
+                [heap[largest], heap[i]] = [heap[i], heap[largest]];
+                i = largest;
+            }
+        }
+
+        return top.node;
+    }
+}
+
+/**
+ * Splits the points of a point cloud into a hierarchy of levels of detail, in the style of
+ * Potree: each node covers a cube and keeps an evenly spaced subsample of the points in it,
+ * while its children cover the octants of the cube and refine it with the remaining points.
+ * 
+ * Every point is in exactly one node, so drawing a node and its ancestors draws each of their
+ * points once.
+ */
+export class PointOctree {
+
+    /**
+     * The node covering every point.
+     * 
+     * @readonly
+     * @type {OctreeNode}
+     */
+    root;
+
+    /**
+     * The smallest box containing every point.
+     * 
+     * @readonly
+     * @type {THREE.Box3}
+     */
+    boundingBox;
+
+    /**
+     * @type {number}
+     */
+    #numNodes = 0;
+
+    /**
+     * The number of nodes in this octree.
+     * 
+     * @type {number}
+     */
+    get numNodes() { return this.#numNodes; }
+
+    /**
+     * The `three.js` coordinates of each point, 3 per point.
+     * 
+     * @readonly
+     * @type {Float32Array}
+     */
+    #positions;
+
+    /**
+     * The last node which kept each cell of the grid, while subsampling the points of the nodes.
+     * 
+     * @type {?Int32Array}
+     */
+    #cellOwners = null;
+
+    /**
+     * Builds the octree of some points.
+     * 
+     * @param {Float32Array} positions The `three.js` coordinates of each point, 3 per point.
+     * No copy is made.
+     */
+    constructor(positions) {
+        this.#positions = positions;
+
+        const numPoints = positions.length / 3;
+        this.boundingBox = new THREE.Box3();
+        if (numPoints > 0) {
+            this.boundingBox.setFromArray(positions);
+        }
+
+        // The nodes are cubes, so that the points are spaced evenly along every axis
+        const center = this.boundingBox.getCenter(new THREE.Vector3());
+        const size = this.boundingBox.getSize(new THREE.Vector3());
+        const halfSize = Math.max(size.x, size.y, size.z, Number.EPSILON) / 2;
+        const cube = new THREE.Box3(
+            center.clone().subScalar(halfSize), center.clone().addScalar(halfSize),
+        );
+
+        const indices = new Uint32Array(numPoints);
+        for (let i = 0; i < numPoints; i++) {
+            indices[i] = i;
+        }
+
+        this.#cellOwners = new Int32Array(GRID_SIZE ** 3).fill(-1);
+        this.root = this.#buildNode(indices, cube, 0);
+        this.#cellOwners = null;
+    }
+
+    /**
+     * Builds a node and its descendants.
+     * 
+     * @param {Uint32Array} indices The indices of the points in the cube of the node.
+     * @param {THREE.Box3} box The cube of the node.
+     * @param {number} level The depth of the node.
+     * @returns {OctreeNode} The node.
+     */
+    #buildNode(indices, box, level) {
+        /**
+         * @type {OctreeNode}
+         */
+        const node = {
+            id: this.#numNodes,
+            level: level,
+            box: box,
+            sphere: box.getBoundingSphere(new THREE.Sphere()),
+            indices: indices,
+            children: [],
+        };
+        this.#numNodes += 1;
+
+        const cellOwners = this.#cellOwners;
+        if (indices.length <= MAX_LEAF_POINTS || level >= MAX_LEVEL || cellOwners == null) {
+            return node;
+        }
+
+        const positions = this.#positions;
+        const { min } = box;
+        const size = box.max.x - box.min.x;
+        const cellScale = GRID_SIZE / size;
+        const center = box.getCenter(new THREE.Vector3());
+
+        // Keep the first point of each cell, and sort the others by octant
+        const kept = new Uint32Array(indices.length);
+        const octants = new Uint8Array(indices.length);
+        const octantCounts = new Uint32Array(8);
+        let numKept = 0;
+        for (let k = 0; k < indices.length; k++) {
+            const i = indices[k];
+            const x = positions[i * 3];
+            const y = positions[i * 3 + 1];
+            const z = positions[i * 3 + 2];
+
+            const cx = THREE.MathUtils.clamp(Math.floor((x - min.x) * cellScale), 0, GRID_SIZE - 1);
+            const cy = THREE.MathUtils.clamp(Math.floor((y - min.y) * cellScale), 0, GRID_SIZE - 1);
+            const cz = THREE.MathUtils.clamp(Math.floor((z - min.z) * cellScale), 0, GRID_SIZE - 1);
+            const cell = (cx * GRID_SIZE + cy) * GRID_SIZE + cz;
+
+            if (cellOwners[cell] !== node.id) {
+                cellOwners[cell] = node.id;
+                kept[numKept] = i;
+                numKept += 1;
+                octants[k] = 8;
+            } else {
+                const octant = ((x >= center.x) ? 4 : 0) + ((y >= center.y) ? 2 : 0)
+                    + ((z >= center.z) ? 1 : 0);
+                octants[k] = octant;
+                octantCounts[octant] += 1;
+            }
+        }
+        node.indices = kept.slice(0, numKept);
+
+        const childIndices = Array.from(octantCounts, (count) => new Uint32Array(count));
+        const childSizes = new Uint32Array(8);
+        for (let k = 0; k < indices.length; k++) {
+            const octant = octants[k];
+            if (octant < 8) {
+                childIndices[octant][childSizes[octant]] = indices[k];
+                childSizes[octant] += 1;
+            }
+        }
+
+        const half = size / 2;
+        childIndices.forEach((childIdx, octant) => {
+            if (childIdx.length === 0) return;
+
+            const childMin = new THREE.Vector3(
+                min.x + ((octant >= 4) ? half : 0),
+                min.y + ((octant % 4 >= 2) ? half : 0),
+                min.z + ((octant % 2 === 1) ? half : 0),
+            );
+            const childBox = new THREE.Box3(childMin, childMin.clone().addScalar(half));
+
+            node.children.push(this.#buildNode(childIdx, childBox, level + 1));
+        });
+
+        return node;
+    }
+
+    /**
+     * Finds the node which draws a point, by descending from the root into the octants
+     * containing the point.
+     * 
+     * @param {number} index The index of the point.
+     * @returns {?OctreeNode} The node, or `null` if the point is not in this octree.
+     */
+    findNode(index) {
+        const positions = this.#positions;
+        const x = positions[index * 3];
+        const y = positions[index * 3 + 1];
+        const z = positions[index * 3 + 2];
+        const center = new THREE.Vector3();
+
+        let node = this.root;
+        while (!IndexUtils.includes(node.indices, index)) {
+            const { min } = node.box;
+            node.box.getCenter(center);
+
+            // The children are ordered by octant, but empty octants have no child
+            const child = node.children.find((c) => (c.box.min.x > min.x) === (x >= center.x)
+                && (c.box.min.y > min.y) === (y >= center.y)
+                && (c.box.min.z > min.z) === (z >= center.z));
+            if (child == null) return null;
+
+            node = child;
+        }
+
+        return node;
+    }
+
+    /**
+     * Finds the nodes to draw for a camera: those in its view, from the largest on screen to
+     * the smallest, until their points exceed a budget. The children of nodes which are small
+     * on screen are skipped, since they would not add visible detail.
+     * 
+     * @param {THREE.Camera} camera The camera, whose matrices are up to date.
+     * @param {number} viewportHeight The height of the screen, in pixels.
+     * @param {number} pointBudget The maximum number of points drawn.
+     * @returns {OctreeNode[]} The nodes to draw. The parent of each node is drawn too.
+     */
+    findVisibleNodes(camera, viewportHeight, pointBudget) {
+        const viewProjection = new THREE.Matrix4()
+            .multiplyMatrices(camera.projectionMatrix, camera.matrixWorldInverse);
+        const frustum = new THREE.Frustum().setFromProjectionMatrix(viewProjection);
+        const cameraPosition = new THREE.Vector3().setFromMatrixPosition(camera.matrixWorld);
+
+        /**
+         * Finds the size of a node on screen, in pixels.
+         * 
+         * @param {OctreeNode} node The node.
+         * @returns {number} The size of the node.
+         */
+        const screenSize = (node) => {
+            const { center, radius } = node.sphere;
+
+            if (camera instanceof THREE.OrthographicCamera) {
+                return (2 * radius * camera.zoom * viewportHeight) / (camera.top - camera.bottom);
+            }
+            if (camera instanceof THREE.PerspectiveCamera) {
+                const distance = center.distanceTo(cameraPosition);
+                if (distance <= radius) return Infinity;
+
+                const slope = Math.tan(THREE.MathUtils.degToRad(camera.fov) / 2);
+                return (radius / (distance * slope)) * viewportHeight;
+            }
+
+            return Infinity;
+        };
+
+        /**
+         * @type {OctreeNode[]}
+         */
+        const visibleNodes = [];
+        const queue = new NodeQueue();
+        if (frustum.intersectsBox(this.root.box)) {
+            queue.push(this.root, Infinity);
+        }
+
+        let numPoints = 0;
+        while (queue.size > 0) {
+            const node = queue.pop();
+            if (numPoints + node.indices.length > pointBudget && visibleNodes.length > 0) break;
+
+            visibleNodes.push(node);
+            numPoints += node.indices.length;
+
+            for (const child of node.children) {
+                const size = frustum.intersectsBox(child.box) ? screenSize(child) : 0;
+                if (size >= MIN_NODE_PIXEL_SIZE) {
+                    queue.push(child, size);
+                }
+            }
+        }
+
+        return visibleNodes;
+    }
+}
@@ -0,0 +1,80 @@
+import * as IndexUtils from '../utils/IndexUtils';
+import { PointCloud } from './PointCloud';
+
+/**
+ * @typedef {import('../utils/IndexUtils').IndexSet} IndexSet
+ */
+
+/**
+ * Represents some of the points of a point cloud, referred to by their index in its buffer.
+ * 
+ * This is a value-based class.
+ */
+export class PointSubset {
+
+    /**
+     * The point cloud containing the points.
+     * 
+     * @readonly
+     * @type {PointCloud}
+     */
+    pointCloud;
+
+    /**
+     * The indices of the points in the buffer of the point cloud.
+     * 
+     * @readonly
+     * @type {IndexSet}
+     */
+    indices;
+
+    /**
+     * The number of points in this subset.
+     * 
+     * @type {number}
+     */
+    get numPoints() { return this.indices.length; }
+
+    /**
+     * Creates a subset containing every point of a point cloud.
+     * 
+     * @param {PointCloud} pointCloud The point cloud.
+     * @returns {PointSubset} The resulting subset.
+     */
+    static all(pointCloud) {
+        return new PointSubset(pointCloud, IndexUtils.range(pointCloud.buffer.numPoints));
+    }
+
+    /**
+     * Creates a new subset of a point cloud.
+     * 
+     * @param {PointCloud} pointCloud The point cloud containing the points.
+     * @param {IndexSet} indices The indices of the points. No copy is made.
+     */
+    constructor(pointCloud, indices) {
+        this.pointCloud = pointCloud;
+        this.indices = indices;
+
+        Object.freeze(this);
+    }
+
+    /**
+     * Creates a subset which also contains the given points.
+     * 
+     * @param {IndexSet} indices The indices of the points to add.
+     * @returns {PointSubset} The resulting subset.
+     */
+    union(indices) {
+        return new PointSubset(this.pointCloud, IndexUtils.union(this.indices, indices));
+    }
+
+    /**
+     * Creates a subset which no longer contains the given points.
+     * 
+     * @param {IndexSet} indices The indices of the points to remove.
+     * @returns {PointSubset} The resulting subset.
+     */
+    difference(indices) {
+        return new PointSubset(this.pointCloud, IndexUtils.difference(this.indices, indices));
+    }
+}
@@ -1,2 +1,4 @@
 export { PointBuffer } from './PointBuffer';
 export { PointCloud } from './PointCloud';
+export { PointOctree } from './PointOctree';
+export { PointSubset } from './PointSubset';
@@ -0,0 +1,164 @@
+import { Scene } from '../Scene';
+import { SessionStore } from '../io';
+
+/**
+ * @typedef {import('../io/SessionStore').Session} Session
+ */
+
+/**
+ * How often the state of the scene is saved if it has changed, in milliseconds.
+ * 
+ * @type {number}
+ */
+const SAVE_INTERVAL = 5000;
+
+/**
+ * Periodically saves the annotation session of a scene to IndexedDB, so that it can be
+ * resumed after the page is reloaded.
+ * 
+ * Each session is keyed by the name and the hash of the point cloud file. When a point cloud
+ * with a saved session is opened, the user is offered to resume it.
+ */
+export class Autosave {
+
+    /**
+     * The scene whose state is saved.
+     * 
+     * @readonly
+     * @type {Scene}
+     */
+    scene;
+
+    /**
+     * The key of the session being saved, or `null` if there is none, e.g., while the user
+     * has not yet decided whether to resume a saved session.
+     * 
+     * @type {?string}
+     */
+    #key = null;
+
+    /**
+     * Whether the state of the scene has changed since it was last saved.
+     * 
+     * @type {boolean}
+     */
+    #isDirty = false;
+
+    /**
+     * Starts saving the session of a scene.
+     * 
+     * @param {Scene} scene The scene whose state is saved.
+     */
+    constructor(scene) {
+        this.scene = scene;
+
+        scene.addEventListener('pointCloud-changed', this.#handlePointCloudChanged);
+
+        for (const type of [
+            'labelSelections-changed', 'camera-changed', 'interactMode-changed',
+            'selectedTool-changed', 'drawMode-changed', 'brushSize-changed', 'labelSet-changed',
+            'visibleOnly-changed', 'depthTolerance-changed', 'depthRange-changed', 'regionOptions-changed',
+            'groundOptions-changed', 'groundHidden-changed',
+        ]) {
+            scene.addEventListener(type, this.#markDirty);
+        }
+
+        setInterval(() => this.save(), SAVE_INTERVAL);
+
+        // Save the latest changes when the page is hidden, e.g., before it is closed
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') {
+                this.save();
+            }
+        });
+    }
+
+    /**
+     * Notes that the state of the scene has changed.
+     */
+    #markDirty = () => {
+        this.#isDirty = true;
+    };
+
+    /**
+     * Offers to resume the saved session of the new point cloud, if any.
+     */
+    #handlePointCloudChanged = async () => {
+        const { pointCloud, fileName, fileHash } = this.scene;
+
+        this.#key = null;
+        if (pointCloud == null || fileName == null || fileHash == null) return;
+
+        const key = SessionStore.sessionKey(fileName, fileHash);
+
+        try {
+            const session = await SessionStore.loadSession(key);
+
+            // Another point cloud may have been opened in the meantime
+            if (this.scene.pointCloud !== pointCloud) return;
+
+            if (session != null && session.state.selections.length > 0) {
+                const savedAt = new Date(session.savedAt).toLocaleString();
+                if (confirm(`Resume the session of ${fileName} saved at ${savedAt}?`)) {
+                    this.scene.restoreState(session.state);
+                }
+            }
+        } catch (error) {
+            console.error(error);
+        }
+
+        // Do not overwrite the saved session until the scene changes
+        this.#key = key;
+        this.#isDirty = false;
+    };
+
+    /**
+     * Saves the state of the scene, if it has changed since it was last saved.
+     * 
+     * @returns {Promise<boolean>} `true` if the state was saved; otherwise, `false`.
+     */
+    async save() {
+        const { fileName, fileHash } = this.scene;
+
+        const key = this.#key;
+        if (key == null || !this.#isDirty) return false;
+
+        // The session is keyed by the file, so nothing is saved without one
+        if (fileName == null || fileHash == null) return false;
+
+        this.#isDirty = false;
+
+        try {
+            await SessionStore.saveSession({
+                key: key,
+                fileName: fileName,
+                fileHash: fileHash,
+                savedAt: Date.now(),
+                state: this.scene.getState(),
+            });
+        } catch (error) {
+            console.error(error);
+            this.#isDirty = true;
+
+            return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Finds the most recently saved session.
+     * 
+     * @returns {Promise<?Session>} The session, or `null` if there is none or if the sessions
+     * cannot be read.
+     */
+    async findLastSession() {
+        try {
+            return await SessionStore.loadLatestSession();
+        } catch (error) {
+            console.error(error);
+
+            return null;
+        }
+    }
+}
@@ -0,0 +1,253 @@
+import { Scene } from '../Scene';
+import { ColorUtils } from '../utils';
+import { DraggablePanel, RangeInput } from '../widgets';
+
+/**
+ * @typedef {import('../utils/ColorUtils').ColorMode} ColorMode
+ */
+
+/**
+ * The number of steps of the sliders of the color range.
+ * 
+ * @type {number}
+ */
+const RANGE_STEPS = 100;
+
+/**
+ * Reads the color mode of an option of a drop-down list.
+ * 
+ * @param {string} value The value of the option.
+ * @returns {?ColorMode} The color mode, or `null` if the value is not one.
+ */
+function toColorMode(value) {
+    if (!ColorUtils.COLOR_MODES.some((mode) => mode === value)) return null;
+
+    return /** @type {ColorMode} */ (value);
+}
+
+export class ColorPanel {
+
+    /**
+     * @readonly
+     * @type {Scene}
+     */
+    scene;
+
+    /**
+     * The draggable panel of this object.
+     * 
+     * @readonly
+     * @type {DraggablePanel}
+     */
+    panel;
+
+    /**
+     * The drop-down list for picking the color mode.
+     * 
+     * @readonly
+     * @type {HTMLSelectElement}
+     */
+    #modeSelect;
+
+    /**
+     * The value mapped onto the lowest color of the ramp.
+     * 
+     * @readonly
+     * @type {RangeInput}
+     */
+    #minInput;
+
+    /**
+     * The value mapped onto the highest color of the ramp.
+     * 
+     * @readonly
+     * @type {RangeInput}
+     */
+    #maxInput;
+
+    /**
+     * When clicked, resets the color range to the range of the values of the points.
+     * 
+     * @readonly
+     * @type {HTMLButtonElement}
+     */
+    #resetRangeButton;
+
+    /**
+     * Contains the inputs of the color range.
+     * 
+     * @readonly
+     * @type {HTMLDivElement}
+     */
+    #rangeDiv;
+
+    /**
+     * Explains the colors of the points.
+     * 
+     * @readonly
+     * @type {HTMLDivElement}
+     */
+    #legendDiv;
+
+    /**
+     * Constructs an instance of this object.
+     * 
+     * @param {Scene} scene The active scene.
+     */
+    constructor(scene) {
+        this.scene = scene;
+
+        for (const type of ['pointCloud-changed', 'colorMode-changed', 'colorRange-changed', 'labelSet-changed']) {
+            scene.addEventListener(type, this.render);
+        }
+
+        const dom = document.createElement('div');
+        dom.className = 'color-panel';
+        {
+            const modeLabel = document.createElement('label');
+            modeLabel.textContent = 'Color by';
+            dom.appendChild(modeLabel);
+
+            this.#modeSelect = document.createElement('select');
+            for (const mode of ColorUtils.COLOR_MODES) {
+                const option = document.createElement('option');
+                option.textContent = ColorUtils.COLOR_MODE_NAMES[mode];
+                option.value = mode;
+                this.#modeSelect.appendChild(option);
+            }
+            this.#modeSelect.addEventListener('change', () => {
+                const mode = toColorMode(this.#modeSelect.value);
+                if (mode != null) {
+                    this.scene.colorMode = mode;
+                }
+            });
+            dom.appendChild(this.#modeSelect);
+
+            this.#rangeDiv = document.createElement('div');
+            this.#rangeDiv.className = 'color-range';
+            {
+                this.#minInput = new RangeInput('Min');
+                this.#minInput.onchange = (value) => {
+                    const max = this.scene.colorRange?.max ?? value;
+                    this.scene.colorRange = { min: Math.min(value, max), max: max };
+                };
+                this.#rangeDiv.appendChild(this.#minInput.dom);
+
+                this.#maxInput = new RangeInput('Max');
+                this.#maxInput.onchange = (value) => {
+                    const min = this.scene.colorRange?.min ?? value;
+                    this.scene.colorRange = { min: min, max: Math.max(value, min) };
+                };
+                this.#rangeDiv.appendChild(this.#maxInput.dom);
+
+                this.#resetRangeButton = document.createElement('button');
+                this.#resetRangeButton.className = 'btn btn-secondary btn-sm';
+                this.#resetRangeButton.innerHTML = '<i class="bi bi-arrow-counterclockwise"></i> Reset';
+                this.#resetRangeButton.title = 'Use the range of the values of the points';
+                this.#resetRangeButton.addEventListener('click', () => {
+                    this.scene.colorRange = this.scene.colorDataRange;
+                });
+                this.#rangeDiv.appendChild(this.#resetRangeButton);
+            }
+            dom.appendChild(this.#rangeDiv);
+
+            this.#legendDiv = document.createElement('div');
+            this.#legendDiv.className = 'color-legend';
+            dom.appendChild(this.#legendDiv);
+        }
+
+        this.panel = new DraggablePanel('Point Colors', dom);
+
+        this.render();
+    }
+
+    /**
+     * Updates the legend of the scalar color modes.
+     * 
+     * @param {{ min: number, max: number }} range The values mapped onto the ends of the ramp.
+     */
+    #renderRampLegend(range) {
+        const ramp = document.createElement('div');
+        ramp.className = 'color-ramp';
+        ramp.style.background = `linear-gradient(to right, ${ColorUtils.RAMP_COLORS.map((c) => `#${c.getHexString()}`).join(', ')})`;
+
+        const minLabel = document.createElement('label');
+        minLabel.textContent = range.min.toPrecision(4);
+
+        const maxLabel = document.createElement('label');
+        maxLabel.textContent = range.max.toPrecision(4);
+
+        this.#legendDiv.replaceChildren(minLabel, ramp, maxLabel);
+    }
+
+    /**
+     * Updates the legend of the class color mode.
+     */
+    #renderClassLegend() {
+        const entries = this.scene.labelClasses.filter((c) => !c.retired).map((labelClass) => {
+            const entry = document.createElement('div');
+            entry.className = 'color-legend-entry';
+
+            const swatch = document.createElement('span');
+            swatch.className = 'color-swatch';
+            swatch.style.backgroundColor = `#${labelClass.color.getHexString()}`;
+
+            const name = document.createElement('label');
+            name.textContent = labelClass.name;
+
+            entry.append(swatch, name);
+
+            return entry;
+        });
+
+        this.#legendDiv.replaceChildren(...entries);
+    }
+
+    /**
+     * Updates the view of this object.
+     */
+    render = () => {
+        const { pointCloud, colorMode, colorRange, colorDataRange } = this.scene;
+
+        this.#modeSelect.value = colorMode;
+        this.#modeSelect.disabled = pointCloud == null;
+        for (const option of this.#modeSelect.options) {
+            const mode = toColorMode(option.value);
+            option.disabled = pointCloud != null
+                && (mode == null || !ColorUtils.isColorModeAvailable(mode, pointCloud));
+        }
+
+        this.#rangeDiv.hidden = colorRange == null;
+        if (colorRange != null && colorDataRange != null) {
+            const { min, max } = colorDataRange;
+            const step = (max > min) ? (max - min) / RANGE_STEPS : 1;
+
+            for (const input of [this.#minInput, this.#maxInput]) {
+                input.min = Math.min(min, colorRange.min);
+                input.max = Math.max(max, colorRange.max);
+                input.step = step;
+            }
+            this.#minInput.value = colorRange.min;
+            this.#maxInput.value = colorRange.max;
+        }
+
+        switch (colorMode) {
+            case 'class':
+                this.#renderClassLegend();
+                break;
+            case 'instance':
+                this.#legendDiv.textContent = 'Each selection has its own color.';
+                break;
+            case 'rgb':
+                this.#legendDiv.textContent = 'The colors stored in the point cloud file.';
+                break;
+            case 'normal':
+                this.#legendDiv.textContent = 'Red, green and blue show how much the surface faces along x, y and z.';
+                break;
+            default:
+                if (colorRange != null) {
+                    this.#renderRampLegend(colorRange);
+                }
+        }
+    };
+}
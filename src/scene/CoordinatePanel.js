@@ -0,0 +1,209 @@
+import * as THREE from 'three';
+
+import { Scene } from '../Scene';
+import { CoordinateFormat, customCoordinateFormat, findCoordinateFormat } from '../config';
+import { DraggablePanel } from '../widgets';
+
+/**
+ * The display name of each coordinate format, in display order. Formats which are not in
+ * {@link CoordinateFormat} are custom matrices.
+ * 
+ * @type {ReadonlyArray<[string, string]>}
+ */
+const FORMAT_NAMES = Object.freeze([
+    ['ZXY', '+Z up (ZXY)'],
+    ['NEG_Z_UP', '-Z up'],
+    ['XYZ', '+Y up (XYZ)'],
+    ['NEG_Y_UP', '-Y up'],
+    ['YZX', '+X up (YZX)'],
+    ['NEG_X_UP', '-X up'],
+    ['XZY', 'XZY (mirrored)'],
+    ['YXZ', 'YXZ (mirrored)'],
+    ['ZYX', 'ZYX (mirrored)'],
+    ['CUSTOM', 'Custom matrix'],
+]);
+
+/**
+ * Writes a matrix as text, one row per line.
+ * 
+ * @param {THREE.Matrix4} matrix The matrix.
+ * @returns {string} The text.
+ */
+function formatMatrix(matrix) {
+    const e = matrix.elements;
+
+    return [0, 1, 2, 3]
+        .map((row) => [0, 1, 2, 3].map((col) => Number(e[col * 4 + row].toPrecision(6))).join(' '))
+        .join('\n');
+}
+
+/**
+ * Reads a matrix written as text, row by row.
+ * 
+ * @param {string} text The text, with 16 numbers separated by spaces, commas or semicolons.
+ * @returns {THREE.Matrix4} The matrix.
+ * @throws {Error} If the text does not contain 16 numbers.
+ */
+function parseMatrix(text) {
+    const values = text.trim().split(/[\s,;]+/).map(Number);
+    if (values.length !== 16 || values.some(Number.isNaN)) {
+        throw new Error('The matrix must have 4 rows of 4 numbers');
+    }
+
+    // The values are row by row, whereas the elements of the matrix are column by column
+    return new THREE.Matrix4().fromArray(values).transpose();
+}
+
+export class CoordinatePanel {
+
+    /**
+     * @readonly
+     * @type {Scene}
+     */
+    scene;
+
+    /**
+     * The draggable panel of this object.
+     * 
+     * @readonly
+     * @type {DraggablePanel}
+     */
+    panel;
+
+    /**
+     * The drop-down list for picking the coordinate format.
+     * 
+     * @readonly
+     * @type {HTMLSelectElement}
+     */
+    #formatSelect;
+
+    /**
+     * The input box for the matrix transforming the coordinates of the file into those of
+     * the scene.
+     * 
+     * @readonly
+     * @type {HTMLTextAreaElement}
+     */
+    #matrixInput;
+
+    /**
+     * When clicked, uses the matrix of {@link #matrixInput} as the coordinate format.
+     * 
+     * @readonly
+     * @type {HTMLButtonElement}
+     */
+    #applyButton;
+
+    /**
+     * When clicked, reverts to the coordinate format suggested for the file.
+     * 
+     * @readonly
+     * @type {HTMLButtonElement}
+     */
+    #resetButton;
+
+    /**
+     * Constructs an instance of this object.
+     * 
+     * @param {Scene} scene The active scene.
+     */
+    constructor(scene) {
+        this.scene = scene;
+
+        scene.addEventListener('pointCloud-changed', this.render);
+        scene.addEventListener('coordinateFormat-changed', this.render);
+
+        const dom = document.createElement('div');
+        dom.className = 'coordinate-panel';
+        {
+            const formatLabel = document.createElement('label');
+            formatLabel.textContent = 'Up axis';
+            dom.appendChild(formatLabel);
+
+            this.#formatSelect = document.createElement('select');
+            for (const [name, displayName] of FORMAT_NAMES) {
+                const option = document.createElement('option');
+                option.textContent = displayName;
+                option.value = name;
+
+                // Custom matrices are applied from the matrix input
+                option.disabled = name === 'CUSTOM';
+                this.#formatSelect.appendChild(option);
+            }
+            this.#formatSelect.addEventListener('change', () => {
+                const format = findCoordinateFormat(this.#formatSelect.value);
+                if (format != null) {
+                    this.scene.coordinateFormat = format;
+                }
+            });
+            dom.appendChild(this.#formatSelect);
+
+            this.#matrixInput = document.createElement('textarea');
+            this.#matrixInput.rows = 4;
+            this.#matrixInput.spellcheck = false;
+            this.#matrixInput.title = 'The matrix transforming the coordinates of the file into those of the scene, whose up axis is +Y';
+            dom.appendChild(this.#matrixInput);
+
+            this.#applyButton = document.createElement('button');
+            this.#applyButton.className = 'btn btn-secondary btn-sm';
+            this.#applyButton.innerHTML = '<i class="bi bi-check2"></i> Apply';
+            this.#applyButton.title = 'Use the matrix';
+            this.#applyButton.addEventListener('click', () => {
+                this.applyMatrix();
+            });
+            dom.appendChild(this.#applyButton);
+
+            this.#resetButton = document.createElement('button');
+            this.#resetButton.className = 'btn btn-secondary btn-sm';
+            this.#resetButton.innerHTML = '<i class="bi bi-arrow-counterclockwise"></i> Reset';
+            this.#resetButton.addEventListener('click', () => {
+                this.scene.resetCoordinateFormat();
+            });
+            dom.appendChild(this.#resetButton);
+        }
+
+        this.panel = new DraggablePanel('Coordinates', dom);
+
+        this.render();
+    }
+
+    /**
+     * Uses the matrix typed by the user as the coordinate format of the active point cloud.
+     * 
+     * @returns {boolean} `true` if the matrix was applied; otherwise, `false`.
+     */
+    applyMatrix() {
+        try {
+            const matrix = parseMatrix(this.#matrixInput.value);
+            this.scene.coordinateFormat = customCoordinateFormat(matrix);
+        } catch (error) {
+            console.error(error);
+            alert(`Invalid matrix: ${error instanceof Error ? error.message : error}`);
+
+            return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Updates the view of this object.
+     */
+    render = () => {
+        const { coordinateFormat, defaultCoordinateFormat } = this.scene;
+        const disabled = coordinateFormat == null;
+
+        this.#formatSelect.value = coordinateFormat?.name ?? 'ZXY';
+        const { matrix } = coordinateFormat ?? CoordinateFormat.ZXY;
+        this.#matrixInput.value = formatMatrix(matrix);
+
+        this.#formatSelect.disabled = disabled;
+        this.#matrixInput.disabled = disabled;
+        this.#applyButton.disabled = disabled;
+        this.#resetButton.disabled = disabled || coordinateFormat === defaultCoordinateFormat;
+        this.#resetButton.title = (defaultCoordinateFormat != null)
+            ? `Use the default up axis of the file: ${FORMAT_NAMES.find(([name]) => name === defaultCoordinateFormat.name)?.[1]}`
+            : 'Use the default up axis of the file';
+    };
+}
@@ -0,0 +1,152 @@
+import { Scene } from '../Scene';
+import { DraggablePanel } from '../widgets';
+
+/**
+ * The depth range shown before the user picks one, in `three.js` units.
+ * 
+ * @type {Readonly<{near: number, far: number}>}
+ */
+const DEFAULT_RANGE = Object.freeze({ near: 0, far: 20 });
+
+export class DepthRangePanel {
+
+    /**
+     * @readonly
+     * @type {Scene}
+     */
+    scene;
+
+    /**
+     * The draggable panel of this object.
+     * 
+     * @readonly
+     * @type {DraggablePanel}
+     */
+    panel;
+
+    /**
+     * When checked, the drawing tools only select the points within the depth range.
+     * 
+     * @readonly
+     * @type {HTMLInputElement}
+     */
+    #enabledInput;
+
+    /**
+     * The input box for the distance from the camera where the depth range begins.
+     * 
+     * @readonly
+     * @type {HTMLInputElement}
+     */
+    #nearInput;
+
+    /**
+     * The input box for the distance from the camera where the depth range ends.
+     * 
+     * @readonly
+     * @type {HTMLInputElement}
+     */
+    #farInput;
+
+    /**
+     * Constructs an instance of this object.
+     * 
+     * @param {Scene} scene The active scene.
+     */
+    constructor(scene) {
+        this.scene = scene;
+
+        scene.addEventListener('pointCloud-changed', this.render);
+        scene.addEventListener('depthRange-changed', this.render);
+
+        const dom = document.createElement('div');
+        dom.className = 'depth-range-panel';
+        {
+            const enabledLabel = document.createElement('label');
+            enabledLabel.className = 'depth-range-enabled';
+            {
+                this.#enabledInput = document.createElement('input');
+                this.#enabledInput.type = 'checkbox';
+                this.#enabledInput.addEventListener('change', () => {
+                    this.applyRange();
+                });
+                enabledLabel.appendChild(this.#enabledInput);
+                enabledLabel.append(' Limit the depth of selections');
+            }
+            dom.appendChild(enabledLabel);
+
+            const nearLabel = document.createElement('label');
+            nearLabel.textContent = 'Near';
+            dom.appendChild(nearLabel);
+
+            this.#nearInput = document.createElement('input');
+            this.#nearInput.type = 'number';
+            this.#nearInput.min = '0';
+            this.#nearInput.step = '0.5';
+            this.#nearInput.value = DEFAULT_RANGE.near.toString();
+            this.#nearInput.title = 'The distance from the camera where the selected points begin';
+            this.#nearInput.addEventListener('change', () => {
+                this.applyRange();
+            });
+            dom.appendChild(this.#nearInput);
+
+            const farLabel = document.createElement('label');
+            farLabel.textContent = 'Far';
+            dom.appendChild(farLabel);
+
+            this.#farInput = document.createElement('input');
+            this.#farInput.type = 'number';
+            this.#farInput.min = '0';
+            this.#farInput.step = '0.5';
+            this.#farInput.value = DEFAULT_RANGE.far.toString();
+            this.#farInput.title = 'The distance from the camera where the selected points end';
+            this.#farInput.addEventListener('change', () => {
+                this.applyRange();
+            });
+            dom.appendChild(this.#farInput);
+        }
+
+        this.panel = new DraggablePanel('Depth Range', dom);
+
+        this.render();
+    }
+
+    /**
+     * Uses the depth range typed by the user for the drawing tools if it is enabled; otherwise,
+     * lets them select the points at any distance.
+     * 
+     * @returns {boolean} `true` if the depth range was applied; otherwise, `false`.
+     */
+    applyRange() {
+        try {
+            this.scene.depthRange = this.#enabledInput.checked
+                ? { near: this.#nearInput.valueAsNumber, far: this.#farInput.valueAsNumber }
+                : null;
+        } catch (error) {
+            console.error(error);
+            alert(`${error instanceof Error ? error.message : error}. The near distance must be at least 0 and less than the far distance.`);
+
+            this.render();
+            return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Updates the view of this object.
+     */
+    render = () => {
+        const { depthRange, pointCloud } = this.scene;
+
+        this.#enabledInput.checked = depthRange != null;
+        if (depthRange != null) {
+            this.#nearInput.value = depthRange.near.toString();
+            this.#farInput.value = depthRange.far.toString();
+        }
+
+        this.#enabledInput.disabled = pointCloud == null;
+        this.#nearInput.disabled = pointCloud == null;
+        this.#farInput.disabled = pointCloud == null;
+    };
+}
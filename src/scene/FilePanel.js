@@ -0,0 +1,557 @@
+import { Scene } from '../Scene';
+import { LabelFile, LabelSetFile, LoaderRegistry, PcdWriter, BoxFile } from '../io';
+import { FileUtils } from '../utils';
+import { DraggablePanel } from '../widgets';
+
+/**
+ * @typedef {import('../io/LabelFile').LabelFileFormat} LabelFileFormat
+ */
+
+/**
+ * @typedef {import('../io/PcdWriter').PcdWriteFormat} PcdWriteFormat
+ */
+
+/**
+ * @typedef {import('../io/BoxFile').BoxFileFormat} BoxFileFormat
+ */
+
+export class FilePanel {
+
+    /**
+     * @readonly
+     * @type {Scene}
+     */
+    scene;
+
+    /**
+     * The draggable panel of this object.
+     * 
+     * @readonly
+     * @type {DraggablePanel}
+     */
+    panel;
+
+    /**
+     * Displays the name of the loaded point cloud file.
+     * 
+     * @readonly
+     * @type {HTMLLabelElement}
+     */
+    #fileNameLabel;
+
+    /**
+     * The hidden input used to open the file dialog.
+     * 
+     * @readonly
+     * @type {HTMLInputElement}
+     */
+    #fileInput;
+
+    /**
+     * The drop-down list for picking the format of exported label files.
+     * 
+     * @readonly
+     * @type {HTMLSelectElement}
+     */
+    #exportFormatSelect;
+
+    /**
+     * The input box for the class id of points which are not labelled.
+     * 
+     * @readonly
+     * @type {HTMLInputElement}
+     */
+    #unlabeledIdInput;
+
+    /**
+     * When clicked, exports the labels of each point.
+     * 
+     * @readonly
+     * @type {HTMLButtonElement}
+     */
+    #exportButton;
+
+    /**
+     * The drop-down list for picking how the points of exported PCD files are stored.
+     * 
+     * @readonly
+     * @type {HTMLSelectElement}
+     */
+    #pcdFormatSelect;
+
+    /**
+     * When clicked, exports the point cloud with the labels of each point as a PCD file.
+     * 
+     * @readonly
+     * @type {HTMLButtonElement}
+     */
+    #exportPcdButton;
+
+    /**
+     * The drop-down list for picking the format of exported 3D bounding box files.
+     * 
+     * @readonly
+     * @type {HTMLSelectElement}
+     */
+    #boxFormatSelect;
+
+    /**
+     * When clicked, exports the 3D bounding boxes of the label selections.
+     * 
+     * @readonly
+     * @type {HTMLButtonElement}
+     */
+    #exportBoxesButton;
+
+    /**
+     * The hidden input used to choose an annotation file to import.
+     * 
+     * @readonly
+     * @type {HTMLInputElement}
+     */
+    #importInput;
+
+    /**
+     * When clicked, imports the labels of each point from an annotation file.
+     * 
+     * @readonly
+     * @type {HTMLButtonElement}
+     */
+    #importButton;
+
+    /**
+     * The hidden input used to choose a label set file to load.
+     * 
+     * @readonly
+     * @type {HTMLInputElement}
+     */
+    #labelSetInput;
+
+    /**
+     * Displays the name of the active label set.
+     * 
+     * @readonly
+     * @type {HTMLLabelElement}
+     */
+    #labelSetNameLabel;
+
+    /**
+     * The class id assigned to points which are not covered by any label selection.
+     * 
+     * @type {number}
+     */
+    get unlabeledId() { return this.#unlabeledIdInput.valueAsNumber; }
+
+    set unlabeledId(value) { this.#unlabeledIdInput.value = value.toString(); }
+
+    /**
+     * The format of exported label files.
+     * 
+     * @type {LabelFileFormat}
+     * @throws {Error} If the picked format is not supported.
+     */
+    get exportFormat() {
+        const { value } = this.#exportFormatSelect;
+        if (!LabelFile.LABEL_FILE_FORMATS.some((f) => f === value)) {
+            throw new Error(`Unsupported label file format: ${value}`);
+        }
+
+        return /** @type {LabelFileFormat} */ (value);
+    }
+
+    set exportFormat(value) { this.#exportFormatSelect.value = value; }
+
+    /**
+     * How the points of exported PCD files are stored.
+     * 
+     * @type {PcdWriteFormat}
+     * @throws {Error} If the picked format is not supported.
+     */
+    get pcdFormat() {
+        const { value } = this.#pcdFormatSelect;
+        if (!PcdWriter.PCD_WRITE_FORMATS.some((f) => f === value)) {
+            throw new Error(`Unsupported PCD data format: ${value}`);
+        }
+
+        return /** @type {PcdWriteFormat} */ (value);
+    }
+
+    set pcdFormat(value) { this.#pcdFormatSelect.value = value; }
+
+    /**
+     * The format of exported 3D bounding box files.
+     * 
+     * @type {BoxFileFormat}
+     * @throws {Error} If the picked format is not supported.
+     */
+    get boxFormat() {
+        const { value } = this.#boxFormatSelect;
+        if (!BoxFile.BOX_FILE_FORMATS.some((f) => f === value)) {
+            throw new Error(`Unsupported box file format: ${value}`);
+        }
+
+        return /** @type {BoxFileFormat} */ (value);
+    }
+
+    set boxFormat(value) { this.#boxFormatSelect.value = value; }
+
+    /**
+     * Constructs an instance of this object.
+     * 
+     * @param {Scene} scene The active scene.
+     */
+    constructor(scene) {
+        this.scene = scene;
+
+        scene.addEventListener('pointCloud-changed', this.render);
+        scene.addEventListener('labelSet-changed', this.render);
+
+        const dom = document.createElement('div');
+        dom.className = 'file-panel';
+        {
+            this.#fileInput = document.createElement('input');
+            this.#fileInput.type = 'file';
+            this.#fileInput.accept = LoaderRegistry.getExtensions().map((extension) => `.${extension}`).join(',');
+            this.#fileInput.hidden = true;
+            this.#fileInput.addEventListener('change', async () => {
+                const file = this.#fileInput.files?.[0];
+                this.#fileInput.value = '';
+
+                if (file != null) {
+                    await this.scene.openFile(file);
+                }
+            });
+            dom.appendChild(this.#fileInput);
+
+            const openButton = document.createElement('button');
+            openButton.className = 'btn btn-secondary btn-sm';
+            openButton.innerHTML = '<i class="bi bi-folder2-open"></i> Open';
+            openButton.title = 'Open a point cloud file (.pcd, .las, .laz, .ply, .xyz or KITTI .bin), or drop it onto the scene';
+            openButton.addEventListener('click', () => {
+                this.openFileDialog();
+            });
+            dom.appendChild(openButton);
+
+            this.#fileNameLabel = document.createElement('label');
+            dom.appendChild(this.#fileNameLabel);
+
+            this.#labelSetInput = document.createElement('input');
+            this.#labelSetInput.type = 'file';
+            this.#labelSetInput.accept = '.json';
+            this.#labelSetInput.hidden = true;
+            this.#labelSetInput.addEventListener('change', async () => {
+                const file = this.#labelSetInput.files?.[0];
+                this.#labelSetInput.value = '';
+
+                if (file != null) {
+                    await this.loadLabelSet(file);
+                }
+            });
+            dom.appendChild(this.#labelSetInput);
+
+            const labelSetButton = document.createElement('button');
+            labelSetButton.className = 'btn btn-secondary btn-sm';
+            labelSetButton.innerHTML = '<i class="bi bi-tags"></i> Label set';
+            labelSetButton.title = 'Load the label classes from a label set file (.json)';
+            labelSetButton.addEventListener('click', () => {
+                this.#labelSetInput.click();
+            });
+            dom.appendChild(labelSetButton);
+
+            this.#labelSetNameLabel = document.createElement('label');
+            dom.appendChild(this.#labelSetNameLabel);
+
+            const formatLabel = document.createElement('label');
+            formatLabel.textContent = 'Label format';
+            dom.appendChild(formatLabel);
+
+            this.#exportFormatSelect = document.createElement('select');
+            for (const format of LabelFile.LABEL_FILE_FORMATS) {
+                const option = document.createElement('option');
+                option.textContent = `.${format}`;
+                option.value = format;
+                this.#exportFormatSelect.appendChild(option);
+            }
+            dom.appendChild(this.#exportFormatSelect);
+
+            const unlabeledIdLabel = document.createElement('label');
+            unlabeledIdLabel.textContent = 'Unlabeled id';
+            dom.appendChild(unlabeledIdLabel);
+
+            this.#unlabeledIdInput = document.createElement('input');
+            this.#unlabeledIdInput.type = 'number';
+            this.#unlabeledIdInput.step = '1';
+            this.#unlabeledIdInput.value = '0';
+            dom.appendChild(this.#unlabeledIdInput);
+
+            this.#exportButton = document.createElement('button');
+            this.#exportButton.className = 'btn btn-secondary btn-sm';
+            this.#exportButton.innerHTML = '<i class="bi bi-download"></i> Export labels';
+            this.#exportButton.title = 'Export the class and instance id of each point';
+            this.#exportButton.addEventListener('click', () => {
+                this.exportLabels();
+            });
+            dom.appendChild(this.#exportButton);
+
+            this.#importInput = document.createElement('input');
+            this.#importInput.type = 'file';
+            this.#importInput.accept = LabelFile.LABEL_FILE_FORMATS.map((format) => `.${format}`).join(',');
+            this.#importInput.hidden = true;
+            this.#importInput.addEventListener('change', async () => {
+                const file = this.#importInput.files?.[0];
+                this.#importInput.value = '';
+
+                if (file != null) {
+                    await this.importLabels(file);
+                }
+            });
+            dom.appendChild(this.#importInput);
+
+            this.#importButton = document.createElement('button');
+            this.#importButton.className = 'btn btn-secondary btn-sm';
+            this.#importButton.innerHTML = '<i class="bi bi-upload"></i> Import labels';
+            this.#importButton.title = 'Import labels from a .label, .npy, .csv or .json annotation file';
+            this.#importButton.addEventListener('click', () => {
+                this.#importInput.click();
+            });
+            dom.appendChild(this.#importButton);
+
+            this.#pcdFormatSelect = document.createElement('select');
+            for (const format of PcdWriter.PCD_WRITE_FORMATS) {
+                const option = document.createElement('option');
+                option.textContent = `.pcd (${format})`;
+                option.value = format;
+                this.#pcdFormatSelect.appendChild(option);
+            }
+            this.#pcdFormatSelect.value = 'binary';
+            dom.appendChild(this.#pcdFormatSelect);
+
+            this.#exportPcdButton = document.createElement('button');
+            this.#exportPcdButton.className = 'btn btn-secondary btn-sm';
+            this.#exportPcdButton.innerHTML = '<i class="bi bi-file-earmark-arrow-down"></i> Export PCD';
+            this.#exportPcdButton.title = 'Export the point cloud with label and instance fields';
+            this.#exportPcdButton.addEventListener('click', () => {
+                this.exportPcd();
+            });
+            dom.appendChild(this.#exportPcdButton);
+
+            this.#boxFormatSelect = document.createElement('select');
+            for (const format of BoxFile.BOX_FILE_FORMATS) {
+                const option = document.createElement('option');
+                option.textContent = (format === 'kitti') ? 'KITTI (.txt)' : 'nuScenes (.json)';
+                option.value = format;
+                this.#boxFormatSelect.appendChild(option);
+            }
+            dom.appendChild(this.#boxFormatSelect);
+
+            this.#exportBoxesButton = document.createElement('button');
+            this.#exportBoxesButton.className = 'btn btn-secondary btn-sm';
+            this.#exportBoxesButton.innerHTML = '<i class="bi bi-box"></i> Export boxes';
+            this.#exportBoxesButton.title = 'Export the 3D bounding boxes of the selections made with the cuboid tool';
+            this.#exportBoxesButton.addEventListener('click', () => {
+                this.exportBoxes();
+            });
+            dom.appendChild(this.#exportBoxesButton);
+        }
+
+        this.panel = new DraggablePanel('Point Cloud', dom);
+
+        this.render();
+    }
+
+    /**
+     * Opens the dialog to choose a point cloud file.
+     * 
+     * @returns {this} This object.
+     */
+    openFileDialog() {
+        this.#fileInput.click();
+
+        return this;
+    }
+
+    /**
+     * Replaces the label set of the scene with one read from a file.
+     * 
+     * @param {File} file The label set file (`.json`).
+     * @returns {Promise<boolean>} `true` if the label set was loaded; otherwise, `false`.
+     */
+    async loadLabelSet(file) {
+        try {
+            this.scene.labelSet = LabelSetFile.decode(await file.text());
+        } catch (error) {
+            console.error(error);
+            alert(`Failed to load ${file.name}: ${error instanceof Error ? error.message : error}`);
+
+            return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Exports the class and instance id of each point of the active point cloud,
+     * in the order of the points in the original file.
+     * 
+     * The active label set is stored in JSON annotations, and is downloaded alongside
+     * annotations of the other formats.
+     * 
+     * @returns {this} This object.
+     */
+    exportLabels() {
+        const { pointCloud, labelSelections, labelSet, fileName } = this.scene;
+        if (pointCloud == null) return this;
+
+        const { unlabeledId, exportFormat } = this;
+        if (!Number.isInteger(unlabeledId)) {
+            alert('The unlabeled id must be an integer.');
+            return this;
+        }
+
+        try {
+            const labels = LabelFile.computePointLabels(
+                pointCloud.buffer,
+                labelSelections,
+                unlabeledId,
+            );
+            const blob = LabelFile.encode(labels, exportFormat, unlabeledId, labelSet);
+
+            FileUtils.downloadBlob(blob, FileUtils.replaceExtension(fileName ?? 'labels', exportFormat));
+
+            if (exportFormat !== 'json') {
+                FileUtils.downloadBlob(LabelSetFile.encode(labelSet), FileUtils.replaceExtension(fileName ?? 'labels', 'labelset.json'));
+            }
+        } catch (error) {
+            console.error(error);
+            alert(`Failed to export the labels: ${error instanceof Error ? error.message : error}`);
+        }
+
+        return this;
+    }
+
+    /**
+     * Exports the active point cloud as a PCD file with every channel of its points, plus
+     * their class id (`label`) and instance id (`instance`).
+     * 
+     * @returns {this} This object.
+     */
+    exportPcd() {
+        const { pointCloud, labelSelections, fileName } = this.scene;
+        if (pointCloud == null) return this;
+
+        const { unlabeledId, pcdFormat } = this;
+        if (!Number.isInteger(unlabeledId)) {
+            alert('The unlabeled id must be an integer.');
+            return this;
+        }
+
+        try {
+            const labels = LabelFile.computePointLabels(
+                pointCloud.buffer,
+                labelSelections,
+                unlabeledId,
+            );
+            const blob = PcdWriter.encodePcd(pointCloud.buffer, labels, pcdFormat);
+
+            FileUtils.downloadBlob(blob, FileUtils.replaceExtension(fileName ?? 'labels', 'labeled.pcd'));
+        } catch (error) {
+            console.error(error);
+            alert(`Failed to export the point cloud: ${error instanceof Error ? error.message : error}`);
+        }
+
+        return this;
+    }
+
+    /**
+     * Exports the 3D bounding boxes of the label selections made with the cuboid tool, in the
+     * coordinates of the point cloud file.
+     * 
+     * @returns {this} This object.
+     */
+    exportBoxes() {
+        const { pointCloud, labelSelections, fileName } = this.scene;
+        if (pointCloud == null) return this;
+
+        const { boxFormat } = this;
+
+        try {
+            const boxes = BoxFile.computeBoxes(labelSelections);
+            if (boxes.length === 0) {
+                alert('There are no boxes to export. Select objects with the cuboid tool first.');
+                return this;
+            }
+
+            const blob = BoxFile.encode(boxes, boxFormat);
+            const extension = (boxFormat === 'kitti') ? 'boxes.txt' : 'boxes.json';
+
+            FileUtils.downloadBlob(blob, FileUtils.replaceExtension(fileName ?? 'labels', extension));
+        } catch (error) {
+            console.error(error);
+            alert(`Failed to export the boxes: ${error instanceof Error ? error.message : error}`);
+        }
+
+        return this;
+    }
+
+    /**
+     * Imports the labels of each point of the active point cloud from an annotation file,
+     * replacing the existing label selections.
+     * 
+     * @param {File} file The annotation file, whose format is given by its extension.
+     * @returns {Promise<boolean>} `true` if the labels were imported; otherwise, `false`.
+     */
+    async importLabels(file) {
+        const { scene, unlabeledId } = this;
+        if (scene.pointCloud == null) return false;
+
+        const extension = FileUtils.getExtension(file.name);
+        if (!LabelFile.LABEL_FILE_FORMATS.some((f) => f === extension)) {
+            alert(`Cannot import ${file.name}: unsupported annotation format.`);
+            return false;
+        }
+        const format = /** @type {LabelFileFormat} */ (extension);
+
+        if (scene.labelSelections.length > 0 && !confirm('Replace the existing selections with the imported ones?')) {
+            return false;
+        }
+
+        try {
+            const labels = LabelFile.decode(await file.arrayBuffer(), format, unlabeledId);
+
+            if (labels.labelSet != null && labels.labelSet.name !== scene.labelSet.name
+                && confirm(`Switch to the label set ${labels.labelSet.name} of the annotations?`)) {
+                scene.labelSet = labels.labelSet;
+            }
+
+            scene.importLabels(labels, unlabeledId);
+        } catch (error) {
+            console.error(error);
+            alert(`Failed to import ${file.name}: ${error instanceof Error ? error.message : error}`);
+
+            return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Updates the view of this object.
+     */
+    render = () => {
+        const { pointCloud, fileName } = this.scene;
+
+        if (pointCloud == null) {
+            this.#fileNameLabel.textContent = 'No file loaded';
+        } else {
+            this.#fileNameLabel.textContent = `${fileName ?? 'Untitled'} (${pointCloud.buffer.numPoints} points)`;
+        }
+
+        this.#labelSetNameLabel.textContent = this.scene.labelSet.name;
+        this.#labelSetNameLabel.title = `${this.scene.labelSet.classes.length} classes`;
+
+        this.#exportButton.disabled = pointCloud == null;
+        this.#exportPcdButton.disabled = pointCloud == null;
+        this.#exportBoxesButton.disabled = pointCloud == null;
+        this.#importButton.disabled = pointCloud == null;
+    };
+}
@@ -0,0 +1,168 @@
+import { Scene } from '../Scene';
+import { DraggablePanel, RangeInput } from '../widgets';
+
+/**
+ * @typedef {import('../utils/GroundUtils').GroundOptions} GroundOptions
+ */
+
+export class GroundPanel {
+
+    /**
+     * @readonly
+     * @type {Scene}
+     */
+    scene;
+
+    /**
+     * The draggable panel of this object.
+     * 
+     * @readonly
+     * @type {DraggablePanel}
+     */
+    panel;
+
+    /**
+     * Represents a range for the largest slope of the ground, in degrees.
+     * 
+     * @readonly
+     * @type {RangeInput}
+     */
+    #maxSlopeInput;
+
+    /**
+     * Represents a range for the largest distance between the ground points and the ground plane.
+     * 
+     * @readonly
+     * @type {RangeInput}
+     */
+    #thresholdInput;
+
+    /**
+     * When clicked, labels the ground with the selected class.
+     * 
+     * @readonly
+     * @type {HTMLButtonElement}
+     */
+    #labelButton;
+
+    /**
+     * When checked, the points of the ground selections are hidden.
+     * 
+     * @readonly
+     * @type {HTMLInputElement}
+     */
+    #hiddenInput;
+
+    /**
+     * Constructs an instance of this object.
+     * 
+     * @param {Scene} scene The active scene.
+     */
+    constructor(scene) {
+        this.scene = scene;
+
+        for (const type of ['pointCloud-changed', 'groundOptions-changed', 'groundHidden-changed']) {
+            scene.addEventListener(type, this.render);
+        }
+
+        const dom = document.createElement('div');
+        dom.className = 'ground-panel';
+        {
+            const { groundOptions } = scene;
+
+            this.#maxSlopeInput = new RangeInput('Slope', { min: 1, max: 45, step: 1, value: groundOptions.maxSlope });
+            this.#maxSlopeInput.dom.title = 'The largest angle (in degrees) between the ground and the horizontal';
+            this.#maxSlopeInput.onchange = (value) => {
+                this.#applyOptions({ maxSlope: value });
+            };
+            dom.appendChild(this.#maxSlopeInput.dom);
+
+            this.#thresholdInput = new RangeInput('Distance', { min: 0.05, max: 1, step: 0.05, value: groundOptions.threshold });
+            this.#thresholdInput.dom.title = 'The largest distance between the ground points and the ground plane';
+            this.#thresholdInput.onchange = (value) => {
+                this.#applyOptions({ threshold: value });
+            };
+            dom.appendChild(this.#thresholdInput.dom);
+
+            this.#labelButton = document.createElement('button');
+            this.#labelButton.className = 'btn btn-secondary btn-sm';
+            this.#labelButton.innerHTML = '<i class="bi bi-layers"></i> Label ground';
+            this.#labelButton.title = 'Label the unlabelled ground points with the selected class';
+            this.#labelButton.addEventListener('click', () => {
+                this.labelGround();
+            });
+            dom.appendChild(this.#labelButton);
+
+            const hiddenLabel = document.createElement('label');
+            {
+                this.#hiddenInput = document.createElement('input');
+                this.#hiddenInput.type = 'checkbox';
+                this.#hiddenInput.addEventListener('change', () => {
+                    this.scene.groundHidden = this.#hiddenInput.checked;
+                });
+                hiddenLabel.appendChild(this.#hiddenInput);
+                hiddenLabel.append(' Hide ground');
+            }
+            dom.appendChild(hiddenLabel);
+        }
+
+        this.panel = new DraggablePanel('Ground', dom);
+
+        this.render();
+    }
+
+    /**
+     * Changes some of the ground options, keeping the others.
+     * 
+     * @param {Partial<GroundOptions>} changes The changed options.
+     */
+    #applyOptions(changes) {
+        try {
+            this.scene.groundOptions = { ...this.scene.groundOptions, ...changes };
+        } catch (error) {
+            console.error(error);
+            alert(error instanceof Error ? error.message : error);
+
+            this.render();
+        }
+    }
+
+    /**
+     * Labels the ground of the point cloud with the selected class.
+     * 
+     * @returns {Promise<boolean>} `true` if the ground was labelled; otherwise, `false`.
+     */
+    async labelGround() {
+        this.#labelButton.disabled = true;
+
+        try {
+            const selection = await this.scene.segmentGround();
+            if (selection == null) {
+                alert('No ground was found among the unlabelled points. Try a larger slope or distance.');
+            }
+
+            return selection != null;
+        } catch (error) {
+            console.error(error);
+            alert(error instanceof Error ? error.message : error);
+
+            return false;
+        } finally {
+            this.render();
+        }
+    }
+
+    /**
+     * Updates the view of this object.
+     */
+    render = () => {
+        const { pointCloud, groundOptions, groundHidden } = this.scene;
+
+        this.#maxSlopeInput.value = groundOptions.maxSlope;
+        this.#thresholdInput.value = groundOptions.threshold;
+        this.#hiddenInput.checked = groundHidden;
+
+        this.#labelButton.disabled = pointCloud == null;
+        this.#hiddenInput.disabled = pointCloud == null;
+    };
+}
@@ -33,6 +33,13 @@ export class Hint {
         }
     }
 
+    /**
+     * The name of the point cloud file whose annotation session can be resumed, if any.
+     * 
+     * @type {?string}
+     */
+    resumableFileName = null;
+
     /**
      * The message to be displayed as hint.
      * 
@@ -61,8 +68,21 @@ export class Hint {
         if (scene == null) {
             this.#reminder = 'Wrong configuration data';
         } else {
-            const { interactMode, drawMode, selectedToolType, hasSelectedTool, hasSelectedSelection, isDrawing } = scene;
-            if (hasSelectedSelection && hasSelectedTool) {
+            const {
+                interactMode, drawMode, selectedToolType, hasSelectedTool, hasSelectedSelection,
+                isDrawing, pointCloud,
+            } = scene;
+            if (pointCloud == null && this.resumableFileName != null) {
+                this.#reminder = `Press [O] to open ${this.resumableFileName} and resume the last session, or another point cloud file to start over.`;
+            } else if (pointCloud == null) {
+                this.#reminder = 'Press [O] to open a point cloud file, or drop one onto the scene.';
+            } else if (interactMode === 'draw' && selectedToolType === 'cuboid' && !isDrawing) {
+                this.#reminder = 'Double click a point to place the cuboid, drag its gizmo to adjust it, then Press [Enter] to select the points inside it.';
+            } else if (
+                interactMode === 'draw' && selectedToolType === 'wand' && !hasSelectedSelection
+            ) {
+                this.#reminder = 'Click a point to select the region around it, or Press [Esc] to cancel.';
+            } else if (hasSelectedSelection && hasSelectedTool) {
                 if (drawMode === 'erase') {
                     this.#reminder = 'Press [D] to add points to the selection, or Press [Esc] to cancel.'
                 } else {
@@ -0,0 +1,91 @@
+import { Scene } from '../Scene';
+
+/**
+ * Shows the progress of the load of a point cloud file, and allows cancelling it.
+ */
+export class LoadProgress {
+
+    /**
+     * @readonly
+     * @type {Scene}
+     */
+    scene;
+
+    /**
+     * The dom of this object.
+     * 
+     * @readonly
+     * @type {HTMLDivElement}
+     */
+    dom;
+
+    /**
+     * Displays the name of the file being loaded.
+     * 
+     * @readonly
+     * @type {HTMLLabelElement}
+     */
+    #fileNameLabel;
+
+    /**
+     * Fills up as the file is read.
+     * 
+     * @readonly
+     * @type {HTMLDivElement}
+     */
+    #bar;
+
+    /**
+     * Constructs an instance of this object.
+     * 
+     * @param {Scene} scene The active scene.
+     */
+    constructor(scene) {
+        this.scene = scene;
+
+        scene.addEventListener('loadProgress-changed', this.render);
+
+        this.dom = document.createElement('div');
+        this.dom.className = 'load-progress';
+        {
+            this.#fileNameLabel = document.createElement('label');
+            this.dom.appendChild(this.#fileNameLabel);
+
+            const progress = document.createElement('div');
+            progress.className = 'progress';
+            {
+                this.#bar = document.createElement('div');
+                this.#bar.className = 'progress-bar';
+                this.#bar.setAttribute('role', 'progressbar');
+                progress.appendChild(this.#bar);
+            }
+            this.dom.appendChild(progress);
+
+            const cancelButton = document.createElement('button');
+            cancelButton.className = 'btn btn-secondary btn-sm';
+            cancelButton.innerHTML = '<i class="bi bi-x-lg"></i> Cancel';
+            cancelButton.title = 'Stop loading the file';
+            cancelButton.addEventListener('click', () => {
+                this.scene.cancelLoad();
+            });
+            this.dom.appendChild(cancelButton);
+        }
+
+        this.render();
+    }
+
+    /**
+     * Updates the view of this object.
+     */
+    render = () => {
+        const { isLoading, loadingFileName, loadProgress } = this.scene;
+
+        this.dom.hidden = !isLoading;
+        this.#fileNameLabel.textContent = `Loading ${loadingFileName ?? ''}`;
+
+        const percent = Math.floor(loadProgress * 100);
+        this.#bar.style.width = `${percent}%`;
+        this.#bar.textContent = `${percent}%`;
+        this.#bar.setAttribute('aria-valuenow', percent.toString());
+    };
+}
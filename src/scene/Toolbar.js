@@ -1,5 +1,14 @@
 import { Scene } from '../Scene';
 import { RangeInput } from '../widgets/RangeInput';
+import { ColorUtils } from '../utils';
+
+/**
+ * @typedef {import('../selectionTools/CuboidTool').CuboidTransformMode} CuboidTransformMode
+ */
+
+/**
+ * @typedef {import('../selectionTools/MagicWand').RegionOptions} RegionOptions
+ */
 
 export class Toolbar {
 
@@ -57,6 +66,22 @@ export class Toolbar {
      */
     #curvatureButton;
 
+    /**
+     * When clicked, enters draw cuboid mode.
+     * 
+     * @readonly
+     * @type {HTMLButtonElement}
+     */
+    #cuboidButton;
+
+    /**
+     * When clicked, enters magic wand mode.
+     * 
+     * @readonly
+     * @type {HTMLButtonElement}
+     */
+    #wandButton;
+
     /**
      * When clicked, enters erase mode.
      * 
@@ -65,6 +90,15 @@ export class Toolbar {
      */
     #eraseButton;
 
+    /**
+     * When clicked, switches between selecting only the visible points and selecting the
+     * points hidden behind them too.
+     * 
+     * @readonly
+     * @type {HTMLButtonElement}
+     */
+    #visibleOnlyButton;
+
     /**
      * When clicked, enters draw mode using brush.
      * 
@@ -81,6 +115,81 @@ export class Toolbar {
      */
     #brushSizeInput;
 
+    /**
+     * Contains the range input for the depth tolerance of visible-only selection.
+     * 
+     * @readonly
+     * @type {HTMLElement}
+     */
+    #depthToleranceDiv;
+
+    /**
+     * Represents a range for the depth tolerance of visible-only selection.
+     * 
+     * @readonly
+     * @type {RangeInput}
+     */
+    #depthToleranceInput;
+
+    /**
+     * Contains the buttons which pick how the gizmo of the cuboid tool transforms the cuboid,
+     * and the one which applies it.
+     * 
+     * @readonly
+     * @type {HTMLElement}
+     */
+    #cuboidDiv;
+
+    /**
+     * The buttons which pick how the gizmo of the cuboid tool transforms the cuboid.
+     * 
+     * @readonly
+     * @type {Map<CuboidTransformMode, HTMLButtonElement>}
+     */
+    #cuboidModeButtons = new Map();
+
+    /**
+     * Contains the inputs for how far the magic wand grows the regions.
+     * 
+     * @readonly
+     * @type {HTMLElement}
+     */
+    #wandDiv;
+
+    /**
+     * The drop-down list for picking the attribute which the points of a region share.
+     * 
+     * @readonly
+     * @type {HTMLSelectElement}
+     */
+    #similaritySelect;
+
+    /**
+     * Represents a range for the largest distance between neighboring points of a region.
+     * 
+     * @readonly
+     * @type {RangeInput}
+     */
+    #radiusInput;
+
+    /**
+     * Represents a range for the largest angle between the normals of neighboring points of
+     * a region.
+     * 
+     * @readonly
+     * @type {RangeInput}
+     */
+    #maxAngleInput;
+
+    /**
+     * Represents a range for the largest difference between the attribute of the points of a
+     * region and that of the clicked point.
+     * 
+     * @readonly
+     * @type {RangeInput}
+     */
+    #maxDifferenceInput;
+
     /**
      * Constructs an instance of this object.
      * 
@@ -93,6 +202,12 @@ export class Toolbar {
         scene.addEventListener('selectedTool-changed', this.render);
         scene.addEventListener('drawMode-changed', this.render);
         scene.addEventListener('brushSize-changed', this.render);
+        scene.addEventListener('visibleOnly-changed', this.render);
+        scene.addEventListener('depthTolerance-changed', this.render);
+        scene.addEventListener('cuboidTransformMode-changed', this.render);
+        scene.addEventListener('regionOptions-changed', this.render);
+        scene.addEventListener('pointCloud-changed', this.render);
+        scene.addEventListener('labelSelections-changed', this.render);
 
         this.dom = document.createElement('div');
         this.dom.className = 'scene-toolbar';
@@ -162,6 +277,30 @@ export class Toolbar {
             this.#brushButton.addEventListener('click', () => {
                 this.setBrush();
             });
+
+            this.#cuboidButton = document.createElement('button');
+            this.#cuboidButton.className = 'btn btn-secondary';
+            this.#cuboidButton.innerHTML = '<i class="bi bi-box"></i>';
+            this.#cuboidButton.title = 'Draw Cuboid';
+            this.#cuboidButton.setAttribute('data-bs-toggle', 'tooltip');
+
+            toolsDiv.appendChild(this.#cuboidButton);
+
+            this.#cuboidButton.addEventListener('click', () => {
+                this.setCuboid();
+            });
+
+            this.#wandButton = document.createElement('button');
+            this.#wandButton.className = 'btn btn-secondary';
+            this.#wandButton.innerHTML = '<i class="bi bi-magic"></i>';
+            this.#wandButton.title = 'Magic Wand';
+            this.#wandButton.setAttribute('data-bs-toggle', 'tooltip');
+
+            toolsDiv.appendChild(this.#wandButton);
+
+            this.#wandButton.addEventListener('click', () => {
+                this.setWand();
+            });
         
         }
 
@@ -182,6 +321,16 @@ export class Toolbar {
             this.#eraseButton.addEventListener('click', () => {
                 this.setDrawMode();
             });
+
+            this.#visibleOnlyButton = document.createElement('button');
+            this.#visibleOnlyButton.className = 'btn btn-secondary';
+            this.#visibleOnlyButton.setAttribute('data-bs-toggle', 'tooltip');
+
+            modeDiv.appendChild(this.#visibleOnlyButton);
+
+            this.#visibleOnlyButton.addEventListener('click', () => {
+                this.toggleVisibleOnly();
+            });
         }
 
         this.dom.appendChild(modeDiv);
@@ -201,6 +350,106 @@ export class Toolbar {
 
         this.dom.appendChild( this.#brushSizeDiv);
 
+        this.#depthToleranceDiv = document.createElement('div');
+        this.#depthToleranceDiv.className = 'depth-tolerance-range';
+        this.#depthToleranceDiv.hidden = true;
+        this.#depthToleranceDiv.title = 'How far behind the visible surface a point may be and still be selected';
+        {
+            this.#depthToleranceInput = new RangeInput('Depth', { min: 0.05, max: 5, step: 0.05, value: scene.depthTolerance });
+            this.#depthToleranceInput.onchange = ((value) => {
+                this.scene.depthTolerance = value;
+            });
+
+            this.#depthToleranceDiv.appendChild(this.#depthToleranceInput.dom);
+        }
+
+        this.dom.appendChild(this.#depthToleranceDiv);
+
+        this.#cuboidDiv = document.createElement('div');
+        this.#cuboidDiv.className = 'cuboid-setting btn-group';
+        this.#cuboidDiv.hidden = true;
+        {
+            /**
+             * @type {Array<[CuboidTransformMode, string, string]>}
+             */
+            const modes = [
+                ['translate', 'bi-arrows-move', 'Move Cuboid'],
+                ['rotate', 'bi-arrow-clockwise', 'Rotate Cuboid'],
+                ['scale', 'bi-arrows-angle-expand', 'Resize Cuboid'],
+            ];
+
+            for (const [mode, icon, title] of modes) {
+                const button = document.createElement('button');
+                button.className = 'btn btn-secondary';
+                button.innerHTML = `<i class="bi ${icon}"></i>`;
+                button.title = title;
+                button.setAttribute('data-bs-toggle', 'tooltip');
+                button.addEventListener('click', () => {
+                    this.scene.cuboidTransformMode = mode;
+                });
+
+                this.#cuboidModeButtons.set(mode, button);
+                this.#cuboidDiv.appendChild(button);
+            }
+
+            const applyButton = document.createElement('button');
+            applyButton.className = 'btn btn-secondary';
+            applyButton.innerHTML = '<i class="bi bi-check2"></i>';
+            applyButton.title = 'Select the Points in the Cuboid (Enter)';
+            applyButton.setAttribute('data-bs-toggle', 'tooltip');
+            applyButton.addEventListener('click', () => {
+                this.scene.applyCuboid();
+            });
+
+            this.#cuboidDiv.appendChild(applyButton);
+        }
+
+        this.dom.appendChild(this.#cuboidDiv);
+
+        this.#wandDiv = document.createElement('div');
+        this.#wandDiv.className = 'wand-setting';
+        this.#wandDiv.hidden = true;
+        {
+            const { regionOptions } = scene;
+
+            this.#radiusInput = new RangeInput('Distance', { min: 0.05, max: 2, step: 0.05, value: regionOptions.radius });
+            this.#radiusInput.dom.title = 'The largest gap between neighboring points of the region';
+            this.#radiusInput.onchange = ((value) => {
+                this.#applyRegionOptions({ radius: value });
+            });
+            this.#wandDiv.appendChild(this.#radiusInput.dom);
+
+            this.#maxAngleInput = new RangeInput('Angle', { min: 5, max: 90, step: 5, value: regionOptions.maxAngle });
+            this.#maxAngleInput.dom.title = 'The largest angle (in degrees) between the surfaces of neighboring points of the region';
+            this.#maxAngleInput.onchange = ((value) => {
+                this.#applyRegionOptions({ maxAngle: value });
+            });
+            this.#wandDiv.appendChild(this.#maxAngleInput.dom);
+
+            this.#similaritySelect = document.createElement('select');
+            this.#similaritySelect.title = 'What the points of the region have in common with the clicked point';
+            for (const [value, text] of [['', 'Any look'], ['intensity', 'Similar intensity'], ['rgb', 'Similar color']]) {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = text;
+                this.#similaritySelect.appendChild(option);
+            }
+            this.#similaritySelect.addEventListener('change', () => {
+                const { value } = this.#similaritySelect;
+                this.#applyRegionOptions({ similarity: (value === 'intensity' || value === 'rgb') ? value : null });
+            });
+            this.#wandDiv.appendChild(this.#similaritySelect);
+
+            this.#maxDifferenceInput = new RangeInput('Difference', { min: 0.05, max: 1, step: 0.05, value: regionOptions.maxDifference });
+            this.#maxDifferenceInput.dom.title = 'The largest difference from the clicked point, as a fraction of the range of the values';
+            this.#maxDifferenceInput.onchange = ((value) => {
+                this.#applyRegionOptions({ maxDifference: value });
+            });
+            this.#wandDiv.appendChild(this.#maxDifferenceInput.dom);
+        }
+
+        this.dom.appendChild(this.#wandDiv);
+
         this.render();
     }
 
@@ -283,6 +532,54 @@ export class Toolbar {
         return this;
     }
 
+    /**
+     * Updates drawing using cuboid.
+     * 
+     * @returns {this} This object.
+     */
+    setCuboid() {
+        if (this.#cuboidButton.disabled) return this;
+
+        const scene = this.scene;
+        scene.selectedToolType = 'cuboid';
+        scene.interactMode = 'draw';
+        scene.drawMode = 'add';
+
+        return this;
+    }
+
+    /**
+     * Updates drawing using magic wand.
+     * 
+     * @returns {this} This object.
+     */
+    setWand() {
+        if (this.#wandButton.disabled) return this;
+
+        const scene = this.scene;
+        scene.selectedToolType = 'wand';
+        scene.interactMode = 'draw';
+        scene.drawMode = 'add';
+
+        return this;
+    }
+
+    /**
+     * Changes some of the options of the magic wand, keeping the others.
+     * 
+     * @param {Partial<RegionOptions>} changes The changed options.
+     */
+    #applyRegionOptions(changes) {
+        try {
+            this.scene.regionOptions = { ...this.scene.regionOptions, ...changes };
+        } catch (error) {
+            console.error(error);
+            alert(error instanceof Error ? error.message : error);
+
+            this.render();
+        }
+    }
+
     /**
      * Updates draw mode.
      * 
@@ -301,18 +598,36 @@ export class Toolbar {
         return this;
     }
 
+    /**
+     * Switches between selecting only the visible points and selecting the points hidden
+     * behind them too.
+     * 
+     * @returns {this} This object.
+     */
+    toggleVisibleOnly() {
+        if (this.#visibleOnlyButton.hidden) return this;
+
+        const scene = this.scene;
+        scene.visibleOnly = !scene.visibleOnly;
+
+        return this;
+    }
+
     /**
      * Updates the view of this object.
      */
     render = () => {
         const scene = this.scene; 
 
-        this.#selectButton.disabled = false;
-        // TODO change to scene.readOnly
-        this.#boxButton.disabled = scene === null;
-        this.#brushButton.disabled = scene === null;
-        this.#curvatureButton.disabled = scene === null;
-        this.#polygonButton.disabled = scene === null;
+        const hasPointCloud = scene.pointCloud != null;
+
+        this.#selectButton.disabled = !hasPointCloud || scene.labelSelections.length === 0;
+        this.#boxButton.disabled = !hasPointCloud;
+        this.#brushButton.disabled = !hasPointCloud;
+        this.#curvatureButton.disabled = !hasPointCloud;
+        this.#polygonButton.disabled = !hasPointCloud;
+        this.#cuboidButton.disabled = !hasPointCloud;
+        this.#wandButton.disabled = !hasPointCloud;
 
         const drawMode = scene.drawMode;
         const selectedTool = scene.selectedToolType;
@@ -323,11 +638,45 @@ export class Toolbar {
 
         this.#eraseButton.hidden = selectedTool === 'selector' || interactMode === 'navigate';
 
+        this.#cuboidDiv.hidden = selectedTool !== 'cuboid' || interactMode !== 'draw';
+        for (const [mode, button] of this.#cuboidModeButtons) {
+            button.style.background = (scene.cuboidTransformMode === mode) ? 'cornflowerblue' : '';
+        }
+
+        const { regionOptions, pointCloud } = scene;
+        this.#wandDiv.hidden = selectedTool !== 'wand' || interactMode !== 'draw';
+        this.#radiusInput.value = regionOptions.radius;
+        this.#maxAngleInput.value = regionOptions.maxAngle;
+        this.#maxDifferenceInput.value = regionOptions.maxDifference;
+        this.#maxDifferenceInput.dom.hidden = regionOptions.similarity == null;
+        this.#similaritySelect.value = regionOptions.similarity ?? '';
+        for (const option of this.#similaritySelect.options) {
+            const { value } = option;
+            option.disabled = (value === 'intensity' || value === 'rgb')
+                && (pointCloud == null || !ColorUtils.isColorModeAvailable(value, pointCloud));
+        }
+
+        // The points inside a cuboid or a region are selected whether they are visible or not
+        const { visibleOnly } = scene;
+        this.#visibleOnlyButton.hidden = this.#eraseButton.hidden
+            || selectedTool === 'cuboid'
+            || selectedTool === 'wand';
+        this.#visibleOnlyButton.innerHTML = visibleOnly ? '<i class="bi bi-eye"></i>' : '<i class="bi bi-eye-slash"></i>';
+        this.#visibleOnlyButton.title = visibleOnly
+            ? 'Selecting visible points only (click to also select the hidden ones)'
+            : 'Selecting hidden points too (click to select visible points only)';
+        this.#visibleOnlyButton.style.background = visibleOnly ? 'cornflowerblue' : '';
+
+        this.#depthToleranceDiv.hidden = this.#visibleOnlyButton.hidden || !visibleOnly;
+        this.#depthToleranceInput.value = scene.depthTolerance;
+
         this.#eraseButton.style.background = (drawMode === 'erase') ? 'cornflowerblue': '';
         this.#selectButton.style.background = (selectedTool === 'selector') ? 'cornflowerblue': '';
         this.#boxButton.style.background = (selectedTool === 'box') ? 'cornflowerblue': '';
         this.#brushButton.style.background = (selectedTool === 'brush') ? 'cornflowerblue': '';
         this.#polygonButton.style.background = (selectedTool === 'polygon') ? 'cornflowerblue': '';
         this.#curvatureButton.style.background = (selectedTool === 'curvature') ? 'cornflowerblue': '';
+        this.#cuboidButton.style.background = (selectedTool === 'cuboid') ? 'cornflowerblue' : '';
+        this.#wandButton.style.background = (selectedTool === 'wand') ? 'cornflowerblue' : '';
     };
 }
\ No newline at end of file
@@ -1 +1,8 @@
-export { Toolbar } from './Toolbar';
\ No newline at end of file
+export { Toolbar } from './Toolbar';
+export { FilePanel } from './FilePanel';
+export { Autosave } from './Autosave';
+export { ColorPanel } from './ColorPanel';
+export { LoadProgress } from './LoadProgress';
+export { CoordinatePanel } from './CoordinatePanel';
+export { DepthRangePanel } from './DepthRangePanel';
+export { GroundPanel } from './GroundPanel';
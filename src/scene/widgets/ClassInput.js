@@ -1,14 +1,37 @@
-import { LabelClass } from "../../selection";
+import { LabelClass } from "../../selection/LabelClass";
 
 export class ClassInput {
 
     /**
-     * List of label classes as options.
+     * @type {ReadonlyArray<LabelClass>}
+     */
+    #labelClasses;
+
+    /**
+     * List of label classes as options, in display order.
+     * 
+     * Subcategories are indented under their parent class, and the hotkey of a class
+     * is shown next to its name.
+     * 
+     * @type {ReadonlyArray<LabelClass>}
+     */
+    get labelClasses() { return this.#labelClasses; }
+
+    set labelClasses(value) {
+        if (this.labelClasses !== value) {
+            this.#labelClasses = value;
+
+            this.#recreateSelectOptions();
+        }
+    }
+
+    /**
+     * Whether retired classes can be picked; otherwise, they are shown but disabled.
      * 
      * @readonly
-     * @type {LabelClass[]}
+     * @type {boolean}
      */
-    labelClasses;
+    allowRetired;
 
     /**
      * The DOM of this object.
@@ -26,7 +49,7 @@ export class ClassInput {
     #selectElem;
 
     #recreateSelectOptions = () => {
-        let value = this.value;
+        const prevId = this.#selectElem.value;
 
         this.#selectElem.replaceChildren();
 
@@ -34,24 +57,38 @@ export class ClassInput {
 
 
         if (labelClasses != null) {
+            const parentById = new Map(labelClasses.map((c) => [c.id, c.parentId]));
+
             for (const labelClass of labelClasses) {
                 const option = document.createElement('option');
 
-                const text = labelClass.name;
+                let depth = 0;
+                let parentId = labelClass.parentId;
+                while (parentId != null && depth < labelClasses.length) {
+                    parentId = parentById.get(parentId) ?? null;
+                    depth += 1;
+                }
+
+                let text = labelClass.hotkey != null ? `${labelClass.name} [${labelClass.hotkey}]` : labelClass.name;
+                if (labelClass.retired) {
+                    text += ' (retired)';
+                }
+
                 option.title = text;
-                option.textContent = text;
+                option.textContent = '\u00a0\u00a0'.repeat(depth) + text;
                 option.value = labelClass.id.toString();
+                option.disabled = labelClass.retired && !this.allowRetired;
 
                 this.#selectElem.appendChild(option);
             }
         }
 
-        if (value == null) {
-            this.#selectElem.selectedIndex = 0;
-            value = this.value;
+        // Keep the selected class if it can still be picked
+        this.#selectElem.value = prevId;
+        if (this.#selectElem.selectedOptions[0]?.disabled ?? true) {
+            const options = [...this.#selectElem.options];
+            this.#selectElem.selectedIndex = options.findIndex((o) => !o.disabled);
         }
-
-        this.value = value;
     };
 
     /**
@@ -63,10 +100,12 @@ export class ClassInput {
     /**
      * Creates a new class selector.
      * 
-     * @param {LabelClass[]} labelClasses
+     * @param {ReadonlyArray<LabelClass>} labelClasses
+     * @param {{ allowRetired?: boolean }} options Whether retired classes can be picked.
      */
-    constructor(labelClasses) {
-        this.labelClasses = labelClasses;
+    constructor(labelClasses, { allowRetired = false } = {}) {
+        this.#labelClasses = labelClasses;
+        this.allowRetired = allowRetired;
 
         this.dom = document.createElement('div');
         this.dom.className = 'class-select';
@@ -90,6 +129,8 @@ export class ClassInput {
      */
     get value() {
         const classId = this.#selectElem.value;
+        if (classId === '') return null;
+
         const labelClasses = this.labelClasses;
         return labelClasses.find((value) => value.id === Number(classId))?? null;
     }
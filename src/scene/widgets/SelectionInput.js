@@ -1,4 +1,4 @@
-import { LabelSelection } from "../../selection";
+import { LabelSelection } from "../../selection/LabelSelection";
 /**
  * @type {string}
  */
@@ -6,12 +6,25 @@ const NO_SELECTION_VALUE = '';
 
 export class SelectionInput {
 
+    /**
+     * @type {LabelSelection[]}
+     */
+    #selections;
+
     /**
      * List of label selections as option.
      * 
      * @type {LabelSelection[]}
      */
-    selections;
+    get selections() { return this.#selections; }
+
+    set selections(value) {
+        if (this.selections !== value) {
+            this.#selections = value;
+
+            this.#recreateSelectOption();
+        }
+    }
 
     /**
      * The DOM of this object.
@@ -85,7 +98,7 @@ export class SelectionInput {
      * @param {LabelSelection[]} selections 
      */
     constructor(selections) {
-        this.selections = selections;
+        this.#selections = selections;
 
         this.dom = document.createElement('div');
         this.dom.className = 'selection-list';
@@ -114,9 +127,15 @@ export class SelectionInput {
     }
 
     set value(value) {
-        if (value != null) {
-            this.#selectElem.value = value?.id.toString();
-        }
+        this.#selectElem.value = value?.id.toString() ?? NO_SELECTION_VALUE;
+    }
+
+    /**
+     * Updates the options after label selections have been added to, removed from
+     * or reclassified in the list.
+     */
+    render() {
+        this.#recreateSelectOption();
     }
 
     /**
@@ -0,0 +1,205 @@
+import * as THREE from 'three';
+
+/**
+ * The JSON representation of a {@link Cuboid}:
+ * - `center`: The `three.js` coordinates of the center of the cuboid.
+ * - `size`: The length, height and width of the cuboid.
+ * - `yaw`: The rotation of the cuboid around the up axis, in radians.
+ * 
+ * @typedef {{
+ *     center: number[],
+ *     size: number[],
+ *     yaw: number
+ * }} CuboidJson
+ */
+
+/**
+ * The up axis of `three.js`, which cuboids rotate around.
+ * 
+ * @type {Readonly<THREE.Vector3>}
+ */
+const UP = new THREE.Vector3(0, 1, 0);
+
+/**
+ * An upright box which can be rotated around the up axis, e.g., the 3D bounding box of a
+ * vehicle or a pedestrian.
+ * 
+ * Its edges are along its local axes: the length along `x`, the height along `y` (up) and the
+ * width along `z`, before it is rotated by its yaw.
+ */
+export class Cuboid {
+
+    /**
+     * The `three.js` coordinates of the center of this cuboid.
+     * 
+     * @type {THREE.Vector3}
+     */
+    center;
+
+    /**
+     * The length (`x`), height (`y`) and width (`z`) of this cuboid.
+     * 
+     * @type {THREE.Vector3}
+     */
+    size;
+
+    /**
+     * The rotation of this cuboid around the up axis, in radians. At `0`, its length is along
+     * the `x` axis.
+     * 
+     * @type {number}
+     */
+    yaw;
+
+    /**
+     * Constructs an instance of this object.
+     * 
+     * @param {THREE.Vector3} [center] The center of the cuboid.
+     * @param {THREE.Vector3} [size] The length, height and width of the cuboid.
+     * @param {number} [yaw] The rotation of the cuboid around the up axis, in radians.
+     */
+    constructor(center = new THREE.Vector3(), size = new THREE.Vector3(1, 1, 1), yaw = 0) {
+        this.center = center;
+        this.size = size;
+        this.yaw = yaw;
+    }
+
+    /**
+     * Creates a copy of this cuboid.
+     * 
+     * @returns {Cuboid} The copy.
+     */
+    clone() {
+        return new Cuboid(this.center.clone(), this.size.clone(), this.yaw);
+    }
+
+    /**
+     * Checks whether this cuboid is the same as another.
+     * 
+     * @param {?Cuboid} other The other cuboid, if any.
+     * @returns {boolean} `true` if both cuboids have the same center, size and yaw;
+     * otherwise, `false`.
+     */
+    equals(other) {
+        return other != null
+            && this.center.equals(other.center)
+            && this.size.equals(other.size)
+            && this.yaw === other.yaw;
+    }
+
+    /**
+     * Computes the transform of the unit cube centered at the origin onto this cuboid.
+     * 
+     * @param {THREE.Matrix4} [target] The matrix to write the result into.
+     * @returns {THREE.Matrix4} The transform.
+     */
+    getMatrix(target = new THREE.Matrix4()) {
+        const rotation = new THREE.Quaternion().setFromAxisAngle(UP, this.yaw);
+
+        return target.compose(this.center, rotation, this.size);
+    }
+
+    /**
+     * Checks whether a point is inside this cuboid, or on its boundary.
+     * 
+     * @param {number} x The `x` coordinate of the point.
+     * @param {number} y The `y` coordinate of the point.
+     * @param {number} z The `z` coordinate of the point.
+     * @returns {boolean} `true` if the point is inside this cuboid; otherwise, `false`.
+     */
+    containsPoint(x, y, z) {
+        const { center, size } = this;
+        const cos = Math.cos(this.yaw);
+        const sin = Math.sin(this.yaw);
+
+        // Rotate the offset from the center back into the local axes of the cuboid
+        const dx = x - center.x;
+        const dz = z - center.z;
+        const localX = cos * dx - sin * dz;
+        const localZ = sin * dx + cos * dz;
+
+        return Math.abs(localX) <= size.x / 2
+            && Math.abs(y - center.y) <= size.y / 2
+            && Math.abs(localZ) <= size.z / 2;
+    }
+
+    /**
+     * Transforms this cuboid, e.g., when the coordinate format of its point cloud changes.
+     * 
+     * The transformed box stays upright: its edge closest to the up axis becomes its height,
+     * and its yaw follows the first of the other edges. This is exact for the transforms which
+     * keep the up axis, and approximate otherwise.
+     * 
+     * @param {THREE.Matrix4} matrix The transform.
+     * @returns {this} This object.
+     */
+    applyMatrix4(matrix) {
+        const transform = new THREE.Matrix4().multiplyMatrices(matrix, this.getMatrix());
+
+        const edges = [new THREE.Vector3(), new THREE.Vector3(), new THREE.Vector3()];
+        transform.extractBasis(edges[0], edges[1], edges[2]);
+        const lengths = edges.map((edge) => edge.length());
+
+        const verticality = (/** @type {number} */ axis) => (
+            (lengths[axis] > 0) ? Math.abs(edges[axis].y) / lengths[axis] : 0
+        );
+        const heightAxis = [0, 1, 2].reduce(
+            (best, axis) => (verticality(axis) > verticality(best) ? axis : best),
+            1,
+        );
+        const [lengthAxis, widthAxis] = [0, 1, 2].filter((axis) => axis !== heightAxis);
+
+        this.center.setFromMatrixPosition(transform);
+        this.size.set(lengths[lengthAxis], lengths[heightAxis], lengths[widthAxis]);
+
+        // A yaw rotates the `x` axis onto `(cos(yaw), 0, -sin(yaw))`
+        const lengthEdge = edges[lengthAxis];
+        this.yaw = Math.atan2(-lengthEdge.z, lengthEdge.x);
+
+        return this;
+    }
+
+    /**
+     * Writes this cuboid as JSON.
+     * 
+     * @returns {CuboidJson} The JSON representation of this cuboid.
+     */
+    toJSON() {
+        return {
+            center: this.center.toArray(),
+            size: this.size.toArray(),
+            yaw: this.yaw,
+        };
+    }
+}
+
+/**
+ * Reads a cuboid written by {@link Cuboid.toJSON}.
+ * 
+ * @param {CuboidJson} json The JSON representation of the cuboid.
+ * @returns {Cuboid} The cuboid.
+ * @throws {Error} If the JSON does not represent a valid cuboid.
+ */
+export function cuboidFromJson(json) {
+    const isVector = (/** @type {unknown} */ value) => (
+        Array.isArray(value) && value.length === 3 && value.every(Number.isFinite)
+    );
+
+    if (
+        json == null
+        || !isVector(json.center)
+        || !isVector(json.size)
+        || !Number.isFinite(json.yaw)
+    ) {
+        throw new Error('A cuboid must have a center, a size and a yaw');
+    }
+    if (json.size.some((value) => value < 0)) {
+        throw new Error(`The size of a cuboid cannot be negative: ${json.size.join(', ')}`);
+    }
+
+    return new Cuboid(
+        new THREE.Vector3().fromArray(json.center),
+        new THREE.Vector3().fromArray(json.size),
+        json.yaw,
+    );
+}
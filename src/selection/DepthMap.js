@@ -0,0 +1,153 @@
+import * as THREE from 'three';
+
+/**
+ * The maximum number of cells along each side of the viewport.
+ * 
+ * @type {number}
+ */
+const MAX_CELLS_PER_SIDE = 4096;
+
+/**
+ * A coarse depth buffer of the points of a point cloud, as drawn by a camera, used to tell the
+ * points on the front surface apart from those hidden behind it.
+ * 
+ * The viewport is split into square cells about as large as a drawn point, each holding the
+ * depth of the closest point drawn over it. Since the points are drawn as squares, a cell is
+ * also covered by the points of its neighboring cells, which keeps the background from showing
+ * through the gaps between the points of a sparse surface.
+ * 
+ * Points closer than a near distance can be clipped away, so that they hide nothing, as when
+ * selecting within a depth range.
+ */
+export class DepthMap {
+
+    /**
+     * The normalized device coordinates of the points, stored as consecutive `(x, y, z)` triples.
+     * 
+     * @readonly
+     * @type {Float32Array}
+     */
+    #bufferNDC;
+
+    /**
+     * The distance of each point from the camera, along its view direction.
+     * 
+     * @readonly
+     * @type {Float32Array}
+     */
+    #depths;
+
+    /**
+     * The number of columns of cells.
+     * 
+     * @type {number}
+     */
+    #cols;
+
+    /**
+     * The number of rows of cells.
+     * 
+     * @type {number}
+     */
+    #rows;
+
+    /**
+     * The depth of the closest point covering each cell, row by row, or `Infinity` if the cell
+     * is empty.
+     * 
+     * @type {Float32Array}
+     */
+    #cellDepths;
+
+    /**
+     * Finds the cell which a point is drawn over.
+     * 
+     * @param {number} i The index of the point.
+     * @returns {number} The index of the cell, or `-1` if the point is not drawn, e.g., it is
+     * outside the viewport or behind the camera.
+     */
+    #cellOf(i) {
+        const x = this.#bufferNDC[i * 3];
+        const y = this.#bufferNDC[i * 3 + 1];
+        const z = this.#bufferNDC[i * 3 + 2];
+
+        // Also rejects the coordinates which are not finite
+        if (!(x >= -1 && x <= 1 && y >= -1 && y <= 1 && z >= -1 && z <= 1)) return -1;
+
+        const col = Math.min(Math.floor(((x + 1) / 2) * this.#cols), this.#cols - 1);
+        const row = Math.min(Math.floor(((y + 1) / 2) * this.#rows), this.#rows - 1);
+
+        return row * this.#cols + col;
+    }
+
+    /**
+     * Draws the points of a point cloud into a new depth map.
+     * 
+     * @param {Float32Array} bufferNDC The normalized device coordinates of the points, stored as
+     * consecutive `(x, y, z)` triples.
+     * @param {Float32Array} depths The distance of each point from the camera, along its view
+     * direction.
+     * @param {number} width The width of the viewport, in pixels.
+     * @param {number} height The height of the viewport, in pixels.
+     * @param {number} pointSize The size of the drawn points, in pixels.
+     * @param {number} [near] The distance from the camera below which the points are not drawn.
+     */
+    constructor(bufferNDC, depths, width, height, pointSize, near = -Infinity) {
+        this.#bufferNDC = bufferNDC;
+        this.#depths = depths;
+
+        const cellSize = Math.max(pointSize, 1);
+        this.#cols = THREE.MathUtils.clamp(Math.ceil(width / cellSize), 1, MAX_CELLS_PER_SIDE);
+        this.#rows = THREE.MathUtils.clamp(Math.ceil(height / cellSize), 1, MAX_CELLS_PER_SIDE);
+
+        const cols = this.#cols;
+        const rows = this.#rows;
+
+        const closest = new Float32Array(cols * rows).fill(Infinity);
+        for (let i = 0; i < depths.length; i++) {
+            const cell = this.#cellOf(i);
+            if (cell >= 0 && depths[i] >= near && depths[i] < closest[cell]) {
+                closest[cell] = depths[i];
+            }
+        }
+
+        // Spread each depth over the neighboring cells, one axis at a time
+        const rowMin = new Float32Array(cols * rows);
+        for (let row = 0; row < rows; row++) {
+            for (let col = 0; col < cols; col++) {
+                const cell = row * cols + col;
+                let depth = closest[cell];
+                if (col > 0) depth = Math.min(depth, closest[cell - 1]);
+                if (col < cols - 1) depth = Math.min(depth, closest[cell + 1]);
+                rowMin[cell] = depth;
+            }
+        }
+
+        this.#cellDepths = new Float32Array(cols * rows);
+        for (let row = 0; row < rows; row++) {
+            for (let col = 0; col < cols; col++) {
+                const cell = row * cols + col;
+                let depth = rowMin[cell];
+                if (row > 0) depth = Math.min(depth, rowMin[cell - cols]);
+                if (row < rows - 1) depth = Math.min(depth, rowMin[cell + cols]);
+                this.#cellDepths[cell] = depth;
+            }
+        }
+    }
+
+    /**
+     * Checks whether a point is on the front surface, i.e., no other point is drawn over it
+     * from further than a tolerance in front of it.
+     * 
+     * @param {number} i The index of the point.
+     * @param {number} tolerance How far behind the closest point a point may be and still be
+     * visible, in `three.js` units. It keeps the points of the same surface, which are never
+     * exactly at the same depth.
+     * @returns {boolean} `true` if the point is visible; otherwise, `false`.
+     */
+    isVisible(i, tolerance) {
+        const cell = this.#cellOf(i);
+
+        return cell >= 0 && this.#depths[i] <= this.#cellDepths[cell] + tolerance;
+    }
+}
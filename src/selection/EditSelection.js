@@ -1,28 +1,57 @@
 import * as THREE from 'three';
-import _ from 'lodash';
 
-import { PointCloud, PointBuffer } from "../pcd";
-import { LabelSelection } from "./LabelSelection";
-import { MathUtils, ThreeUtils } from "../utils";
+import { PointCloud, PointSubset } from '../pcd';
+import { LabelSelection } from './LabelSelection';
+import { PointQueryWorker } from './PointQueryWorker';
+import { IndexUtils, ColorUtils } from '../utils';
 import { LabelClass } from './LabelClass';
 
 /**
- * @typedef {{center: THREE.Vector2, radius: number}} Circle
+ * @typedef {import('../Scene').DrawMode} DrawMode
  */
 
 /**
- * @typedef {import('../Scene').DrawMode} DrawMode
+ * @typedef {import('../selectionTools/MagicWand').RegionSimilarity} RegionSimilarity
+ */
+
+/**
+ * @typedef {import('../utils/GroundUtils').GroundOptions} GroundOptions
+ */
+
+/**
+ * @typedef {import('../utils/IndexUtils').IndexSet} IndexSet
+ */
+
+/**
+ * @typedef {import('../selectionTools/DrawingTool').DepthRange} DepthRange
+ */
+
+/**
+ * @typedef {import('../selectionTools/DrawingTool').DrawnObject} DrawnObject
+ */
+
+/**
+ * @typedef {import('./Cuboid').Cuboid} Cuboid
  */
 
 
 /**
  *  * Represents an event dispatched by {@link EditSelection}:
  * `type`: The type (i.e., name) of the event.
+ * `labelSelection`: The created or modified label selection.
+ * `queriedIndices`: The indices of the points inside the drawn object which were added to
+ * (or erased from) the label selection.
+ * `mode`: Whether the queried points were added to or erased from the label selection.
+ * `previousBoxMatrix`: The 3D bounding box of the label selection (see
+ * {@link LabelSelection.boxMatrix}) before points were added to it with a cuboid, which
+ * replaced it.
  * 
  * @typedef {{
  *  type: 'selection-added' | 'selection-changed',
  *  labelSelection: LabelSelection,
- *  queriedPoints: THREE.Vector3[]
+ *  queriedIndices: IndexSet,
+ *  mode: DrawMode,
+ *  previousBoxMatrix?: ?THREE.Matrix4
  * }} EditSelectionEvent
  */
 export class EditSelection extends THREE.EventDispatcher {
@@ -33,6 +62,82 @@ export class EditSelection extends THREE.EventDispatcher {
      */
     #newLabelSelection = null;
 
+    /**
+     * The id given to the next created label selection.
+     * 
+     * @type {number}
+     */
+    #nextId = 1;
+
+    /**
+     * The id given to the next created label selection.
+     * 
+     * It should be greater than the id of every existing label selection.
+     * 
+     * @type {number}
+     */
+    get nextId() { return this.#nextId; }
+
+    set nextId(value) { this.#nextId = value; }
+
+    /**
+     * Whether only the points visible from the camera are selected, rather than every point
+     * inside the drawn object, including those hidden behind others.
+     * 
+     * @type {boolean}
+     */
+    visibleOnly = true;
+
+    /**
+     * How far behind the closest point drawn around it a point may be and still be visible,
+     * in `three.js` units, when {@link visibleOnly} is set.
+     * 
+     * @type {number}
+     */
+    depthTolerance = 0.5;
+
+    /**
+     * Runs the queries without blocking the render loop.
+     * 
+     * @type {PointQueryWorker}
+     */
+    #queries = new PointQueryWorker();
+
+    /**
+     * @type {?PointCloud}
+     */
+    #pointCloud = null;
+
+    /**
+     * The attribute of each point which the regions were last grown by, from `0` to `1`.
+     * 
+     * @type {?{pointCloud: PointCloud, similarity: RegionSimilarity, values: Float32Array}}
+     */
+    #features = null;
+
+    /**
+     * The point cloud which the label selections are made on.
+     * 
+     * @type {?PointCloud}
+     */
+    get pointCloud() { return this.#pointCloud; }
+
+    set pointCloud(value) {
+        if (this.#pointCloud !== value) {
+            this.#pointCloud = value;
+
+            this.#queries.setPoints(value?.positions ?? null);
+        }
+    }
+
+    /**
+     * Sends the `three.js` coordinates of the points of the point cloud to the queries again,
+     * e.g., after its coordinate format changed.
+     */
+    updatePoints() {
+        this.#queries.setPoints(this.#pointCloud?.positions ?? null);
+    }
+
     /**
      * construct an instance of this object.
      */
@@ -41,95 +146,214 @@ export class EditSelection extends THREE.EventDispatcher {
     }
 
     /**
-     * Finds points from point cloud in the drawn object in the scene.
+     * Projects the points of the point cloud onto the screen of a camera.
+     * 
+     * The drawn objects are compared against this projection, so it should be updated
+     * whenever the camera moves before drawing.
+     * 
+     * @param {THREE.Camera} camera The camera of the scene.
+     * @param {THREE.Vector2} viewportSize The size of the viewport, in pixels.
+     */
+    updateProjection(camera, viewportSize) {
+        this.#queries.project(camera, {
+            width: viewportSize.x,
+            height: viewportSize.y,
+            pointSize: this.#pointCloud?.pointSize ?? 1,
+        });
+    }
+
+    /**
+     * Finds the points which are inside a drawn object, only keeping the visible ones if
+     * {@link visibleOnly} is set.
      * 
-     * @param { Circle | Array<THREE.Vector2>} object The drawn object on the scene.
-     * @param {PointCloud} pointCloud The current point cloud in the frame.
-     * @returns {Array<THREE.Vector3>} Points found inside the drawn object.
+     * @param {DrawnObject} object The drawn object on the scene.
+     * @param {IndexSet} indices The indices of the points to search.
+     * @param {?DepthRange} depthRange The distances from the camera between which the points
+     * are searched, or `null` to search them at any distance.
+     * @returns {Promise<IndexSet>} The indices of the points found inside the drawn object.
      */
-    #queryPointFromPcd(object, pointCloud) {
-        return pointCloud.buffer.getCoords().filter((_, i) => {
-                const pointNDC = pointCloud.bufferNDC[i];
-                if (object instanceof Array ) {
-                    return MathUtils.isPointInPolygon(pointNDC, object);
-                } else {
-                    return MathUtils.isPointInCircle(object.center, object.radius, pointNDC);
-                }
+    #query(object, indices, depthRange) {
+        if (object.kind === 'region') {
+            this.#sendRegionAttributes(object.region.similarity);
+        }
+
+        return this.#queries.query(object, indices, {
+            depthTolerance: this.visibleOnly ? this.depthTolerance : null,
+            depthRange: depthRange,
         });
     }
 
     /**
-     * Finds points from selected a selection in the drawn object
-     * in the scene. 
+     * Sends the normals of the points and the attribute which a region is grown by to the
+     * queries, if they changed.
      * 
-     * @param {Circle | Array<THREE.Vector2>} object The drawn object on the scene.
-     * @param {LabelSelection} selection The selected label selection in the frame.
+     * The normals stored in the file are used as they are; otherwise, they are estimated by the
+     * queries, so that the page is not blocked meanwhile.
+     * 
+     * @param {?RegionSimilarity} similarity The attribute, if any.
      */
-    #queryPointFromSelection(object, selection) {
-        return selection.points.filter((_, i) => {
-            const pointNDC = selection.pointsNDC[i];
-            if (object instanceof Array ) {
-                return MathUtils.isPointInPolygon(pointNDC, object);
+    #sendRegionAttributes(similarity) {
+        const pointCloud = this.#pointCloud;
+        if (pointCloud == null) return;
+
+        const normals = pointCloud.buffer.hasChannels('normal_x', 'normal_y', 'normal_z')
+            ? ColorUtils.getNormals(pointCloud)
+            : null;
+
+        if (similarity == null || !ColorUtils.isColorModeAvailable(similarity, pointCloud)) {
+            this.#queries.setAttributes(normals, null, 1);
+            return;
+        }
+
+        let cached = this.#features;
+        if (cached?.pointCloud !== pointCloud || cached?.similarity !== similarity) {
+            let values;
+            if (similarity === 'intensity') {
+                const { min, max } = ColorUtils.getScalarRange(pointCloud, 'intensity');
+                const scale = (max > min) ? 1 / (max - min) : 0;
+
+                values = ColorUtils.getScalars(pointCloud, 'intensity')
+                    .map((value) => (value - min) * scale);
             } else {
-                return MathUtils.isPointInCircle(object.center, object.radius, pointNDC);
+                values = ColorUtils.computePointColors(pointCloud, 'rgb', { min: 0, max: 1 });
             }
+
+            cached = { pointCloud, similarity, values };
+            this.#features = cached;
+        }
+
+        this.#queries.setAttributes(normals, cached.values, (similarity === 'rgb') ? 3 : 1);
+    }
+
+    /**
+     * Adds a new label selection of some points to the scene, unless there is none.
+     * 
+     * @param {PointCloud} pointCloud The point cloud which the points were searched in.
+     * @param {IndexSet} indices The indices of the points.
+     * @param {LabelClass} labelClass The class of the label selection.
+     * @param {?Cuboid} cuboid The 3D bounding box of the label selection, if any.
+     * @param {boolean} isGround Whether the points are the ground.
+     * @returns {?LabelSelection} The created label selection, or `null` if there is no point
+     * or the point cloud was replaced while searching them.
+     */
+    #addSelection(pointCloud, indices, labelClass, cuboid, isGround) {
+        if (pointCloud !== this.#pointCloud || indices.length === 0) return null;
+
+        this.#newLabelSelection = new LabelSelection({
+            id: this.#nextId,
+            pointCloud: pointCloud,
+            indices: indices,
+            pointSize: pointCloud.pointSize,
+        });
+        this.#nextId += 1;
+
+        this.#newLabelSelection.labelClass = labelClass;
+        this.#newLabelSelection.cuboid = cuboid;
+        this.#newLabelSelection.isGround = isGround;
+
+        this.dispatchEvent({
+            type: 'selection-added',
+            labelSelection: this.#newLabelSelection,
+            queriedIndices: indices,
+            mode: 'add',
         });
+
+        return this.#newLabelSelection;
     }
 
     /**
      * Creates a Label object selection in the scene. 
      * 
-     * @param { Circle | Array<THREE.Vector2>} object The drawn object on the scene.
+     * A label selection created with a cuboid keeps it as its 3D bounding box.
+     * 
+     * @param {DrawnObject} object The drawn object on the scene.
      * @param {LabelClass} labelClass The selected label class for new selection.
-     * @param {PointCloud} pointCloud The current point cloud in the frame.
+     * @param {PointSubset} filteredPcd The points which are not labelled yet.
+     * @param {?DepthRange} [depthRange] The distances from the camera between which the points
+     * are selected, or `null` to select them at any distance.
+     * @returns {Promise<?LabelSelection>} The created label selection, or `null` if no point
+     * was found.
      */
-    async createSelection(object, labelClass, pointCloud) {
-        const pointsInObj = this.#queryPointFromPcd(object, pointCloud);
-        let selectionPoints = pointsInObj;
+    async createSelection(object, labelClass, filteredPcd, depthRange = null) {
+        const { pointCloud } = filteredPcd;
+        const queriedIndices = await this.#query(object, filteredPcd.indices, depthRange);
 
-        if (selectionPoints?.length > 0) {
-            this.#newLabelSelection = new LabelSelection({id: (Math.random() * 100) +5, points: selectionPoints, pointSize: pointCloud.pointSize});
+        const cuboid = (object.kind === 'cuboid') ? object.cuboid : null;
+        return this.#addSelection(pointCloud, queriedIndices, labelClass, cuboid, false);
+    }
 
-            this.#newLabelSelection.labelClass = labelClass;
-            
-            this.dispatchEvent({ type: 'selection-added', labelSelection: this.#newLabelSelection, queriedPoints: pointsInObj });
-        }
+    /**
+     * Creates a label selection of the ground in the scene: the points around the plane which
+     * fits the most of them. It is marked as ground.
+     * 
+     * @param {GroundOptions} options How the ground is found.
+     * @param {LabelClass} labelClass The class of the ground.
+     * @param {PointSubset} filteredPcd The points which are not labelled yet.
+     * @returns {Promise<?LabelSelection>} The created label selection, or `null` if no ground
+     * was found.
+     */
+    async segmentGround(options, labelClass, filteredPcd) {
+        const { pointCloud } = filteredPcd;
+        const groundIndices = await this.#queries.segmentGround(options, filteredPcd.indices);
 
+        return this.#addSelection(pointCloud, groundIndices, labelClass, null, true);
     }
 
     /**
      * Modifies the selected label selection in the scene 
      * by adding/erasing points into the selection.
      * 
+     * Adding points with a cuboid also makes it the 3D bounding box of the label selection.
      * 
-     * @param { Circle | Array<THREE.Vector2>} object The drawn object on the scene.
-     * @param {PointCloud} pointCloud The current point cloud in the frame.
+     * @param {DrawnObject} object The drawn object on the scene.
+     * @param {PointSubset} filteredPcd The points which are not labelled yet.
      * @param {LabelSelection} labelSelection The selected label selection in the scene.
      * @param {DrawMode} mode The scene's drawing mode.
+     * @param {?DepthRange} [depthRange] The distances from the camera between which the points
+     * are added or erased, or `null` to add or erase them at any distance.
      */
-    async modifySelection(object, pointCloud, labelSelection, mode) {
-        let pointsInObj = null;
-        let selectionPoints = null;
-        const selectionElement = labelSelection.points;
+    async modifySelection(object, filteredPcd, labelSelection, mode, depthRange = null) {
+        const { pointCloud } = filteredPcd;
+
+        let queriedIndices = null;
+        let selectionIndices = null;
 
         switch(mode) {
             case 'add':
-                pointsInObj = this.#queryPointFromPcd(object, pointCloud);
-                selectionPoints = pointsInObj.concat(selectionElement);
+                queriedIndices = await this.#query(object, filteredPcd.indices, depthRange);
+                selectionIndices = IndexUtils.union(labelSelection.indices, queriedIndices);
                 break;
             case 'erase':
-                pointsInObj = this.#queryPointFromSelection(object, labelSelection);
-                selectionPoints = ThreeUtils.differenceOfArrays(selectionElement, pointsInObj);
+                queriedIndices = await this.#query(object, labelSelection.indices, depthRange);
+                selectionIndices = IndexUtils.difference(labelSelection.indices, queriedIndices);
                 break;
             default:
-                selectionPoints = null;
-                pointsInObj = null;
         }
 
-        if (selectionPoints != null) {
-            labelSelection.updateSelectionPoints(selectionPoints);
+        // The point cloud may have been replaced while querying.
+        if (pointCloud !== this.#pointCloud) return;
+
+        if (queriedIndices == null || selectionIndices == null) return;
+
+        const previousBoxMatrix = labelSelection.boxMatrix;
+        const cuboid = (mode === 'add' && object.kind === 'cuboid') ? object.cuboid : null;
+        const isCuboidChanged = cuboid != null && !cuboid.equals(labelSelection.cuboid);
+
+        if (queriedIndices.length > 0 || isCuboidChanged) {
+            labelSelection.updateIndices(selectionIndices);
+            if (isCuboidChanged) {
+                // The label selection is modified in place
+                // eslint-disable-next-line no-param-reassign
+                labelSelection.cuboid = cuboid;
+            }
 
-            this.dispatchEvent({ type: 'selection-changed', labelSelection: labelSelection, queriedPoints: pointsInObj });
+            this.dispatchEvent({
+                type: 'selection-changed',
+                labelSelection: labelSelection,
+                queriedIndices: queriedIndices,
+                mode: mode,
+                previousBoxMatrix: previousBoxMatrix,
+            });
         }
     }
 }
\ No newline at end of file
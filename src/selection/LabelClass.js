@@ -26,19 +26,51 @@ export class LabelClass {
      */
     color;
 
+    /**
+     * The id of the class which this class is a subcategory of, if any.
+     * 
+     * @readonly
+     * @type {?number}
+     */
+    parentId;
+
+    /**
+     * The key which selects this class, if any.
+     * 
+     * @readonly
+     * @type {?string}
+     */
+    hotkey;
+
+    /**
+     * Whether this class is retired, i.e., kept for the selections already assigned to it
+     * but no longer offered for new ones.
+     * 
+     * @readonly
+     * @type {boolean}
+     */
+    retired;
+
     /**
      * Creates a new type of labelled object for a detection model.
      * 
      * @param {number} id The unique identifier of the object class.
      * @param {string} name The display name of the object class.
      * @param {THREE.ColorRepresentation} color The color of an annotated selection.
+     * @param {{ parentId?: ?number, hotkey?: ?string, retired?: boolean }} options The id of
+     * the parent class in the class hierarchy, the key which selects the class, and whether
+     * the class is retired.
      */
-    constructor(id, name, color) {
+    constructor(id, name, color, { parentId = null, hotkey = null, retired = false } = {}) {
         this.id = id;
         this.name = name;
 
         this.color = new THREE.Color(color);
 
+        this.parentId = parentId;
+        this.hotkey = hotkey;
+        this.retired = retired;
+
         Object.freeze(this);
     }
 
@@ -0,0 +1,288 @@
+import { ClassInput } from '../scene/widgets';
+import { DraggablePanel } from '../widgets';
+import { LabelClass } from './LabelClass';
+import { LabelClassRegistry } from './LabelClassRegistry';
+
+/**
+ * The color given to new classes until the user picks another one.
+ * 
+ * @type {string}
+ */
+const DEFAULT_CLASS_COLOR = '#ff8800';
+
+export class LabelClassEditor {
+
+    /**
+     * The registry through which the classes are edited.
+     * 
+     * @readonly
+     * @type {LabelClassRegistry}
+     */
+    registry;
+
+    /**
+     * The draggable panel of this object.
+     * 
+     * @readonly
+     * @type {DraggablePanel}
+     */
+    panel;
+
+    /**
+     * The input selector of the edited class.
+     * 
+     * @type {ClassInput}
+     */
+    #classInput;
+
+    /**
+     * The input box for the name of the edited or added class.
+     * 
+     * @type {HTMLInputElement}
+     */
+    #nameInput;
+
+    /**
+     * The input for the color of the edited or added class.
+     * 
+     * @type {HTMLInputElement}
+     */
+    #colorInput;
+
+    /**
+     * The input selector of the class which the edited class is merged into.
+     * 
+     * @type {ClassInput}
+     */
+    #targetInput;
+
+    /**
+     * When clicked, retires or restores the edited class.
+     * 
+     * @type {HTMLButtonElement}
+     */
+    #retireButton;
+
+    /**
+     * The class being edited.
+     * 
+     * @type {?LabelClass}
+     */
+    get editedClass() { return this.#classInput.value; }
+
+    set editedClass(value) {
+        this.#classInput.value = value;
+
+        this.#handleEditedClassChanged();
+    }
+
+    /**
+     * Constructs an instance of this object.
+     * 
+     * @param {LabelClassRegistry} registry The registry through which the classes are edited.
+     */
+    constructor(registry) {
+        this.registry = registry;
+
+        registry.addEventListener('labelSet-changed', this.render);
+
+        const dom = document.createElement('div');
+        dom.className = 'class-editor';
+        {
+            const classLabel = document.createElement('label');
+            classLabel.textContent = 'Class';
+            dom.appendChild(classLabel);
+
+            this.#classInput = new ClassInput(registry.classes, { allowRetired: true });
+            this.#classInput.onchange = this.#handleEditedClassChanged;
+            dom.appendChild(this.#classInput.dom);
+
+            const nameLabel = document.createElement('label');
+            nameLabel.textContent = 'Name';
+            dom.appendChild(nameLabel);
+
+            this.#nameInput = document.createElement('input');
+            this.#nameInput.type = 'text';
+            dom.appendChild(this.#nameInput);
+
+            const colorLabel = document.createElement('label');
+            colorLabel.textContent = 'Color';
+            dom.appendChild(colorLabel);
+
+            this.#colorInput = document.createElement('input');
+            this.#colorInput.type = 'color';
+            this.#colorInput.value = DEFAULT_CLASS_COLOR;
+            dom.appendChild(this.#colorInput);
+
+            const addButton = document.createElement('button');
+            addButton.className = 'btn btn-secondary btn-sm';
+            addButton.innerHTML = '<i class="bi bi-plus-lg"></i> Add';
+            addButton.title = 'Add a class with this name and color';
+            addButton.addEventListener('click', () => {
+                this.addClass();
+            });
+            dom.appendChild(addButton);
+
+            const applyButton = document.createElement('button');
+            applyButton.className = 'btn btn-secondary btn-sm';
+            applyButton.innerHTML = '<i class="bi bi-check-lg"></i> Apply';
+            applyButton.title = 'Rename and recolor the class';
+            applyButton.addEventListener('click', () => {
+                this.applyChanges();
+            });
+            dom.appendChild(applyButton);
+
+            const targetLabel = document.createElement('label');
+            targetLabel.textContent = 'Merge into';
+            dom.appendChild(targetLabel);
+
+            this.#targetInput = new ClassInput(registry.classes);
+            dom.appendChild(this.#targetInput.dom);
+
+            const mergeButton = document.createElement('button');
+            mergeButton.className = 'btn btn-secondary btn-sm';
+            mergeButton.innerHTML = '<i class="bi bi-union"></i> Merge';
+            mergeButton.title = 'Assign the selections of the class to another class, and remove it';
+            mergeButton.addEventListener('click', () => {
+                this.mergeClass();
+            });
+            dom.appendChild(mergeButton);
+
+            this.#retireButton = document.createElement('button');
+            this.#retireButton.className = 'btn btn-secondary btn-sm';
+            this.#retireButton.addEventListener('click', () => {
+                this.retireClass();
+            });
+            dom.appendChild(this.#retireButton);
+        }
+
+        this.#classInput.disabled = false;
+        this.#targetInput.disabled = false;
+
+        this.panel = new DraggablePanel('Class Editor', dom);
+        this.panel.isCollapsed = true;
+
+        this.render();
+        this.#handleEditedClassChanged();
+    }
+
+    /**
+     * Shows the name and color of the newly picked class.
+     */
+    #handleEditedClassChanged = () => {
+        const { editedClass } = this;
+
+        this.#nameInput.value = editedClass?.name ?? '';
+        this.#colorInput.value = `#${editedClass?.color.getHexString() ?? DEFAULT_CLASS_COLOR.slice(1)}`;
+
+        this.render();
+    };
+
+    /**
+     * Applies an edit of the classes, alerting the user if it is invalid.
+     * 
+     * @param {() => void} edit The edit.
+     * @returns {boolean} `true` if the edit was applied; otherwise, `false`.
+     */
+    #tryEdit(edit) {
+        try {
+            edit();
+        } catch (error) {
+            console.error(error);
+            alert(`Failed to edit the classes: ${error instanceof Error ? error.message : error}`);
+
+            return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Adds a class with the entered name and color, and starts editing it.
+     * 
+     * @returns {boolean} `true` if the class was added; otherwise, `false`.
+     */
+    addClass() {
+        const name = this.#nameInput.value.trim();
+        const color = this.#colorInput.value;
+
+        return this.#tryEdit(() => {
+            this.editedClass = this.registry.addClass(name, color);
+        });
+    }
+
+    /**
+     * Renames and recolors the edited class with the entered name and color.
+     * 
+     * @returns {boolean} `true` if the class was edited; otherwise, `false`.
+     */
+    applyChanges() {
+        const { editedClass } = this;
+        if (editedClass == null) return false;
+
+        const name = this.#nameInput.value.trim();
+        const color = this.#colorInput.value;
+
+        return this.#tryEdit(() => {
+            if (name !== editedClass.name) {
+                this.registry.renameClass(editedClass.id, name);
+            }
+            if (color !== `#${editedClass.color.getHexString()}`) {
+                this.registry.recolorClass(editedClass.id, color);
+            }
+        });
+    }
+
+    /**
+     * Merges the edited class into the picked class, after the user confirms it.
+     * 
+     * @returns {boolean} `true` if the classes were merged; otherwise, `false`.
+     */
+    mergeClass() {
+        const source = this.editedClass;
+        const target = this.#targetInput.value;
+        if (source == null || target == null) return false;
+
+        if (!confirm(`Assign the selections of ${source.name} to ${target.name}, and remove ${source.name}?`)) {
+            return false;
+        }
+
+        return this.#tryEdit(() => {
+            this.editedClass = this.registry.mergeClass(source.id, target.id);
+        });
+    }
+
+    /**
+     * Retires the edited class, or restores it if it is retired.
+     * 
+     * @returns {boolean} `true` if the class was retired or restored; otherwise, `false`.
+     */
+    retireClass() {
+        const { editedClass } = this;
+        if (editedClass == null) return false;
+
+        return this.#tryEdit(() => {
+            this.registry.retireClass(editedClass.id, !editedClass.retired);
+        });
+    }
+
+    /**
+     * Updates the view of this object.
+     */
+    render = () => {
+        const { classes } = this.registry;
+
+        this.#classInput.labelClasses = classes;
+        this.#targetInput.labelClasses = classes;
+
+        const { editedClass } = this;
+        if (editedClass?.retired) {
+            this.#retireButton.innerHTML = '<i class="bi bi-arrow-counterclockwise"></i> Restore';
+            this.#retireButton.title = 'Offer the class for new selections again';
+        } else {
+            this.#retireButton.innerHTML = '<i class="bi bi-archive"></i> Retire';
+            this.#retireButton.title = 'Keep the class for the existing selections, but no longer offer it for new ones';
+        }
+        this.#retireButton.disabled = editedClass == null;
+    };
+}
@@ -0,0 +1,219 @@
+import * as THREE from 'three';
+import { LabelClass } from './LabelClass';
+import { LabelSet } from './LabelSet';
+
+/**
+ * Represents an event dispatched by {@link LabelClassRegistry} when its label set changes:
+ * - `labelSet`: The new label set.
+ * - `previous`: The label set which was replaced.
+ * - `mergedIds`: The id of the class which each merged class was merged into.
+ * - `edit`: The name of the edit which changed the label set, or `null` if the whole label
+ *   set was replaced, e.g., by one loaded from a file.
+ * 
+ * @typedef {{
+ *     type: 'labelSet-changed',
+ *     labelSet: LabelSet,
+ *     previous: LabelSet,
+ *     mergedIds: Map<number, number>,
+ *     edit: ?string
+ * }} LabelClassRegistryEvent
+ */
+
+/**
+ * Holds the active label set, and is the only way to edit its classes.
+ * 
+ * Since {@link LabelClass} and {@link LabelSet} are immutable, every edit replaces the edited
+ * classes with new ones of the same id and creates a new label set. Listeners of the
+ * `'labelSet-changed'` event are expected to replace their references to the old classes,
+ * e.g., the classes of label selections and the options of class inputs.
+ */
+export class LabelClassRegistry extends THREE.EventDispatcher {
+
+    /**
+     * @type {LabelSet}
+     */
+    #labelSet;
+
+    /**
+     * The active label set.
+     * 
+     * @type {LabelSet}
+     */
+    get labelSet() { return this.#labelSet; }
+
+    set labelSet(value) {
+        if (this.labelSet !== value) {
+            this.#change(value, null);
+        }
+    }
+
+    /**
+     * The classes of the active label set.
+     * 
+     * @type {ReadonlyArray<LabelClass>}
+     */
+    get classes() { return this.#labelSet.classes; }
+
+    /**
+     * Constructs an instance of this object.
+     * 
+     * @param {LabelSet} labelSet The initial label set.
+     */
+    constructor(labelSet) {
+        super();
+
+        this.#labelSet = labelSet;
+    }
+
+    /**
+     * Replaces the active label set.
+     * 
+     * @param {LabelSet} labelSet The new label set.
+     * @param {?string} edit The name of the edit, or `null` if the whole set is replaced.
+     * @param {Map<number, number>} mergedIds The id of the class which each merged class was
+     * merged into.
+     */
+    #change(labelSet, edit, mergedIds = new Map()) {
+        const previous = this.#labelSet;
+        this.#labelSet = labelSet;
+
+        this.dispatchEvent({
+            type: 'labelSet-changed',
+            labelSet: labelSet,
+            previous: previous,
+            mergedIds: mergedIds,
+            edit: edit,
+        });
+    }
+
+    /**
+     * Finds a class of the active label set.
+     * 
+     * @param {number} id The id of the class.
+     * @returns {LabelClass} The class.
+     * @throws {Error} If there is no class with that id.
+     */
+    #getClass(id) {
+        const labelClass = this.#labelSet.findById(id);
+        if (labelClass == null) {
+            throw new Error(`Unknown class id: ${id}`);
+        }
+
+        return labelClass;
+    }
+
+    /**
+     * Replaces a class of the active label set by a copy with some of its properties changed.
+     * 
+     * @param {number} id The id of the class.
+     * @param {{ name?: string, color?: THREE.ColorRepresentation, parentId?: ?number,
+     *     hotkey?: ?string, retired?: boolean }} changes The changed properties.
+     * @param {string} edit The name of the edit.
+     * @returns {LabelClass} The new class.
+     * @throws {Error} If there is no class with that id, or if the changes are invalid.
+     */
+    #updateClass(id, changes, edit) {
+        const { name, color, parentId, hotkey, retired } = { ...this.#getClass(id), ...changes };
+        const labelClass = new LabelClass(id, name, color, { parentId, hotkey, retired });
+
+        const classes = this.classes.map((c) => (c.id === id ? labelClass : c));
+        this.#change(new LabelSet(this.#labelSet.name, classes), edit);
+
+        return labelClass;
+    }
+
+    /**
+     * Adds a class to the active label set, with an id which is not used by any other class.
+     * 
+     * @param {string} name The display name of the class.
+     * @param {THREE.ColorRepresentation} color The color of an annotated selection.
+     * @param {{ parentId?: ?number, hotkey?: ?string }} options The id of the parent class
+     * in the class hierarchy, and the key which selects the class.
+     * @returns {LabelClass} The new class.
+     * @throws {Error} If the name is empty, or if the options are invalid.
+     */
+    addClass(name, color, options = {}) {
+        if (name.length === 0) {
+            throw new Error('A class must have a name');
+        }
+
+        const id = Math.max(0, ...this.classes.map((c) => c.id)) + 1;
+        const labelClass = new LabelClass(id, name, color, options);
+
+        this.#change(new LabelSet(this.#labelSet.name, [...this.classes, labelClass]), 'Add class');
+
+        return labelClass;
+    }
+
+    /**
+     * Changes the display name of a class.
+     * 
+     * @param {number} id The id of the class.
+     * @param {string} name The new display name.
+     * @returns {LabelClass} The renamed class.
+     * @throws {Error} If there is no class with that id, or if the name is empty.
+     */
+    renameClass(id, name) {
+        if (name.length === 0) {
+            throw new Error('A class must have a name');
+        }
+
+        return this.#updateClass(id, { name }, 'Rename class');
+    }
+
+    /**
+     * Changes the color of a class.
+     * 
+     * @param {number} id The id of the class.
+     * @param {THREE.ColorRepresentation} color The new color.
+     * @returns {LabelClass} The recolored class.
+     * @throws {Error} If there is no class with that id.
+     */
+    recolorClass(id, color) {
+        return this.#updateClass(id, { color }, 'Recolor class');
+    }
+
+    /**
+     * Retires a class, such that it is kept for the selections already assigned to it
+     * but no longer offered for new ones, or restores a retired class.
+     * 
+     * @param {number} id The id of the class.
+     * @param {boolean} retired `true` to retire the class, `false` to restore it.
+     * @returns {LabelClass} The retired or restored class.
+     * @throws {Error} If there is no class with that id.
+     */
+    retireClass(id, retired = true) {
+        return this.#updateClass(id, { retired }, retired ? 'Retire class' : 'Restore class');
+    }
+
+    /**
+     * Merges a class into another one, removing it from the active label set.
+     * 
+     * The selections of the merged class are expected to be assigned to the other class,
+     * and its subcategories are moved under its parent.
+     * 
+     * @param {number} sourceId The id of the class which is merged.
+     * @param {number} targetId The id of the class which it is merged into.
+     * @returns {LabelClass} The class which it is merged into.
+     * @throws {Error} If either class does not exist, or if they are the same class.
+     */
+    mergeClass(sourceId, targetId) {
+        const source = this.#getClass(sourceId);
+        const target = this.#getClass(targetId);
+        if (source === target) {
+            throw new Error('Cannot merge a class into itself');
+        }
+
+        const classes = this.classes
+            .filter((c) => c !== source)
+            .map((c) => (
+                (c.parentId !== sourceId)
+                    ? c
+                    : new LabelClass(c.id, c.name, c.color, { ...c, parentId: source.parentId })
+            ));
+
+        this.#change(new LabelSet(this.#labelSet.name, classes), 'Merge classes', new Map([[sourceId, targetId]]));
+
+        return target;
+    }
+}
@@ -21,7 +21,7 @@ export class LabelClassSelector {
     /**
      * Constructs an instance of this object.
      * 
-     * @param {LabelClass[]} labelClasses list of label classes in the frame.
+     * @param {ReadonlyArray<LabelClass>} labelClasses list of label classes in the frame.
      */
     constructor(labelClasses) {
         const dom = document.createElement('div');
@@ -46,4 +46,19 @@ export class LabelClassSelector {
     get selectedClass() {
         return this.#classInput.value;
     }
+
+    set selectedClass(value) {
+        this.#classInput.value = value;
+    }
+
+    /**
+     * The label classes which can be selected.
+     * 
+     * @type {ReadonlyArray<LabelClass>}
+     */
+    get labelClasses() { return this.#classInput.labelClasses; }
+
+    set labelClasses(value) {
+        this.#classInput.labelClasses = value;
+    }
 }
\ No newline at end of file
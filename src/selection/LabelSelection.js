@@ -1,13 +1,40 @@
 import * as THREE from 'three';
 import { LabelClass } from './LabelClass';
+import { Cuboid } from './Cuboid';
+
+/**
+ * @typedef {import('../pcd/PointCloud').PointCloud} PointCloud
+ * @typedef {import('../utils/IndexUtils').IndexSet} IndexSet
+ */
 
 /**
  * @typedef {Object} LabelSelectionParams
  * @property {number} id The instance of the label selection.
- * @property {THREE.Vector3[]} points The points included to shape the label selection.
+ * @property {PointCloud} pointCloud The point cloud which the selection is made on.
+ * @property {IndexSet} indices The indices of the points of the point cloud included in the
+ * selection.
  * @property {number} pointSize point size to display the label selection.
  */
 
+/**
+ * Gathers the `three.js` coordinates of some points of a point cloud.
+ * 
+ * @param {PointCloud} pointCloud The point cloud containing the points.
+ * @param {IndexSet} indices The indices of the points.
+ * @returns {THREE.Float32BufferAttribute} The coordinates of each point.
+ */
+function gatherPositions(pointCloud, indices) {
+    const positions = new Float32Array(indices.length * 3);
+
+    let offset = 0;
+    for (const coords of pointCloud.buffer.iterateCoords(indices)) {
+        coords.toArray(positions, offset);
+        offset += 3;
+    }
+
+    return new THREE.Float32BufferAttribute(positions, 3);
+}
+
 export class LabelSelection {
 
     /**
@@ -21,44 +48,59 @@ export class LabelSelection {
     get id() { return this.#id; }
 
     /**
-     * @type {THREE.Vector3[]}
+     * The point cloud which this selection is made on.
+     * 
+     * @readonly
+     * @type {PointCloud}
      */
-    #points;
+    pointCloud;
 
     /**
-     * @type {THREE.Vector3[]}
+     * @type {IndexSet}
      */
-    get points() { return this.#points; }
+    #indices;
 
     /**
-     * Display each point in this selection.
+     * The indices of the points of the point cloud included in this selection.
      * 
-     * @type {THREE.Points<THREE.BufferGeometry, THREE.PointsMaterial>}
+     * @type {IndexSet}
      */
-    #selection;
+    get indices() { return this.#indices; }
 
     /**
-     * @type {THREE.Vector3[]}
+     * The number of points in this selection.
+     * 
+     * @type {number}
      */
-    #pointsNDC;
+    get numPoints() { return this.#indices.length; }
 
     /**
+     * The points in this selection, used to pick it with a pointer. They are displayed by the
+     * vertex colors of the point cloud instead.
      * 
-     * @type {THREE.Vector3[]}
+     * @type {THREE.Points<THREE.BufferGeometry, THREE.PointsMaterial>}
      */
-    get pointsNDC() { return this.#pointsNDC; }
-
-    set pointsNDC(value) { this.#pointsNDC = value; }
+    #selection;
 
     /**
      * Resets the points of this selection.
      * 
-     * @param {THREE.Vector3[]} points 
+     * @param {IndexSet} indices The indices of the points of the point cloud to include.
      */
-    updateSelectionPoints(points) {
-        this.#points = points;
-        this.#selection.geometry.setFromPoints(this.points);
-        this.#selection.geometry.getAttribute('position').needsUpdate = true;
+    updateIndices(indices) {
+        this.#indices = indices;
+
+        this.updatePositions();
+    }
+
+    /**
+     * Copies the `three.js` coordinates of the points of this selection from the point cloud,
+     * e.g., after its coordinate format changed.
+     */
+    updatePositions() {
+        const geometry = this.#selection.geometry;
+        geometry.setAttribute('position', gatherPositions(this.pointCloud, this.#indices));
+        geometry.computeBoundingSphere();
     }
 
     /**
@@ -76,11 +118,13 @@ export class LabelSelection {
      * @param {LabelSelectionParams} params The parameters of the label selection.
      */
     constructor(params) {
-        const { id, points, pointSize} = params;
+        const { id, pointCloud, indices, pointSize } = params;
         this.#id = id;
-        this.#points = points;
+        this.pointCloud = pointCloud;
+        this.#indices = indices;
 
-        const geometry = new THREE.BufferGeometry().setFromPoints(points);
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', gatherPositions(pointCloud, indices));
 
         const material = new THREE.PointsMaterial({
             sizeAttenuation: false,
@@ -118,6 +162,67 @@ export class LabelSelection {
         }
     }
 
+    /**
+     * @type {?THREE.Matrix4}
+     */
+    #boxMatrix = null;
+
+    /**
+     * The 3D bounding box of this labelled object, if it was selected with a cuboid, as the
+     * transform of the unit cube centered at the origin onto the box.
+     * 
+     * It is in the coordinates of the point cloud file, so that it does not depend on the
+     * coordinate format which the points are displayed with. It should not be modified in place.
+     * 
+     * @type {?THREE.Matrix4}
+     */
+    get boxMatrix() { return this.#boxMatrix; }
+
+    set boxMatrix(value) {
+        if (this.boxMatrix !== value) {
+            this.#boxMatrix = value;
+        }
+    }
+
+    /**
+     * @type {boolean}
+     */
+    #isGround = false;
+
+    /**
+     * Whether this selection was made by the ground segmentation, so that its points can be
+     * hidden while the objects above the ground are labelled.
+     * 
+     * @type {boolean}
+     */
+    get isGround() { return this.#isGround; }
+
+    set isGround(value) {
+        if (this.isGround !== value) {
+            this.#isGround = value;
+        }
+    }
+
+    /**
+     * The 3D bounding box of this labelled object, if it was selected with a cuboid, in the
+     * `three.js` coordinates of the point cloud.
+     * 
+     * Each read returns a new copy.
+     * 
+     * @type {?Cuboid}
+     */
+    get cuboid() {
+        if (this.#boxMatrix == null) return null;
+
+        const { matrix } = this.pointCloud.coordinateFormat;
+        return new Cuboid().applyMatrix4(matrix.multiply(this.#boxMatrix));
+    }
+
+    set cuboid(value) {
+        const inverse = this.pointCloud.coordinateFormat.matrix.invert();
+        this.boxMatrix = (value != null) ? inverse.multiply(value.getMatrix()) : null;
+    }
+
     /**
      * Returns a `three.js` representation of this object.
      * 
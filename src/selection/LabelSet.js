@@ -0,0 +1,123 @@
+import { LabelClass } from './LabelClass';
+
+/**
+ * A named taxonomy of label classes, e.g., the classes of a dataset such as SemanticKITTI.
+ * 
+ * This is a value-based class.
+ */
+export class LabelSet {
+
+    /**
+     * The display name of this set.
+     * 
+     * @readonly
+     * @type {string}
+     */
+    name;
+
+    /**
+     * The classes in this set, in display order.
+     * 
+     * @readonly
+     * @type {ReadonlyArray<LabelClass>}
+     */
+    classes;
+
+    /**
+     * Creates a new set of label classes.
+     * 
+     * @param {string} name The display name of the set.
+     * @param {LabelClass[]} classes The classes in the set, in display order.
+     * @throws {Error} If two classes share the same id or hotkey, or if the parent of a class
+     * is missing or is one of its descendants.
+     */
+    constructor(name, classes) {
+        this.name = name;
+        this.classes = Object.freeze([...classes]);
+
+        /**
+         * @type {Map<number, LabelClass>}
+         */
+        const classById = new Map();
+
+        /**
+         * @type {Set<string>}
+         */
+        const hotkeys = new Set();
+
+        for (const labelClass of classes) {
+            if (classById.has(labelClass.id)) {
+                throw new Error(`Duplicate class id: ${labelClass.id}`);
+            }
+            classById.set(labelClass.id, labelClass);
+
+            if (labelClass.hotkey != null) {
+                if (hotkeys.has(labelClass.hotkey)) {
+                    throw new Error(`Duplicate hotkey: ${labelClass.hotkey}`);
+                }
+                hotkeys.add(labelClass.hotkey);
+            }
+        }
+
+        for (const labelClass of classes) {
+            /**
+             * @type {Set<number>}
+             */
+            const ancestorIds = new Set([labelClass.id]);
+
+            let { parentId } = labelClass;
+            while (parentId != null) {
+                const parent = classById.get(parentId);
+                if (parent == null) {
+                    throw new Error(`The parent of class ${labelClass.id} does not exist: ${parentId}`);
+                }
+                if (ancestorIds.has(parentId)) {
+                    throw new Error(`The class hierarchy contains a cycle through class ${labelClass.id}`);
+                }
+                ancestorIds.add(parentId);
+
+                parentId = parent.parentId;
+            }
+        }
+
+        Object.freeze(this);
+    }
+
+    /**
+     * Finds a class in this set.
+     * 
+     * @param {number} id The id of the class.
+     * @returns {?LabelClass} The class, or `null` if there is none with that id.
+     */
+    findById(id) {
+        return this.classes.find((c) => c.id === id) ?? null;
+    }
+
+    /**
+     * Finds the class selected by a key.
+     * 
+     * @param {string} key The pressed key, see {@link KeyboardEvent.key}.
+     * @returns {?LabelClass} The class, or `null` if no class which is not retired uses
+     * that key.
+     */
+    findByHotkey(key) {
+        return this.classes.find((c) => c.hotkey === key && !c.retired) ?? null;
+    }
+
+    /**
+     * Finds the depth of a class in the class hierarchy.
+     * 
+     * @param {LabelClass} labelClass The class, which should be in this set.
+     * @returns {number} `0` for a top-level class, `1` for its subcategories, and so on.
+     */
+    getDepth(labelClass) {
+        let depth = 0;
+        let { parentId } = labelClass;
+        while (parentId != null) {
+            parentId = this.findById(parentId)?.parentId ?? null;
+            depth += 1;
+        }
+
+        return depth;
+    }
+}
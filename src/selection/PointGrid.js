@@ -0,0 +1,155 @@
+/**
+ * @typedef {import('../utils/IndexUtils').IndexSet} IndexSet
+ */
+
+/**
+ * A uniform grid which buckets some of the points of a point cloud by their `three.js`
+ * coordinates, so that the points near a point are found by only searching the cells around it.
+ * 
+ * The cells are as large as the search radius, so the neighbors of a point are always in the
+ * 27 cells around it.
+ */
+export class PointGrid {
+
+    /**
+     * The `three.js` coordinates of the points, stored as consecutive `(x, y, z)` triples.
+     * 
+     * @readonly
+     * @type {Float32Array}
+     */
+    #positions;
+
+    /**
+     * The length of the edges of each cell, which is also the search radius.
+     * 
+     * @readonly
+     * @type {number}
+     */
+    #cellSize;
+
+    /**
+     * The smallest coordinates of the bucketed points, along each axis.
+     * 
+     * @readonly
+     * @type {number[]}
+     */
+    #min = [Infinity, Infinity, Infinity];
+
+    /**
+     * The number of cells along each axis.
+     * 
+     * @readonly
+     * @type {number[]}
+     */
+    #dims;
+
+    /**
+     * The indices of the points in each non-empty cell, by the key of the cell.
+     * 
+     * @readonly
+     * @type {Map<number, number[]>}
+     */
+    #cells = new Map();
+
+    /**
+     * Finds the coordinates of the cell which a point is in, along one axis.
+     * 
+     * @param {number} i The index of the point.
+     * @param {number} axis The axis.
+     * @returns {number} The coordinate of the cell.
+     */
+    #cellCoord(i, axis) {
+        return Math.floor((this.#positions[i * 3 + axis] - this.#min[axis]) / this.#cellSize);
+    }
+
+    /**
+     * Buckets some points of a point cloud into a new grid.
+     * 
+     * @param {Float32Array} positions The `three.js` coordinates of the points, stored as
+     * consecutive `(x, y, z)` triples.
+     * @param {IndexSet} indices The indices of the points to bucket.
+     * @param {number} radius The distance within which the neighbors of a point are searched.
+     */
+    constructor(positions, indices, radius) {
+        this.#positions = positions;
+        this.#cellSize = radius;
+
+        const max = [-Infinity, -Infinity, -Infinity];
+        for (const i of indices) {
+            for (let axis = 0; axis < 3; axis++) {
+                const value = positions[i * 3 + axis];
+                if (value < this.#min[axis]) this.#min[axis] = value;
+                if (value > max[axis]) max[axis] = value;
+            }
+        }
+
+        this.#dims = max.map((value, axis) => Math.floor((value - this.#min[axis]) / radius) + 1);
+
+        for (const i of indices) {
+            const key = this.#keyOf(
+                this.#cellCoord(i, 0),
+                this.#cellCoord(i, 1),
+                this.#cellCoord(i, 2),
+            );
+
+            const cell = this.#cells.get(key);
+            if (cell == null) {
+                this.#cells.set(key, [i]);
+            } else {
+                cell.push(i);
+            }
+        }
+    }
+
+    /**
+     * Computes the key of a cell.
+     * 
+     * @param {number} x The coordinate of the cell along `x`.
+     * @param {number} y The coordinate of the cell along `y`.
+     * @param {number} z The coordinate of the cell along `z`.
+     * @returns {number} The key of the cell, or `-1` if it is outside the grid.
+     */
+    #keyOf(x, y, z) {
+        const [dimX, dimY, dimZ] = this.#dims;
+        if (x < 0 || y < 0 || z < 0 || x >= dimX || y >= dimY || z >= dimZ) return -1;
+
+        return x + dimX * (y + dimY * z);
+    }
+
+    /**
+     * Calls a function on each bucketed point within the search radius of a point, including
+     * the point itself if it is bucketed.
+     * 
+     * @param {number} i The index of the point, which need not be bucketed.
+     * @param {(j: number) => void} callback Called with the index of each neighbor.
+     */
+    forEachNeighbor(i, callback) {
+        const positions = this.#positions;
+        const x = positions[i * 3];
+        const y = positions[i * 3 + 1];
+        const z = positions[i * 3 + 2];
+        const radiusSq = this.#cellSize * this.#cellSize;
+
+        const cellX = this.#cellCoord(i, 0);
+        const cellY = this.#cellCoord(i, 1);
+        const cellZ = this.#cellCoord(i, 2);
+
+        for (let dz = -1; dz <= 1; dz++) {
+            for (let dy = -1; dy <= 1; dy++) {
+                for (let dx = -1; dx <= 1; dx++) {
+                    const cell = this.#cells.get(this.#keyOf(cellX + dx, cellY + dy, cellZ + dz));
+
+                    for (const j of cell ?? []) {
+                        const distX = positions[j * 3] - x;
+                        const distY = positions[j * 3 + 1] - y;
+                        const distZ = positions[j * 3 + 2] - z;
+
+                        if (distX * distX + distY * distY + distZ * distZ <= radiusSq) {
+                            callback(j);
+                        }
+                    }
+                }
+            }
+        }
+    }
+}
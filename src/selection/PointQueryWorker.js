@@ -0,0 +1,311 @@
+import * as THREE from 'three';
+
+import * as IndexUtils from '../utils/IndexUtils';
+
+/**
+ * @typedef {import('../utils/IndexUtils').IndexSet} IndexSet
+ */
+
+/**
+ * @typedef {import('../selectionTools/DrawingTool').DepthRange} DepthRange
+ */
+
+/**
+ * @typedef {import('../selectionTools/DrawingTool').DrawnObject} DrawnObject
+ */
+
+/**
+ * @typedef {import('./Cuboid').CuboidJson} CuboidJson
+ */
+
+/**
+ * A drawn object as sent to the worker thread, i.e., with its cuboid, if any, as JSON.
+ * 
+ * @typedef {Exclude<DrawnObject, { kind: 'cuboid' }>
+ *     | { kind: 'cuboid', cuboid: CuboidJson }} DrawnObjectJson
+ */
+
+/**
+ * @typedef {import('../utils/GroundUtils').GroundOptions} GroundOptions
+ */
+
+/**
+ * @typedef {{width: number, height: number, pointSize: number}} Viewport
+ */
+
+/**
+ * The URL of the script of the worker thread, which webpack bundles as its own entry.
+ */
+const WORKER_URL = 'pointQuery.worker.js';
+
+/**
+ * Represents a message sent to the worker thread:
+ * - `'set-points'`: Replaces the points to search, given as consecutive `(x, y, z)` triples.
+ *   None of them is searched until their indices are added.
+ * - `'update-indices'`: Adds and removes indices of the points which the queries search.
+ * - `'project'`: Projects the points onto the screen of a camera.
+ * - `'set-attributes'`: Replaces the normals and the attribute of the points which the regions
+ *   are grown by. The normals are estimated by the worker if not given.
+ * - `'query'`: Finds the points inside a drawn object, among the searched points, by the kind
+ *   of the object. The points inside a polygon or a circle are found on the screen, keeping only
+ *   the visible ones if a depth tolerance is given, and only those within the depth range if one
+ *   is given. The points inside a cuboid are found in 3D, regardless of the camera, and a region
+ *   is grown from its first point across its neighbors.
+ * - `'segment-ground'`: Finds the ground points among the searched points, around the plane
+ *   which fits the most of them.
+ * 
+ * @typedef {{
+ *  type: 'set-points',
+ *  positions: ?Float32Array
+ * } | {
+ *  type: 'update-indices',
+ *  added: IndexSet,
+ *  removed: IndexSet
+ * } | {
+ *  type: 'project',
+ *  matrixWorldInverse: number[],
+ *  projectionMatrix: number[],
+ *  viewport: Viewport
+ * } | {
+ *  type: 'set-attributes',
+ *  normals: ?Float32Array,
+ *  features: ?Float32Array,
+ *  featureSize: number
+ * } | {
+ *  type: 'query',
+ *  id: number,
+ *  object: DrawnObjectJson,
+ *  depthTolerance: ?number,
+ *  depthRange: ?DepthRange
+ * } | {
+ *  type: 'segment-ground',
+ *  id: number,
+ *  options: GroundOptions
+ * }} PointQueryRequest
+ */
+
+/**
+ * Runs point-in-shape queries on a worker thread, so that the render loop keeps running
+ * while the points are projected and tested.
+ * 
+ * The worker handles the messages in the order they are sent, so a query always sees the
+ * points and the projection set before it.
+ */
+export class PointQueryWorker {
+
+    /**
+     * @type {Worker}
+     */
+    #worker;
+
+    /**
+     * The id given to the next query.
+     * 
+     * @type {number}
+     */
+    #nextId = 1;
+
+    /**
+     * The callbacks of each pending query, by id.
+     * 
+     * @type {Map<number, {resolve: (indices: IndexSet) => void, reject: (error: Error) => void}>}
+     */
+    #pending = new Map();
+
+    /**
+     * The view and projection matrices and the viewport which the points were last projected
+     * with, if any.
+     * 
+     * @type {?number[]}
+     */
+    #projection = null;
+
+    /**
+     * The normals and the attribute of the points which were last sent to the worker, if any.
+     * 
+     * @type {?{normals: ?Float32Array, features: ?Float32Array}}
+     */
+    #attributes = null;
+
+    /**
+     * The indices of the points which the worker searches, i.e., the last ones sent to it.
+     * 
+     * @type {IndexSet}
+     */
+    #indices = new Uint32Array(0);
+
+    /**
+     * Starts a new worker thread.
+     */
+    constructor() {
+        this.#worker = new Worker(WORKER_URL);
+
+        this.#worker.addEventListener('message', (e) => {
+            const { id, indices, error } = e.data;
+
+            const callbacks = this.#pending.get(id);
+            if (callbacks == null) return;
+
+            this.#pending.delete(id);
+            if (error != null) {
+                callbacks.reject(new Error(error));
+            } else {
+                callbacks.resolve(indices);
+            }
+        });
+
+        this.#worker.addEventListener('error', (e) => {
+            this.#pending.forEach(({ reject }) => reject(new Error(e.message)));
+            this.#pending.clear();
+        });
+    }
+
+    /**
+     * Replaces the points to search.
+     * 
+     * The coordinates are copied, and the copy is transferred to the worker thread.
+     * 
+     * @param {?ArrayLike<number>} positions The `three.js` coordinates of the points, stored as
+     * consecutive `(x, y, z)` triples.
+     */
+    setPoints(positions) {
+        const copy = (positions != null) ? Float32Array.from(positions) : null;
+
+        this.#worker.postMessage({ type: 'set-points', positions: copy }, (copy != null) ? [copy.buffer] : []);
+        this.#projection = null;
+        this.#attributes = null;
+        this.#indices = new Uint32Array(0);
+    }
+
+    /**
+     * Replaces the normals and the attribute of the points which the regions are grown by.
+     * 
+     * The arrays are copied to the worker thread, unless they were the last ones sent since
+     * the points were set.
+     * 
+     * @param {?Float32Array} normals The `three.js` unit normal of each point, 3 per point, or
+     * `null` to let the worker estimate them from the positions of the points.
+     * @param {?Float32Array} features The attribute of each point, from `0` to `1`, if any.
+     * @param {number} featureSize The number of values of each point in `features`.
+     */
+    setAttributes(normals, features, featureSize) {
+        const attributes = this.#attributes;
+        if (attributes?.normals === normals && attributes?.features === features) return;
+
+        this.#attributes = { normals, features };
+        this.#worker.postMessage({
+            type: 'set-attributes',
+            normals: normals,
+            features: features,
+            featureSize: featureSize,
+        });
+    }
+
+    /**
+     * Projects the points onto the screen of a camera.
+     * 
+     * The queries sent afterwards use the resulting normalized device coordinates. Nothing is
+     * done if neither the camera nor the viewport has changed since the last projection.
+     * 
+     * @param {THREE.Camera} camera The camera.
+     * @param {Viewport} viewport The size of the viewport and of the drawn points, in pixels,
+     * which tell the points hidden behind others apart.
+     */
+    project(camera, viewport) {
+        camera.updateMatrixWorld();
+
+        const matrixWorldInverse = camera.matrixWorldInverse.toArray();
+        const projectionMatrix = camera.projectionMatrix.toArray();
+
+        const { width, height, pointSize } = viewport;
+        const projection = [...matrixWorldInverse, ...projectionMatrix, width, height, pointSize];
+        if (this.#projection?.every((v, i) => v === projection[i])) return;
+
+        this.#projection = projection;
+        this.#worker.postMessage({
+            type: 'project',
+            matrixWorldInverse: matrixWorldInverse,
+            projectionMatrix: projectionMatrix,
+            viewport: { width, height, pointSize },
+        });
+    }
+
+    /**
+     * Makes the worker search the points with some indices.
+     * 
+     * Only the indices which were added or removed since the last ones sent are copied to
+     * the worker thread.
+     * 
+     * @param {IndexSet} indices The indices of the points to search.
+     */
+    #sendIndices(indices) {
+        const previous = this.#indices;
+        if (indices === previous) return;
+
+        const added = IndexUtils.difference(indices, previous);
+        const removed = IndexUtils.difference(previous, indices);
+
+        this.#indices = indices;
+        this.#worker.postMessage(
+            { type: 'update-indices', added: added, removed: removed },
+            [added.buffer, removed.buffer],
+        );
+    }
+
+    /**
+     * Sends a request which the worker answers with the indices of some points.
+     * 
+     * @param {(id: number) => PointQueryRequest} createRequest Creates the request, given
+     * the id which its answer is matched by.
+     * @returns {Promise<IndexSet>} The indices of the points.
+     */
+    #request(createRequest) {
+        const id = this.#nextId;
+        this.#nextId += 1;
+
+        return new Promise((resolve, reject) => {
+            this.#pending.set(id, { resolve, reject });
+
+            this.#worker.postMessage(createRequest(id));
+        });
+    }
+
+    /**
+     * Finds the points which are inside a drawn object in the scene.
+     * 
+     * @param {DrawnObject} object The drawn object on the scene.
+     * @param {IndexSet} indices The indices of the points to search.
+     * @param {object} options How the points are searched:
+     * @param {?number} [options.depthTolerance] If given, only the points visible from the camera
+     * are found, i.e., those at most this far behind the closest point drawn around them, in
+     * `three.js` units. Otherwise, the points hidden behind others are found too.
+     * @param {?DepthRange} [options.depthRange] If given, only the points between these
+     * distances from the camera are found, and the closer points hide nothing.
+     * @returns {Promise<IndexSet>} The indices of the points found inside the drawn object.
+     */
+    query(object, indices, { depthTolerance = null, depthRange = null } = {}) {
+        this.#sendIndices(indices);
+
+        return this.#request((id) => ({
+            type: 'query',
+            id: id,
+            object: (object.kind === 'cuboid')
+                ? { kind: 'cuboid', cuboid: object.cuboid.toJSON() } : object,
+            depthTolerance: depthTolerance,
+            depthRange: depthRange,
+        }));
+    }
+
+    /**
+     * Finds the ground points, around the plane which fits the most points.
+     * 
+     * @param {GroundOptions} options How the ground is found.
+     * @param {IndexSet} indices The indices of the points to search.
+     * @returns {Promise<IndexSet>} The indices of the ground points.
+     */
+    segmentGround(options, indices) {
+        this.#sendIndices(indices);
+
+        return this.#request((id) => ({ type: 'segment-ground', id: id, options: options }));
+    }
+}
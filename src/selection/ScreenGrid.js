@@ -0,0 +1,173 @@
+import * as THREE from 'three';
+
+/**
+ * @typedef {import('../utils/IndexUtils').IndexSet} IndexSet
+ */
+
+/**
+ * The average number of points that a cell of the grid should contain.
+ * 
+ * @type {number}
+ */
+const POINTS_PER_CELL = 32;
+
+/**
+ * The maximum number of cells along each side of the viewport.
+ * 
+ * @type {number}
+ */
+const MAX_CELLS_PER_SIDE = 1024;
+
+/**
+ * How far a rectangle is padded when looking for the cells it overlaps, in normalized device
+ * coordinates. It is far larger than the rounding error of the exact tests.
+ * 
+ * @type {number}
+ */
+const QUERY_PADDING = 1e-6;
+
+/**
+ * A uniform grid over the viewport which buckets the points of a point cloud by their
+ * normalized device coordinates, so that a drawn object only needs to be tested against the
+ * points in the cells it overlaps.
+ * 
+ * The grid spans `[-1, 1]` along both axes, surrounded by a ring of cells holding the points
+ * projected outside the viewport. Points whose projection is not finite are kept aside and are
+ * returned by every query, which leaves the decision to the exact test.
+ */
+export class ScreenGrid {
+
+    /**
+     * The number of cells along each side of the viewport.
+     * 
+     * @type {number}
+     */
+    #size;
+
+    /**
+     * The points of the `i`th cell are `#cellPoints[#cellStart[i]]` up to (excluding)
+     * `#cellPoints[#cellStart[i + 1]]`.
+     * 
+     * @type {Uint32Array}
+     */
+    #cellStart;
+
+    /**
+     * The indices of the points, grouped by cell and sorted in ascending order within each cell.
+     * 
+     * @type {Uint32Array}
+     */
+    #cellPoints;
+
+    /**
+     * The indices of the points whose normalized device coordinates are not finite.
+     * 
+     * @type {IndexSet}
+     */
+    #unbounded;
+
+    /**
+     * Finds the column (or row) of the cell containing a coordinate.
+     * 
+     * @param {number} coord The normalized device coordinate.
+     * @returns {number} The column (or row), including the surrounding ring of cells.
+     */
+    #cellOf(coord) {
+        const cell = Math.floor(((coord + 1) / 2) * this.#size);
+
+        return Math.min(Math.max(cell, -1), this.#size) + 1;
+    }
+
+    /**
+     * Buckets the points of a point cloud into a new grid.
+     * 
+     * @param {Float32Array} bufferNDC The normalized device coordinates of the points of the
+     * point cloud, stored as consecutive `(x, y, z)` triples.
+     */
+    constructor(bufferNDC) {
+        const numPoints = bufferNDC.length / 3;
+        const size = Math.ceil(Math.sqrt(numPoints / POINTS_PER_CELL));
+        this.#size = THREE.MathUtils.clamp(size, 1, MAX_CELLS_PER_SIDE);
+
+        const stride = this.#size + 2;
+        const cellOfPoint = new Int32Array(numPoints);
+        const counts = new Uint32Array(stride * stride);
+
+        /**
+         * @type {number[]}
+         */
+        const unbounded = [];
+
+        for (let i = 0; i < numPoints; i++) {
+            const x = bufferNDC[i * 3];
+            const y = bufferNDC[i * 3 + 1];
+
+            if (Number.isFinite(x) && Number.isFinite(y)) {
+                const cell = this.#cellOf(y) * stride + this.#cellOf(x);
+                cellOfPoint[i] = cell;
+                counts[cell] += 1;
+            } else {
+                cellOfPoint[i] = -1;
+                unbounded.push(i);
+            }
+        }
+
+        this.#cellStart = new Uint32Array(counts.length + 1);
+        for (let cell = 0; cell < counts.length; cell++) {
+            this.#cellStart[cell + 1] = this.#cellStart[cell] + counts[cell];
+        }
+
+        // Filling each cell in the order of the points keeps the indices of the cell sorted.
+        const fill = this.#cellStart.slice(0, counts.length);
+        this.#cellPoints = new Uint32Array(numPoints - unbounded.length);
+        cellOfPoint.forEach((cell, i) => {
+            if (cell >= 0) {
+                this.#cellPoints[fill[cell]] = i;
+                fill[cell] += 1;
+            }
+        });
+
+        this.#unbounded = Uint32Array.from(unbounded);
+    }
+
+    /**
+     * Finds the points which may lie inside a rectangle.
+     * 
+     * Every point inside the rectangle is returned, along with some of the points around it.
+     * The rectangle is slightly padded so that rounding never leaves out a point which an
+     * exact test would find inside.
+     * 
+     * @param {THREE.Box2} box The rectangle, in normalized device coordinates.
+     * @returns {IndexSet} The indices of the candidate points.
+     */
+    queryBox(box) {
+        const stride = this.#size + 2;
+
+        const minCol = this.#cellOf(box.min.x - QUERY_PADDING);
+        const maxCol = this.#cellOf(box.max.x + QUERY_PADDING);
+        const minRow = this.#cellOf(box.min.y - QUERY_PADDING);
+        const maxRow = this.#cellOf(box.max.y + QUERY_PADDING);
+
+        let numCandidates = this.#unbounded.length;
+        for (let row = minRow; row <= maxRow; row++) {
+            const rowStart = row * stride;
+            const rowEnd = rowStart + maxCol + 1;
+            numCandidates += this.#cellStart[rowEnd] - this.#cellStart[rowStart + minCol];
+        }
+
+        const candidates = new Uint32Array(numCandidates);
+        candidates.set(this.#unbounded);
+
+        // The cells of a row are contiguous, so each row is copied at once.
+        let length = this.#unbounded.length;
+        for (let row = minRow; row <= maxRow; row++) {
+            const start = this.#cellStart[row * stride + minCol];
+            const end = this.#cellStart[row * stride + maxCol + 1];
+
+            candidates.set(this.#cellPoints.subarray(start, end), length);
+            length += end - start;
+        }
+
+        return candidates.sort();
+    }
+}
@@ -81,6 +81,21 @@ export class SelectionInspector extends THREE.EventDispatcher {
         this.render();
     };
 
+    /**
+     * The label selections that can be inspected.
+     * 
+     * @type {LabelSelection[]}
+     */
+    get selections() { return this.#selectionInput.selections; }
+
+    set selections(value) {
+        if (this.selections !== value) {
+            this.#selectionInput.selections = value;
+
+            this.#handleSelectedSelectionChanged();
+        }
+    }
+
     /**
      * The selected label class of the selected selection.
      * 
@@ -90,11 +105,26 @@ export class SelectionInspector extends THREE.EventDispatcher {
         return this.#classInput.value;
     }
 
+    /**
+     * The label classes which selections can be assigned to.
+     * 
+     * @type {ReadonlyArray<LabelClass>}
+     */
+    get labelClasses() { return this.#classInput.labelClasses; }
+
+    set labelClasses(value) {
+        if (this.labelClasses !== value) {
+            this.#classInput.labelClasses = value;
+
+            this.render();
+        }
+    }
+
     /**
      * Constructs an instance of this object.
      * 
      * @param {LabelSelection[]} selections 
-     * @param {LabelClass[]} labelClasses 
+     * @param {ReadonlyArray<LabelClass>} labelClasses 
      */
     constructor(selections, labelClasses) {
         super();
@@ -138,6 +168,7 @@ export class SelectionInspector extends THREE.EventDispatcher {
      * Updates the view dom elements of this object.
      */
     render() {
+        this.#selectionInput.render();
         this.#selectionInput.disabled = !this.enabled;
         this.#classInput.disabled = !this.#enabled;
 
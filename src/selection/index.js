@@ -3,3 +3,11 @@ export { LabelSelection } from './LabelSelection';
 export { EditSelection } from './EditSelection';
 export { LabelClassSelector } from './LabelClassSelector';
 export { SelectionInspector } from './SelectionInspector';
+export { ScreenGrid } from './ScreenGrid';
+export { DepthMap } from './DepthMap';
+export { PointGrid } from './PointGrid';
+export { Cuboid, cuboidFromJson } from './Cuboid';
+export { PointQueryWorker } from './PointQueryWorker';
+export { LabelSet } from './LabelSet';
+export { LabelClassRegistry } from './LabelClassRegistry';
+export { LabelClassEditor } from './LabelClassEditor';
@@ -0,0 +1,391 @@
+import * as THREE from 'three';
+
+import * as GroundUtils from '../utils/GroundUtils';
+import * as IndexUtils from '../utils/IndexUtils';
+import * as MathUtils from '../utils/MathUtils';
+import * as NormalUtils from '../utils/NormalUtils';
+import { cuboidFromJson } from './Cuboid';
+import { DepthMap } from './DepthMap';
+import { PointGrid } from './PointGrid';
+import { ScreenGrid } from './ScreenGrid';
+
+/**
+ * @typedef {import('./PointQueryWorker').PointQueryRequest} PointQueryRequest
+ */
+
+/**
+ * @typedef {import('./PointQueryWorker').Viewport} Viewport
+ */
+
+/**
+ * @typedef {import('../selectionTools/DrawingTool').DepthRange} DepthRange
+ */
+
+/**
+ * @typedef {import('./Cuboid').CuboidJson} CuboidJson
+ */
+
+/**
+ * @typedef {import('../selectionTools/MagicWand').RegionSeed} RegionSeed
+ */
+
+/**
+ * @typedef {import('../utils/GroundUtils').GroundOptions} GroundOptions
+ */
+
+/**
+ * @typedef {{center: THREE.Vector2, radius: number}} Circle
+ */
+
+/**
+ * The `three.js` coordinates of the points, stored as consecutive `(x, y, z)` triples.
+ * 
+ * @type {?Float32Array}
+ */
+let positions = null;
+
+/**
+ * The indices of the points which the queries search.
+ * 
+ * @type {IndexUtils.IndexSet}
+ */
+let searchedIndices = new Uint32Array(0);
+
+/**
+ * The normalized device coordinates of the points, stored as consecutive `(x, y, z)` triples.
+ * 
+ * @type {?Float32Array}
+ */
+let bufferNDC = null;
+
+/**
+ * The distance of each point from the camera, along its view direction.
+ * 
+ * @type {?Float32Array}
+ */
+let depths = null;
+
+/**
+ * The size of the viewport and of the drawn points, in pixels, which the depth map is drawn with.
+ * 
+ * @type {?Viewport}
+ */
+let viewport = null;
+
+/**
+ * Buckets the points by their normalized device coordinates.
+ * 
+ * @type {?ScreenGrid}
+ */
+let grid = null;
+
+/**
+ * The closest points drawn over the viewport, drawn when a query first needs it.
+ * 
+ * @type {?DepthMap}
+ */
+let depthMap = null;
+
+/**
+ * The distance from the camera below which the points were clipped from {@link depthMap}.
+ * 
+ * @type {number}
+ */
+let depthMapNear = -Infinity;
+
+/**
+ * The `three.js` unit normal of each point, 3 per point, or `null` to estimate them from the
+ * positions when a region first needs them.
+ * 
+ * @type {?Float32Array}
+ */
+let normals = null;
+
+/**
+ * The attribute of each point which the regions are grown by, from `0` to `1`, with
+ * {@link featureSize} values per point, if any.
+ * 
+ * @type {?Float32Array}
+ */
+let features = null;
+
+/**
+ * The number of values of each point in {@link features}.
+ * 
+ * @type {number}
+ */
+let featureSize = 1;
+
+/**
+ * Projects every point onto the screen of a camera, and buckets them accordingly.
+ * 
+ * @param {number[]} matrixWorldInverse The elements of the view matrix of the camera.
+ * @param {number[]} projectionMatrix The elements of the projection matrix of the camera.
+ * @param {Viewport} size The size of the viewport and of the drawn points, in pixels.
+ */
+function project(matrixWorldInverse, projectionMatrix, size) {
+    viewport = size;
+    depthMap = null;
+
+    if (positions == null) return;
+
+    const view = new THREE.Matrix4().fromArray(matrixWorldInverse);
+    const projection = new THREE.Matrix4().fromArray(projectionMatrix);
+
+    // Same as `THREE.Vector3.project`.
+    const point = new THREE.Vector3();
+    bufferNDC = new Float32Array(positions.length);
+    depths = new Float32Array(positions.length / 3);
+    for (let i = 0; i < positions.length; i += 3) {
+        point.fromArray(positions, i).applyMatrix4(view);
+
+        // The camera looks towards -z
+        depths[i / 3] = -point.z;
+        point.applyMatrix4(projection).toArray(bufferNDC, i);
+    }
+
+    grid = new ScreenGrid(bufferNDC);
+}
+
+/**
+ * Obtains the depth map of the points, drawing it if needed.
+ * 
+ * @param {number} near The distance from the camera below which the points are clipped.
+ * @returns {?DepthMap} The depth map, or `null` if the points were not projected.
+ */
+function getDepthMap(near) {
+    const isOutdated = depthMap == null || depthMapNear !== near;
+    if (isOutdated && bufferNDC != null && depths != null && viewport != null) {
+        const { width, height, pointSize } = viewport;
+        depthMap = new DepthMap(bufferNDC, depths, width, height, pointSize, near);
+        depthMapNear = near;
+    }
+
+    return depthMap;
+}
+
+/**
+ * Finds the points which are inside a cuboid.
+ * 
+ * @param {CuboidJson} json The cuboid, in `three.js` coordinates.
+ * @param {IndexUtils.IndexSet} indices The indices of the points to search.
+ * @returns {IndexUtils.IndexSet} The indices of the points found inside the cuboid.
+ */
+function queryCuboid(json, indices) {
+    if (positions == null) {
+        return new Uint32Array(0);
+    }
+
+    const cuboid = cuboidFromJson(json);
+    const points = positions;
+
+    return indices.filter((i) => (
+        cuboid.containsPoint(points[i * 3], points[i * 3 + 1], points[i * 3 + 2])
+    ));
+}
+
+/**
+ * Grows a region from a point across its neighbors, as long as they are within the radius of
+ * a point of the region, their normals are within the angle of its normal, and their attribute
+ * is close enough to that of the first point.
+ * 
+ * The normals are compared between neighbors, so that the region can follow a curved surface,
+ * whereas the attribute is compared with the first point, so that it does not drift.
+ * 
+ * @param {RegionSeed} region The first point of the region and how far it grows.
+ * @param {IndexUtils.IndexSet} indices The indices of the points which the region can grow across.
+ * @returns {IndexUtils.IndexSet} The indices of the points of the region, or none if the first
+ * point is not searched.
+ */
+function growRegion(region, indices) {
+    if (positions == null || !IndexUtils.includes(indices, region.seed)) {
+        return new Uint32Array(0);
+    }
+
+    const points = positions;
+    const { seed, radius, maxAngle, maxDifference } = region;
+
+    normals ??= NormalUtils.estimateNormals(points);
+    const pointNormals = normals;
+    const minCos = Math.cos(THREE.MathUtils.degToRad(maxAngle));
+
+    const values = (region.similarity != null) ? features : null;
+    const size = featureSize;
+
+    /**
+     * Compares the normals of two points, ignoring their orientation. Points without a normal,
+     * e.g., isolated ones, match any point.
+     * 
+     * @param {number} i The index of the first point.
+     * @param {number} j The index of the second point.
+     * @returns {boolean} `true` if the normals are within the angle; otherwise, `false`.
+     */
+    const isSmooth = (i, j) => {
+        let dot = 0;
+        let lengthSqI = 0;
+        let lengthSqJ = 0;
+        for (let k = 0; k < 3; k++) {
+            dot += pointNormals[i * 3 + k] * pointNormals[j * 3 + k];
+            lengthSqI += pointNormals[i * 3 + k] ** 2;
+            lengthSqJ += pointNormals[j * 3 + k] ** 2;
+        }
+
+        return lengthSqI === 0 || lengthSqJ === 0 || Math.abs(dot) >= minCos;
+    };
+
+    /**
+     * Compares the attribute of a point with that of the first point of the region.
+     * 
+     * @param {number} j The index of the point.
+     * @returns {boolean} `true` if the attributes are close enough; otherwise, `false`.
+     */
+    const isSimilar = (j) => {
+        if (values == null) return true;
+
+        let distSq = 0;
+        for (let k = 0; k < size; k++) {
+            distSq += (values[j * size + k] - values[seed * size + k]) ** 2;
+        }
+
+        // Scaled such that the difference between black and white is 1
+        return Math.sqrt(distSq / size) <= maxDifference;
+    };
+
+    const neighborGrid = new PointGrid(points, indices, radius);
+
+    const isReached = new Uint8Array(points.length / 3);
+    isReached[seed] = 1;
+
+    const members = [seed];
+    for (let k = 0; k < members.length; k++) {
+        const i = members[k];
+
+        neighborGrid.forEachNeighbor(i, (j) => {
+            if (!isReached[j] && isSmooth(i, j) && isSimilar(j)) {
+                isReached[j] = 1;
+                members.push(j);
+            }
+        });
+    }
+
+    return Uint32Array.from(members).sort();
+}
+
+/**
+ * Finds the points which are inside a drawn object.
+ * 
+ * @param {Circle | Array<THREE.Vector2>} object The drawn object, in normalized device coordinates.
+ * @param {IndexUtils.IndexSet} indices The indices of the points to search.
+ * @param {?number} depthTolerance If not `null`, only the points visible from the camera are
+ * found, i.e., those at most this far behind the closest point drawn around them. Otherwise,
+ * the points hidden behind others are found too.
+ * @param {?DepthRange} depthRange If not `null`, only the points between these distances from
+ * the camera are found. The closer points are clipped, so that they hide nothing.
+ * @returns {IndexUtils.IndexSet} The indices of the points found inside the drawn object.
+ */
+function query(object, indices, depthTolerance, depthRange) {
+    if (bufferNDC == null || depths == null || grid == null) {
+        return new Uint32Array(0);
+    }
+
+    const box = (object instanceof Array)
+        ? new THREE.Box2().setFromPoints(object)
+        : new THREE.Box2().setFromCenterAndSize(
+            new THREE.Vector2(object.center.x, object.center.y),
+            new THREE.Vector2(2, 2).multiplyScalar(object.radius),
+        );
+
+    const candidates = IndexUtils.intersection(indices, grid.queryBox(box));
+    const ndc = bufferNDC;
+    const pointDepths = depths;
+
+    const near = depthRange?.near ?? -Infinity;
+    const far = depthRange?.far ?? Infinity;
+    const tolerance = depthTolerance ?? 0;
+    const visibleMap = (depthTolerance != null) ? getDepthMap(near) : null;
+
+    const pointNDC = new THREE.Vector3();
+    return candidates.filter((i) => {
+        pointNDC.fromArray(ndc, i * 3);
+
+        const isInside = (object instanceof Array)
+            ? MathUtils.isPointInPolygon(pointNDC, object)
+            : MathUtils.isPointInCircle(object.center, object.radius, pointNDC);
+
+        return isInside && pointDepths[i] >= near && pointDepths[i] <= far
+            && (visibleMap == null || visibleMap.isVisible(i, tolerance));
+    });
+}
+
+/**
+ * Answers a request with the indices of the points found, or with the error thrown while
+ * finding them.
+ * 
+ * @param {number} id The id of the request.
+ * @param {() => IndexUtils.IndexSet} find Finds the points.
+ */
+function respond(id, find) {
+    try {
+        const indices = find();
+        self.postMessage({ id, indices }, { transfer: [indices.buffer] });
+    } catch (error) {
+        self.postMessage({ id: id, error: String(error) });
+    }
+}
+
+self.addEventListener('message', (e) => {
+    /**
+     * @type {PointQueryRequest}
+     */
+    const request = e.data;
+
+    switch (request.type) {
+        case 'set-points':
+            positions = request.positions;
+            searchedIndices = new Uint32Array(0);
+            bufferNDC = null;
+            depths = null;
+            grid = null;
+            depthMap = null;
+            normals = null;
+            features = null;
+            break;
+        case 'update-indices':
+            searchedIndices = IndexUtils.union(
+                IndexUtils.difference(searchedIndices, request.removed),
+                request.added,
+            );
+            break;
+        case 'set-attributes':
+            normals = request.normals;
+            features = request.features;
+            featureSize = request.featureSize;
+            break;
+        case 'project':
+            project(request.matrixWorldInverse, request.projectionMatrix, request.viewport);
+            break;
+        case 'query': {
+            const { object } = request;
+            respond(request.id, () => {
+                if (object.kind === 'region') {
+                    return growRegion(object.region, searchedIndices);
+                }
+                if (object.kind === 'cuboid') {
+                    return queryCuboid(object.cuboid, searchedIndices);
+                }
+                const { depthTolerance, depthRange } = request;
+                const shape = (object.kind === 'polygon') ? object.polygon : object.circle;
+                return query(shape, searchedIndices, depthTolerance, depthRange);
+            });
+            break;
+        }
+        case 'segment-ground': {
+            const points = positions;
+            respond(request.id, () => ((points != null)
+                ? GroundUtils.findGroundPoints(points, searchedIndices, request.options)
+                : new Uint32Array(0)));
+            break;
+        }
+        default:
+    }
+});
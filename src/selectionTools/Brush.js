@@ -131,7 +131,11 @@ export class Brush extends DrawingTool {
 
         const radius = topMidNDC.distanceTo(centerNDC);
 
-        this.dispatchEvent({ type: `begin-draw`, drawnObject: {center: centerNDC, radius} });
+        this.dispatchEvent({
+            type: `begin-draw`,
+            drawnObject: { kind: 'circle', circle: { center: centerNDC, radius: radius } },
+            depthRange: this.depthRange,
+        });
 
     }
 
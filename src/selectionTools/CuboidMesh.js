@@ -0,0 +1,100 @@
+import * as THREE from 'three';
+
+/**
+ * @typedef {import('../selection').Cuboid} Cuboid
+ */
+
+/**
+ * The opacity of the faces of a cuboid.
+ * 
+ * @type {number}
+ */
+const FACE_OPACITY = 0.15;
+
+/**
+ * Draws a cuboid in the 3D view: its faces, its edges and a line from its center to its front
+ * face, which shows the direction of its length.
+ * 
+ * The mesh is a unit cube scaled, rotated and moved onto the cuboid, so that it can be
+ * transformed directly, e.g., by the `TransformControls` of `three.js`.
+ */
+export class CuboidMesh extends THREE.Mesh {
+
+    /**
+     * Draws the faces of the cuboid.
+     * 
+     * @readonly
+     * @type {THREE.MeshBasicMaterial}
+     */
+    #faceMaterial;
+
+    /**
+     * Draws the edges of the cuboid and the line showing its length.
+     * 
+     * @readonly
+     * @type {THREE.LineBasicMaterial}
+     */
+    #lineMaterial;
+
+    /**
+     * Constructs an instance of this object.
+     * 
+     * @param {THREE.ColorRepresentation} color The color of the cuboid.
+     */
+    constructor(color) {
+        const faceMaterial = new THREE.MeshBasicMaterial({
+            color: color,
+            opacity: FACE_OPACITY,
+            transparent: true,
+            depthWrite: false,
+        });
+        super(new THREE.BoxGeometry(1, 1, 1), faceMaterial);
+
+        const lineMaterial = new THREE.LineBasicMaterial({ color });
+        this.#faceMaterial = faceMaterial;
+        this.#lineMaterial = lineMaterial;
+
+        const edges = new THREE.LineSegments(new THREE.EdgesGeometry(this.geometry), lineMaterial);
+        const heading = new THREE.LineSegments(
+            new THREE.BufferGeometry().setFromPoints([
+                new THREE.Vector3(0, 0, 0),
+                new THREE.Vector3(0.5, 0, 0),
+            ]),
+            lineMaterial,
+        );
+
+        // Only the faces can be picked
+        edges.raycast = () => {};
+        heading.raycast = () => {};
+
+        this.add(edges, heading);
+    }
+
+    /**
+     * The color of the cuboid.
+     * 
+     * @type {THREE.Color}
+     */
+    get color() { return this.#faceMaterial.color; }
+
+    set color(value) {
+        if (!this.color.equals(value)) {
+            this.#faceMaterial.color.copy(value);
+            this.#lineMaterial.color.copy(value);
+        }
+    }
+
+    /**
+     * Moves this mesh onto a cuboid.
+     * 
+     * @param {Cuboid} cuboid The cuboid.
+     * @returns {this} This object.
+     */
+    setCuboid(cuboid) {
+        this.position.copy(cuboid.center);
+        this.scale.copy(cuboid.size);
+        this.rotation.set(0, cuboid.yaw, 0);
+
+        return this;
+    }
+}
@@ -0,0 +1,227 @@
+import * as THREE from 'three';
+import { TransformControls } from 'three/examples/jsm/controls/TransformControls';
+
+import { DrawingTool } from './DrawingTool';
+import { CuboidMesh } from './CuboidMesh';
+import { Cuboid } from '../selection/Cuboid';
+
+/**
+ * How the gizmo of the cuboid tool transforms the cuboid: moves it, rotates it around the up
+ * axis or resizes it.
+ * 
+ * @typedef {'translate' | 'rotate' | 'scale'} CuboidTransformMode
+ */
+
+/**
+ * The length, height and width of the first placed cuboid, about the size of a car. The next
+ * cuboids keep the size of the previous one.
+ * 
+ * @type {Readonly<THREE.Vector3>}
+ */
+const DEFAULT_SIZE = new THREE.Vector3(4, 1.6, 2);
+
+/**
+ * The smallest length, height and width of a cuboid, so that it can always be resized back.
+ * 
+ * @type {number}
+ */
+const MIN_SIZE = 0.05;
+
+/**
+ * The color of the cuboid being placed.
+ * 
+ * @type {string}
+ */
+const CUBOID_COLOR = 'orange';
+
+/**
+ * Places an upright cuboid in the 3D view, which selects the points inside it once applied.
+ * 
+ * Double-clicking on a point places the cuboid there, then its gizmo moves it, rotates it
+ * around the up axis or resizes it along its own axes. Unlike the other drawing tools, the
+ * camera can still be moved while placing a cuboid.
+ */
+export class CuboidTool extends DrawingTool {
+
+    /**
+     * The type of this drawing tool.
+     * 
+     * @readonly
+     * @type {string}
+     */
+    static toolType = 'cuboid';
+
+    /**
+     * The cuboid and its gizmo, to add to the scene.
+     * 
+     * @readonly
+     * @type {THREE.Group}
+     */
+    object = new THREE.Group();
+
+    /**
+     * Finds the point under the pointer.
+     * 
+     * @readonly
+     * @type {(event: MouseEvent) => ?THREE.Vector3}
+     */
+    #pickPoint;
+
+    /**
+     * Draws the cuboid.
+     * 
+     * @readonly
+     * @type {CuboidMesh}
+     */
+    #mesh = new CuboidMesh(CUBOID_COLOR);
+
+    /**
+     * The gizmo which transforms the cuboid.
+     * 
+     * @readonly
+     * @type {TransformControls}
+     */
+    #controls;
+
+    /**
+     * @type {?Cuboid}
+     */
+    #cuboid = null;
+
+    /**
+     * The cuboid being placed, in `three.js` coordinates, or `null` if none has been placed yet.
+     * 
+     * Each read returns a new copy.
+     * 
+     * @type {?Cuboid}
+     */
+    get cuboid() { return this.#cuboid?.clone() ?? null; }
+
+    set cuboid(value) {
+        this.#cuboid = value?.clone() ?? null;
+
+        if (this.#cuboid != null) {
+            this.#mesh.setCuboid(this.#cuboid);
+            this.#controls.attach(this.#mesh);
+        } else {
+            this.#controls.detach();
+        }
+
+        this.render();
+    }
+
+    /**
+     * @type {CuboidTransformMode}
+     */
+    #transformMode = 'translate';
+
+    /**
+     * How the gizmo transforms the cuboid.
+     * 
+     * @type {CuboidTransformMode}
+     */
+    get transformMode() { return this.#transformMode; }
+
+    set transformMode(value) {
+        if (this.transformMode !== value) {
+            this.#transformMode = value;
+
+            this.#controls.setMode(value);
+
+            // The cuboid stays upright, so it only rotates around the up axis
+            this.#controls.showX = value !== 'rotate';
+            this.#controls.showZ = value !== 'rotate';
+        }
+    }
+
+    /**
+     * Constructs an instance of this object.
+     * 
+     * @param {HTMLElement} baseElement The HTML element where the scene is drawn.
+     * @param {THREE.Camera} camera The camera of the scene.
+     * @param {HTMLElement} domElement The HTML element which receives the pointer events of the
+     * 3D view.
+     * @param {(event: MouseEvent) => ?THREE.Vector3} pickPoint Finds the point under the
+     * pointer, in `three.js` coordinates, if any.
+     */
+    constructor(baseElement, camera, domElement, pickPoint) {
+        super(baseElement);
+
+        this.#pickPoint = pickPoint;
+
+        this.#controls = new TransformControls(camera, domElement);
+        this.#controls.setSpace('local');
+        this.#controls.addEventListener('dragging-changed', (e) => {
+            this.isDrawing = e.value;
+        });
+        this.#controls.addEventListener('objectChange', this.#onObjectChange);
+
+        this.object.add(this.#mesh, this.#controls);
+
+        domElement.addEventListener('dblclick', this.onDoubleClick);
+
+        this.render();
+    }
+
+    /**
+     * Updates the view of this object.
+     */
+    render() {
+        this.#controls.enabled = this.enabled;
+        this.object.visible = this.enabled && this.#cuboid != null;
+    }
+
+    /**
+     * Places the cuboid at the point which is double-clicked.
+     * 
+     * @param {MouseEvent} e The mouse event.
+     */
+    onDoubleClick = (e) => {
+        if (!this.enabled || this.mode !== 'draw') return;
+
+        const point = this.#pickPoint(e);
+        if (point == null) return;
+
+        const previous = this.#cuboid;
+        const size = previous?.size.clone() ?? DEFAULT_SIZE.clone();
+        this.cuboid = new Cuboid(point, size, previous?.yaw ?? 0);
+    };
+
+    /**
+     * Reads the cuboid back from its mesh once the gizmo has transformed it, keeping it upright
+     * and its size positive.
+     */
+    #onObjectChange = () => {
+        const mesh = this.#mesh;
+
+        // A yaw rotates the `x` axis onto `(cos(yaw), 0, -sin(yaw))`
+        const heading = new THREE.Vector3(1, 0, 0).applyQuaternion(mesh.quaternion);
+        const size = new THREE.Vector3(
+            Math.max(Math.abs(mesh.scale.x), MIN_SIZE),
+            Math.max(Math.abs(mesh.scale.y), MIN_SIZE),
+            Math.max(Math.abs(mesh.scale.z), MIN_SIZE),
+        );
+
+        this.#cuboid = new Cuboid(mesh.position.clone(), size, Math.atan2(-heading.z, heading.x));
+        mesh.setCuboid(this.#cuboid);
+    };
+
+    /**
+     * Selects the points inside the cuboid, as a single stroke.
+     * 
+     * @returns {boolean} `true` if there is a cuboid to apply; otherwise, `false`.
+     */
+    apply() {
+        if (!this.enabled || this.#cuboid == null) return false;
+
+        this.isDrawing = true;
+        this.dispatchEvent({
+            type: 'end-draw',
+            drawnObject: { kind: 'cuboid', cuboid: this.#cuboid.clone() },
+            depthRange: null,
+        });
+        this.isDrawing = false;
+
+        return true;
+    }
+}
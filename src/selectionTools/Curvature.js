@@ -168,7 +168,11 @@ export class Curvature extends DrawingTool {
 
         const curveNDC = ThreeUtils.pixelCoordsListToNDC(this.baseElement, this.#vertices);
 
-        this.dispatchEvent({ type: 'end-draw', drawnObject: curveNDC });
+        this.dispatchEvent({
+            type: 'end-draw',
+            drawnObject: { kind: 'polygon', polygon: curveNDC },
+            depthRange: this.depthRange,
+        });
 
         this.#vertices = [];
     }
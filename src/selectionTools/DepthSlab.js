@@ -0,0 +1,138 @@
+import * as THREE from 'three';
+
+/**
+ * @typedef {import('./DrawingTool').DepthRange} DepthRange
+ */
+
+/**
+ * The color and opacity of the plane at the near end of the depth range, which tints the
+ * points behind it.
+ * 
+ * @type {Readonly<{color: string, opacity: number}>}
+ */
+const NEAR_STYLE = Object.freeze({ color: 'cornflowerblue', opacity: 0.2 });
+
+/**
+ * The color and opacity of the plane at the far end of the depth range, which dims the points
+ * behind it.
+ * 
+ * @type {Readonly<{color: string, opacity: number}>}
+ */
+const FAR_STYLE = Object.freeze({ color: 'black', opacity: 0.5 });
+
+/**
+ * Creates a quad covering the view of a camera at some depth.
+ * 
+ * @param {{color: string, opacity: number}} style The color and opacity of the quad.
+ * @returns {THREE.Mesh<THREE.BufferGeometry, THREE.MeshBasicMaterial>} The quad, whose corners
+ * are set by {@link DepthSlab.update}.
+ */
+function createQuad({ color, opacity }) {
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(4 * 3), 3));
+    geometry.setIndex([0, 1, 2, 0, 2, 3]);
+
+    const material = new THREE.MeshBasicMaterial({
+        color: color,
+        opacity: opacity,
+        transparent: true,
+        depthWrite: false,
+        side: THREE.DoubleSide,
+    });
+
+    const quad = new THREE.Mesh(geometry, material);
+    quad.frustumCulled = false;
+
+    return quad;
+}
+
+/**
+ * Previews the depth range of the drawing tools in the 3D view, as two planes facing the camera
+ * at the near and far distances of the range.
+ * 
+ * The points between the planes are tinted by the near plane, and those beyond the range are
+ * also dimmed by the far plane, while the points in front of the range keep their colors.
+ */
+export class DepthSlab {
+
+    /**
+     * The planes of the slab, to add to the scene.
+     * 
+     * @readonly
+     * @type {THREE.Group}
+     */
+    object = new THREE.Group();
+
+    /**
+     * The plane at the near end of the depth range.
+     * 
+     * @readonly
+     * @type {THREE.Mesh<THREE.BufferGeometry, THREE.MeshBasicMaterial>}
+     */
+    #nearQuad = createQuad(NEAR_STYLE);
+
+    /**
+     * The plane at the far end of the depth range.
+     * 
+     * @readonly
+     * @type {THREE.Mesh<THREE.BufferGeometry, THREE.MeshBasicMaterial>}
+     */
+    #farQuad = createQuad(FAR_STYLE);
+
+    /**
+     * Constructs an instance of this object.
+     */
+    constructor() {
+        this.object.add(this.#nearQuad, this.#farQuad);
+
+        // The near plane is drawn first, so that the far plane dims what it tinted
+        this.#nearQuad.renderOrder = 1;
+        this.#farQuad.renderOrder = 2;
+    }
+
+    /**
+     * Places the planes of the slab in front of a camera.
+     * 
+     * @param {THREE.PerspectiveCamera | THREE.OrthographicCamera} camera The camera, whose
+     * matrices are up to date.
+     * @param {DepthRange} depthRange The distances of the planes from the camera, along its
+     * view direction.
+     */
+    update(camera, depthRange) {
+        // Keep the planes inside the view of the camera, so that they are not clipped
+        const margin = (camera.far - camera.near) * 1e-4;
+        const clampDepth = (/** @type {number} */ depth) => (
+            THREE.MathUtils.clamp(depth, camera.near + margin, camera.far - margin)
+        );
+
+        this.#placeQuad(this.#nearQuad, camera, clampDepth(depthRange.near));
+        this.#placeQuad(this.#farQuad, camera, clampDepth(depthRange.far));
+    }
+
+    /**
+     * Moves the corners of a quad to those of the view of a camera at some depth.
+     * 
+     * @param {THREE.Mesh<THREE.BufferGeometry, THREE.MeshBasicMaterial>} quad The quad.
+     * @param {THREE.PerspectiveCamera | THREE.OrthographicCamera} camera The camera.
+     * @param {number} depth The distance of the quad from the camera, along its view direction.
+     */
+    #placeQuad(quad, camera, depth) {
+        const position = quad.geometry.getAttribute('position');
+        const nearPoint = new THREE.Vector3();
+        const farPoint = new THREE.Vector3();
+
+        [[-1, -1], [1, -1], [1, 1], [-1, 1]].forEach(([x, y], i) => {
+            // Each corner moves along a straight line in view space, from the near plane of the
+            // camera to its far plane
+            nearPoint.set(x, y, -1).applyMatrix4(camera.projectionMatrixInverse);
+            farPoint.set(x, y, 1).applyMatrix4(camera.projectionMatrixInverse);
+
+            const t = (-depth - nearPoint.z) / (farPoint.z - nearPoint.z);
+            nearPoint.lerp(farPoint, t).applyMatrix4(camera.matrixWorld);
+
+            position.setXYZ(i, nearPoint.x, nearPoint.y, nearPoint.z);
+        });
+
+        position.needsUpdate = true;
+    }
+}
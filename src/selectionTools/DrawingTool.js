@@ -8,12 +8,45 @@ import * as THREE from 'three';
  * @typedef {import('./Brush').Circle} Circle
  */
 
+/**
+ * @typedef {import('../selection/Cuboid').Cuboid} Cuboid
+ */
+
+/**
+ * @typedef {import('./MagicWand').RegionSeed} RegionSeed
+ */
+
+/**
+ * The distances from the camera, along its view direction, between which the points inside a
+ * drawn object are selected, in `three.js` units.
+ * 
+ * @typedef {{near: number, far: number}} DepthRange
+ */
+
+/**
+ * An object drawn with a tool, by kind:
+ * - `'polygon'`: A polygon drawn on the screen, in normalized device coordinates.
+ * - `'circle'`: A circle drawn on the screen, in normalized device coordinates.
+ * - `'cuboid'`: A placed cuboid, in `three.js` coordinates.
+ * - `'region'`: A region to grow from a clicked point.
+ * 
+ * @typedef {{ kind: 'polygon', polygon: Array<THREE.Vector2> }
+ *     | { kind: 'circle', circle: Circle }
+ *     | { kind: 'cuboid', cuboid: Cuboid }
+ *     | { kind: 'region', region: RegionSeed }} DrawnObject
+ */
+
 /**
  * Represents an event dispatched by {@link DrawingTool}:
+ * - `drawnObject`: The drawn object.
+ * - `depthRange`: The depth range of the tool when the object was drawn, if any.
  * 
  * @typedef {{
  *     type: 'begin-draw' | 'end-draw',
- *     drawnObject: Array<THREE.Vector2> | Circle      
+ *     drawnObject: DrawnObject,
+ *     depthRange: ?DepthRange
+ * } | {
+ *     type: 'isDrawing-changed'
  * }} DrawingToolEvent
 */
 export class DrawingTool extends THREE.EventDispatcher {
@@ -71,6 +104,25 @@ export class DrawingTool extends THREE.EventDispatcher {
 
     }
 
+    /**
+     * @type {?DepthRange}
+     */
+    #depthRange = null;
+
+    /**
+     * The distances from the camera between which the points inside the drawn objects are
+     * selected, or `null` to select them at any distance.
+     * 
+     * @type {?DepthRange}
+     */
+    get depthRange() { return this.#depthRange; }
+
+    set depthRange(value) {
+        if (this.depthRange !== value) {
+            this.#depthRange = value;
+        }
+    }
+
     /**
      * @type {boolean}
      */
@@ -86,6 +138,8 @@ export class DrawingTool extends THREE.EventDispatcher {
     set isDrawing(value) {
         if (this.isDrawing !== value) {
             this.#isDrawing = value; 
+
+            this.dispatchEvent({ type: 'isDrawing-changed' });
         }
     }
 
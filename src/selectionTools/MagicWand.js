@@ -0,0 +1,133 @@
+import { DrawingTool } from './DrawingTool';
+
+/**
+ * The attribute of the points which a region only grows across while it stays close to that
+ * of the clicked point: their intensity, or their RGB color.
+ * 
+ * @typedef {'intensity' | 'rgb'} RegionSimilarity
+ */
+
+/**
+ * How far a region grows from the clicked point:
+ * - `radius`: The largest distance between two neighboring points of the region, in `three.js`
+ *   units.
+ * - `maxAngle`: The largest angle between the normals of two neighboring points of the region,
+ *   in degrees.
+ * - `similarity`: The attribute which the points of the region share with the clicked point,
+ *   if any.
+ * - `maxDifference`: The largest difference between that attribute of a point of the region
+ *   and that of the clicked point, from `0` to `1` of its range.
+ * 
+ * @typedef {{
+ *     radius: number,
+ *     maxAngle: number,
+ *     similarity: ?RegionSimilarity,
+ *     maxDifference: number
+ * }} RegionOptions
+ */
+
+/**
+ * A region to grow from the clicked point, whose index is `seed`.
+ * 
+ * @typedef {{ seed: number } & RegionOptions} RegionSeed
+ */
+
+/**
+ * The options of the magic wand before the user changes them.
+ * 
+ * @type {Readonly<RegionOptions>}
+ */
+export const DEFAULT_REGION_OPTIONS = Object.freeze({
+    radius: 0.3,
+    maxAngle: 30,
+    similarity: null,
+    maxDifference: 0.2,
+});
+
+/**
+ * Selects the region grown from the clicked point across its neighbors, as long as they are
+ * close enough, lie on a smooth enough surface and, optionally, look alike. It is much faster
+ * than drawing around irregular objects, e.g., trees or poles.
+ */
+export class MagicWand extends DrawingTool {
+
+    /**
+     * The type of this drawing tool.
+     * 
+     * @readonly
+     * @type {string}
+     */
+    static toolType = 'wand';
+
+    /**
+     * Finds the point under the pointer.
+     * 
+     * @readonly
+     * @type {(event: MouseEvent) => ?number}
+     */
+    #pickPoint;
+
+    /**
+     * @type {RegionOptions}
+     */
+    #options = { ...DEFAULT_REGION_OPTIONS };
+
+    /**
+     * How far the regions grow from the clicked points.
+     * 
+     * @type {RegionOptions}
+     */
+    get options() { return { ...this.#options }; }
+
+    set options(value) {
+        this.#options = { ...value };
+    }
+
+    /**
+     * Constructs an instance of this object.
+     * 
+     * @param {HTMLElement} baseElement The HTML element where the scene is drawn.
+     * @param {HTMLElement} domElement The HTML element which receives the pointer events of the
+     * 3D view.
+     * @param {(event: MouseEvent) => ?number} pickPoint Finds the index of the point under the
+     * pointer, if any.
+     */
+    constructor(baseElement, domElement, pickPoint) {
+        super(baseElement);
+
+        this.#pickPoint = pickPoint;
+
+        domElement.addEventListener('click', this.onClick);
+    }
+
+    /**
+     * Updates the view of this object. Nothing is drawn, since the region grows from a single
+     * click.
+     */
+    render() {}
+
+    /**
+     * Grows a region from the clicked point, as a single stroke.
+     * 
+     * @param {MouseEvent} e The mouse event.
+     */
+    onClick = (e) => {
+        if (!this.enabled || this.mode !== 'draw' || e.button !== 0) return;
+
+        const seed = this.#pickPoint(e);
+        if (seed == null) return;
+
+        /**
+         * @type {RegionSeed}
+         */
+        const region = { seed, ...this.#options };
+
+        this.isDrawing = true;
+        this.dispatchEvent({
+            type: 'end-draw',
+            drawnObject: { kind: 'region', region: region },
+            depthRange: null,
+        });
+        this.isDrawing = false;
+    };
+}
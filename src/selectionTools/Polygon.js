@@ -171,7 +171,11 @@ export class Polygon extends DrawingTool {
 
         const polygonNDC = ThreeUtils.pixelCoordsListToNDC(this.baseElement, this.#vertices);
 
-        this.dispatchEvent({ type: 'end-draw', drawnObject: polygonNDC});
+        this.dispatchEvent({
+            type: 'end-draw',
+            drawnObject: { kind: 'polygon', polygon: polygonNDC },
+            depthRange: this.depthRange,
+        });
 
         this.#vertices = [];
     }
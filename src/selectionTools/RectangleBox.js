@@ -193,7 +193,11 @@ export class RectangleBox extends DrawingTool {
 
         const boxNCD = ThreeUtils.pixelCoordsListToNDC(this.baseElement, this.#vertices);
 
-        this.dispatchEvent({ type: `end-draw`, drawnObject: boxNCD});
+        this.dispatchEvent({
+            type: `end-draw`,
+            drawnObject: { kind: 'polygon', polygon: boxNCD },
+            depthRange: this.depthRange,
+        });
 
         this.#vertices = [];
     }
@@ -3,3 +3,7 @@ export { Brush } from './Brush';
 export { RectangleBox } from './RectangleBox';
 export { Polygon } from './Polygon';
 export { Curvature } from './Curvature';
+export { DepthSlab } from './DepthSlab';
+export { CuboidMesh } from './CuboidMesh';
+export { CuboidTool } from './CuboidTool';
+export { MagicWand } from './MagicWand';
@@ -0,0 +1,293 @@
+import * as THREE from 'three';
+
+import * as NormalUtils from './NormalUtils';
+
+/**
+ * @typedef {import('../pcd/PointCloud').PointCloud} PointCloud
+ */
+
+/**
+ * How the points of a point cloud are colored:
+ * - `class`: By the class of the label selection containing them.
+ * - `instance`: By the label selection containing them.
+ * - `height`: By their height, i.e., their `y` coordinate in `three.js`.
+ * - `intensity`: By their `intensity` channel.
+ * - `rgb`: By their stored color, i.e., their `r`, `g` and `b` channels, or their packed
+ *   `rgb` or `rgba` channel.
+ * - `normal`: By the direction of their normal, from their `normal_x`, `normal_y` and
+ *   `normal_z` channels if any; otherwise, estimated from their neighbors.
+ * 
+ * @typedef {'class' | 'instance' | 'height' | 'intensity' | 'rgb' | 'normal'} ColorMode
+ */
+
+/**
+ * Every color mode, in display order.
+ * 
+ * @type {ReadonlyArray<ColorMode>}
+ */
+export const COLOR_MODES = Object.freeze(['class', 'instance', 'height', 'intensity', 'rgb', 'normal']);
+
+/**
+ * The display name of each color mode.
+ * 
+ * @type {Readonly<Record<ColorMode, string>>}
+ */
+export const COLOR_MODE_NAMES = Object.freeze({
+    class: 'Class',
+    instance: 'Instance',
+    height: 'Height',
+    intensity: 'Intensity',
+    rgb: 'RGB',
+    normal: 'Normals',
+});
+
+/**
+ * The colors of the ramp used by the scalar color modes, from the lowest to the highest value.
+ * 
+ * @type {ReadonlyArray<Readonly<THREE.Color>>}
+ */
+export const RAMP_COLORS = Object.freeze([
+    '#30123b', '#4686fb', '#1ae4b6', '#a2fc3c', '#fabb39', '#e4460a', '#7a0403',
+].map((hex) => new THREE.Color(hex)));
+
+/**
+ * The values of each point for the scalar color modes, and the normals of each point,
+ * cached by point cloud since they only change with its coordinate format.
+ * 
+ * @type {WeakMap<PointCloud, Map<string, Float32Array>>}
+ */
+const cache = new WeakMap();
+
+/**
+ * Obtains a cached array computed from a point cloud, computing it if needed.
+ * 
+ * @param {PointCloud} pointCloud The point cloud.
+ * @param {string} key The name of the array.
+ * @param {() => Float32Array} compute Computes the array.
+ * @returns {Float32Array} The array.
+ */
+function getCached(pointCloud, key, compute) {
+    let arrays = cache.get(pointCloud);
+    if (arrays == null) {
+        arrays = new Map();
+        cache.set(pointCloud, arrays);
+    }
+
+    let array = arrays.get(key);
+    if (array == null) {
+        array = compute();
+        arrays.set(key, array);
+    }
+
+    return array;
+}
+
+/**
+ * Discards the arrays cached for a point cloud, e.g., the heights and the normals of its
+ * points once its coordinate format changed.
+ * 
+ * @param {PointCloud} pointCloud The point cloud.
+ */
+export function clearCache(pointCloud) {
+    cache.delete(pointCloud);
+}
+
+/**
+ * Finds the color at a position along the color ramp.
+ * 
+ * @param {number} t The position, between `0` (lowest) and `1` (highest).
+ * @param {THREE.Color} target The color to write the result into.
+ * @returns {THREE.Color} The color.
+ */
+export function rampColor(t, target) {
+    const scaled = THREE.MathUtils.clamp(t, 0, 1) * (RAMP_COLORS.length - 1);
+    const i = Math.min(Math.floor(scaled), RAMP_COLORS.length - 2);
+
+    return target.copy(RAMP_COLORS[i]).lerp(RAMP_COLORS[i + 1], scaled - i);
+}
+
+/**
+ * Finds a color which tells a label selection apart from those with nearby ids.
+ * 
+ * @param {number} id The id of the label selection.
+ * @param {THREE.Color} target The color to write the result into.
+ * @returns {THREE.Color} The color.
+ */
+export function instanceColor(id, target) {
+    // Successive multiples of the golden ratio are evenly spread over the hues
+    return target.setHSL((id * 0.618033988749895) % 1, 0.75, 0.55);
+}
+
+/**
+ * Checks whether a color mode uses a value of each point mapped onto the color ramp.
+ * 
+ * @param {ColorMode} mode The color mode.
+ * @returns {boolean} `true` if the color mode uses the color ramp; otherwise, `false`.
+ */
+export function isScalarMode(mode) {
+    return mode === 'height' || mode === 'intensity';
+}
+
+/**
+ * Checks whether a point cloud has the channels needed by a color mode.
+ * 
+ * @param {ColorMode} mode The color mode.
+ * @param {PointCloud} pointCloud The point cloud.
+ * @returns {boolean} `true` if the point cloud can be colored by the color mode;
+ * otherwise, `false`.
+ */
+export function isColorModeAvailable(mode, pointCloud) {
+    const { buffer } = pointCloud;
+
+    switch (mode) {
+        case 'intensity':
+            return buffer.hasChannels('intensity');
+        case 'rgb':
+            return buffer.hasChannels('r', 'g', 'b') || buffer.hasChannels('rgb') || buffer.hasChannels('rgba');
+        default:
+            return true;
+    }
+}
+
+/**
+ * Obtains the value of each point of a point cloud for a scalar color mode.
+ * 
+ * @param {PointCloud} pointCloud The point cloud.
+ * @param {ColorMode} mode The scalar color mode.
+ * @returns {Float32Array} The value of each point.
+ * @throws {Error} If the color mode is not scalar or not available.
+ */
+export function getScalars(pointCloud, mode) {
+    if (!isScalarMode(mode) || !isColorModeAvailable(mode, pointCloud)) {
+        throw new Error(`Cannot color the points by ${mode}`);
+    }
+
+    return getCached(pointCloud, mode, () => {
+        const { buffer } = pointCloud;
+
+        if (mode === 'height') {
+            const heights = new Float32Array(buffer.numPoints);
+            buffer.forEachCoords((x, y, z, i) => {
+                heights[i] = y;
+            });
+
+            return heights;
+        }
+
+        return Float32Array.from(buffer.requireChannel(mode));
+    });
+}
+
+/**
+ * Finds the range of the values of the points of a point cloud for a scalar color mode.
+ * 
+ * @param {PointCloud} pointCloud The point cloud.
+ * @param {ColorMode} mode The scalar color mode.
+ * @returns {{ min: number, max: number }} The smallest and the largest finite value,
+ * or `0` and `1` if there is none.
+ */
+export function getScalarRange(pointCloud, mode) {
+    let min = Infinity;
+    let max = -Infinity;
+    for (const value of getScalars(pointCloud, mode)) {
+        if (value < min) min = value;
+        if (value > max) max = value;
+    }
+
+    return (min <= max) ? { min, max } : { min: 0, max: 1 };
+}
+
+/**
+ * Obtains the normal of each point of a point cloud.
+ * 
+ * @param {PointCloud} pointCloud The point cloud.
+ * @returns {Float32Array} The `three.js` unit normal of each point, 3 per point.
+ */
+export function getNormals(pointCloud) {
+    return getCached(pointCloud, 'normal', () => {
+        const { buffer } = pointCloud;
+        if (!buffer.hasChannels('normal_x', 'normal_y', 'normal_z')) {
+            return NormalUtils.estimateNormals(pointCloud.positions);
+        }
+
+        const xs = buffer.requireChannel('normal_x');
+        const ys = buffer.requireChannel('normal_y');
+        const zs = buffer.requireChannel('normal_z');
+
+        const normals = new Float32Array(buffer.numPoints * 3);
+        const normal = new THREE.Vector3();
+        for (let i = 0; i < buffer.numPoints; i++) {
+            normal.set(xs[i], ys[i], zs[i]);
+            buffer.format.toThreeJSDirection(normal).toArray(normals, i * 3);
+        }
+
+        return normals;
+    });
+}
+
+/**
+ * Computes the color of each point of a point cloud for a color mode which does not depend
+ * on the label selections.
+ * 
+ * @param {PointCloud} pointCloud The point cloud.
+ * @param {ColorMode} mode The color mode, other than `class` and `instance`.
+ * @param {?{ min: number, max: number }} range The values mapped onto the ends of the color
+ * ramp, for scalar color modes, or `null` for the range of the values of the points.
+ * @returns {Float32Array} The color of each point, 3 per point.
+ * @throws {Error} If the color mode is not available.
+ */
+export function computePointColors(pointCloud, mode, range) {
+    const { numPoints } = pointCloud.buffer;
+    const colors = new Float32Array(numPoints * 3);
+
+    if (isScalarMode(mode)) {
+        const values = getScalars(pointCloud, mode);
+        const { min, max } = range ?? getScalarRange(pointCloud, mode);
+        const scale = (max > min) ? 1 / (max - min) : 0;
+
+        const color = new THREE.Color();
+        for (let i = 0; i < numPoints; i++) {
+            rampColor((values[i] - min) * scale, color).toArray(colors, i * 3);
+        }
+    } else if (mode === 'normal') {
+        const normals = getNormals(pointCloud);
+        for (let i = 0; i < normals.length; i++) {
+            colors[i] = Math.abs(normals[i]);
+        }
+    } else if (mode === 'rgb' && isColorModeAvailable(mode, pointCloud)) {
+        const { buffer } = pointCloud;
+
+        if (buffer.hasChannels('r', 'g', 'b')) {
+            const channels = ['r', 'g', 'b'].map((name) => buffer.requireChannel(name));
+
+            // LAS colors are 16-bit, although some files only use their lower 8 bits
+            const isWide = channels.some((channel) => channel.some((value) => value > 255));
+            const scale = 1 / (isWide ? 65535 : 255);
+
+            channels.forEach((channel, c) => {
+                channel.forEach((value, i) => {
+                    colors[i * 3 + c] = value * scale;
+                });
+            });
+        } else {
+            // PCL packs the color into the bits of a float or of an unsigned integer
+            const packed = buffer.requireChannel(buffer.hasChannels('rgb') ? 'rgb' : 'rgba');
+            const bits = (packed instanceof Float32Array)
+                ? new Uint32Array(packed.buffer, packed.byteOffset, packed.length)
+                : packed;
+
+            /* eslint-disable no-bitwise -- The channels are decoded from their bits */
+            for (let i = 0; i < bits.length; i++) {
+                const rgb = bits[i];
+                colors[i * 3] = ((rgb >> 16) & 0xff) / 255;
+                colors[i * 3 + 1] = ((rgb >> 8) & 0xff) / 255;
+                colors[i * 3 + 2] = (rgb & 0xff) / 255;
+            }
+            /* eslint-enable no-bitwise */
+        }
+    } else {
+        throw new Error(`Cannot color the points by ${mode}`);
+    }
+
+    return colors;
+}
@@ -0,0 +1,123 @@
+/**
+ * Options of reading a large file chosen by the user:
+ * - `onProgress`: Called with the fraction of the file read so far, between `0` and `1`,
+ *   after each piece.
+ * - `signal`: Aborts the read when signalled.
+ * 
+ * @typedef {{
+ *     onProgress?: (progress: number) => void,
+ *     signal?: AbortSignal
+ * }} ReadOptions
+ */
+
+/**
+ * The size of the pieces which large files are read in, in bytes.
+ * 
+ * @type {number}
+ */
+const PIECE_SIZE = 4 * 1024 * 1024;
+
+/**
+ * Lets the user save data as a file through the download mechanism of the browser.
+ * 
+ * @param {Blob} blob The content of the file.
+ * @param {string} fileName The suggested name of the file.
+ */
+export function downloadBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+
+    const anchor = document.createElement('a');
+    anchor.href = url;
+    anchor.download = fileName;
+    anchor.click();
+
+    // Give the browser a chance to start the download before releasing the data
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Obtains the extension of a file name, without the leading dot.
+ * 
+ * @param {string} fileName The name of the file.
+ * @returns {string} The lower-cased extension, or an empty string if there is none.
+ */
+export function getExtension(fileName) {
+    const idx = fileName.lastIndexOf('.');
+    return (idx < 0) ? '' : fileName.slice(idx + 1).toLowerCase();
+}
+
+/**
+ * Replaces the extension of a file name, or appends one if there is none.
+ * 
+ * @param {string} fileName The name of the file.
+ * @param {string} extension The new extension, without the leading dot.
+ * @returns {string} The resulting file name.
+ */
+export function replaceExtension(fileName, extension) {
+    const idx = fileName.lastIndexOf('.');
+    const baseName = (idx <= 0) ? fileName : fileName.slice(0, idx);
+    return `${baseName}.${extension}`;
+}
+
+/**
+ * Computes a SHA-256 hash which identifies the content of a file.
+ * 
+ * The Web Crypto API hashes the whole content at once, so the file is read again. It is
+ * only available in secure contexts, e.g., over HTTPS.
+ * 
+ * @param {File} file The file, e.g. from a file input or a drop event.
+ * @returns {Promise<string>} The hash, in hexadecimal and prefixed by the name of the
+ * algorithm.
+ */
+export async function hashFile(file) {
+    const digest = await crypto.subtle.digest('SHA-256', await file.arrayBuffer());
+
+    const hex = Array.from(new Uint8Array(digest), (byte) => byte.toString(16).padStart(2, '0'));
+    return `sha256-${hex.join('')}`;
+}
+
+/**
+ * Reads a file chosen by the user piece by piece, such that large files can be followed
+ * and cancelled while they are read. The file is no longer read once the read is aborted.
+ * 
+ * @param {File} file The file, e.g. from a file input or a drop event.
+ * @param {(bytes: Uint8Array) => void} onPiece Called with each piece of the file, in order.
+ * @param {ReadOptions} options Follows and cancels the read.
+ * @returns {Promise<void>} Resolved once the whole file has been read.
+ * @throws {DOMException} If the read is aborted, with the name `AbortError`.
+ */
+export async function streamFile(file, onPiece, { onProgress, signal } = {}) {
+    let loaded = 0;
+    while (loaded < file.size) {
+        if (signal?.aborted) {
+            throw new DOMException(`The load of ${file.name} was cancelled`, 'AbortError');
+        }
+
+        // The pieces are read one after the other
+        // eslint-disable-next-line no-await-in-loop
+        const piece = await file.slice(loaded, loaded + PIECE_SIZE).arrayBuffer();
+        onPiece(new Uint8Array(piece));
+        loaded += piece.byteLength;
+        onProgress?.(loaded / file.size);
+    }
+}
+
+/**
+ * Reads the whole content of a file chosen by the user. See {@link streamFile}.
+ * 
+ * @param {File} file The file, e.g. from a file input or a drop event.
+ * @param {ReadOptions} options Follows and cancels the read.
+ * @returns {Promise<ArrayBuffer>} The content of the file.
+ * @throws {DOMException} If the read is aborted, with the name `AbortError`.
+ */
+export async function readFile(file, options = {}) {
+    const data = new Uint8Array(file.size);
+
+    let length = 0;
+    await streamFile(file, (bytes) => {
+        data.set(bytes, length);
+        length += bytes.length;
+    }, options);
+
+    return data.buffer;
+}
@@ -0,0 +1,260 @@
+/**
+ * How the ground of a point cloud is found:
+ * - `maxSlope`: The largest angle between the ground plane and the horizontal, in degrees.
+ * - `threshold`: The largest distance between a ground point and the ground plane, in
+ *   `three.js` units.
+ * 
+ * @typedef {{ maxSlope: number, threshold: number }} GroundOptions
+ */
+
+/**
+ * A plane, as the points `p` such that `dot(normal, p) + constant = 0`. The unit normal points
+ * up, i.e., towards the positive `y` axis.
+ * 
+ * @typedef {{ normal: number[], constant: number }} GroundPlane
+ */
+
+/**
+ * @typedef {import('./IndexUtils').IndexSet} IndexSet
+ */
+
+/**
+ * The options of the ground segmentation before the user changes them.
+ * 
+ * @type {Readonly<GroundOptions>}
+ */
+export const DEFAULT_GROUND_OPTIONS = Object.freeze({
+    maxSlope: 15,
+    threshold: 0.2,
+});
+
+/**
+ * The number of planes through 3 random points which are tried.
+ * 
+ * @type {number}
+ */
+const NUM_ITERATIONS = 200;
+
+/**
+ * The largest number of points which the tried planes are scored on. The plane which fits the
+ * most of them is a good estimate of the one fitting the most of all the points.
+ * 
+ * @type {number}
+ */
+const MAX_SAMPLE_SIZE = 100000;
+
+/**
+ * The seed of the random numbers, so that the same points always give the same ground.
+ * 
+ * @type {number}
+ */
+const RANDOM_SEED = 123456789;
+
+/**
+ * The modulus of the random number generator, the prime `2^31 - 1`.
+ * 
+ * @type {number}
+ */
+const RANDOM_MODULUS = 2147483647;
+
+/**
+ * Creates a generator of pseudo-random numbers (the "minimal standard" Lehmer generator). The
+ * products stay below `2^53`, so they are computed exactly.
+ * 
+ * @param {number} seed The seed of the numbers, in the range `[1, 2^31 - 1)`.
+ * @returns {() => number} Returns the next number, between `0` (included) and `1` (excluded).
+ */
+function createRandom(seed) {
+    let state = seed;
+
+    return () => {
+        state = (state * 48271) % RANDOM_MODULUS;
+
+        return (state - 1) / (RANDOM_MODULUS - 1);
+    };
+}
+
+/**
+ * Computes the distance between a point and a plane.
+ * 
+ * @param {GroundPlane} plane The plane.
+ * @param {Float32Array} positions The coordinates of each point, 3 per point.
+ * @param {number} i The index of the point.
+ * @returns {number} The distance.
+ */
+function distanceToPlane(plane, positions, i) {
+    const { normal, constant } = plane;
+    const x = positions[i * 3];
+    const y = positions[i * 3 + 1];
+    const z = positions[i * 3 + 2];
+
+    return Math.abs(normal[0] * x + normal[1] * y + normal[2] * z + constant);
+}
+
+/**
+ * Computes the plane through 3 points.
+ * 
+ * @param {Float32Array} positions The coordinates of each point, 3 per point.
+ * @param {number} a The index of the first point.
+ * @param {number} b The index of the second point.
+ * @param {number} c The index of the third point.
+ * @returns {?GroundPlane} The plane, or `null` if the points are on a line.
+ */
+function planeThroughPoints(positions, a, b, c) {
+    const abx = positions[b * 3] - positions[a * 3];
+    const aby = positions[b * 3 + 1] - positions[a * 3 + 1];
+    const abz = positions[b * 3 + 2] - positions[a * 3 + 2];
+    const acx = positions[c * 3] - positions[a * 3];
+    const acy = positions[c * 3 + 1] - positions[a * 3 + 1];
+    const acz = positions[c * 3 + 2] - positions[a * 3 + 2];
+
+    let nx = aby * acz - abz * acy;
+    let ny = abz * acx - abx * acz;
+    let nz = abx * acy - aby * acx;
+
+    const length = Math.hypot(nx, ny, nz) * Math.sign(ny);
+    if (!(Math.abs(length) > 0)) return null;
+
+    nx /= length;
+    ny /= length;
+    nz /= length;
+
+    return {
+        normal: [nx, ny, nz],
+        constant: -(nx * positions[a * 3] + ny * positions[a * 3 + 1] + nz * positions[a * 3 + 2]),
+    };
+}
+
+/**
+ * Fits a plane `y = u * x + v * z + w` to some points by least squares, which is well-defined
+ * for planes which are not vertical.
+ * 
+ * @param {Float32Array} positions The coordinates of each point, 3 per point.
+ * @param {ArrayLike<number>} indices The indices of the points.
+ * @returns {?GroundPlane} The plane, or `null` if the points do not span one.
+ */
+function fitPlane(positions, indices) {
+    const n = indices.length;
+    if (n < 3) return null;
+
+    let meanX = 0;
+    let meanY = 0;
+    let meanZ = 0;
+    for (let k = 0; k < n; k++) {
+        const i = indices[k];
+        meanX += positions[i * 3];
+        meanY += positions[i * 3 + 1];
+        meanZ += positions[i * 3 + 2];
+    }
+    meanX /= n;
+    meanY /= n;
+    meanZ /= n;
+
+    // The normal equations of the centered points
+    let xx = 0;
+    let xz = 0;
+    let zz = 0;
+    let xy = 0;
+    let zy = 0;
+    for (let k = 0; k < n; k++) {
+        const i = indices[k];
+        const x = positions[i * 3] - meanX;
+        const y = positions[i * 3 + 1] - meanY;
+        const z = positions[i * 3 + 2] - meanZ;
+
+        xx += x * x;
+        xz += x * z;
+        zz += z * z;
+        xy += x * y;
+        zy += z * y;
+    }
+
+    const det = xx * zz - xz * xz;
+    if (!(Math.abs(det) > 0)) return null;
+
+    const u = (xy * zz - zy * xz) / det;
+    const v = (zy * xx - xy * xz) / det;
+    const length = Math.hypot(u, 1, v);
+
+    const normal = [-u / length, 1 / length, -v / length];
+    return {
+        normal: normal,
+        constant: -(normal[0] * meanX + normal[1] * meanY + normal[2] * meanZ),
+    };
+}
+
+/**
+ * Finds the ground plane of a point cloud by RANSAC: among the planes through 3 random points
+ * which are at most as steep as the largest slope, the one with the most points within the
+ * threshold of it is kept, then fitted to these points by least squares.
+ * 
+ * @param {Float32Array} positions The `three.js` coordinates of each point, 3 per point.
+ * @param {IndexSet} indices The indices of the points which the ground is searched among.
+ * @param {GroundOptions} options How the ground is found.
+ * @returns {?GroundPlane} The ground plane, or `null` if no plane is flat enough.
+ */
+export function fitGroundPlane(positions, indices, options) {
+    const { maxSlope, threshold } = options;
+    if (indices.length < 3) return null;
+
+    const random = createRandom(RANDOM_SEED);
+    const minNormalY = Math.cos((maxSlope * Math.PI) / 180);
+
+    /**
+     * @type {ArrayLike<number>}
+     */
+    let sample = indices;
+    if (indices.length > MAX_SAMPLE_SIZE) {
+        const picked = new Uint32Array(MAX_SAMPLE_SIZE);
+        for (let k = 0; k < picked.length; k++) {
+            picked[k] = indices[Math.floor(random() * indices.length)];
+        }
+        sample = picked;
+    }
+
+    const pick = () => sample[Math.floor(random() * sample.length)];
+
+    let bestPlane = null;
+    let bestCount = 0;
+    for (let iteration = 0; iteration < NUM_ITERATIONS; iteration++) {
+        const plane = planeThroughPoints(positions, pick(), pick(), pick());
+        if (plane != null && plane.normal[1] >= minNormalY) {
+            let count = 0;
+            for (let k = 0; k < sample.length; k++) {
+                if (distanceToPlane(plane, positions, sample[k]) <= threshold) count += 1;
+            }
+
+            if (count > bestCount) {
+                bestPlane = plane;
+                bestCount = count;
+            }
+        }
+    }
+
+    if (bestPlane == null) return null;
+
+    const inliers = [];
+    for (let k = 0; k < sample.length; k++) {
+        if (distanceToPlane(bestPlane, positions, sample[k]) <= threshold) inliers.push(sample[k]);
+    }
+
+    // The fitted plane is closer to the inliers on average, but may be steeper than allowed
+    const fitted = fitPlane(positions, inliers);
+    return (fitted != null && fitted.normal[1] >= minNormalY) ? fitted : bestPlane;
+}
+
+/**
+ * Finds the ground points of a point cloud, i.e., those within the threshold of its ground
+ * plane (see {@link fitGroundPlane}).
+ * 
+ * @param {Float32Array} positions The `three.js` coordinates of each point, 3 per point.
+ * @param {IndexSet} indices The indices of the points which the ground is searched among.
+ * @param {GroundOptions} options How the ground is found.
+ * @returns {IndexSet} The indices of the ground points.
+ */
+export function findGroundPoints(positions, indices, options) {
+    const plane = fitGroundPlane(positions, indices, options);
+    if (plane == null) return new Uint32Array(0);
+
+    return indices.filter((i) => distanceToPlane(plane, positions, i) <= options.threshold);
+}
@@ -1,13 +1,22 @@
-import { LabelClass } from "../selection";
+import { LabelClass, LabelSet } from "../selection";
 
 /**
  * 
  * @returns {LabelClass[]}
  */
 export function datasetLabelClasses() {
-    const c1 = new LabelClass(1, 'car', 'pink');
-    const c2 = new LabelClass(2, 'lamp post', 'purple');
-    const c3 = new LabelClass(3, 'wall', 'green');
+    const c1 = new LabelClass(1, 'car', 'pink', { hotkey: '1' });
+    const c2 = new LabelClass(2, 'lamp post', 'purple', { hotkey: '2' });
+    const c3 = new LabelClass(3, 'wall', 'green', { hotkey: '3' });
 
     return [c1, c2, c3];
 }
+
+/**
+ * The label set used until the user loads another one.
+ * 
+ * @returns {LabelSet} The default label set.
+ */
+export function datasetLabelSet() {
+    return new LabelSet('Default', datasetLabelClasses());
+}
@@ -0,0 +1,165 @@
+/**
+ * A set of point indices, represented as an array of unique indices sorted in ascending order
+ * such that each set operation runs in linear time.
+ * 
+ * @typedef {Uint32Array} IndexSet
+ */
+
+/**
+ * Creates the set of indices `[0, n)`.
+ * 
+ * @param {number} n The number of indices.
+ * @returns {IndexSet} The resulting set.
+ */
+export function range(n) {
+    const result = new Uint32Array(n);
+    for (let i = 0; i < n; i++) {
+        result[i] = i;
+    }
+
+    return result;
+}
+
+/**
+ * Creates a set of indices from arbitrary (possibly unsorted or duplicated) indices.
+ * 
+ * @param {ArrayLike<number>} indices The indices to include.
+ * @returns {IndexSet} The resulting set.
+ */
+export function fromArray(indices) {
+    const sorted = Uint32Array.from(indices).sort();
+
+    let length = 0;
+    for (let i = 0; i < sorted.length; i++) {
+        if (i === 0 || sorted[i] !== sorted[i - 1]) {
+            sorted[length] = sorted[i];
+            length += 1;
+        }
+    }
+
+    return sorted.slice(0, length);
+}
+
+/**
+ * Finds the indices which are in either set.
+ * 
+ * @param {IndexSet} a The first set.
+ * @param {IndexSet} b The second set.
+ * @returns {IndexSet} The resulting set.
+ */
+export function union(a, b) {
+    const result = new Uint32Array(a.length + b.length);
+
+    let i = 0;
+    let j = 0;
+    let length = 0;
+    while (i < a.length || j < b.length) {
+        if (j >= b.length || (i < a.length && a[i] < b[j])) {
+            result[length] = a[i];
+            i += 1;
+        } else if (i >= a.length || a[i] > b[j]) {
+            result[length] = b[j];
+            j += 1;
+        } else {
+            result[length] = a[i];
+            i += 1;
+            j += 1;
+        }
+        length += 1;
+    }
+
+    return result.slice(0, length);
+}
+
+/**
+ * Finds the indices which are in the first set but not in the second set.
+ * 
+ * @param {IndexSet} a The first set.
+ * @param {IndexSet} b The second set.
+ * @returns {IndexSet} The resulting set.
+ */
+export function difference(a, b) {
+    const result = new Uint32Array(a.length);
+
+    let j = 0;
+    let length = 0;
+    for (let i = 0; i < a.length; i++) {
+        while (j < b.length && b[j] < a[i]) j += 1;
+
+        if (j >= b.length || b[j] !== a[i]) {
+            result[length] = a[i];
+            length += 1;
+        }
+    }
+
+    return result.slice(0, length);
+}
+
+/**
+ * Finds the position of an index in a set.
+ * 
+ * @param {IndexSet} set The set to search.
+ * @param {number} index The index to search for.
+ * @returns {number} The position of the index in the set, or `-1` if it is not in the set.
+ */
+export function indexOf(set, index) {
+    let lo = 0;
+    let hi = set.length;
+    while (lo < hi) {
+        const mid = Math.floor((lo + hi) / 2);
+        if (set[mid] < index) {
+            lo = mid + 1;
+        } else {
+            hi = mid;
+        }
+    }
+
+    return (lo < set.length && set[lo] === index) ? lo : -1;
+}
+
+/**
+ * Checks whether a set contains an index.
+ * 
+ * @param {IndexSet} set The set to search.
+ * @param {number} index The index to search for.
+ * @returns {boolean} `true` if the index is in the set; otherwise, `false`.
+ */
+export function includes(set, index) {
+    return indexOf(set, index) !== -1;
+}
+
+/**
+ * Finds the indices which are in both sets.
+ * 
+ * @param {IndexSet} a The first set.
+ * @param {IndexSet} b The second set.
+ * @returns {IndexSet} The resulting set.
+ */
+export function intersection(a, b) {
+    const [small, large] = (a.length <= b.length) ? [a, b] : [b, a];
+
+    // Searching the larger set is faster when it is much larger than the other one.
+    if (small.length * Math.log2(large.length + 1) < large.length) {
+        return small.filter((index) => includes(large, index));
+    }
+
+    const result = new Uint32Array(Math.min(a.length, b.length));
+
+    let i = 0;
+    let j = 0;
+    let length = 0;
+    while (i < a.length && j < b.length) {
+        if (a[i] < b[j]) {
+            i += 1;
+        } else if (a[i] > b[j]) {
+            j += 1;
+        } else {
+            result[length] = a[i];
+            length += 1;
+            i += 1;
+            j += 1;
+        }
+    }
+
+    return result.slice(0, length);
+}
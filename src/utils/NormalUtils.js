@@ -0,0 +1,260 @@
+/**
+ * The average number of points in each cell of the grid used to find the neighbors
+ * of a point, relative to the number of neighbors.
+ * 
+ * @type {number}
+ */
+const POINTS_PER_CELL_RATIO = 0.5;
+
+/**
+ * Assigns each point to a cell of a uniform grid.
+ * 
+ * @param {Float32Array} positions The coordinates of each point, 3 per point.
+ * @param {{ min: number[], size: number[] }} bounds The bounds of the points.
+ * @param {number} cellSize The length of the edges of each cell.
+ * @returns {{ dims: number[], cellOf: Float64Array, cells: Map<number, number[]> }} The number
+ * of cells along each axis, the key of the cell of each point and the points in each cell.
+ */
+function buildGrid(positions, bounds, cellSize) {
+    const numPoints = positions.length / 3;
+    const dims = bounds.size.map((s) => Math.floor(s / cellSize) + 1);
+
+    const cellOf = new Float64Array(numPoints);
+
+    /**
+     * @type {Map<number, number[]>}
+     */
+    const cells = new Map();
+    for (let i = 0; i < numPoints; i++) {
+        const ix = Math.floor((positions[i * 3] - bounds.min[0]) / cellSize);
+        const iy = Math.floor((positions[i * 3 + 1] - bounds.min[1]) / cellSize);
+        const iz = Math.floor((positions[i * 3 + 2] - bounds.min[2]) / cellSize);
+
+        const key = ix + dims[0] * (iy + dims[1] * iz);
+        cellOf[i] = key;
+
+        const cell = cells.get(key);
+        if (cell == null) {
+            cells.set(key, [i]);
+        } else {
+            cell.push(i);
+        }
+    }
+
+    return { dims, cellOf, cells };
+}
+
+/**
+ * Finds the eigenvector of the smallest eigenvalue of a symmetric 3x3 matrix.
+ * 
+ * @param {number} a00 The element at row 0, column 0.
+ * @param {number} a01 The element at row 0, column 1.
+ * @param {number} a02 The element at row 0, column 2.
+ * @param {number} a11 The element at row 1, column 1.
+ * @param {number} a12 The element at row 1, column 2.
+ * @param {number} a22 The element at row 2, column 2.
+ * @returns {?number[]} The unit eigenvector, or `null` if it is not well-defined.
+ */
+function smallestEigenvector(a00, a01, a02, a11, a12, a22) {
+    // Eigenvalues of a symmetric matrix, see https://en.wikipedia.org/wiki/Eigenvalue_algorithm#3%C3%973_matrices
+    const p1 = a01 * a01 + a02 * a02 + a12 * a12;
+    const q = (a00 + a11 + a22) / 3;
+    const p2 = (a00 - q) ** 2 + (a11 - q) ** 2 + (a22 - q) ** 2 + 2 * p1;
+    const p = Math.sqrt(p2 / 6);
+    if (p === 0) return null;
+
+    const b00 = (a00 - q) / p;
+    const b11 = (a11 - q) / p;
+    const b22 = (a22 - q) / p;
+    const b01 = a01 / p;
+    const b02 = a02 / p;
+    const b12 = a12 / p;
+    const detB = b00 * (b11 * b22 - b12 * b12)
+        - b01 * (b01 * b22 - b12 * b02)
+        + b02 * (b01 * b12 - b11 * b02);
+    const phi = Math.acos(Math.min(Math.max(detB / 2, -1), 1)) / 3;
+    const eigenvalue = q + 2 * p * Math.cos(phi + ((2 * Math.PI) / 3));
+
+    // The eigenvector is orthogonal to the rows of (A - eigenvalue * I)
+    const r0x = a00 - eigenvalue;
+    const r1y = a11 - eigenvalue;
+    const r2z = a22 - eigenvalue;
+
+    // The cross products of the rows, of which the longest is the most accurate
+    const c01x = a01 * a12 - a02 * r1y;
+    const c01y = a02 * a01 - r0x * a12;
+    const c01z = r0x * r1y - a01 * a01;
+    const c02x = a01 * r2z - a02 * a12;
+    const c02y = a02 * a02 - r0x * r2z;
+    const c02z = r0x * a12 - a01 * a02;
+    const c12x = r1y * r2z - a12 * a12;
+    const c12y = a12 * a02 - a01 * r2z;
+    const c12z = a01 * a12 - r1y * a02;
+
+    const d01 = c01x * c01x + c01y * c01y + c01z * c01z;
+    const d02 = c02x * c02x + c02y * c02y + c02z * c02z;
+    const d12 = c12x * c12x + c12y * c12y + c12z * c12z;
+
+    let vector = [c01x, c01y, c01z];
+    let d = d01;
+    if (d02 > d) {
+        vector = [c02x, c02y, c02z];
+        d = d02;
+    }
+    if (d12 > d) {
+        vector = [c12x, c12y, c12z];
+        d = d12;
+    }
+    if (d === 0) return null;
+
+    const length = Math.sqrt(d);
+    return vector.map((v) => v / length);
+}
+
+/**
+ * Estimates the normal of each point from its nearest neighbors, as the direction in which
+ * they vary the least (i.e., by principal component analysis).
+ * 
+ * The normals are oriented towards the positive `y` axis, which is up in `three.js`.
+ * 
+ * @param {Float32Array} positions The `three.js` coordinates of each point, 3 per point.
+ * @param {number} numNeighbors The number of nearest neighbors used to estimate each normal.
+ * @returns {Float32Array} The unit normal of each point, 3 per point. The normal of a point
+ * is `(0, 0, 0)` if its neighbors do not span a plane, e.g., if it is isolated.
+ */
+export function estimateNormals(positions, numNeighbors = 16) {
+    const numPoints = positions.length / 3;
+    const normals = new Float32Array(numPoints * 3);
+    if (numPoints < 3) return normals;
+
+    const min = [Infinity, Infinity, Infinity];
+    const max = [-Infinity, -Infinity, -Infinity];
+    for (let i = 0; i < positions.length; i++) {
+        const v = positions[i];
+        if (Number.isFinite(v)) {
+            min[i % 3] = Math.min(min[i % 3], v);
+            max[i % 3] = Math.max(max[i % 3], v);
+        }
+    }
+    const bounds = { min: min, size: max.map((v, i) => v - min[i]) };
+    const extent = Math.max(...bounds.size);
+    if (!(extent > 0)) return normals;
+
+    // Scans are mostly surfaces, so the number of points in a cell grows with its area
+    let cellSize = extent / Math.cbrt(numPoints);
+    let grid = buildGrid(positions, bounds, cellSize);
+    for (let pass = 0; pass < 2; pass++) {
+        const pointsPerCell = numPoints / grid.cells.size;
+        const scale = Math.sqrt((numNeighbors * POINTS_PER_CELL_RATIO) / pointsPerCell);
+        cellSize *= Math.min(Math.max(scale, 0.25), 4);
+        grid = buildGrid(positions, bounds, cellSize);
+    }
+
+    const { dims, cellOf, cells } = grid;
+    const stride = [1, dims[0], dims[0] * dims[1]];
+
+    // The nearest neighbors found so far, sorted by increasing distance
+    const nearest = new Uint32Array(numNeighbors);
+    const nearestDist = new Float64Array(numNeighbors);
+
+    /**
+     * Finds the nearest neighbors of a point among the points of its cell and the adjacent ones.
+     * 
+     * @param {number} i The index of the point.
+     * @returns {number} The number of neighbors found, at most `numNeighbors`.
+     */
+    const findNearest = (i) => {
+        const px = positions[i * 3];
+        const py = positions[i * 3 + 1];
+        const pz = positions[i * 3 + 2];
+
+        let count = 0;
+        const key = cellOf[i];
+        for (let dz = -1; dz <= 1; dz++) {
+            for (let dy = -1; dy <= 1; dy++) {
+                for (let dx = -1; dx <= 1; dx++) {
+                    const neighborKey = key + dx * stride[0] + dy * stride[1] + dz * stride[2];
+                    const cell = cells.get(neighborKey) ?? [];
+                    for (const j of cell) {
+                        const ex = positions[j * 3] - px;
+                        const ey = positions[j * 3 + 1] - py;
+                        const ez = positions[j * 3 + 2] - pz;
+                        const dist = ex * ex + ey * ey + ez * ez;
+
+                        if (count < numNeighbors || dist < nearestDist[count - 1]) {
+                            if (count < numNeighbors) count += 1;
+
+                            // Insert the neighbor, keeping the list sorted
+                            let k = count - 1;
+                            for (; k > 0 && nearestDist[k - 1] > dist; k--) {
+                                nearestDist[k] = nearestDist[k - 1];
+                                nearest[k] = nearest[k - 1];
+                            }
+                            nearestDist[k] = dist;
+                            nearest[k] = j;
+                        }
+                    }
+                }
+            }
+        }
+
+        return count;
+    };
+
+    /**
+     * Estimates the normal of a point from its nearest neighbors.
+     * 
+     * @param {number} count The number of nearest neighbors of the point.
+     * @returns {?number[]} The unit normal, or `null` if it is not well-defined.
+     */
+    const estimateNormal = (count) => {
+        let mx = 0;
+        let my = 0;
+        let mz = 0;
+        for (let k = 0; k < count; k++) {
+            const j = nearest[k];
+            mx += positions[j * 3];
+            my += positions[j * 3 + 1];
+            mz += positions[j * 3 + 2];
+        }
+        mx /= count;
+        my /= count;
+        mz /= count;
+
+        let cxx = 0;
+        let cxy = 0;
+        let cxz = 0;
+        let cyy = 0;
+        let cyz = 0;
+        let czz = 0;
+        for (let k = 0; k < count; k++) {
+            const j = nearest[k];
+            const ex = positions[j * 3] - mx;
+            const ey = positions[j * 3 + 1] - my;
+            const ez = positions[j * 3 + 2] - mz;
+            cxx += ex * ex;
+            cxy += ex * ey;
+            cxz += ex * ez;
+            cyy += ey * ey;
+            cyz += ey * ez;
+            czz += ez * ez;
+        }
+
+        return smallestEigenvector(cxx, cxy, cxz, cyy, cyz, czz);
+    };
+
+    for (let i = 0; i < numPoints; i++) {
+        const sum = positions[i * 3] + positions[i * 3 + 1] + positions[i * 3 + 2];
+        const count = Number.isFinite(sum) ? findNearest(i) : 0;
+        const normal = (count >= 3) ? estimateNormal(count) : null;
+
+        if (normal != null) {
+            const sign = (normal[1] < 0) ? -1 : 1;
+            normals[i * 3] = sign * normal[0];
+            normals[i * 3 + 1] = sign * normal[1];
+            normals[i * 3 + 2] = sign * normal[2];
+        }
+    }
+
+    return normals;
+}
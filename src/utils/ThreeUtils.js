@@ -2,14 +2,17 @@ import _ from 'lodash';
 import * as THREE from 'three';
 
 import * as MathUtils from './MathUtils';
-import { PointBuffer, PointCloud } from '../pcd';
+import { PointSubset } from '../pcd';
 import { LabelSelection } from '../selection';
-import { CoordinateFormat } from '../config';
 
 /**
  * @typedef {import('../Scene').DrawMode} DrawMode
  */
 
+/**
+ * @typedef {import('./IndexUtils').IndexSet} IndexSet
+ */
+
 /**
  * The threshold used to check if a value is close enough to zero.
  * 
@@ -141,44 +144,30 @@ export function isCoordinatesInArray(array, point) {
 }
 
 /**
- * Finds the difference of two arrays.
- * 
- * @param {Array<THREE.Vector3>} arrA first array.
- * @param {Array<THREE.Vector3>} arrB second array.
- * @returns {Array<THREE.Vector3>} the resulting array.
- */
-export function differenceOfArrays(arrA, arrB) {
-    return arrA.filter((point) => !isCoordinatesInArray(arrB, point));
-}
-
-/**
- * Filters points of label selections from point cloud in the frame.
+ * Filters the points of an edited label selection from the unlabelled points in the frame.
  * 
- * @param {PointCloud} pointCloud The point cloud in the frame.
- * @param {THREE.Vector3[]} points The edited label selection in the frame.
+ * @param {PointSubset} subset The unlabelled points in the frame.
+ * @param {IndexSet} indices The indices of the points added to (or erased from) the edited
+ * label selection.
  * @param {DrawMode} mode The draw mode in the scene.
- * @returns {?PointCloud} The resulted filtered point cloud.
+ * @returns {?PointSubset} The resulted unlabelled points.
  */
-export function filterPointCloud(pointCloud, points, mode) {
-    let filteredPoints = null;
+export function filterPointCloud(subset, indices, mode) {
     switch(mode) {
         case 'add':
-            filteredPoints = differenceOfArrays(pointCloud.buffer.getCoords(), points);
-            break;
+            return subset.difference(indices);
         case 'erase':
-            filteredPoints = pointCloud.buffer.getCoords().concat(points);
-            break;
+            return subset.union(indices);
         default:
+            return null;
     }
-    const pointBuffer = PointBuffer.fromVec3Array(filteredPoints, CoordinateFormat.XYZ);
-    return  new PointCloud(pointBuffer, pointCloud.pointSize);
 }
 
 /**
  * Gets the normalized device coordinates of the pointer when an event is fired.
  * 
  * @param {HTMLElement} domElement The HTML element which the event was fired from.
- * @param {PointerEvent} event The event being fired.
+ * @param {MouseEvent} event The event being fired.
  * @returns {{x: number, y: number}} The normalized device coordinates.
  */
 export function getPointerNDC(domElement, event) {
@@ -272,7 +261,7 @@ export function setRaycasterPointsThreshold(raycaster, threshold) {
  * @param {THREE.Raycaster} raycaster The raycaster to update. It is modified by this method.
  * @param {THREE.Camera} camera The camera from which the ray should originate.
  * @param {HTMLElement} domElement The HTML element which the event was fired from.
- * @param {PointerEvent} event The event being fired.
+ * @param {MouseEvent} event The event being fired.
  * @returns {THREE.Raycaster} The updated raycaster.
  */
 export function updateRaycaster(raycaster, camera, domElement, event) {
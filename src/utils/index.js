@@ -1,4 +1,9 @@
 export * as ThreeUtils from './ThreeUtils';
 export * as MathUtils from './MathUtils';
 export * as CollectionUtils from './CollectionUtils';
+export * as IndexUtils from './IndexUtils';
+export * as FileUtils from './FileUtils';
 export * as Helper from './HelperData';
+export * as NormalUtils from './NormalUtils';
+export * as ColorUtils from './ColorUtils';
+export * as GroundUtils from './GroundUtils';